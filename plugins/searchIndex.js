@@ -0,0 +1,45 @@
+import { readFileSync, readdirSync, statSync } from 'node:fs';
+import { resolve } from 'node:path';
+import { pathToFileURL } from 'node:url';
+import { buildSearchIndex } from '../src/lib/search.js';
+
+const ID = 'virtual:search-index';
+const RESOLVED_ID = `\0${ID}`;
+
+/**
+ * Serves `virtual:search-index`: the full-text search index of every lesson
+ * in every locale (see src/lib/search.js), built from the registry and the
+ * message catalogs when the app is built, and again whenever one of them
+ * changes in dev.
+ */
+export const searchIndex = () => {
+  let root;
+
+  return {
+    name: 'search-index',
+    configResolved(config) {
+      root = config.root;
+    },
+    resolveId(id) {
+      return id === ID ? RESOLVED_ID : null;
+    },
+    async load(id) {
+      if (id !== RESOLVED_ID) return null;
+      const registry = resolve(root, 'src/lessons/registry.jsx');
+      this.addWatchFile(registry);
+
+      const localesDir = resolve(root, 'src/locales');
+      const catalogs = {};
+      for (const file of readdirSync(localesDir).filter((name) => name.endsWith('.js'))) {
+        const path = resolve(localesDir, file);
+        this.addWatchFile(path);
+        // The query skips Node's module cache, so an edited catalog is re-read
+        const url = `${pathToFileURL(path).href}?t=${statSync(path).mtimeMs}`;
+        catalogs[file.replace(/\.js$/, '')] = (await import(url)).default;
+      }
+
+      const index = buildSearchIndex(readFileSync(registry, 'utf8'), catalogs);
+      return `export default ${JSON.stringify(index)};`;
+    },
+  };
+};
@@ -1,34 +1,47 @@
-import { useState } from 'react';
+import { Suspense, lazy } from 'react';
 import Layout from './components/Layout';
-import MemoizationVsColocation from './pages/MemoizationVsColocation';
-import FearingReRenders from './pages/FearingReRenders';
-import ContextMisuse from './pages/ContextMisuse';
-import IndexAsKey from './pages/IndexAsKey';
-import UseEffectRedundancy from './pages/UseEffectRedundancy';
+import LessonPage, { LessonFallback } from './components/LessonPage';
+import { useRoute } from './hooks/useRoute';
+import { getLesson, lessons } from './lessons/registry';
+import { getToolByPath } from './tools/registry';
+import NotFound from './pages/NotFound';
+import { parsePresentationPath } from './lib/presentation';
+import { isLessonView } from './lib/variants';
+
+const Presentation = lazy(() => import('./pages/Presentation'));
 
 function App() {
-  const [currentPage, setCurrentPage] = useState('memoization');
+  const route = useRoute();
+  const tool = getToolByPath(route.path);
+  const lesson = route.lessonId === null ? lessons[0] : getLesson(route.lessonId);
+  const presentation = parsePresentationPath(route.path);
+
+  // Slides take the whole screen, without the sidebar
+  if (presentation) {
+    return (
+      <Suspense fallback={<LessonFallback />}>
+        <Presentation {...presentation} />
+      </Suspense>
+    );
+  }
 
-  const renderPage = () => {
-    switch (currentPage) {
-      case 'memoization':
-        return <MemoizationVsColocation />;
-      case 'fearing-rerenders':
-        return <FearingReRenders />;
-      case 'context-misuse':
-        return <ContextMisuse />;
-      case 'index-as-key':
-        return <IndexAsKey />;
-      case 'useeffect-redundancy':
-        return <UseEffectRedundancy />;
-      default:
-        return <MemoizationVsColocation />;
-    }
-  };
+  if (tool) {
+    return (
+      <Layout currentPage={tool.id}>
+        <Suspense fallback={<LessonFallback />}>
+          <tool.Component />
+        </Suspense>
+      </Layout>
+    );
+  }
 
   return (
-    <Layout currentPage={currentPage} onPageChange={setCurrentPage}>
-      {renderPage()}
+    <Layout currentPage={lesson?.id}>
+      {lesson && route.valid && isLessonView(lesson, route.implementation) ? (
+        <LessonPage key={lesson.id} lesson={lesson} />
+      ) : (
+        <NotFound path={route.path} />
+      )}
     </Layout>
   );
 }
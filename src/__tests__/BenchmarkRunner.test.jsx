@@ -0,0 +1,52 @@
+import { describe, it, expect } from 'vitest';
+import { render, screen, fireEvent } from '@testing-library/react';
+import { getLesson } from '../lessons/registry';
+import BenchmarkRunner from '../pages/BenchmarkRunner';
+
+describe('benchmark runner', () => {
+  it('should run the scenario on fresh mounts and summarize each implementation', async () => {
+    render(<BenchmarkRunner />);
+
+    fireEvent.change(screen.getByLabelText('Lesson'), {
+      target: { value: 'useeffect-redundancy' },
+    });
+    fireEvent.change(screen.getByLabelText('Iterations per implementation'), {
+      target: { value: '2' },
+    });
+    fireEvent.click(screen.getByRole('button', { name: '▶ Run Benchmark' }));
+
+    await screen.findByRole('button', { name: '⬇ Export JSON' }, { timeout: 10000 });
+
+    // Typing "Jane" then "Smith" is nine keystrokes. The good card commits
+    // once per keystroke; the bad one adds a second commit from its effect.
+    const badRow = screen.getByText('Commits').closest('tr');
+    const cells = (row) => [...row.querySelectorAll('td.font-mono')].map((cell) => Number(cell.textContent));
+    expect(cells(badRow.nextElementSibling)).toEqual([9, 9, 9, 9]);
+    expect(Math.min(...cells(badRow))).toBeGreaterThan(9);
+  });
+
+  it('should report a scenario that fails and let it run again', async () => {
+    const { benchmark } = getLesson('useeffect-redundancy');
+    const { steps } = benchmark;
+    benchmark.steps = [
+      {
+        get action() {
+          throw new Error('Broken step');
+        },
+      },
+    ];
+
+    try {
+      render(<BenchmarkRunner />);
+      fireEvent.change(screen.getByLabelText('Lesson'), {
+        target: { value: 'useeffect-redundancy' },
+      });
+      fireEvent.click(screen.getByRole('button', { name: '▶ Run Benchmark' }));
+
+      expect(await screen.findByRole('alert')).toHaveTextContent('Broken step');
+      expect(screen.getByRole('button', { name: '▶ Run Benchmark' })).toBeEnabled();
+    } finally {
+      benchmark.steps = steps;
+    }
+  });
+});
@@ -1,7 +1,10 @@
-import { describe, it, expect, vi } from 'vitest';
-import { render, screen, fireEvent } from '@testing-library/react';
+import { describe, it, expect } from 'vitest';
+import { render, screen, fireEvent, waitFor } from '@testing-library/react';
 import '@testing-library/jest-dom';
-import MemoizationVsColocation from '../pages/MemoizationVsColocation';
+import LessonPage from '../components/LessonPage';
+import { getLesson } from '../lessons/registry';
+import { getMetrics } from '../lib/renderMetrics';
+import { getLatency } from '../lib/inputLatency';
 
 /**
  * Test Suite for Memoization vs. Colocation Example
@@ -10,39 +13,91 @@ import MemoizationVsColocation from '../pages/MemoizationVsColocation';
  * and that the good implementation actually performs better.
  */
 
+const renderLesson = () => render(<LessonPage lesson={getLesson('memoization')} />);
+
 describe('MemoizationVsColocation', () => {
   it('should render the page with toggle buttons', () => {
-    render(<MemoizationVsColocation />);
+    renderLesson();
     
     expect(screen.getByText(/Misconception #1: Memoization vs. Colocation/i)).toBeInTheDocument();
     expect(screen.getByRole('button', { name: /bad implementation/i })).toBeInTheDocument();
     expect(screen.getByRole('button', { name: /good implementation/i })).toBeInTheDocument();
   });
 
-  it('should toggle between bad and good implementations', () => {
-    render(<MemoizationVsColocation />);
+  it('should toggle between bad and good implementations', async () => {
+    renderLesson();
     
-    // Initially shows bad implementation
-    expect(screen.getByText(/Bad Implementation: memo as a Band-Aid/i)).toBeInTheDocument();
+    // Initially shows bad implementation (the demo is lazy-loaded)
+    expect(await screen.findByText(/Bad Implementation: memo as a Band-Aid/i)).toBeInTheDocument();
     
     // Click good implementation button
     fireEvent.click(screen.getByRole('button', { name: /good implementation/i }));
     
     // Now shows good implementation
-    expect(screen.getByText(/Good Implementation: State Colocation/i)).toBeInTheDocument();
+    expect(await screen.findByText(/Good Implementation: State Colocation/i)).toBeInTheDocument();
   });
 
-  it('should show performance difference between implementations', () => {
-    render(<MemoizationVsColocation />);
+  it('should show performance difference between implementations', async () => {
+    renderLesson();
     
     // Bad implementation should mention the problem
-    expect(screen.getByText(/Input state causes entire parent to re-render/i)).toBeInTheDocument();
+    expect(await screen.findByText(/The input state lives in the parent component/i)).toBeInTheDocument();
     
     // Switch to good implementation
     fireEvent.click(screen.getByRole('button', { name: /good implementation/i }));
     
     // Good implementation should mention the solution
-    expect(screen.getByText(/State Colocation/i)).toBeInTheDocument();
+    expect(await screen.findByText(/We moved the input state into its own component/i)).toBeInTheDocument();
+  });
+
+  it('should count exactly one parent render per keystroke in the bad implementation', async () => {
+    renderLesson();
+    const input = await screen.findByPlaceholderText(/start typing/i);
+
+    expect(getMetrics('BadImplementation').renders).toBe(1);
+
+    fireEvent.change(input, { target: { value: 'a' } });
+    fireEvent.change(input, { target: { value: 'ab' } });
+
+    expect(getMetrics('BadImplementation').renders).toBe(3);
+    expect(getMetrics('ExpensiveComponent').renders).toBe(3);
+  });
+
+  it('should keep the parent at a single render while typing in the good implementation', async () => {
+    window.location.hash = '#/memoization/good';
+    renderLesson();
+    const input = await screen.findByPlaceholderText(/start typing/i);
+
+    fireEvent.change(input, { target: { value: 'a' } });
+    fireEvent.change(input, { target: { value: 'ab' } });
+
+    expect(getMetrics('GoodImplementation').renders).toBe(1);
+    expect(getMetrics('SlowComponentWithoutMemo').renders).toBe(1);
+  });
+
+  it('should measure the lag the slow child adds to each keystroke', async () => {
+    renderLesson();
+    const input = await screen.findByPlaceholderText(/start typing/i);
+
+    fireEvent.input(input, { target: { value: 'a' } });
+
+    await waitFor(() => expect(getLatency('BadInput').samples).toHaveLength(1));
+    expect(getLatency('BadInput').last.duration).toBeGreaterThanOrEqual(100);
+    expect(screen.getByText(/measured with/i)).toBeInTheDocument();
+  });
+
+  it('should drive both implementations from the shared input in side-by-side mode', async () => {
+    renderLesson();
+    fireEvent.click(screen.getByRole('button', { name: /side by side/i }));
+
+    await screen.findByText(/Bad Implementation: memo as a Band-Aid/i);
+    expect(screen.getByText(/Good Implementation: State Colocation/i)).toBeInTheDocument();
+
+    fireEvent.change(screen.getByLabelText(/drives both/i), { target: { value: 'hi' } });
+
+    expect(screen.getAllByText('Value: hi')).toHaveLength(2);
+    expect(getMetrics('BadImplementation').renders).toBe(2);
+    expect(getMetrics('GoodImplementation').renders).toBe(1);
   });
 });
 
@@ -0,0 +1,114 @@
+import { describe, it, expect, vi, afterEach } from 'vitest';
+import { act, render, screen, fireEvent, waitFor, within } from '@testing-library/react';
+import axe from 'axe-core';
+import RenderFlash from '../components/RenderFlash';
+import { lessons } from '../lessons/registry';
+import { recordRender } from '../lib/renderMetrics';
+import { lessonVariants } from '../lib/variants';
+import { renderAt } from './utils';
+
+const toggle = () => screen.findByRole('group', { name: 'Implementation' });
+
+// Runs axe-core on the rendered app. jsdom doesn't lay anything out, so the
+// checks that need rendering (like colour contrast) come back incomplete
+// rather than failing.
+const violations = async () => {
+  const { violations: found } = await axe.run(document.body, { resultTypes: ['violations'] });
+  return found.map(({ id, nodes }) => `${id}: ${nodes.map(({ target }) => target.join(' ')).join(', ')}`);
+};
+
+describe('axe', () => {
+  it('should report what it finds', async () => {
+    render(<button />);
+
+    expect(await violations()).toEqual([expect.stringMatching(/^button-name: /)]);
+  });
+});
+
+describe.each(lessons.map((lesson) => [lesson.id, lesson]))('%s', (lessonId, lesson) => {
+  const views = [...lessonVariants(lesson).map(({ id }) => id), 'compare'];
+
+  it.each(views)('should have no accessibility violations in the %s view', async (view) => {
+    await renderAt(`#/${lessonId}/${view}`);
+    const group = await toggle();
+
+    expect(await violations()).toEqual([]);
+    const pressed = within(group)
+      .getAllByRole('button')
+      .filter((button) => button.getAttribute('aria-pressed') === 'true');
+    expect(pressed).toHaveLength(1);
+    expect(pressed[0]).toHaveAttribute('tabindex', '0');
+  });
+});
+
+describe('implementation toggle', () => {
+  it('should move the selection with the arrow keys, Home and End', async () => {
+    await renderAt('#/memoization/bad');
+    const group = await toggle();
+    const bad = within(group).getByRole('button', { name: 'Bad Implementation' });
+    bad.focus();
+
+    fireEvent.keyDown(bad, { key: 'ArrowRight' });
+    const good = within(group).getByRole('button', { name: 'Good Implementation' });
+    expect(good).toHaveAttribute('aria-pressed', 'true');
+    expect(good).toHaveFocus();
+    expect(window.location.hash).toBe('#/memoization/good');
+    expect(bad).toHaveAttribute('tabindex', '-1');
+
+    fireEvent.keyDown(good, { key: 'End' });
+    expect(within(group).getByRole('button', { name: 'Playground' })).toHaveFocus();
+
+    fireEvent.keyDown(document.activeElement, { key: 'ArrowDown' });
+    expect(window.location.hash).toBe('#/memoization/bad');
+    expect(bad).toHaveFocus();
+
+    fireEvent.keyDown(bad, { key: 'ArrowLeft' });
+    expect(within(group).getByRole('button', { name: 'Playground' })).toHaveAttribute('aria-pressed', 'true');
+  });
+});
+
+describe('live region', () => {
+  it('should announce the render counts and flashes after an interaction settles', async () => {
+    await renderAt('#/memoization/bad');
+    const status = screen.getByRole('status');
+    expect(status).toHaveTextContent('');
+
+    fireEvent.change(screen.getByPlaceholderText(/start typing/i), { target: { value: 'a' } });
+
+    await waitFor(() => expect(status).toHaveTextContent(/Parent Re-rendering/));
+    expect(status).toHaveTextContent(/Commits \(whole demo\): \d+\./);
+  });
+
+  it('should name every variant side by side', async () => {
+    await renderAt('#/useeffect-redundancy/compare');
+
+    fireEvent.change(screen.getAllByRole('textbox', { name: /first name/i })[0], { target: { value: 'Ada' } });
+
+    await waitFor(() => expect(screen.getByRole('status')).toHaveTextContent(/Commits \(whole demo\): \d+ for Bad Implementation, \d+ for Good Implementation\./));
+  });
+});
+
+describe('reduced motion', () => {
+  const originalMatchMedia = window.matchMedia;
+
+  afterEach(() => {
+    window.matchMedia = originalMatchMedia;
+    delete Element.prototype.animate;
+  });
+
+  const flash = (reduced) => {
+    window.matchMedia = (query) => ({ matches: reduced && query === '(prefers-reduced-motion: reduce)' });
+    Element.prototype.animate = vi.fn();
+    render(<RenderFlash id="Flashy">Rendering</RenderFlash>);
+    act(() => recordRender('Flashy', 'update'));
+    return Element.prototype.animate.mock.calls[0][0];
+  };
+
+  it('should fade the flash out', () => {
+    expect(flash(false)).toEqual([{ opacity: 1 }, { opacity: 0 }]);
+  });
+
+  it('should show the flash without fading it when motion is reduced', () => {
+    expect(flash(true)).toEqual([{ opacity: 1 }, { opacity: 1 }]);
+  });
+});
@@ -0,0 +1,120 @@
+import { describe, it, expect } from 'vitest';
+import { act, render, screen, fireEvent, waitFor } from '@testing-library/react';
+import React, { useRef } from 'react';
+import AutoplayPanel from '../components/AutoplayPanel';
+import IndexAsKey from '../pages/IndexAsKey';
+import { getLesson, lessons } from '../lessons/registry';
+import { DELAYS, captionFor, createPlayer, stepDelay } from '../lib/autoplay';
+import { isMessage } from '../lib/i18n';
+import { click, typeText, wait } from '../lib/scenarios';
+
+const NO_DELAYS = { keystroke: 0, jitter: 0, click: 0, beat: 0 };
+
+const Harness = ({ lessonId, implementation = 'bad' }) => {
+  const containerRef = useRef(null);
+  return (
+    <>
+      <AutoplayPanel
+        lessonId={lessonId}
+        script={getLesson(lessonId).autoplay}
+        implementation={implementation}
+        containerRef={containerRef}
+        onRestart={() => {}}
+        delays={NO_DELAYS}
+      />
+      <div ref={containerRef}>
+        <IndexAsKey implementation={implementation} />
+      </div>
+    </>
+  );
+};
+
+describe('autoplay scripts', () => {
+  it('should give every lesson a script with captions for both implementations', () => {
+    for (const lesson of lessons) {
+      expect(lesson.autoplay?.length, lesson.id).toBeGreaterThan(0);
+      lesson.autoplay.forEach((_, beat) => {
+        expect(isMessage(captionFor(lesson.id, beat, 'bad')), `${lesson.id}/${beat}`).toBe(true);
+        expect(isMessage(captionFor(lesson.id, beat, 'good')), `${lesson.id}/${beat}`).toBe(true);
+      });
+    }
+  });
+
+  it('should type at an irregular human pace and wait out `wait` steps', () => {
+    const [keystroke] = typeText('Start typing...', 'a');
+    expect(stepDelay(keystroke, DELAYS, () => 0)).toBe(DELAYS.keystroke - DELAYS.jitter);
+    expect(stepDelay(keystroke, DELAYS, () => 1)).toBe(DELAYS.keystroke + DELAYS.jitter);
+    expect(stepDelay(click('Click Me:'), DELAYS)).toBe(DELAYS.click);
+    expect(stepDelay(wait(2000), DELAYS)).toBe(2000);
+  });
+});
+
+describe('autoplay player', () => {
+  const setup = () => {
+    const root = document.createElement('div');
+    root.innerHTML = '<button>Click Me: 0</button>';
+    let clicks = 0;
+    root.querySelector('button').addEventListener('click', () => (clicks += 1));
+    const states = [];
+    const player = createPlayer({
+      script: [
+        { steps: [click('Click Me:'), click('Click Me:')] },
+        { steps: [click('Missing')] },
+      ],
+      getRoot: () => root,
+      onChange: (state) => states.push(state),
+      delays: NO_DELAYS,
+    });
+    return { player, states, clicks: () => clicks };
+  };
+
+  it('should play every beat and count steps that found nothing', async () => {
+    const { player, states, clicks } = setup();
+    await player.play();
+
+    expect(clicks()).toBe(2);
+    expect(player.getState()).toEqual({ status: 'done', beat: 1, missed: 1 });
+    expect(states.map(({ status }) => status)).toContain('playing');
+  });
+
+  it('should pause between steps and step through one beat at a time', async () => {
+    const { player, clicks } = setup();
+    const playing = player.play();
+    player.pause();
+    await playing;
+    expect(clicks()).toBe(0);
+    expect(player.getState().status).toBe('paused');
+
+    await player.step();
+    expect(clicks()).toBe(2);
+    expect(player.getState()).toMatchObject({ status: 'paused', beat: 1 });
+
+    await player.step();
+    expect(player.getState().status).toBe('done');
+  });
+});
+
+describe('autoplay panel', () => {
+  it('should play the lesson against the implementation on screen with captions', async () => {
+    render(<Harness lessonId="index-as-key" />);
+
+    await act(async () => {
+      fireEvent.click(screen.getByRole('button', { name: /step/i }));
+    });
+    await waitFor(() => expect(screen.getByRole('status')).toHaveTextContent(/now delete task 1, and watch what the first row/i));
+    const inputs = screen.getAllByPlaceholderText('Type something here...');
+    expect(inputs[0]).toHaveValue('first');
+    expect(inputs[1]).toHaveValue('second');
+    expect(screen.getAllByRole('checkbox')[0]).toBeChecked();
+
+    await act(async () => {
+      fireEvent.click(screen.getByRole('button', { name: /resume/i }));
+    });
+    await waitFor(() => expect(screen.getByText(/finished/)).toBeInTheDocument());
+    expect(screen.getByRole('status')).toHaveTextContent(/Task 2 moved up/);
+    expect(screen.queryByText('Task 1')).not.toBeInTheDocument();
+
+    fireEvent.click(screen.getByRole('button', { name: /stop/i }));
+    expect(screen.queryByRole('status')).not.toBeInTheDocument();
+  });
+});
@@ -0,0 +1,106 @@
+import { describe, it, expect, vi, afterEach } from 'vitest';
+import { render, screen, fireEvent, within } from '@testing-library/react';
+import React from 'react';
+import SpotTheAntiPattern from '../pages/SpotTheAntiPattern';
+import { snippets } from '../challenges/snippets';
+import en from '../locales/en';
+import { getLesson } from '../lessons/registry';
+import { gradeSelection, pickSnippet, snippetLines } from '../lib/challenge';
+
+const snippet = snippets.find(({ id }) => id === 'cart-effect-total');
+
+const line = (number) => document.querySelector(`[data-line="${number}"]`);
+
+describe('challenge snippets', () => {
+  it('should have unique ids, known lessons and answer ranges inside the code', () => {
+    expect(new Set(snippets.map(({ id }) => id)).size).toBe(snippets.length);
+
+    for (const candidate of snippets) {
+      const lines = snippetLines(candidate);
+      expect(getLesson(candidate.lesson), candidate.id).toBeDefined();
+      expect(candidate.answers.length, candidate.id).toBeGreaterThan(0);
+      expect(en.challenge.snippets[candidate.id]?.answers, candidate.id).toHaveLength(candidate.answers.length);
+      for (const { lines: [from, to] } of candidate.answers) {
+        expect(from, candidate.id).toBeGreaterThanOrEqual(1);
+        expect(to, candidate.id).toBeGreaterThanOrEqual(from);
+        expect(to, candidate.id).toBeLessThanOrEqual(lines.length);
+        expect(lines[from - 1].trim(), candidate.id).not.toBe('');
+      }
+    }
+  });
+
+  it('should cover every lesson', () => {
+    const covered = new Set(snippets.map(({ lesson }) => lesson));
+    for (const id of ['memoization', 'fearing-rerenders', 'context-misuse', 'index-as-key', 'useeffect-redundancy']) {
+      expect(covered).toContain(id);
+    }
+  });
+});
+
+describe('gradeSelection', () => {
+  it('should solve a selection that hits every range and nothing else', () => {
+    expect(gradeSelection(snippet, [2, 6]).solved).toBe(true);
+  });
+
+  it('should report missed ranges and false positives', () => {
+    const grade = gradeSelection(snippet, [12, 3, 1]);
+    expect(grade.answers.map(({ found }) => found)).toEqual([true, false]);
+    expect(grade.falsePositives).toEqual([1, 12]);
+    expect(grade.solved).toBe(false);
+  });
+
+  it('should pick a different snippet when there is a choice', () => {
+    const pool = snippets.slice(0, 2);
+    expect(pickSnippet(pool, pool[0].id, () => 0)).toBe(pool[1]);
+    expect(pickSnippet(pool.slice(0, 1), pool[0].id, () => 0.9)).toBe(pool[0]);
+    expect(pickSnippet([], null)).toBeNull();
+  });
+});
+
+describe('spot the anti-pattern', () => {
+  afterEach(() => vi.restoreAllMocks());
+
+  const renderChallenge = () => {
+    vi.spyOn(Math, 'random').mockReturnValue(0);
+    render(<SpotTheAntiPattern />);
+    fireEvent.change(screen.getByLabelText('Misconception'), { target: { value: 'useeffect-redundancy' } });
+    expect(screen.getByRole('heading', { name: en.challenge.snippets[snippet.id].title })).toBeInTheDocument();
+  };
+
+  it('should grade the selected lines and explain what was missed', () => {
+    renderChallenge();
+    const check = screen.getByRole('button', { name: 'Check my answer' });
+    expect(check).toBeDisabled();
+
+    fireEvent.click(line(2));
+    fireEvent.click(line(1));
+    fireEvent.click(line(1));
+    expect(line(2)).toHaveAttribute('aria-pressed', 'true');
+    expect(line(1)).toHaveAttribute('aria-pressed', 'false');
+
+    fireEvent.click(check);
+    expect(line(2)).toHaveAttribute('data-status', 'hit');
+    expect(line(6)).toHaveAttribute('data-status', 'missed');
+    expect(line(2)).toBeDisabled();
+    expect(screen.getByText('Found 1 of 2')).toBeInTheDocument();
+    expect(screen.getByRole('status')).toHaveTextContent('Solved 0 of 1');
+    expect(screen.getByRole('link', { name: /review the lesson/i })).toHaveAttribute('href', '#/useeffect-redundancy/bad');
+  });
+
+  it('should count solved snippets and move on to the next one', () => {
+    renderChallenge();
+    fireEvent.click(line(3));
+    fireEvent.click(line(5));
+    fireEvent.click(screen.getByRole('button', { name: 'Check my answer' }));
+    expect(screen.getByText(/spot on/i)).toBeInTheDocument();
+    expect(screen.getByRole('status')).toHaveTextContent('Solved 1 of 1');
+
+    fireEvent.click(screen.getByRole('button', { name: /next snippet/i }));
+    const next = snippets.find(({ id }) => id === 'search-effect-filter');
+    expect(screen.getByRole('heading', { name: en.challenge.snippets[next.id].title })).toBeInTheDocument();
+    expect(within(screen.getByRole('list', { name: 'Snippet lines' })).getAllByRole('button')).toHaveLength(
+      snippetLines(next).length
+    );
+    expect(screen.queryByText(/spot on/i)).not.toBeInTheDocument();
+  });
+});
@@ -0,0 +1,121 @@
+import { describe, it, expect } from 'vitest';
+import { act, screen, fireEvent, within } from '@testing-library/react';
+import { fuzzyMatch, rankCommands } from '../lib/commands';
+import { renderAt } from './utils';
+
+const press = (key, options = {}, target = document.body) => fireEvent.keyDown(target, { key, ...options });
+
+const openPalette = () => {
+  press('k', { ctrlKey: true });
+  return screen.getByRole('dialog', { name: 'Command palette' });
+};
+
+describe('fuzzy search', () => {
+  it('should match characters in order and rank substrings first', () => {
+    expect(fuzzyMatch('ctx', 'Context Misuse')).toEqual(expect.objectContaining({ indices: [0, 3, 5] }));
+    expect(fuzzyMatch('xtc', 'Context Misuse')).toBeNull();
+    expect(fuzzyMatch('key', 'Index as Key').indices).toEqual([9, 10, 11]);
+    expect(fuzzyMatch('index key', 'Index as Key')).not.toBeNull();
+
+    const commands = [
+      { id: 'scattered', title: 'Keep every yak', group: 'Test' },
+      { id: 'substring', title: 'Index as Key', group: 'Test' },
+      { id: 'keyword', title: 'Something else', group: 'Test', keywords: ['key'] },
+      { id: 'none', title: 'Nothing', group: 'Test' },
+    ];
+    expect(rankCommands(commands, 'key').map(({ command }) => command.id)).toEqual(['substring', 'scattered', 'keyword']);
+    expect(rankCommands(commands, '')).toHaveLength(4);
+  });
+});
+
+describe('command palette', () => {
+  it('should open with Ctrl+K and go to the lesson picked with the keyboard', async () => {
+    await renderAt('#/index-as-key/bad');
+    const palette = openPalette();
+
+    expect(within(palette).getByRole('combobox')).toHaveFocus();
+    fireEvent.change(within(palette).getByRole('combobox'), { target: { value: 'effect red' } });
+
+    const [first] = within(palette).getAllByRole('option');
+    expect(first).toHaveTextContent('useEffect Redundancy');
+    expect(first).toHaveAttribute('aria-selected', 'true');
+
+    fireEvent.keyDown(within(palette).getByRole('combobox'), { key: 'Enter' });
+
+    expect(window.location.hash).toBe('#/useeffect-redundancy/bad');
+    expect(screen.queryByRole('dialog')).not.toBeInTheDocument();
+  });
+
+  it('should move through the results with the arrow keys and close on Escape', async () => {
+    await renderAt('#/index-as-key/bad');
+    const palette = openPalette();
+    const input = within(palette).getByRole('combobox');
+
+    fireEvent.keyDown(input, { key: 'ArrowDown' });
+    expect(within(palette).getAllByRole('option')[1]).toHaveAttribute('aria-selected', 'true');
+    expect(input).toHaveAttribute('aria-activedescendant', 'command-1');
+    fireEvent.keyDown(input, { key: 'ArrowUp' });
+    fireEvent.keyDown(input, { key: 'ArrowUp' });
+    expect(within(palette).getAllByRole('option').at(-1)).toHaveAttribute('aria-selected', 'true');
+
+    fireEvent.keyDown(input, { key: 'Escape' });
+    expect(screen.queryByRole('dialog')).not.toBeInTheDocument();
+  });
+
+  it("should jump to a section of the lesson", async () => {
+    await renderAt('#/index-as-key/bad');
+    const palette = openPalette();
+
+    fireEvent.change(within(palette).getByRole('combobox'), { target: { value: 'jump quiz' } });
+    fireEvent.click(within(palette).getAllByRole('option')[0]);
+
+    expect(document.getElementById('lesson-quiz')).toHaveFocus();
+  });
+});
+
+describe('keyboard shortcuts', () => {
+  it('should switch implementations and lessons', async () => {
+    await renderAt('#/index-as-key/bad');
+
+    press('g');
+    expect(window.location.hash).toBe('#/index-as-key/good');
+    press('s');
+    expect(window.location.hash).toBe('#/index-as-key/compare');
+    press('n');
+    expect(window.location.hash).toBe('#/useeffect-redundancy/bad');
+    press('p');
+    expect(window.location.hash).toBe('#/index-as-key/bad');
+  });
+
+  it('should leave keys typed into the demo alone', async () => {
+    await renderAt('#/index-as-key/bad');
+
+    press('g', {}, (await screen.findAllByPlaceholderText('Type something here...'))[0]);
+
+    expect(window.location.hash).toBe('#/index-as-key/bad');
+  });
+
+  it('should reset the demo', async () => {
+    await renderAt('#/index-as-key/bad');
+    fireEvent.click((await screen.findAllByRole('button', { name: /delete/i }))[0]);
+    expect(screen.getAllByRole('button', { name: /delete/i })).toHaveLength(2);
+
+    await act(async () => press('r'));
+
+    expect(await screen.findAllByRole('button', { name: /delete/i })).toHaveLength(3);
+  });
+
+  it('should list the shortcuts in the help overlay', async () => {
+    await renderAt('#/index-as-key/bad');
+
+    press('?');
+
+    const help = screen.getByRole('dialog', { name: 'Keyboard shortcuts' });
+    expect(within(help).getByText('↺ Reset the demo')).toBeInTheDocument();
+    expect(within(help).getByText('✅ Show the Good implementation')).toBeInTheDocument();
+    expect(within(help).getByText('Open the command palette')).toBeInTheDocument();
+
+    fireEvent.click(within(help).getByRole('button', { name: 'Close' }));
+    expect(screen.queryByRole('dialog')).not.toBeInTheDocument();
+  });
+});
@@ -0,0 +1,58 @@
+import { describe, it, expect } from 'vitest';
+import { act, render, screen, fireEvent } from '@testing-library/react';
+import LessonPage from '../components/LessonPage';
+import { getLesson } from '../lessons/registry';
+import { diffLines, ignoreVerdictStyling, toSplitRows } from '../lib/diff';
+
+const toLines = (text) => text.split('\n').map((line, i) => ({ text: line, number: i + 10 }));
+
+describe('bad vs good diff', () => {
+  it('should keep common lines and list removals before additions', () => {
+    const entries = diffLines(toLines('a\nb\nc'), toLines('a\nx\ny\nc'));
+
+    expect(entries.map((entry) => entry.type)).toEqual(['same', 'removed', 'added', 'added', 'same']);
+    expect(entries[1].before).toEqual({ text: 'b', number: 11 });
+    expect(entries[3].after).toEqual({ text: 'y', number: 12 });
+  });
+
+  it('should pair removals with additions for the split layout', () => {
+    const rows = toSplitRows(diffLines(toLines('a\nb\nc'), toLines('a\nx\ny\nc')));
+
+    expect(rows.map((row) => [row.left?.text ?? null, row.right?.text ?? null])).toEqual([
+      ['a', 'a'],
+      ['b', 'x'],
+      [null, 'y'],
+      ['c', 'c'],
+    ]);
+  });
+
+  it('should optionally ignore Bad/Good naming, styling and message ids', () => {
+    expect(ignoreVerdictStyling('  <BadUserCard className="bg-bad-50" />')).toBe(
+      ignoreVerdictStyling('<GoodUserCard className="bg-good-50" />')
+    );
+    expect(ignoreVerdictStyling("<h3 className=\"text-bad-900\">{t('memoization.bad.title')}</h3>")).toBe(
+      ignoreVerdictStyling("<h3 className=\"text-good-900\">{t('memoization.good.title')}</h3>")
+    );
+    expect(ignoreVerdictStyling('const Badge = 1;')).toBe('const Badge = 1;');
+  });
+
+  it('should reduce the user card fix to the effect being replaced', async () => {
+    render(<LessonPage lesson={getLesson('useeffect-redundancy')} />);
+
+    fireEvent.click(screen.getByRole('button', { name: /source code/i }));
+    await act(async () => {
+      fireEvent.click(screen.getByRole('button', { name: '± Diff' }));
+    });
+
+    const panel = await screen.findByRole('tabpanel');
+    const lines = (type) =>
+      [...panel.querySelectorAll(`[data-diff="${type}"]`)].map((line) => line.textContent);
+
+    expect(lines('removed').some((line) => line.includes('useEffect(() => {'))).toBe(true);
+    expect(lines('added').some((line) => line.includes('const fullName = `${firstName} ${lastName}`;'))).toBe(true);
+    expect(lines('same').some((line) => line.includes('UserCard = ({ firstName, lastName, email }) => {'))).toBe(true);
+
+    fireEvent.click(screen.getByRole('button', { name: /split/i }));
+    expect(panel.querySelector('.grid-cols-2')).toBeInTheDocument();
+  });
+});
@@ -0,0 +1,110 @@
+import { describe, it, expect } from 'vitest';
+import { render, screen, fireEvent, waitFor } from '@testing-library/react';
+import LessonPage from '../components/LessonPage';
+import { getLesson } from '../lessons/registry';
+import { advanceGuide, control, hasExactText } from '../lib/guide';
+import { updateSettings } from '../lib/settings';
+
+const currentStep = () => document.querySelector('[aria-current="step"]');
+
+const expectCurrent = (title) =>
+  waitFor(() => {
+    expect(currentStep()).toHaveTextContent(title);
+  });
+
+const expectHighlighted = (element) =>
+  waitFor(() => {
+    expect(element).toHaveAttribute('data-guide-target');
+    expect(document.querySelectorAll('[data-guide-target]')).toHaveLength(1);
+  });
+
+describe('guide helpers', () => {
+  it('should advance past every step that is already done, in order', () => {
+    const root = document.createElement('div');
+    root.innerHTML = '<p>Task 2</p><p>Task 10</p>';
+    const steps = [{ done: () => true }, { done: ({ root: r }) => !hasExactText(r, 'Task 1') }, { done: () => false }, {}];
+
+    expect(advanceGuide(steps, 0, root)).toBe(2);
+    expect(advanceGuide(steps, 3, root)).toBe(3);
+    expect(control.text('Type something here...', 1)).toEqual({ key: 'text:Type something here...', index: 1 });
+  });
+});
+
+describe('guided steps', () => {
+  it('should tick steps off as the learner does them and explain the bug at the end', async () => {
+    render(<LessonPage lesson={getLesson('index-as-key')} />);
+
+    const checkbox = (await screen.findAllByRole('checkbox'))[0];
+    await expectCurrent('Check the checkbox on Task 1');
+    await expectHighlighted(checkbox);
+
+    fireEvent.click(checkbox);
+    await expectCurrent("Type something into Task 1's input");
+    const inputs = screen.getAllByPlaceholderText('Type something here...');
+    await expectHighlighted(inputs[0]);
+
+    fireEvent.change(inputs[0], { target: { value: 'first' } });
+    await expectCurrent("Type something different into Task 2's input");
+    fireEvent.change(inputs[1], { target: { value: 'first' } });
+    await new Promise((resolve) => setTimeout(resolve, 10));
+    expect(currentStep()).toHaveTextContent("Type something different into Task 2's input");
+
+    fireEvent.change(inputs[1], { target: { value: 'second' } });
+    await expectCurrent('Delete Task 1');
+    fireEvent.click(screen.getAllByRole('button', { name: /delete/i })[0]);
+
+    await waitFor(() => expect(screen.getByRole('status')).toHaveTextContent(/Task 2 now shows the text you typed into Task 1/));
+    expect(currentStep()).toBeNull();
+    expect(document.querySelector('[data-guide-target]')).toBeNull();
+    expect(screen.getAllByPlaceholderText('Type something here...')[0]).toHaveValue('first');
+  });
+
+  it('should follow the selected implementation and hide in side-by-side mode', async () => {
+    window.location.hash = '#/index-as-key/good';
+    const { unmount } = render(<LessonPage lesson={getLesson('index-as-key')} />);
+    await expectCurrent("Type something into Task 1's input");
+    unmount();
+
+    window.location.hash = '#/index-as-key/compare';
+    render(<LessonPage lesson={getLesson('index-as-key')} />);
+    await screen.findAllByRole('checkbox');
+    expect(screen.queryByRole('heading', { name: /try this/i })).not.toBeInTheDocument();
+  });
+
+  it.each([
+    [
+      'memoization',
+      'bad',
+      () => fireEvent.change(screen.getByPlaceholderText('Start typing...'), { target: { value: 'hello' } }),
+      /The slow component re-rendered on every keystroke/,
+    ],
+    [
+      'fearing-rerenders',
+      'good',
+      () => {
+        fireEvent.change(screen.getByLabelText('Filter by category:'), { target: { value: 'B' } });
+        for (let i = 0; i < 3; i += 1) fireEvent.click(screen.getByRole('button', { name: /click me/i }));
+      },
+      /the list wasn't recalculated/,
+    ],
+    ['context-misuse', 'bad', () => {}, /The user profile re-rendered on every tick/],
+    [
+      'useeffect-redundancy',
+      'good',
+      () => {
+        fireEvent.change(screen.getByLabelText('First Name:'), { target: { value: 'Jane' } });
+        fireEvent.change(screen.getByLabelText('Last Name:'), { target: { value: 'Smith' } });
+      },
+      /One render per keystroke/,
+    ],
+  ])('should walk through %s (%s) to its conclusion', async (lessonId, implementation, follow, conclusion) => {
+    updateSettings({ tickRate: 100 });
+    window.location.hash = `#/${lessonId}/${implementation}`;
+    render(<LessonPage lesson={getLesson(lessonId)} />);
+    await screen.findByRole('heading', { name: /try this/i });
+    await waitFor(() => expect(document.querySelector(`[data-implementation="${implementation}"]`)).not.toBeNull());
+
+    follow();
+    await waitFor(() => expect(screen.getByRole('status')).toHaveTextContent(conclusion), { timeout: 3000 });
+  });
+});
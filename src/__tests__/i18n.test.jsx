@@ -0,0 +1,175 @@
+import { describe, it, expect } from 'vitest';
+import { render, screen, fireEvent, within } from '@testing-library/react';
+import Message from '../components/Message';
+import Quiz from '../components/Quiz';
+import { snippets } from '../challenges/snippets';
+import FearingReRenders from '../pages/FearingReRenders';
+import { getLesson, lessons } from '../lessons/registry';
+import { captionFor } from '../lib/autoplay';
+import {
+  LOCALES,
+  LOCALE_STORAGE_KEY,
+  getLocale,
+  initLocale,
+  messageIds,
+  setLocale,
+  translate,
+} from '../lib/i18n';
+import { describeTarget } from '../lib/interactions';
+import { flattenMessages, formatMessage, lookupEntry, lookupMessage, parseMessage } from '../lib/messages';
+import { SLIDES } from '../lib/presentation';
+import en from '../locales/en';
+import { renderAt } from './utils';
+
+// The placeholders and tags of a message, which every translation must keep
+const shape = (message) => [...message.matchAll(/<\/?\w+>|\{\w+\}/g)].map(([token]) => token).sort();
+
+// The ids of every message a lesson's registry entry refers to
+const lessonMessageIds = (lesson) => [
+  `${lesson.id}.benchmark`,
+  ...['goal', 'success', 'hint'].map((key) => `${lesson.id}.playground.${key}`),
+  ...SLIDES.map(({ id }) => `${lesson.id}.notes.${id}`),
+  ...lesson.autoplay.flatMap((_, beat) => ['bad', 'good'].map((side) => captionFor(lesson.id, beat, side))),
+  ...Object.entries(lesson.guide).flatMap(([implementation, steps]) => [
+    ...steps.slice(0, -1).map((step) => `${lesson.id}.guide.steps.${step.id}`),
+    `${lesson.id}.guide.${implementation}.title`,
+    `${lesson.id}.guide.${implementation}.explanation`,
+  ]),
+  ...lesson.quiz.flatMap(({ id }) => [
+    `${lesson.id}.quiz.${id}.prompt`,
+    `${lesson.id}.quiz.${id}.explanation`,
+    ...messageIds(`${lesson.id}.quiz.${id}.options`),
+  ]),
+];
+
+describe('messages', () => {
+  it('should parse placeholders and nested tags', () => {
+    expect(parseMessage('Use <strong>only <code>{name}</code></strong>!')).toEqual([
+      'Use ',
+      { tag: 'strong', children: ['only ', { tag: 'code', children: [{ value: 'name' }] }] },
+      '!',
+    ]);
+    expect(() => parseMessage('<code>open')).toThrow('Unclosed <code>');
+    expect(() => parseMessage('<em>crossed</code>')).toThrow('Unexpected </code>');
+  });
+
+  it('should format a message as plain text', () => {
+    expect(formatMessage('Runs <strong>{count}</strong> times', { count: 3 })).toBe('Runs 3 times');
+    expect(formatMessage('Runs {count} times')).toBe('Runs … times');
+    expect(formatMessage('<li>One</li><li>Two</li>')).toBe('One Two');
+  });
+
+  it('should render tags as the given components and values as elements', () => {
+    render(
+      <p data-testid="message">
+        <Message
+          id="fearing-rerenders.problem.lead"
+          values={{ count: <b>10,000</b> }}
+          components={{ strong: <strong className="loud" /> }}
+        />
+      </p>
+    );
+
+    const message = screen.getByTestId('message');
+    expect(message).toHaveTextContent(/^The filtering\/sorting calculation runs on EVERY render/);
+    expect(within(message).getByText('EVERY')).toHaveClass('loud');
+    expect(within(message).getByText('10,000').tagName).toBe('B');
+  });
+});
+
+describe('catalogs', () => {
+  it('should translate every English message, keeping its placeholders and tags', () => {
+    for (const { id: locale, catalog } of LOCALES) {
+      const messages = new Map(flattenMessages(catalog));
+      for (const [id, message] of flattenMessages(en)) {
+        expect(messages.has(id), `${locale} is missing ${id}`).toBe(true);
+        expect(shape(messages.get(id)), `${locale}: ${id}`).toEqual(shape(message));
+      }
+      messages.forEach((message) => expect(() => parseMessage(message)).not.toThrow());
+    }
+  });
+
+  it('should have the description and takeaway of every lesson in English', () => {
+    for (const lesson of lessons) {
+      expect(en[lesson.id].description).toBeTruthy();
+      expect(en[lesson.id].takeaway).toBeTruthy();
+    }
+  });
+
+  it("should have every lesson's guide, quiz, autoplay, notes, playground and benchmark text in every catalog", () => {
+    for (const { id: locale, catalog } of LOCALES) {
+      for (const lesson of lessons) {
+        for (const id of lessonMessageIds(lesson)) expect(lookupMessage(catalog, id), `${locale}: ${id}`).toBeDefined();
+        for (const { id, answer } of lesson.quiz) {
+          const group = `${lesson.id}.quiz.${id}.options`;
+          const options = Object.keys(lookupEntry(catalog, group));
+          expect(options, `${locale}: ${group}`).toHaveLength(messageIds(group).length);
+          expect(answer).toBeLessThan(options.length);
+        }
+      }
+      for (const { id, answers } of snippets) {
+        expect(lookupMessage(catalog, `challenge.snippets.${id}.title`), `${locale}: ${id}`).toBeDefined();
+        const explanations = lookupEntry(catalog, `challenge.snippets.${id}.answers`);
+        expect(explanations, `${locale}: ${id}`).toHaveLength(answers.length);
+      }
+    }
+  });
+});
+
+describe('language switcher', () => {
+  it('should switch the lesson and the app around it, and remember the choice', async () => {
+    await renderAt('#/index-as-key/good');
+
+    fireEvent.change(screen.getByRole('combobox', { name: 'Language' }), { target: { value: 'de' } });
+
+    expect(screen.getByRole('heading', { level: 1, name: 'Irrtum Nr. 4: Index als Key' })).toBeInTheDocument();
+    expect(await screen.findByText('✅ Die Lösung:')).toBeInTheDocument();
+    expect(screen.getByText('Das Wichtigste')).toBeInTheDocument();
+    expect(screen.getByRole('combobox', { name: 'Sprache' })).toHaveValue('de');
+    expect(document.documentElement).toHaveAttribute('lang', 'de');
+    expect(window.localStorage.getItem(LOCALE_STORAGE_KEY)).toBe('de');
+  });
+
+  it('should ask the quiz and present the slides in the chosen language', async () => {
+    setLocale('de');
+    const lesson = getLesson('index-as-key');
+    const [question] = lesson.quiz;
+    const { unmount } = render(<Quiz lesson={lesson} />);
+
+    fireEvent.click(screen.getByRole('button', { name: `Quiz starten (${lesson.quiz.length} Fragen)` }));
+    const [first] = screen.getAllByRole('group');
+    expect(first).toHaveTextContent(translate('de', `${lesson.id}.quiz.${question.id}.prompt`));
+    expect(within(first).getAllByRole('radio')[0].closest('label')).toHaveTextContent(
+      translate('de', `${lesson.id}.quiz.${question.id}.options.0`)
+    );
+    unmount();
+
+    await renderAt('#/presenter/index-as-key/bad');
+    expect(await screen.findByRole('heading', { name: '❌ Schlechte Umsetzung' })).toBeInTheDocument();
+    expect(screen.getByText('Als Nächstes: Index als Key · ✅ Gute Umsetzung')).toBeInTheDocument();
+    expect(screen.getByText(translate('de', 'index-as-key.notes.bad'))).toBeInTheDocument();
+  });
+
+  it('should start in the saved language and ignore unknown ones', () => {
+    window.localStorage.setItem(LOCALE_STORAGE_KEY, 'de');
+    let stop = initLocale();
+    expect(getLocale()).toBe('de');
+    stop();
+
+    window.localStorage.setItem(LOCALE_STORAGE_KEY, 'tlh');
+    stop = initLocale();
+    expect(getLocale()).toBe('en');
+    stop();
+  });
+
+  it('should address controls by their English label, so scenarios replay in any language', () => {
+    setLocale('de');
+    const { container } = render(<FearingReRenders implementation="bad" />);
+
+    const counter = screen.getByRole('button', { name: /^Klick mich: 0/ });
+    expect(describeTarget(counter, container).key).toBe('button:Click Me:');
+    expect(describeTarget(screen.getByPlaceholderText('Zum Filtern tippen...'), container).key).toBe(
+      'text:Type to filter...'
+    );
+  });
+});
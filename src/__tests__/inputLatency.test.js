@@ -0,0 +1,48 @@
+import { describe, it, expect } from 'vitest';
+import { waitFor } from '@testing-library/react';
+import {
+  getLatency,
+  interactionToNextPaint,
+  observeInput,
+  rateLatency,
+  recordLatency,
+} from '../lib/inputLatency';
+
+describe('input latency', () => {
+  it('should report the worst keystroke until there are 50 of them', () => {
+    expect(interactionToNextPaint([])).toBeNull();
+    expect(interactionToNextPaint([12, 340, 40])).toBe(340);
+
+    const long = [900, ...Array.from({ length: 99 }, (_, i) => i)];
+    expect(interactionToNextPaint(long)).toBe(97);
+  });
+
+  it('should rate latency against the INP thresholds', () => {
+    expect(rateLatency(120)).toBe('good');
+    expect(rateLatency(350)).toBe('needs-improvement');
+    expect(rateLatency(800)).toBe('poor');
+  });
+
+  it('should prefer an Event Timing measurement for the same keystroke', () => {
+    recordLatency('field', 10, 30, 'raf');
+    recordLatency('field', 10, 48, 'event-timing');
+    recordLatency('field', 10, 31, 'raf');
+
+    expect(getLatency('field').samples).toEqual([{ key: 10, duration: 48, source: 'event-timing' }]);
+    expect(getLatency('field').inp).toBe(48);
+  });
+
+  it('should time each input event until the next paint', async () => {
+    const input = document.createElement('input');
+    const stop = observeInput(input, 'observed');
+
+    input.dispatchEvent(new Event('input'));
+    await waitFor(() => expect(getLatency('observed').samples).toHaveLength(1));
+    expect(getLatency('observed').last.source).toBe('raf');
+
+    stop();
+    input.dispatchEvent(new Event('input'));
+    await new Promise((resolve) => setTimeout(resolve, 50));
+    expect(getLatency('observed').samples).toHaveLength(1);
+  });
+});
@@ -0,0 +1,86 @@
+import { describe, it, expect, vi } from 'vitest';
+import { render, screen, fireEvent, within } from '@testing-library/react';
+import InteractionRecorder from '../components/InteractionRecorder';
+import LessonPage from '../components/LessonPage';
+import { getLesson } from '../lessons/registry';
+import { describeTarget, findTarget } from '../lib/interactions';
+import { DEFAULT_VARIANTS } from '../lib/variants';
+
+const buildRoot = (buttonLabel) => {
+  const root = document.createElement('div');
+  root.innerHTML = `
+    <label>Name</label><input type="text" />
+    <button>${buttonLabel}</button>
+    <button>🗑️ Delete</button>
+    <button>🗑️ Delete</button>
+  `;
+  return root;
+};
+
+describe('interaction recorder', () => {
+  it('should locate the same control in another implementation', () => {
+    const bad = buildRoot('Click Me: 3');
+    const good = buildRoot('Click Me: 0');
+
+    const secondDelete = bad.querySelectorAll('button')[2];
+    const target = describeTarget(secondDelete, bad);
+
+    expect(target).toEqual({ key: 'button:🗑️ Delete', index: 1 });
+    expect(findTarget(good, target)).toBe(good.querySelectorAll('button')[2]);
+    expect(findTarget(good, describeTarget(bad.querySelector('button'), bad))).toBe(
+      good.querySelector('button')
+    );
+  });
+
+  it('should replay a recording against both implementations and compare them', async () => {
+    render(<LessonPage lesson={getLesson('useeffect-redundancy')} />);
+    await screen.findByText(/Bad Implementation: useEffect for Derived State/i);
+
+    fireEvent.click(screen.getByRole('button', { name: /record interactions/i }));
+    const [firstName] = screen.getAllByRole('textbox');
+    fireEvent.input(firstName, { target: { value: 'Jo' } });
+    fireEvent.input(firstName, { target: { value: 'J' } });
+    fireEvent.click(screen.getByRole('button', { name: /stop recording/i }));
+
+    expect(screen.getByText('2 steps recorded')).toBeInTheDocument();
+
+    fireEvent.click(screen.getByRole('button', { name: /replay on both/i }));
+    const results = await screen.findByRole('table');
+    const row = within(results).getByText('User card renders').closest('tr');
+
+    // Every keystroke renders the Bad card twice (render + effect), the Good card once
+    expect(within(row).getAllByRole('cell').map((cell) => cell.textContent)).toEqual([
+      'User card renders',
+      '4',
+      '2',
+    ]);
+  });
+
+  it('should report a replay that fails and hand the stage back', async () => {
+    const stage = document.createElement('div');
+    stage.innerHTML = '<div data-implementation="bad"><input type="text" /></div>';
+    document.body.append(stage);
+    const onReplayTargetChange = vi.fn((target) => {
+      if (target) throw new Error('The demo is gone');
+    });
+    render(
+      <InteractionRecorder
+        stageRef={{ current: stage }}
+        channel={null}
+        variants={DEFAULT_VARIANTS}
+        comparisons={[]}
+        onReplayTargetChange={onReplayTargetChange}
+      />
+    );
+
+    fireEvent.click(screen.getByRole('button', { name: /record interactions/i }));
+    fireEvent.input(stage.querySelector('input'), { target: { value: 'a' } });
+    fireEvent.click(screen.getByRole('button', { name: /stop recording/i }));
+    fireEvent.click(screen.getByRole('button', { name: /replay on both/i }));
+
+    expect(await screen.findByRole('alert')).toHaveTextContent('The demo is gone');
+    expect(onReplayTargetChange).toHaveBeenLastCalledWith(null);
+    expect(screen.getByRole('button', { name: /replay on both/i })).toBeEnabled();
+    stage.remove();
+  });
+});
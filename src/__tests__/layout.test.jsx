@@ -0,0 +1,80 @@
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import { render, screen, fireEvent } from '@testing-library/react';
+import Layout from '../components/Layout';
+import { focusableElements } from '../lib/focus';
+
+const renderLayout = () =>
+  render(
+    <Layout currentPage="index-as-key">
+      <button>Demo control</button>
+    </Layout>
+  );
+
+describe('responsive layout', () => {
+  const originalMatchMedia = window.matchMedia;
+
+  describe('on a narrow screen', () => {
+    beforeEach(() => {
+      // Every media query fails, including the wide-screen one
+      window.matchMedia = () => Object.assign(new EventTarget(), { matches: false });
+    });
+    afterEach(() => {
+      window.matchMedia = originalMatchMedia;
+    });
+
+    it('should keep the navigation closed and inert until the menu button opens it', () => {
+      renderLayout();
+      const navigation = document.getElementById('app-navigation');
+      const menu = screen.getByRole('button', { name: 'Open navigation' });
+
+      expect(navigation).toHaveAttribute('inert');
+      expect(menu).toHaveAttribute('aria-expanded', 'false');
+
+      fireEvent.click(menu);
+
+      const drawer = screen.getByRole('dialog', { name: 'Navigation' });
+      expect(drawer).not.toHaveAttribute('inert');
+      expect(menu).toHaveAttribute('aria-expanded', 'true');
+      expect(screen.getByRole('button', { name: 'Close navigation' })).toHaveFocus();
+    });
+
+    it('should trap the focus in the open drawer and give it back on Escape', () => {
+      renderLayout();
+      const menu = screen.getByRole('button', { name: 'Open navigation' });
+      menu.focus();
+      fireEvent.click(menu);
+
+      const drawer = screen.getByRole('dialog');
+      const controls = focusableElements(drawer);
+      const first = controls[0];
+      const last = controls[controls.length - 1];
+
+      fireEvent.keyDown(first, { key: 'Tab', shiftKey: true });
+      expect(last).toHaveFocus();
+      fireEvent.keyDown(last, { key: 'Tab' });
+      expect(first).toHaveFocus();
+
+      fireEvent.keyDown(first, { key: 'Escape' });
+      expect(screen.queryByRole('dialog')).not.toBeInTheDocument();
+      expect(menu).toHaveFocus();
+    });
+
+    it('should close the drawer once a lesson is picked', () => {
+      renderLayout();
+      fireEvent.click(screen.getByRole('button', { name: 'Open navigation' }));
+
+      fireEvent.click(screen.getByRole('link', { name: /useEffect Redundancy/i }));
+
+      expect(screen.queryByRole('dialog')).not.toBeInTheDocument();
+      expect(document.getElementById('app-navigation')).toHaveAttribute('inert');
+    });
+  });
+
+  it('should show the sidebar as is on a wide screen', () => {
+    renderLayout();
+
+    expect(document.getElementById('app-navigation')).not.toHaveAttribute('inert');
+    expect(screen.queryByRole('dialog')).not.toBeInTheDocument();
+    expect(screen.queryByRole('button', { name: 'Close navigation' })).not.toBeInTheDocument();
+  });
+});
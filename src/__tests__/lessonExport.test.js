@@ -0,0 +1,104 @@
+import { describe, it, expect } from 'vitest';
+import React from 'react';
+import Message from '../components/Message';
+import { lessons } from '../lessons/registry';
+import { buildLessonProject, relativeImports, resolveImport } from '../lib/lessonExport';
+import { compileComponent } from '../lib/jsx';
+import { crc32, createZip } from '../lib/zip';
+
+// Reads back the entries of a stored (uncompressed) archive through its
+// central directory, the way unzip tools do
+const readZip = (bytes) => {
+  const view = new DataView(bytes.buffer);
+  const decoder = new TextDecoder();
+  const end = bytes.length - 22;
+  expect(view.getUint32(end, true)).toBe(0x06054b50);
+
+  const entries = [];
+  let at = view.getUint32(end + 16, true);
+  for (let i = 0; i < view.getUint16(end + 10, true); i += 1) {
+    expect(view.getUint32(at, true)).toBe(0x02014b50);
+    const size = view.getUint32(at + 24, true);
+    const nameLength = view.getUint16(at + 28, true);
+    const local = view.getUint32(at + 42, true);
+    const path = decoder.decode(bytes.subarray(at + 46, at + 46 + nameLength));
+    const dataStart = local + 30 + view.getUint16(local + 26, true);
+    const data = bytes.subarray(dataStart, dataStart + size);
+
+    expect(view.getUint32(local, true)).toBe(0x04034b50);
+    expect(crc32(data)).toBe(view.getUint32(at + 16, true));
+    entries.push({ path, content: decoder.decode(data) });
+    at += 46 + nameLength;
+  }
+  return entries;
+};
+
+describe('zip writer', () => {
+  it('should compute the standard CRC-32', () => {
+    expect(crc32(new TextEncoder().encode('123456789'))).toBe(0xcbf43926);
+  });
+
+  it('should write entries an unzip tool can read back', () => {
+    const files = [
+      { path: 'project/package.json', content: '{}\n' },
+      { path: 'project/src/Übung.jsx', content: 'const a = "✅";\n' },
+    ];
+
+    expect(readZip(createZip(files))).toEqual(files);
+  });
+});
+
+describe('lesson export', () => {
+  it('should resolve relative imports the way Vite does', () => {
+    const exists = (path) => ['src/hooks/useSettings.js', 'src/components/RenderStat.jsx'].includes(path);
+
+    expect(relativeImports("import React from 'react';\nimport {\n  a,\n} from '../hooks/useSettings';\nimport './x.css';"))
+      .toEqual(['../hooks/useSettings', './x.css']);
+    expect(resolveImport('src/pages/A.jsx', '../hooks/useSettings', exists)).toBe('src/hooks/useSettings.js');
+    expect(resolveImport('src/components/B.jsx', './RenderStat', exists)).toBe('src/components/RenderStat.jsx');
+    expect(() => resolveImport('src/pages/A.jsx', '../missing', exists)).toThrow(/Cannot resolve/);
+  });
+
+  it('should package every lesson as a self-contained project', async () => {
+    for (const lesson of lessons) {
+      const files = await buildLessonProject(lesson);
+      const paths = files.map((file) => file.path);
+
+      expect(paths).toEqual(expect.arrayContaining([
+        'package.json',
+        'index.html',
+        'vite.config.js',
+        'src/main.jsx',
+        'src/App.jsx',
+        lesson.source.file,
+        'src/components/PageHeader.jsx',
+        'src/components/KeyTakeaway.jsx',
+        'src/lib/renderMetrics.js',
+      ]));
+      expect(paths).not.toContain('src/lessons/registry.jsx');
+
+      // Every relative import points at a file in the archive
+      for (const { path, content } of files.filter((file) => /\.jsx?$/.test(file.path))) {
+        for (const specifier of relativeImports(content).filter((specifier) => !specifier.endsWith('.css'))) {
+          expect(() => resolveImport(path, specifier, (candidate) => paths.includes(candidate))).not.toThrow();
+        }
+      }
+
+      const { dependencies, devDependencies } = JSON.parse(files.find((file) => file.path === 'package.json').content);
+      expect(Object.keys(dependencies)).toEqual(['react', 'react-dom']);
+      expect(devDependencies.vite).toBeTruthy();
+      expect(devDependencies['@tailwindcss/postcss']).toBeTruthy();
+    }
+  });
+
+  it('should carry over the lesson description and takeaway as JSX', async () => {
+    const files = await buildLessonProject(lessons[0]);
+    const source = files.find((file) => file.path === 'src/lesson.jsx').content;
+    const lesson = compileComponent(source.replace(/^import .*$/gm, '').replace('export ', ''), { React, Message }, 'lesson');
+
+    expect(lesson.title).toBe('Memoization vs. Colocation');
+    expect(React.isValidElement(lesson.description)).toBe(true);
+    expect(React.isValidElement(lesson.takeaway)).toBe(true);
+    expect(source).toContain("const code = 'bg-neutral-100");
+  });
+});
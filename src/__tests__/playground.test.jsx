@@ -0,0 +1,120 @@
+import { describe, it, expect } from 'vitest';
+import { act, render, screen, fireEvent, waitFor } from '@testing-library/react';
+import React from 'react';
+import * as ReactExports from 'react';
+import Playground from '../components/Playground';
+import { getLesson, lessons } from '../lessons/registry';
+import { compileComponent, transformJsx } from '../lib/jsx';
+import { extractDeclarations } from '../lib/sourceSnippets';
+
+const renderPlayground = async (lessonId) => {
+  await act(async () => {
+    render(<Playground lesson={getLesson(lessonId)} />);
+  });
+  const frame = await screen.findByTitle('Playground preview');
+  const body = frame.contentDocument.body;
+  await waitFor(() => expect(body.querySelector('[data-run]')).not.toBeNull());
+  return body;
+};
+
+const checkFix = async () => {
+  await act(async () => {
+    fireEvent.click(screen.getByRole('button', { name: /check my fix/i }));
+  });
+  await waitFor(() => expect(screen.getByRole('status')).not.toBeEmptyDOMElement(), { timeout: 5000 });
+  return screen.getByRole('status').textContent;
+};
+
+const editCode = (change) => {
+  const editor = screen.getByLabelText('Playground code');
+  fireEvent.change(editor, { target: { value: change(editor.value) } });
+};
+
+describe('JSX transform', () => {
+  it('should turn elements, fragments and attributes into createElement calls', () => {
+    expect(transformJsx('const a = <div className="x" {...rest} hidden>Hi {name}</div>;')).toBe(
+      'const a = React.createElement("div", { className: "x", ...rest, hidden: true }, "Hi ", name);'
+    );
+    expect(transformJsx('const b = () => <><Ctx.Provider value={{ a: 1 }} /></>;')).toBe(
+      'const b = () => React.createElement(React.Fragment, null, React.createElement(Ctx.Provider, { value: { a: 1 } }));'
+    );
+  });
+
+  it('should apply JSX whitespace rules and decode entities', () => {
+    const code = transformJsx(`x = (
+      <p>
+        Tom &amp; Jerry
+        don't {/* a comment */}
+        stop
+      </p>
+    );`);
+
+    expect(code).toContain('React.createElement("p", null, "Tom & Jerry don\'t ", "stop")');
+  });
+
+  it('should leave comparisons, strings and templates alone', () => {
+    const code = "if (a < b && c <d) s = '<div>' + `<${tag}>`;";
+    expect(transformJsx(code)).toBe(code);
+  });
+
+  it('should report where the JSX is malformed', () => {
+    expect(() => transformJsx('const a = (\n  <div><span></div>\n);')).toThrow(/Expected <\/span> but found <\/div> \(2:/);
+  });
+
+  it('should evaluate the code with the given scope', () => {
+    const Greeting = compileComponent('const Greeting = () => <b>{greet()}</b>;', { React, greet: () => 'hi' }, 'Greeting');
+    expect(Greeting().props.children).toBe('hi');
+    expect(() => compileComponent('const Other = 1;', { React }, 'Greeting')).toThrow(/must declare Greeting/);
+  });
+});
+
+describe('playground', () => {
+  it('should compile every lesson\'s starter and source declarations', async () => {
+    // Top-level code only calls into React (createContext, memo); anything
+    // else is read inside component bodies and never runs here
+    const { default: _default, ...scope } = ReactExports;
+    const compileNames = (source, names, entry) =>
+      compileComponent(extractDeclarations(source, names).map((d) => d.code).join('\n\n'), scope, entry);
+
+    for (const lesson of lessons) {
+      const { default: source } = await lesson.source.load();
+      const { declarations, entry = 'BadImplementation' } = lesson.playground;
+      expect(() => compileNames(source, declarations, entry), lesson.id).not.toThrow();
+      for (const side of ['bad', 'good']) {
+        expect(() => compileNames(source, lesson.source[side], lesson.source[side].at(-1)), `${lesson.id} ${side}`).not.toThrow();
+      }
+    }
+  });
+
+  it('should render the Bad implementation in the frame and fail the check', async () => {
+    const body = await renderPlayground('memoization');
+
+    expect(body).toHaveTextContent('Bad Implementation: memo as a Band-Aid');
+    expect(screen.getByLabelText('Playground code').value).toContain('const ExpensiveComponent = memo(');
+    expect(await checkFix()).toMatch(/still re-renders on every keystroke/);
+  });
+
+  it('should pass the check once the edit behaves like the Good implementation', async () => {
+    await renderPlayground('index-as-key');
+
+    editCode((code) =>
+      code
+        .replace('key={index}', 'key={item.id}')
+        .replace('inputValues[index]', 'inputValues[item.id]')
+        .replace('handleInputChange(index,', 'handleInputChange(item.id,')
+    );
+
+    expect(await checkFix()).toMatch(/keeps its own input/);
+  });
+
+  it('should show compile errors and recover on reset', async () => {
+    await renderPlayground('useeffect-redundancy');
+
+    editCode((code) => code.replace('</h2>', '</h4>'));
+    fireEvent.click(screen.getByRole('button', { name: /run/i }));
+    expect(screen.getByRole('alert')).toHaveTextContent(/Expected <\/h2> but found <\/h4>/);
+
+    fireEvent.click(screen.getByRole('button', { name: /reset/i }));
+    expect(screen.queryByRole('alert')).not.toBeInTheDocument();
+  });
+});
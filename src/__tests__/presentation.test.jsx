@@ -0,0 +1,101 @@
+import { describe, it, expect, afterEach } from 'vitest';
+import { act, screen, fireEvent, waitFor } from '@testing-library/react';
+import { lessons } from '../lessons/registry';
+import { isMessage } from '../lib/i18n';
+import {
+  PRESENTATION_CHANNEL,
+  SLIDES,
+  VIEWS,
+  buildDeck,
+  buildPresentationPath,
+  parsePresentationPath,
+} from '../lib/presentation';
+import { renderAt } from './utils';
+
+const channels = [];
+
+// Another presentation window, as far as BroadcastChannel is concerned
+const openOtherWindow = () => {
+  const channel = new BroadcastChannel(PRESENTATION_CHANNEL);
+  const received = [];
+  channel.onmessage = ({ data }) => received.push(data);
+  channels.push(channel);
+  return { channel, received };
+};
+
+const press = (key, target = window) => fireEvent.keyDown(target, { key });
+
+describe('presentation paths', () => {
+  it('should round-trip slide positions through the URL', () => {
+    const position = { lessonId: 'index-as-key', slide: 'good' };
+
+    expect(buildPresentationPath(VIEWS.slides, position)).toBe('#/present/index-as-key/good');
+    expect(parsePresentationPath(buildPresentationPath(VIEWS.presenter, position))).toEqual({
+      view: VIEWS.presenter,
+      ...position,
+    });
+    expect(parsePresentationPath('#/present/memoization')).toMatchObject({ slide: 'problem' });
+    expect(parsePresentationPath('#/memoization/bad')).toBeNull();
+    expect(parsePresentationPath('#/present')).toBeNull();
+  });
+
+  it('should give every lesson four slides with speaker notes', () => {
+    expect(buildDeck(lessons)).toHaveLength(lessons.length * SLIDES.length);
+    for (const lesson of lessons) {
+      for (const { id } of SLIDES) expect(isMessage(`${lesson.id}.notes.${id}`), `${lesson.id}/${id}`).toBe(true);
+    }
+  });
+});
+
+describe('presentation mode', () => {
+  afterEach(() => channels.splice(0).forEach((channel) => channel.close()));
+
+  it('should move through the deck with the keyboard, with live demos on the slides', async () => {
+    await renderAt('#/present/memoization/problem');
+    expect(await screen.findByRole('heading', { level: 1, name: 'Memoization vs. Colocation' })).toBeInTheDocument();
+    expect(screen.queryByText('React Misconceptions')).not.toBeInTheDocument();
+
+    await act(async () => press('ArrowRight'));
+    expect(window.location.hash).toBe('#/present/memoization/bad');
+    const input = await screen.findByPlaceholderText('Start typing...');
+
+    // Typing into the demo doesn't move the slides
+    fireEvent.change(input, { target: { value: 'hi' } });
+    press('ArrowRight', input);
+    expect(input).toHaveValue('hi');
+    expect(window.location.hash).toBe('#/present/memoization/bad');
+
+    await act(async () => press('End'));
+    expect(window.location.hash).toBe('#/present/useeffect-redundancy/takeaway');
+    expect(screen.getByText(`${lessons.length * SLIDES.length} / ${lessons.length * SLIDES.length}`, { exact: false })).toBeInTheDocument();
+
+    await act(async () => press('Escape'));
+    expect(window.location.hash).toBe('#/useeffect-redundancy/bad');
+  });
+
+  it('should keep the presenter view in sync with the slides', async () => {
+    const other = openOtherWindow();
+    await renderAt('#/presenter/index-as-key/bad');
+
+    expect(await screen.findByText(/Task 2 moves up and shows Task 1's note/)).toBeInTheDocument();
+    expect(screen.getByText(/Next: Index as Key · ✅ Good implementation/)).toBeInTheDocument();
+    await waitFor(() => expect(other.received).toContainEqual({ type: 'goto', lessonId: 'index-as-key', slide: 'bad' }));
+
+    await act(async () => fireEvent.click(screen.getByRole('button', { name: /next/i })));
+    await waitFor(() => expect(other.received).toContainEqual({ type: 'goto', lessonId: 'index-as-key', slide: 'good' }));
+
+    const sent = other.received.length;
+    other.channel.postMessage({ type: 'goto', lessonId: 'context-misuse', slide: 'takeaway' });
+    await waitFor(() => expect(window.location.hash).toBe('#/presenter/context-misuse/takeaway'));
+    expect(screen.getByText(/Split contexts by domain/)).toBeInTheDocument();
+
+    // Following another window isn't echoed back to it
+    await new Promise((resolve) => setTimeout(resolve, 20));
+    expect(other.received).toHaveLength(sent);
+  });
+
+  it('should explain unknown slides', async () => {
+    await renderAt('#/present/memoization/encore');
+    expect(await screen.findByRole('heading', { name: 'No such slide' })).toBeInTheDocument();
+  });
+});
@@ -0,0 +1,106 @@
+import { describe, it, expect, vi, afterEach } from 'vitest';
+import { act, render, screen, fireEvent, waitFor } from '@testing-library/react';
+import LessonPage from '../components/LessonPage';
+import Sidebar from '../components/Sidebar';
+import { getLesson } from '../lessons/registry';
+import {
+  DEMO_STEP_GOAL,
+  PROGRESS_STORAGE_KEY,
+  exportProgress,
+  getProgress,
+  importProgress,
+  isLessonComplete,
+  lessonEntry,
+  markQuizPassed,
+  markViewed,
+  markVisited,
+  recordDemoStep,
+  resetProgress,
+} from '../lib/progress';
+
+const complete = (lessonId) => {
+  markVisited(lessonId);
+  markViewed(lessonId, 'compare');
+  for (let i = 0; i < DEMO_STEP_GOAL; i += 1) recordDemoStep(lessonId);
+  markQuizPassed(lessonId);
+};
+
+describe('progress store', () => {
+  it('should record milestones and persist them', () => {
+    markViewed('memoization', 'good');
+    expect(lessonEntry(getProgress(), 'memoization').viewed).toEqual({ bad: false, good: true });
+
+    complete('memoization');
+    recordDemoStep('memoization');
+
+    const entry = lessonEntry(getProgress(), 'memoization');
+    expect(entry.steps).toBe(DEMO_STEP_GOAL);
+    expect(isLessonComplete(entry)).toBe(true);
+    expect(JSON.parse(window.localStorage.getItem(PROGRESS_STORAGE_KEY)).memoization.quizPassed).toBe(true);
+  });
+
+  it('should round-trip through export and import, ignoring malformed entries', () => {
+    complete('index-as-key');
+    const exported = exportProgress();
+    resetProgress();
+
+    importProgress(exported);
+    expect(isLessonComplete(lessonEntry(getProgress(), 'index-as-key'))).toBe(true);
+
+    importProgress(JSON.stringify({ app: 'react-misconceptions', progress: { a: 'nope', b: { steps: -4, visited: 'yes' } } }));
+    expect(getProgress()).toEqual({ b: { visited: false, viewed: { bad: false, good: false }, steps: 0, quizPassed: false } });
+  });
+
+  it('should reject files that are not progress exports', () => {
+    expect(() => importProgress('{')).toThrow(/not valid JSON/);
+    expect(() => importProgress('{"progress": {}}')).toThrow(/not a progress export/);
+  });
+});
+
+describe('progress tracking', () => {
+  afterEach(() => vi.restoreAllMocks());
+
+  it('should record visits, viewed implementations and demo steps from the lesson page', async () => {
+    window.location.hash = '#/useeffect-redundancy/compare';
+    render(<LessonPage lesson={getLesson('useeffect-redundancy')} />);
+
+    const [input] = await screen.findAllByLabelText(/first name/i);
+    'Jane'.split('').forEach((_, i) => fireEvent.input(input, { target: { value: 'Jane'.slice(0, i + 1) } }));
+
+    const entry = lessonEntry(getProgress(), 'useeffect-redundancy');
+    expect(entry.visited).toBe(true);
+    expect(entry.viewed).toEqual({ bad: true, good: true });
+    expect(entry.steps).toBe(DEMO_STEP_GOAL);
+  });
+
+  it('should show badges and the overall progress in the sidebar', () => {
+    complete('memoization');
+    markVisited('context-misuse');
+    render(<Sidebar currentPage="memoization" />);
+
+    expect(screen.getByRole('link', { name: /memoization.*completed/i })).toBeInTheDocument();
+    expect(screen.getByRole('link', { name: /context misuse, 1 of 4 milestones/i })).toBeInTheDocument();
+    expect(screen.getByRole('progressbar', { name: /your progress/i })).toHaveAttribute('aria-valuenow', '5');
+  });
+
+  it('should import and reset progress from the panel', async () => {
+    complete('memoization');
+    const exported = exportProgress();
+    // jsdom's File has no text()
+    const file = Object.assign(new File([exported], 'progress.json'), { text: async () => exported });
+    resetProgress();
+    render(<Sidebar currentPage="memoization" />);
+    fireEvent.click(screen.getByText(/📊 progress/i));
+
+    await act(async () => {
+      fireEvent.change(screen.getByLabelText('Progress file'), { target: { files: [file] } });
+    });
+    await waitFor(() => expect(screen.getByRole('status')).toHaveTextContent('Imported progress.json.'));
+    expect(screen.getByRole('link', { name: /memoization.*completed/i })).toBeInTheDocument();
+
+    vi.spyOn(window, 'confirm').mockReturnValue(true);
+    fireEvent.click(screen.getByRole('button', { name: 'Reset' }));
+    expect(getProgress()).toEqual({});
+    expect(screen.getByRole('progressbar', { name: /your progress/i })).toHaveAttribute('aria-valuenow', '0');
+  });
+});
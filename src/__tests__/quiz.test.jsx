@@ -0,0 +1,82 @@
+import { describe, it, expect } from 'vitest';
+import { act, render, screen, fireEvent, waitFor, within } from '@testing-library/react';
+import Quiz from '../components/Quiz';
+import { getLesson, lessons } from '../lessons/registry';
+import { messageIds } from '../lib/i18n';
+import { scoreQuiz } from '../lib/quiz';
+import { extractDeclarations } from '../lib/sourceSnippets';
+
+const startQuiz = async (lesson) => {
+  render(<Quiz lesson={lesson} />);
+  await act(async () => {
+    fireEvent.click(screen.getByRole('button', { name: /start the quiz/i }));
+  });
+  return screen.getAllByRole('group');
+};
+
+const choose = async (group, optionText) => {
+  await act(async () => {
+    fireEvent.click(within(group).getByLabelText(optionText));
+  });
+};
+
+describe('quiz', () => {
+  it('should score answered questions only', () => {
+    const questions = [
+      { id: 'a', answer: 0 },
+      { id: 'b', answer: 1 },
+    ];
+
+    expect(scoreQuiz(questions, {})).toEqual({ total: 2, answered: 0, correct: 0, complete: false });
+    expect(scoreQuiz(questions, { a: 0, b: 0 })).toEqual({ total: 2, answered: 2, correct: 1, complete: true });
+  });
+
+  it('should register valid questions for every lesson', async () => {
+    for (const lesson of lessons) {
+      const { default: source } = await lesson.source.load();
+      expect(lesson.quiz.length).toBeGreaterThan(0);
+      expect(lesson.quiz.some((question) => question.code)).toBe(true);
+
+      for (const question of lesson.quiz) {
+        expect(messageIds(`${lesson.id}.quiz.${question.id}.options`)[question.answer]).toBeDefined();
+        expect(['bad', 'good', 'compare']).toContain(question.demo);
+        if (question.code) expect(extractDeclarations(source, question.code)).toHaveLength(question.code.length);
+      }
+    }
+  });
+
+  it('should give feedback right away and lock the answer', async () => {
+    const [first] = await startQuiz(getLesson('useeffect-redundancy'));
+
+    await waitFor(() => expect(first).toHaveTextContent('const BadUserCard = ({ firstName, lastName, email })'));
+
+    await choose(first, 'Once');
+
+    expect(within(first).getByText('❌ Not quite.')).toBeInTheDocument();
+    expect(within(first).getByRole('link', { name: /bad implementation/i })).toHaveAttribute(
+      'href',
+      '#/useeffect-redundancy/bad'
+    );
+    expect(within(first).getByLabelText(/Twice/)).toBeDisabled();
+  });
+
+  it('should keep a score and start over on retry', async () => {
+    const lesson = getLesson('index-as-key');
+    const groups = await startQuiz(lesson);
+
+    for (const [index, group] of groups.entries()) {
+      const { id, answer } = lesson.quiz[index];
+      const options = messageIds(`${lesson.id}.quiz.${id}.options`);
+      // Answer everything correctly except the last question
+      const option = index === lesson.quiz.length - 1 ? (answer + 1) % options.length : answer;
+      fireEvent.click(within(group).getAllByRole('radio')[option]);
+    }
+
+    expect(screen.getByRole('status')).toHaveTextContent(`Score: ${lesson.quiz.length - 1} / ${lesson.quiz.length}`);
+
+    fireEvent.click(screen.getByRole('button', { name: /retry quiz/i }));
+
+    expect(screen.getByRole('status')).toHaveTextContent(`Score: 0 / ${lesson.quiz.length} (attempt 2)`);
+    expect(screen.getAllByRole('radio').every((radio) => !radio.checked && !radio.disabled)).toBe(true);
+  });
+});
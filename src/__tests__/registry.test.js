@@ -0,0 +1,33 @@
+import { describe, it, expect } from 'vitest';
+import { getLesson, lessons } from '../lessons/registry';
+import { isMessage } from '../lib/i18n';
+
+describe('lesson registry', () => {
+  it('should give every lesson a unique id and a sequential number', () => {
+    const ids = lessons.map((lesson) => lesson.id);
+
+    expect(new Set(ids).size).toBe(ids.length);
+    expect(lessons.map((lesson) => lesson.number)).toEqual(
+      lessons.map((_, index) => index + 1)
+    );
+  });
+
+  it('should look lessons up by id', () => {
+    expect(getLesson('index-as-key').title).toBe('Index as Key');
+    expect(getLesson('does-not-exist')).toBeUndefined();
+  });
+
+  it('should lazy-load a page component for every lesson', async () => {
+    for (const lesson of lessons) {
+      const module = await lesson.load();
+      expect(typeof module.default).toBe('function');
+    }
+  });
+
+  it('should declare a benchmark scenario for every lesson', () => {
+    for (const lesson of lessons) {
+      expect(isMessage(`${lesson.id}.benchmark`), lesson.id).toBe(true);
+      expect(lesson.benchmark.steps.length).toBeGreaterThan(0);
+    }
+  });
+});
@@ -0,0 +1,73 @@
+import { describe, it, expect } from 'vitest';
+import { StrictMode, useState } from 'react';
+import { render, screen, fireEvent } from '@testing-library/react';
+import RenderProfiler from '../components/RenderProfiler';
+import RenderStat from '../components/RenderStat';
+import { useRenderTracker } from '../hooks/useRenderMetrics';
+import { getMetrics } from '../lib/renderMetrics';
+
+const Counter = () => {
+  const [count, setCount] = useState(0);
+  useRenderTracker('Counter');
+
+  return (
+    <div>
+      <button onClick={() => setCount(count + 1)}>Clicked {count}</button>
+      <p>
+        Renders: <RenderStat id="Counter" />
+      </p>
+    </div>
+  );
+};
+
+describe('render metrics', () => {
+  it('should count one render per commit, even in StrictMode', () => {
+    render(
+      <StrictMode>
+        <Counter />
+      </StrictMode>
+    );
+
+    expect(getMetrics('Counter')).toMatchObject({ renders: 1, phase: 'mount' });
+
+    fireEvent.click(screen.getByRole('button'));
+    fireEvent.click(screen.getByRole('button'));
+
+    expect(getMetrics('Counter')).toMatchObject({ renders: 3, phase: 'update' });
+  });
+
+  it('should display the count without causing extra renders', () => {
+    render(<Counter />);
+
+    fireEvent.click(screen.getByRole('button'));
+
+    expect(screen.getByText(/Renders:/)).toHaveTextContent('Renders: 2');
+    expect(getMetrics('Counter').renders).toBe(2);
+  });
+
+  it('should record commit durations from the Profiler', () => {
+    render(
+      <RenderProfiler id="Counter">
+        <Counter />
+      </RenderProfiler>
+    );
+
+    fireEvent.click(screen.getByRole('button'));
+
+    const metrics = getMetrics('Counter');
+    expect(metrics.commits).toBe(2);
+    expect(metrics.actualDuration).toBeGreaterThanOrEqual(0);
+    expect(metrics.baseDuration).toBeGreaterThanOrEqual(0);
+    expect(metrics.timestamp).toEqual(expect.any(Number));
+  });
+
+  it('should start counting again when a component remounts', () => {
+    const { unmount } = render(<Counter />);
+    fireEvent.click(screen.getByRole('button'));
+    unmount();
+
+    render(<Counter />);
+
+    expect(getMetrics('Counter').renders).toBe(1);
+  });
+});
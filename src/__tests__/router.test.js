@@ -0,0 +1,42 @@
+import { describe, it, expect } from 'vitest';
+import { getLesson } from '../lessons/registry';
+import { buildPath, parsePath } from '../lib/router';
+import { isLessonView } from '../lib/variants';
+
+describe('router', () => {
+  it('should resolve an empty hash to no particular lesson', () => {
+    expect(parsePath('')).toEqual({
+      path: '/',
+      lessonId: null,
+      implementation: 'bad',
+      valid: true,
+    });
+  });
+
+  it('should parse a deep link to a lesson and implementation', () => {
+    const route = parsePath('#/index-as-key/good');
+
+    expect(route.lessonId).toBe('index-as-key');
+    expect(route.implementation).toBe('good');
+    expect(route.valid).toBe(true);
+  });
+
+  it('should flag malformed implementations and extra segments as invalid', () => {
+    expect(parsePath('#/index-as-key/Ugly!').valid).toBe(false);
+    expect(parsePath('#/index-as-key/good/extra').valid).toBe(false);
+  });
+
+  it('should leave it to the lesson which implementations it has', () => {
+    expect(parsePath('#/index-as-key/random')).toMatchObject({ implementation: 'random', valid: true });
+    expect(isLessonView(getLesson('index-as-key'), 'random')).toBe(true);
+    expect(isLessonView(getLesson('memoization'), 'random')).toBe(false);
+    expect(isLessonView(getLesson('memoization'), 'compare')).toBe(true);
+  });
+
+  it('should build paths that round-trip through parsePath', () => {
+    const path = buildPath('context-misuse', 'good');
+
+    expect(path).toBe('#/context-misuse/good');
+    expect(parsePath(path)).toMatchObject({ lessonId: 'context-misuse', implementation: 'good' });
+  });
+});
@@ -0,0 +1,127 @@
+import { describe, it, expect } from 'vitest';
+import { act, screen, fireEvent, waitFor, within } from '@testing-library/react';
+import index from 'virtual:search-index';
+import { lessons } from '../lessons/registry';
+import { setLocale } from '../lib/i18n';
+import { buildSearchIndex, searchLessons } from '../lib/search';
+import { renderAt } from './utils';
+
+const search = (query, label = 'Search lessons') => {
+  const input = screen.getByRole('combobox', { name: label });
+  fireEvent.change(input, { target: { value: query } });
+  return input;
+};
+
+// The language picker has options too
+const results = () => within(document.getElementById('search-results')).queryAllByRole('option');
+
+describe('search index', () => {
+  it('should gather each section from its messages, falling back to English', () => {
+    const registry = `
+  defineLesson({
+    id: 'demo',
+    title: 'Demo Lesson',
+  }),`;
+    const catalogs = {
+      en: { demo: { description: 'Use <code>{name}</code> here.', problem: { lead: 'It <strong>breaks</strong>.', why: 'Twice.' } } },
+      de: { demo: { title: 'Demo-Lektion', description: 'Nimm <code>{name}</code> hier.' } },
+    };
+
+    expect(buildSearchIndex(registry, catalogs)).toEqual({
+      en: [
+        { lessonId: 'demo', implementation: null, section: 'title', text: 'Demo Lesson' },
+        { lessonId: 'demo', implementation: null, section: 'description', text: 'Use … here.' },
+        { lessonId: 'demo', implementation: 'bad', section: 'problem', text: 'It breaks. Twice.' },
+      ],
+      de: [
+        { lessonId: 'demo', implementation: null, section: 'title', text: 'Demo-Lektion' },
+        { lessonId: 'demo', implementation: null, section: 'description', text: 'Nimm … hier.' },
+        { lessonId: 'demo', implementation: 'bad', section: 'problem', text: 'It breaks. Twice.' },
+      ],
+    });
+  });
+
+  it('should cover the title, description, callouts and takeaway of every lesson in every locale', () => {
+    for (const entries of Object.values(index)) {
+      for (const lesson of lessons) {
+        const sections = entries.filter((entry) => entry.lessonId === lesson.id).map((entry) => entry.section);
+        expect(sections).toEqual(['title', 'description', 'problem', 'solution', 'takeaway']);
+      }
+    }
+    expect(index.en.find((entry) => entry.lessonId === 'memoization' && entry.section === 'description').text)
+      .toBe("Don't reach for React.memo first. Consider restructuring your components instead.");
+    expect(index.de.find((entry) => entry.lessonId === 'index-as-key' && entry.section === 'title').text)
+      .toBe('Index als Key');
+  });
+});
+
+describe('searching', () => {
+  it('should need every word and rank titles first', () => {
+    const results = searchLessons(index.en, 'memo');
+
+    expect(results[0].entry).toEqual(expect.objectContaining({ lessonId: 'memoization', section: 'title' }));
+    expect(results[0].snippet).toEqual([
+      { text: 'Memo', match: true },
+      { text: 'ization vs. Colocation', match: false },
+    ]);
+    expect(searchLessons(index.en, 'context dependency injection').map(({ entry }) => entry.section)).toEqual(['takeaway']);
+    expect(searchLessons(index.en, 'memo zzz')).toEqual([]);
+    expect(searchLessons(index.en, '   ')).toEqual([]);
+  });
+});
+
+describe('search box', () => {
+  it('should list ranked results with the matches highlighted', async () => {
+    await renderAt('#/memoization/bad');
+    search('dependency injection');
+
+    const [first] = results();
+    expect(first).toHaveTextContent('Context Misuse · 📚 Key Takeaway');
+    expect(first).toHaveAttribute('aria-selected', 'true');
+    expect(within(first).getAllByText(/dependency|injection/).every((mark) => mark.tagName === 'MARK')).toBe(true);
+
+    search('nothing like this');
+    expect(results()).toHaveLength(0);
+    expect(screen.getByText('Nothing matches "nothing like this".')).toBeInTheDocument();
+  });
+
+  it('should open the implementation a callout is in and jump to it', async () => {
+    await renderAt('#/memoization/bad');
+    const input = search('unique id');
+
+    expect(results()[0]).toHaveTextContent('Index as Key · ✅ The Solution');
+    await act(async () => {
+      fireEvent.keyDown(input, { key: 'Enter' });
+    });
+
+    expect(window.location.hash).toBe('#/index-as-key/good');
+    expect(input).toHaveValue('');
+    // Once the lazily loaded page is in
+    await waitFor(() => expect(document.activeElement).toHaveAttribute('data-search-hit'), { timeout: 5000 });
+    expect(document.activeElement).toHaveTextContent(/^✅ The Solution: Each item uses its unique id/);
+  });
+
+  it('should stay on the current view for sections every view shows', async () => {
+    await renderAt('#/context-misuse/compare');
+    const input = search('dependency injection');
+
+    await act(async () => {
+      fireEvent.keyDown(input, { key: 'Enter' });
+    });
+
+    expect(window.location.hash).toBe('#/context-misuse/compare');
+    await waitFor(() => expect(document.activeElement).toHaveAttribute('id', 'lesson-takeaway'));
+  });
+});
+
+describe('search in another language', () => {
+  it('should search the German catalog and show German headings', async () => {
+    setLocale('de');
+    await renderAt('#/memoization/bad');
+    search('eindeutige Kennung', 'Lektionen durchsuchen');
+
+    expect(results()[0]).toHaveTextContent('Index als Key · 📚 Das Wichtigste');
+    search('unique id', 'Lektionen durchsuchen');
+    expect(screen.getByText('Keine Treffer für „unique id“.')).toBeInTheDocument();
+  });
+});
@@ -0,0 +1,41 @@
+import { describe, it, expect } from 'vitest';
+import { act, render, screen, fireEvent } from '@testing-library/react';
+import LessonPage from '../components/LessonPage';
+import SimulationPanel from '../components/SimulationPanel';
+import { getLesson } from '../lessons/registry';
+import {
+  DEFAULT_SETTINGS,
+  SETTINGS_STORAGE_KEY,
+  getSettings,
+  updateSettings,
+} from '../lib/settings';
+
+describe('simulation settings', () => {
+  it('should persist changes and clamp them to each range', () => {
+    updateSettings({ datasetSize: 1000, slowdown: 50 });
+
+    expect(getSettings()).toEqual({ ...DEFAULT_SETTINGS, datasetSize: 1000, slowdown: 8 });
+    expect(JSON.parse(window.localStorage.getItem(SETTINGS_STORAGE_KEY)).datasetSize).toBe(1000);
+  });
+
+  it('should reset to the defaults from the panel', () => {
+    updateSettings({ tickRate: 250 });
+    render(<SimulationPanel />);
+
+    expect(screen.getByLabelText(/clock tick rate/i)).toHaveValue('250');
+    fireEvent.click(screen.getByRole('button', { name: /reset to defaults/i }));
+
+    expect(getSettings()).toEqual(DEFAULT_SETTINGS);
+    expect(screen.getByRole('button', { name: /reset to defaults/i })).toBeDisabled();
+  });
+
+  it('should resize the dataset in the demos as the setting changes', async () => {
+    updateSettings({ datasetSize: 1500 });
+    render(<LessonPage lesson={getLesson('fearing-rerenders')} />);
+
+    expect(await screen.findByText(/of 1,500 total/i)).toBeInTheDocument();
+
+    act(() => updateSettings({ datasetSize: 2000 }));
+    expect(screen.getByText(/of 2,000 total/i)).toBeInTheDocument();
+  });
+});
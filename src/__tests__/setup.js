@@ -1 +1,24 @@
 import '@testing-library/jest-dom';
+import { afterEach } from 'vitest';
+import { resetMetrics } from '../lib/renderMetrics';
+import { resetLatency } from '../lib/inputLatency';
+import { resetSettings } from '../lib/settings';
+import { resetProgress } from '../lib/progress';
+import { resetTheme } from '../lib/theme';
+import { resetLocale } from '../lib/i18n';
+import { resetAnnouncer } from '../lib/announcer';
+import { showOverlay } from '../lib/commands';
+
+afterEach(() => {
+  // Routing state lives in the URL hash, which jsdom keeps between tests
+  window.history.replaceState(null, '', '/');
+  resetMetrics();
+  resetLatency();
+  resetSettings();
+  resetProgress();
+  resetTheme();
+  resetLocale();
+  resetAnnouncer();
+  showOverlay(null);
+  window.localStorage.clear();
+});
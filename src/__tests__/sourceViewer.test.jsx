@@ -0,0 +1,80 @@
+import { describe, it, expect } from 'vitest';
+import { act, render, screen, fireEvent } from '@testing-library/react';
+import LessonPage from '../components/LessonPage';
+import { getLesson, lessons } from '../lessons/registry';
+import { extractDeclaration, extractDeclarations, markerFor } from '../lib/sourceSnippets';
+import { tokenize } from '../lib/highlight';
+
+const SOURCE = `import React from 'react';
+
+const Context = createContext();
+
+// ❌ BAD: does too much
+// on every render
+const Bad = () => {
+  return <div />;
+};
+
+const Wrapped = memo(({ value }) => {
+  return value;
+});
+
+const label = (count) =>
+  count === 1 ? 'one' : 'many';
+
+const After = () => null;
+`;
+
+describe('source viewer', () => {
+  it('should extract a declaration with its leading comment and file line numbers', () => {
+    expect(extractDeclaration(SOURCE, 'Bad')).toEqual({
+      name: 'Bad',
+      startLine: 5,
+      endLine: 9,
+      code: '// ❌ BAD: does too much\n// on every render\nconst Bad = () => {\n  return <div />;\n};',
+    });
+    expect(extractDeclaration(SOURCE, 'Context').code).toBe('const Context = createContext();');
+    expect(extractDeclaration(SOURCE, 'Wrapped').endLine).toBe(13);
+    expect(extractDeclaration(SOURCE, 'label').code).toBe("const label = (count) =>\n  count === 1 ? 'one' : 'many';");
+    expect(extractDeclaration(SOURCE, 'Missing')).toBeNull();
+  });
+
+  it('should only mark comments carrying a verdict', () => {
+    expect(markerFor('  // ❌ BAD: Using index as key')).toBe('bad');
+    expect(markerFor('  {/* ✅ GOOD: stable id */}')).toBe('good');
+    expect(markerFor('  <span>❌</span> Bad Implementation')).toBeNull();
+  });
+
+  it('should tell apostrophes in JSX text from strings', () => {
+    const tokens = tokenize(`<p className="a">Why memo isn't enough</p>`);
+
+    expect(tokens.filter((token) => token.type === 'string')).toEqual([{ type: 'string', text: '"a"' }]);
+    expect(tokens.filter((token) => token.type === 'tag').map((token) => token.text)).toEqual(['p', 'p']);
+  });
+
+  it('should find every declaration a lesson lists', async () => {
+    for (const lesson of lessons) {
+      const { default: source } = await lesson.source.load();
+      for (const side of ['bad', 'good']) {
+        expect(extractDeclarations(source, lesson.source[side])).toHaveLength(lesson.source[side].length);
+      }
+    }
+  });
+
+  it('should show the selected implementation with its markers highlighted', async () => {
+    render(<LessonPage lesson={getLesson('useeffect-redundancy')} />);
+
+    await act(async () => {
+      fireEvent.click(screen.getByRole('button', { name: /source code/i }));
+    });
+    fireEvent.click(await screen.findByRole('tab', { name: 'BadUserCard' }));
+    const panel = screen.getByRole('tabpanel');
+    const markers = [...panel.querySelectorAll('[data-marker="bad"]')].map((line) => line.textContent);
+
+    expect(markers.some((line) => line.includes('❌ BAD: Using useEffect to sync derived state'))).toBe(true);
+    expect(panel).toHaveTextContent('setFullName(`${firstName} ${lastName}`);');
+
+    fireEvent.click(screen.getByRole('button', { name: /good implementation/i }));
+    expect(await screen.findByRole('tab', { name: 'GoodUserCard' })).toBeInTheDocument();
+  });
+});
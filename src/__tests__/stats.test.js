@@ -0,0 +1,32 @@
+import { describe, it, expect } from 'vitest';
+import { summarize } from '../lib/stats';
+import { toCsv } from '../lib/download';
+
+describe('benchmark stats', () => {
+  it('should summarize samples regardless of their order', () => {
+    const summary = summarize([5, 1, 4, 2, 3]);
+
+    expect(summary).toMatchObject({ count: 5, min: 1, median: 3, max: 5, mean: 3 });
+    expect(summary.p95).toBe(5);
+  });
+
+  it('should average the middle pair for an even sample count', () => {
+    expect(summarize([1, 2, 3, 10]).median).toBe(2.5);
+  });
+
+  it('should use the nearest rank for p95', () => {
+    const samples = Array.from({ length: 20 }, (_, i) => i + 1);
+
+    expect(summarize(samples).p95).toBe(19);
+  });
+
+  it('should return zeros for an empty run', () => {
+    expect(summarize([])).toMatchObject({ count: 0, median: 0, p95: 0 });
+  });
+
+  it('should quote CSV cells that need it', () => {
+    expect(toCsv([{ lesson: 'a,b', note: 'say "hi"' }, { lesson: 'c', note: '' }])).toBe(
+      'lesson,note\n"a,b","say ""hi"""\nc,'
+    );
+  });
+});
@@ -0,0 +1,91 @@
+import { describe, it, expect, afterEach } from 'vitest';
+import { act, render, screen, fireEvent } from '@testing-library/react';
+import ThemeToggle from '../components/ThemeToggle';
+import { THEME_STORAGE_KEY, getTheme, initTheme, resolveTheme, setThemePreference } from '../lib/theme';
+
+const sources = import.meta.glob(['/src/pages/*.jsx', '/src/components/*.jsx', '/src/lessons/*.jsx'], {
+  query: '?raw',
+  import: 'default',
+  eager: true,
+});
+
+// A stand-in for window.matchMedia whose answers can be flipped, firing `change`
+const fakeMedia = (initial) => {
+  const answers = { ...initial };
+  const lists = {};
+  const matchMedia = (query) => {
+    lists[query] ??= Object.defineProperty(new EventTarget(), 'matches', { get: () => answers[query] ?? false });
+    return lists[query];
+  };
+  const set = (query, value) => {
+    answers[query] = value;
+    lists[query]?.dispatchEvent(new Event('change'));
+  };
+  return { matchMedia, set };
+};
+
+describe('theme', () => {
+  const originalMatchMedia = window.matchMedia;
+  afterEach(() => {
+    window.matchMedia = originalMatchMedia;
+  });
+
+  it('should resolve the system preference from the media queries', () => {
+    const prefers = (answers) => (query) => answers.includes(query);
+
+    expect(resolveTheme('system', prefers([]))).toBe('light');
+    expect(resolveTheme('system', prefers(['(prefers-color-scheme: dark)']))).toBe('dark');
+    expect(resolveTheme('system', prefers(['(prefers-color-scheme: dark)', '(prefers-contrast: more)']))).toBe('contrast');
+    expect(resolveTheme('light', prefers(['(prefers-color-scheme: dark)']))).toBe('light');
+  });
+
+  it('should apply and persist the theme picked in the toggle', () => {
+    render(<ThemeToggle />);
+
+    fireEvent.click(screen.getByRole('button', { name: 'Dark' }));
+
+    expect(document.documentElement).toHaveAttribute('data-theme', 'dark');
+    expect(window.localStorage.getItem(THEME_STORAGE_KEY)).toBe('dark');
+    expect(screen.getByRole('button', { name: 'Dark' })).toHaveAttribute('aria-pressed', 'true');
+    expect(screen.getByRole('button', { name: 'System' })).toHaveAttribute('aria-pressed', 'false');
+
+    fireEvent.click(screen.getByRole('button', { name: 'High contrast' }));
+    expect(document.documentElement).toHaveAttribute('data-theme', 'contrast');
+  });
+
+  it('should follow the system theme while the preference is "system"', () => {
+    const media = fakeMedia({ '(prefers-color-scheme: dark)': true });
+    window.matchMedia = media.matchMedia;
+    const stop = initTheme();
+    render(<ThemeToggle />);
+
+    expect(document.documentElement).toHaveAttribute('data-theme', 'dark');
+    expect(screen.getByText(/following the system: dark/i)).toBeInTheDocument();
+
+    act(() => media.set('(prefers-color-scheme: dark)', false));
+    expect(document.documentElement).toHaveAttribute('data-theme', 'light');
+
+    act(() => setThemePreference('dark'));
+    act(() => media.set('(prefers-color-scheme: dark)', false));
+    expect(getTheme()).toEqual({ preference: 'dark', theme: 'dark' });
+    stop();
+  });
+
+  it('should ignore an unknown theme left in localStorage', () => {
+    window.localStorage.setItem(THEME_STORAGE_KEY, 'sepia');
+    const stop = initTheme();
+
+    expect(getTheme().preference).toBe('system');
+    stop();
+  });
+
+  it('should colour every page and shared component with the semantic tokens', () => {
+    const palette =
+      /\b(?:bg|text|border|ring|outline|divide|decoration|from|via|to|fill|stroke|accent)-(?:white|black|(?:slate|gray|zinc|stone|red|rose|green|emerald|amber|yellow|orange|blue|sky|indigo)-\d+)\b/;
+    const offenders = Object.entries(sources)
+      .filter(([, source]) => palette.test(source))
+      .map(([path]) => path);
+
+    expect(offenders).toEqual([]);
+  });
+});
@@ -0,0 +1,11 @@
+import { act, render } from '@testing-library/react';
+import App from '../App';
+
+// Opens the app at a hash route, e.g. `#/index-as-key/good`, and lets the
+// lazy-loaded page and its effects settle
+export const renderAt = async (path) => {
+  window.location.hash = path;
+  await act(async () => {
+    render(<App />);
+  });
+};
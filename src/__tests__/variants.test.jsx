@@ -0,0 +1,88 @@
+import { describe, it, expect } from 'vitest';
+import { screen, fireEvent, within } from '@testing-library/react';
+import { getLesson } from '../lessons/registry';
+import { profilerId } from '../lib/renderMetrics';
+import { DEFAULT_VARIANTS, lessonVariants } from '../lib/variants';
+import { renderAt } from './utils';
+
+const toggle = () => screen.getByRole('group', { name: 'Implementation' });
+
+describe('lesson variants', () => {
+  it('should default to the Bad/Good pair and resolve the message ids of listed variants', () => {
+    expect(lessonVariants(getLesson('memoization'))).toBe(DEFAULT_VARIANTS);
+
+    const variants = lessonVariants(getLesson('index-as-key'));
+    expect(variants.map(({ id, verdict }) => [id, verdict])).toEqual([
+      ['bad', 'bad'],
+      ['random', 'bad'],
+      ['content', 'acceptable'],
+      ['good', 'best'],
+    ]);
+    expect(variants[1].label).toBe('index-as-key.variants.random.label');
+  });
+
+  it('should profile every variant under its own id', () => {
+    expect(profilerId('bad')).toBe('BadImplementation');
+    expect(profilerId('random')).toBe('RandomImplementation');
+    expect(profilerId('content-hash')).toBe('ContentHashImplementation');
+  });
+
+  it('should offer the variants in order in the segmented control, with the explanation of the one shown', async () => {
+    await renderAt('#/index-as-key/content');
+
+    expect(within(toggle()).getAllByRole('button').map((button) => button.textContent)).toEqual([
+      '❌ Index as key',
+      '❌ Math.random() key',
+      '⚠️ Content as key',
+      '✅ Stable id',
+      '⚖️ Side by Side',
+      '🧪 Playground',
+    ]);
+    expect(within(toggle()).getByRole('button', { name: 'Content as key' })).toHaveAttribute('aria-pressed', 'true');
+    expect(screen.getByText(/Content as key \(Acceptable\):/).closest('li')).toHaveTextContent(
+      /Fine while the content is unique/
+    );
+    expect(await screen.findByText(/Acceptable: Content as Key/)).toBeInTheDocument();
+
+    fireEvent.click(within(toggle()).getByRole('button', { name: 'Math.random() key' }));
+    expect(window.location.hash).toBe('#/index-as-key/random');
+    expect(await screen.findByText(/Bad Implementation: Math\.random\(\) as Key/)).toBeInTheDocument();
+  });
+
+  it('should remount the rows on every render with a random key, but not with a stable one', async () => {
+    await renderAt('#/index-as-key/random');
+    const note = await screen.findByRole('textbox', { name: 'Note for Task 1' });
+    fireEvent.change(note, { target: { value: 'a' } });
+    expect(note).not.toBeInTheDocument();
+    expect(screen.getByRole('textbox', { name: 'Note for Task 1' })).toHaveValue('a');
+
+    fireEvent.click(within(toggle()).getByRole('button', { name: 'Stable id' }));
+    const stable = await screen.findByRole('textbox', { name: 'Note for Task 1' });
+    fireEvent.change(stable, { target: { value: 'a' } });
+    expect(stable).toBeInTheDocument();
+  });
+
+  it('should show every variant side by side, with a column each in the comparison strip', async () => {
+    await renderAt('#/index-as-key/compare');
+
+    await screen.findByText(/Acceptable: Content as Key/);
+    const stage = document.querySelectorAll('[data-implementation]');
+    expect([...stage].map((element) => element.dataset.implementation)).toEqual(['bad', 'random', 'content', 'good']);
+
+    const headers = screen.getByRole('columnheader', { name: /Metric/ }).closest('tr');
+    expect(within(headers).getAllByRole('columnheader').map((header) => header.textContent)).toEqual([
+      '📊 Metric',
+      '❌ Index as key',
+      '❌ Math.random() key',
+      '⚠️ Content as key',
+      '✅ Stable id',
+    ]);
+    expect(screen.getAllByText(/\(Best\):/)).toHaveLength(1);
+  });
+
+  it('should not show a variant another lesson has', async () => {
+    await renderAt('#/memoization/random');
+
+    expect(screen.getByRole('heading', { name: 'Page Not Found' })).toBeInTheDocument();
+  });
+});
@@ -0,0 +1,217 @@
+/**
+ * Spot-the-anti-pattern snippets
+ *
+ * Each snippet is a short piece of code with one or more of the five
+ * misconceptions in it. `answers` are the offending line ranges (1-based,
+ * inclusive, counted in `code` after the leading newline is dropped); a range
+ * counts as found when any line in it is selected, and any selected line
+ * outside every range is a false positive. `lesson` links the snippet back to
+ * the lesson that explains it. A snippet's title and the explanation of each
+ * answer are in the message catalogs under `challenge.snippets.<id>`.
+ *
+ * To add one from a code review, trim the code down to the component at fault,
+ * keep anything that isn't part of the problem uncontroversial, and list the
+ * lines a reviewer should flag, with the explanations in the same order.
+ */
+
+export const snippets = [
+  {
+    id: 'todo-index-key',
+    lesson: 'index-as-key',
+    code: `
+const TodoList = ({ todos, onRemove }) => (
+  <ul>
+    {todos.map((todo, i) => (
+      <li key={i}>
+        <input type="checkbox" defaultChecked={todo.done} />
+        <input defaultValue={todo.title} />
+        <button onClick={() => onRemove(todo.id)}>Remove</button>
+      </li>
+    ))}
+  </ul>
+);`,
+    answers: [{ lines: [4, 4] }],
+  },
+  {
+    id: 'leaderboard-index-key',
+    lesson: 'index-as-key',
+    code: `
+// PlayerRow remembers whether it is expanded
+const Leaderboard = ({ players }) => {
+  const [sortBy, setSortBy] = useState('score');
+  const sorted = [...players].sort((a, b) => b[sortBy] - a[sortBy]);
+
+  return (
+    <>
+      <SortPicker value={sortBy} onChange={setSortBy} />
+      {sorted.map((player, index) => (
+        <PlayerRow key={index} player={player} />
+      ))}
+    </>
+  );
+};`,
+    answers: [{ lines: [10, 10] }],
+  },
+  {
+    id: 'cart-effect-total',
+    lesson: 'useeffect-redundancy',
+    code: `
+const Cart = ({ items }) => {
+  const [total, setTotal] = useState(0);
+  const [count, setCount] = useState(0);
+
+  useEffect(() => {
+    setTotal(items.reduce((sum, item) => sum + item.price * item.qty, 0));
+    setCount(items.length);
+  }, [items]);
+
+  return <CartSummary total={total} count={count} />;
+};`,
+    answers: [{ lines: [2, 3] }, { lines: [5, 8] }],
+  },
+  {
+    id: 'search-effect-filter',
+    lesson: 'useeffect-redundancy',
+    code: `
+const SearchResults = ({ results }) => {
+  const [query, setQuery] = useState('');
+  const [visible, setVisible] = useState(results);
+
+  useEffect(() => {
+    setVisible(results.filter((result) => result.title.includes(query)));
+  }, [results, query]);
+
+  return (
+    <>
+      <input value={query} onChange={(e) => setQuery(e.target.value)} />
+      <ResultList items={visible} />
+    </>
+  );
+};`,
+    answers: [{ lines: [3, 3] }, { lines: [5, 7] }],
+  },
+  {
+    id: 'app-context-cursor',
+    lesson: 'context-misuse',
+    code: `
+const AppContext = createContext();
+
+export const AppProvider = ({ children }) => {
+  const [user, setUser] = useState(null);
+  const [theme, setTheme] = useState('light');
+  const [cursor, setCursor] = useState({ x: 0, y: 0 });
+
+  useEffect(() => {
+    const onMove = (e) => setCursor({ x: e.clientX, y: e.clientY });
+    window.addEventListener('mousemove', onMove);
+    return () => window.removeEventListener('mousemove', onMove);
+  }, []);
+
+  return (
+    <AppContext.Provider value={{ user, setUser, theme, setTheme, cursor }}>
+      {children}
+    </AppContext.Provider>
+  );
+};`,
+    answers: [{ lines: [15, 15] }],
+  },
+  {
+    id: 'store-context-polling',
+    lesson: 'context-misuse',
+    code: `
+const StoreContext = createContext();
+
+const StoreProvider = ({ children }) => {
+  const [cart, setCart] = useState([]);
+  const [notifications, setNotifications] = useState([]);
+  usePolling('/api/notifications', 5000, setNotifications);
+
+  const value = { cart, setCart, notifications };
+  return <StoreContext.Provider value={value}>{children}</StoreContext.Provider>;
+};
+
+const CartButton = () => {
+  const { cart } = useContext(StoreContext);
+  return <button>🛒 {cart.length}</button>;
+};`,
+    answers: [{ lines: [8, 9] }],
+  },
+  {
+    id: 'product-table-filter',
+    lesson: 'fearing-rerenders',
+    code: `
+const ProductTable = ({ products }) => {
+  const [query, setQuery] = useState('');
+  const [selectedId, setSelectedId] = useState(null);
+
+  const rows = products
+    .filter((product) => product.name.toLowerCase().includes(query.toLowerCase()))
+    .sort((a, b) => a.price - b.price);
+
+  return (
+    <>
+      <input value={query} onChange={(e) => setQuery(e.target.value)} />
+      <Table rows={rows} selectedId={selectedId} onSelect={setSelectedId} />
+    </>
+  );
+};`,
+    answers: [{ lines: [5, 7] }],
+  },
+  {
+    id: 'dashboard-stats',
+    lesson: 'fearing-rerenders',
+    code: `
+const Dashboard = ({ orders }) => {
+  const [tab, setTab] = useState('summary');
+  const stats = computeStats(orders); // walks every order, ~200ms
+
+  return (
+    <Layout>
+      <Tabs value={tab} onChange={setTab} />
+      <StatsPanel stats={stats} tab={tab} />
+    </Layout>
+  );
+};`,
+    answers: [{ lines: [3, 3] }],
+  },
+  {
+    id: 'report-inline-style',
+    lesson: 'memoization',
+    code: `
+const Chart = memo(({ data, style }) => {
+  return <HeavyCanvas data={data} style={style} />;
+});
+
+const Report = ({ data }) => {
+  const [note, setNote] = useState('');
+
+  return (
+    <div>
+      <textarea value={note} onChange={(e) => setNote(e.target.value)} />
+      <Chart data={data} style={{ height: 400 }} />
+    </div>
+  );
+};`,
+    answers: [{ lines: [6, 10] }, { lines: [11, 11] }],
+  },
+  {
+    id: 'inbox-inline-handler',
+    lesson: 'memoization',
+    code: `
+const MessageList = memo(({ messages, onOpen }) => (
+  <ul>{messages.map((message) => <MessageRow key={message.id} message={message} onOpen={onOpen} />)}</ul>
+));
+
+const Inbox = ({ messages }) => {
+  const [draft, setDraft] = useState('');
+
+  return (
+    <>
+      <input value={draft} onChange={(e) => setDraft(e.target.value)} />
+      <MessageList messages={messages} onOpen={(message) => openMessage(message.id)} />
+    </>
+  );
+};`,
+    answers: [{ lines: [6, 10] }, { lines: [11, 11] }],
+  },
+];
@@ -0,0 +1,85 @@
+import React, { useEffect, useRef, useState } from 'react';
+import CodeMessage from './CodeMessage';
+import { useTranslation } from '../hooks/useLocale';
+import { captionFor, createPlayer } from '../lib/autoplay';
+import { findDemoRoot } from '../lib/guide';
+
+const buttonClass =
+  'px-3 py-1.5 rounded-lg text-sm font-medium bg-neutral-0 text-neutral-700 border border-neutral-200 hover:bg-neutral-50 disabled:opacity-50 transition-all';
+
+// Plays the lesson's autoplay script (see lib/autoplay.js) against the
+// implementation on screen, with the current beat's caption pinned to the
+// bottom of the viewport. Starting over remounts the demo through `onRestart`
+// so every run begins from the same state. Keyed by implementation, so
+// switching stops playback.
+const AutoplayPanel = ({ lessonId, script, implementation, containerRef, onRestart, delays }) => {
+  const t = useTranslation();
+  const [state, setState] = useState({ status: 'idle', beat: 0, missed: 0 });
+  const playerRef = useRef(null);
+
+  useEffect(() => {
+    const player = createPlayer({
+      script,
+      getRoot: () => findDemoRoot(containerRef.current, implementation),
+      onChange: setState,
+      delays,
+    });
+    playerRef.current = player;
+    return () => player.stop();
+  }, [script, implementation, containerRef, delays]);
+
+  const fromStart = state.status === 'idle' || state.status === 'done';
+
+  const start = (action) => {
+    if (fromStart) {
+      playerRef.current.stop();
+      onRestart();
+    }
+    playerRef.current[action]();
+  };
+
+  const beat = Math.min(state.beat, script.length - 1);
+  const progress =
+    state.status === 'idle'
+      ? [t('autoplay.idle', { count: script.length })]
+      : [t('autoplay.beat', { number: beat + 1, count: script.length })];
+  if (state.status === 'done') progress.push(t('autoplay.finished'));
+  if (state.missed > 0) progress.push(t('autoplay.missed', { count: state.missed }));
+
+  return (
+    <div className="mb-6 flex flex-wrap items-center gap-2 bg-neutral-50 border border-neutral-200 rounded-xl px-5 py-3">
+      <span className="text-sm font-semibold text-neutral-900 mr-2">{t('autoplay.title')}</span>
+      {state.status === 'playing' ? (
+        <button onClick={() => playerRef.current.pause()} className={buttonClass}>
+          {t('autoplay.pause')}
+        </button>
+      ) : (
+        <button onClick={() => start('play')} className={buttonClass}>
+          {t(state.status === 'paused' ? 'autoplay.resume' : 'autoplay.play')}
+        </button>
+      )}
+      <button onClick={() => start('step')} disabled={state.status === 'playing'} className={buttonClass}>
+        {t('autoplay.step')}
+      </button>
+      <button onClick={() => playerRef.current.stop()} disabled={state.status === 'idle'} className={buttonClass}>
+        {t('autoplay.stop')}
+      </button>
+      <span className="ml-auto text-xs text-neutral-500">
+        {progress.join(' · ')}
+      </span>
+
+      {state.status !== 'idle' && (
+        <div className="fixed inset-x-0 bottom-6 z-40 flex justify-center px-6 pointer-events-none">
+          <p
+            role="status"
+            className="max-w-3xl bg-neutral-900/90 text-neutral-0 text-lg leading-snug px-6 py-4 rounded-2xl shadow-2xl"
+          >
+            <CodeMessage id={captionFor(lessonId, beat, implementation)} />
+          </p>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default AutoplayPanel;
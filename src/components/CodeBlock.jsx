@@ -0,0 +1,69 @@
+import React, { useMemo } from 'react';
+import { tokenizeLines } from '../lib/highlight';
+import { markerFor } from '../lib/sourceSnippets';
+
+const TOKEN_CLASSES = {
+  comment: 'text-neutral-600 italic',
+  string: 'text-warning-700',
+  keyword: 'text-accent-700',
+  tag: 'text-bad-700',
+  number: 'text-warning-600',
+  plain: '',
+};
+
+const MARKER_CLASSES = {
+  bad: 'bg-bad-500/20 border-l-4 border-bad-600',
+  good: 'bg-good-500/20 border-l-4 border-good-600',
+};
+
+// A single highlighted line, for views that lay lines out themselves
+export const CodeLine = ({ text }) => {
+  const [tokens = []] = tokenizeLines(text);
+
+  return (
+    <span className="whitespace-pre">
+      {tokens.map((token, i) => (
+        <span key={i} className={TOKEN_CLASSES[token.type]}>
+          {token.text}
+        </span>
+      ))}
+    </span>
+  );
+};
+
+// Highlighted source with the original file's line numbers; lines carrying a
+// `❌ BAD` / `✅ GOOD` comment are marked.
+const CodeBlock = ({ code, startLine = 1 }) => {
+  const lines = useMemo(() => tokenizeLines(code), [code]);
+  const rawLines = code.split('\n');
+
+  return (
+    <pre data-theme="dark" className="bg-neutral-100 text-neutral-900 text-sm font-mono leading-relaxed py-4 overflow-x-auto">
+      <code className="block min-w-max">
+        {lines.map((tokens, i) => {
+          const marker = markerFor(rawLines[i]);
+          return (
+            <div
+              key={i}
+              data-marker={marker ?? undefined}
+              className={`flex pr-4 ${marker ? MARKER_CLASSES[marker] : 'border-l-4 border-transparent'}`}
+            >
+              <span className="w-12 shrink-0 pr-4 text-right text-neutral-500 select-none" aria-hidden="true">
+                {startLine + i}
+              </span>
+              <span className="whitespace-pre">
+                {tokens.map((token, j) => (
+                  <span key={j} className={TOKEN_CLASSES[token.type]}>
+                    {token.text}
+                  </span>
+                ))}
+              </span>
+            </div>
+          );
+        })}
+      </code>
+    </pre>
+  );
+};
+
+export default CodeBlock;
@@ -0,0 +1,12 @@
+import React from 'react';
+import Message from './Message';
+
+const CODE = <code className="bg-neutral-100 text-neutral-900 px-1.5 py-0.5 rounded font-mono text-xs" />;
+
+// A message whose <code> fragments show as inline code (quiz questions,
+// guided steps, captions, challenge explanations)
+const CodeMessage = ({ id, values }) => {
+  return <Message id={id} values={values} components={{ code: CODE }} />;
+};
+
+export default CodeMessage;
@@ -0,0 +1,307 @@
+import React, { useEffect, useRef, useState, useSyncExternalStore } from 'react';
+import { useFocusTrap } from '../hooks/useFocusTrap';
+import { useLocale, useTranslation } from '../hooks/useLocale';
+import { lessons } from '../lessons/registry';
+import { tools } from '../tools/registry';
+import {
+  MOD_KEY,
+  commandForKey,
+  getOverlay,
+  getRegisteredCommands,
+  rankCommands,
+  showOverlay,
+  subscribe,
+} from '../lib/commands';
+import { isEditing } from '../lib/focus';
+import { lessonTitle, translate } from '../lib/i18n';
+import { buildPath, navigate } from '../lib/router';
+import { THEMES, setThemePreference } from '../lib/theme';
+import { VERDICTS, lessonVariants } from '../lib/variants';
+
+const IMPLEMENTATION_COMMANDS = [
+  { implementation: 'bad', title: 'commands.implementations.bad', shortcut: 'b' },
+  { implementation: 'good', title: 'commands.implementations.good', shortcut: 'g' },
+  { implementation: 'compare', title: 'commands.implementations.compare', shortcut: 's' },
+  { implementation: 'playground', title: 'commands.implementations.playground' },
+];
+
+// The commands available on every page, in `locale`; the lesson ones need
+// `currentPage` to be a lesson
+const appCommands = (currentPage, locale) => {
+  const t = (id, values) => translate(locale, id, values);
+  const index = lessons.findIndex((lesson) => lesson.id === currentPage);
+  const lessonCommands = [];
+
+  if (index !== -1) {
+    const previous = lessons[index - 1];
+    const next = lessons[index + 1];
+    if (next) {
+      lessonCommands.push({
+        id: 'lesson.next',
+        title: t('commands.next', { title: lessonTitle(locale, next) }),
+        shortcut: 'n',
+        run: () => navigate(buildPath(next.id)),
+      });
+    }
+    if (previous) {
+      lessonCommands.push({
+        id: 'lesson.previous',
+        title: t('commands.previous', { title: lessonTitle(locale, previous) }),
+        shortcut: 'p',
+        run: () => navigate(buildPath(previous.id)),
+      });
+    }
+    // Variants between Bad and Good have no shortcut of their own
+    const variants = lessonVariants(lessons[index])
+      .slice(1, -1)
+      .map(({ id, verdict, label }) => ({
+        implementation: id,
+        title: `${VERDICTS[verdict].icon} ${t('commands.variant', { label: t(label) })}`,
+      }));
+    const implementations = IMPLEMENTATION_COMMANDS.map((command) => ({ ...command, title: t(command.title) }));
+    lessonCommands.push(
+      ...[implementations[0], ...variants, ...implementations.slice(1)].map(
+        ({ implementation, title, shortcut }) => ({
+          id: `implementation.${implementation}`,
+          title,
+          shortcut,
+          run: () => navigate(buildPath(currentPage, implementation)),
+        })
+      )
+    );
+  }
+
+  return [
+    ...lessonCommands.map((command) => ({ ...command, group: t('commands.groups.lesson') })),
+    ...lessons.map((lesson) => ({
+      id: `go.${lesson.id}`,
+      title: `${lesson.icon} ${lesson.number}. ${lessonTitle(locale, lesson)}`,
+      group: t('commands.groups.lessons'),
+      keywords: ['lesson', 'go to'],
+      run: () => navigate(buildPath(lesson.id)),
+    })),
+    ...tools.map((tool) => ({
+      id: `go.${tool.id}`,
+      title: `${tool.icon} ${t(tool.title)}`,
+      group: t('commands.groups.tools'),
+      run: () => navigate(`#${tool.path}`),
+    })),
+    ...THEMES.map((theme) => ({
+      id: `theme.${theme.id}`,
+      title: `${theme.icon} ${t('commands.theme', { theme: t(`theme.${theme.id}`) })}`,
+      group: t('commands.groups.theme'),
+      keywords: ['appearance', 'colours', 'colors'],
+      run: () => setThemePreference(theme.id),
+    })),
+    {
+      id: 'help.shortcuts',
+      title: t('commands.shortcuts'),
+      group: t('commands.groups.help'),
+      shortcut: '?',
+      keywords: ['keys', 'help'],
+      run: () => showOverlay('help'),
+    },
+  ];
+};
+
+const Kbd = ({ children }) => {
+  return (
+    <kbd className="inline-block min-w-6 px-1.5 py-0.5 rounded border border-neutral-300 bg-neutral-50 text-center font-mono text-xs text-neutral-700">
+      {children}
+    </kbd>
+  );
+};
+
+// `text` with the characters at `indices` marked
+const Highlighted = ({ text, indices }) => {
+  const marked = new Set(indices);
+  const nodes = [];
+  let offset = 0;
+  // By code point, so emoji stay whole; the indices count UTF-16 units
+  for (const char of text) {
+    nodes.push(
+      marked.has(offset) ? (
+        <mark key={offset} className="bg-transparent text-neutral-900 font-bold underline underline-offset-2">
+          {char}
+        </mark>
+      ) : (
+        char
+      )
+    );
+    offset += char.length;
+  }
+  return nodes;
+};
+
+const Overlay = ({ label, onClose, children }) => {
+  const ref = useRef(null);
+  useFocusTrap(ref, true, onClose);
+
+  return (
+    <div className="fixed inset-0 z-[60] flex items-start justify-center p-4 pt-[12vh] bg-neutral-950/40" onClick={onClose}>
+      <div
+        ref={ref}
+        role="dialog"
+        aria-modal="true"
+        aria-label={label}
+        onClick={(event) => event.stopPropagation()}
+        className="w-full max-w-xl bg-neutral-0 rounded-xl shadow-2xl border border-neutral-200 overflow-hidden"
+      >
+        {children}
+      </div>
+    </div>
+  );
+};
+
+const Palette = ({ commands, onClose }) => {
+  const t = useTranslation();
+  const [query, setQuery] = useState('');
+  const [active, setActive] = useState(0);
+  const results = rankCommands(commands, query);
+  const current = Math.min(active, results.length - 1);
+
+  const run = (command) => {
+    onClose();
+    command.run();
+  };
+
+  const handleKeyDown = (event) => {
+    if (results.length === 0) return;
+    if (event.key === 'ArrowDown' || event.key === 'ArrowUp') {
+      event.preventDefault();
+      const step = event.key === 'ArrowDown' ? 1 : -1;
+      setActive((current + step + results.length) % results.length);
+    } else if (event.key === 'Enter') {
+      event.preventDefault();
+      run(results[current].command);
+    }
+  };
+
+  useEffect(() => {
+    document.getElementById(`command-${current}`)?.scrollIntoView?.({ block: 'nearest' });
+  }, [current]);
+
+  return (
+    <Overlay label={t('commands.palette')} onClose={onClose}>
+      <input
+        type="text"
+        role="combobox"
+        value={query}
+        onChange={(event) => {
+          setQuery(event.target.value);
+          setActive(0);
+        }}
+        onKeyDown={handleKeyDown}
+        aria-label={t('commands.search')}
+        aria-expanded="true"
+        aria-controls="command-list"
+        aria-autocomplete="list"
+        aria-activedescendant={results.length > 0 ? `command-${current}` : undefined}
+        placeholder={t('commands.placeholder')}
+        className="w-full px-5 py-4 text-base bg-transparent text-neutral-900 border-b border-neutral-200 focus:outline-none"
+      />
+      <ul id="command-list" role="listbox" aria-label={t('sidebar.commands')} className="max-h-80 overflow-y-auto py-2">
+        {results.map(({ command, indices }, index) => (
+          <li
+            key={command.id}
+            id={`command-${index}`}
+            role="option"
+            aria-selected={index === current}
+            onClick={() => run(command)}
+            onMouseMove={() => setActive(index)}
+            className={`flex items-center gap-3 px-5 py-2.5 text-sm cursor-pointer ${
+              index === current ? 'bg-neutral-100 text-neutral-900' : 'text-neutral-700'
+            }`}
+          >
+            <span className="flex-1">
+              <Highlighted text={command.title} indices={indices} />
+            </span>
+            <span className="text-xs text-neutral-500">{command.group}</span>
+            {command.shortcut && <Kbd>{command.shortcut}</Kbd>}
+          </li>
+        ))}
+      </ul>
+      {results.length === 0 && <p className="px-5 py-6 text-sm text-neutral-500">{t('search.noResults', { query })}</p>}
+    </Overlay>
+  );
+};
+
+const ShortcutsHelp = ({ commands, onClose }) => {
+  const t = useTranslation();
+  const shortcuts = [
+    { keys: [MOD_KEY, 'K'], title: t('commands.help.open') },
+    ...commands.filter((command) => command.shortcut).map((command) => ({ keys: [command.shortcut], title: command.title })),
+    { keys: ['Esc'], title: t('commands.help.close') },
+  ];
+
+  return (
+    <Overlay label={t('sidebar.shortcuts')} onClose={onClose}>
+      <div className="flex items-center justify-between px-5 py-4 border-b border-neutral-200">
+        <h2 className="text-base font-semibold text-neutral-900">{t('commands.shortcuts')}</h2>
+        <button onClick={onClose} className="px-2 py-1 rounded-md text-sm text-neutral-500 hover:bg-neutral-100">
+          <span aria-hidden="true">✕</span>
+          <span className="sr-only">{t('commands.help.closeButton')}</span>
+        </button>
+      </div>
+      <dl className="px-5 py-4 grid grid-cols-[auto_1fr] gap-x-4 gap-y-2 text-sm">
+        {shortcuts.map(({ keys, title }) => (
+          <React.Fragment key={title}>
+            <dt className="flex gap-1">
+              {keys.map((key) => (
+                <Kbd key={key}>{key}</Kbd>
+              ))}
+            </dt>
+            <dd className="text-neutral-700">{title}</dd>
+          </React.Fragment>
+        ))}
+      </dl>
+      <p className="px-5 pb-4 text-xs text-neutral-500">
+        {t('commands.help.typing')}
+      </p>
+    </Overlay>
+  );
+};
+
+/**
+ * The command palette (Ctrl/⌘+K) and the page-wide keyboard shortcuts, with
+ * their help overlay (?). Combines the app's commands with the ones the
+ * current page registered (see lib/commands.js).
+ */
+const CommandPalette = ({ currentPage }) => {
+  const overlay = useSyncExternalStore(subscribe, getOverlay);
+  const registered = useSyncExternalStore(subscribe, getRegisteredCommands);
+  const locale = useLocale();
+  const commands = [...appCommands(currentPage, locale), ...registered];
+  const commandsRef = useRef(commands);
+  useEffect(() => {
+    commandsRef.current = commands;
+  });
+
+  useEffect(() => {
+    const onKeyDown = (event) => {
+      if ((event.ctrlKey || event.metaKey) && event.key.toLowerCase() === 'k') {
+        event.preventDefault();
+        showOverlay(getOverlay() === 'palette' ? null : 'palette');
+        return;
+      }
+      if (getOverlay() || event.defaultPrevented || event.altKey || event.ctrlKey || event.metaKey) return;
+      if (isEditing(event.target)) return;
+
+      const command = commandForKey(commandsRef.current, event.key);
+      if (!command) return;
+      event.preventDefault();
+      command.run();
+    };
+
+    window.addEventListener('keydown', onKeyDown);
+    return () => window.removeEventListener('keydown', onKeyDown);
+  }, []);
+
+  const close = () => showOverlay(null);
+
+  if (overlay === 'palette') return <Palette commands={commands} onClose={close} />;
+  if (overlay === 'help') return <ShortcutsHelp commands={commands} onClose={close} />;
+  return null;
+};
+
+export default CommandPalette;
@@ -0,0 +1,52 @@
+import React from 'react';
+import RenderStat from './RenderStat';
+import { useTranslation } from '../hooks/useLocale';
+import { profilerIds } from '../lib/renderMetrics';
+import { DEFAULT_VARIANTS, VERDICTS } from '../lib/variants';
+
+const formatMs = (value) => `${value.toFixed(2)}ms`;
+
+// Rows every lesson gets for free, from the Profiler around each implementation
+const profilerRows = (t, variants) => [
+  { label: t('comparison.commits'), ...profilerIds(variants), field: 'commits' },
+  { label: t('comparison.lastCommit'), ...profilerIds(variants), field: 'actualDuration', format: formatMs },
+  { label: t('comparison.totalRenderTime'), ...profilerIds(variants), field: 'totalActualDuration', format: formatMs },
+];
+
+// Lines up the metrics of every variant next to each other, a column each.
+// Values are written straight to the DOM, so the strip never re-renders any
+// of the implementations.
+const ComparisonStrip = ({ rows = [], variants = DEFAULT_VARIANTS }) => {
+  const t = useTranslation();
+
+  return (
+    <div className="bg-neutral-0 border border-neutral-200 rounded-xl mb-6 overflow-hidden">
+      <table className="w-full text-sm">
+        <thead className="bg-neutral-100 text-neutral-700">
+          <tr>
+            <th className="px-4 py-2 text-left font-semibold">📊 {t('comparison.metric')}</th>
+            {variants.map(({ id, verdict, short }) => (
+              <th key={id} className={`px-4 py-2 text-right font-semibold ${VERDICTS[verdict].text}`}>
+                {VERDICTS[verdict].icon} {t(short)}
+              </th>
+            ))}
+          </tr>
+        </thead>
+        <tbody>
+          {[...rows, ...profilerRows(t, variants)].map((row) => (
+            <tr key={row.label} className="border-t border-neutral-200">
+              <td className="px-4 py-2 text-neutral-700">{row.label}</td>
+              {variants.map(({ id, verdict }) => (
+                <td key={id} className={`px-4 py-2 text-right font-mono font-bold ${VERDICTS[verdict].value}`}>
+                  {row[id] ? <RenderStat id={row[id]} field={row.field} format={row.format} /> : '—'}
+                </td>
+              ))}
+            </tr>
+          ))}
+        </tbody>
+      </table>
+    </div>
+  );
+};
+
+export default ComparisonStrip;
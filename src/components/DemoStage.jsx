@@ -0,0 +1,126 @@
+import React, { useEffect, useRef, useState } from 'react';
+import RenderProfiler from './RenderProfiler';
+import SharedInputPanel from './SharedInputPanel';
+import ComparisonStrip from './ComparisonStrip';
+import InteractionRecorder from './InteractionRecorder';
+import { InputChannelContext } from '../hooks/useSharedInput';
+import { useTranslation } from '../hooks/useLocale';
+import { useVariants } from '../hooks/useVariants';
+import { createInputChannel } from '../lib/inputChannel';
+import { announce } from '../lib/announcer';
+import { getMetrics, profilerId, profilerIds } from '../lib/renderMetrics';
+
+// Interactions with the demo after which the new numbers are read out
+const INTERACTIONS = ['input', 'change', 'click'];
+
+// The comparison rows as a sentence, for the variants on screen
+const describeMetrics = (t, rows, shown) =>
+  [...rows, { label: t('comparison.commits'), ...profilerIds(shown), field: 'commits' }]
+    .map(({ label, field = 'renders', format = String, ...ids }) => {
+      const value = ({ id }) => format(getMetrics(ids[id])[field]);
+      if (shown.length === 1) return t('comparison.announceOne', { label, value: value(shown[0]) });
+      const values = shown.map((variant) => t('comparison.announceValue', { variant: t(variant.label), value: value(variant) }));
+      return t('comparison.announceMany', { label, values: values.join(', ') });
+    })
+    .join(' ');
+
+const Implementation = ({ implementation, run, children }) => {
+  return (
+    <RenderProfiler id={profilerId(implementation)}>
+      <div data-implementation={implementation} data-run={run}>
+        {children}
+      </div>
+    </RenderProfiler>
+  );
+};
+
+// Shows one variant of a lesson, or all of them at once in side-by-side mode,
+// each wrapped in a RenderProfiler. The variants are passed as props named
+// after them (`bad`, `good` and whatever else the lesson lists, see
+// lib/variants.js), and shown in the lesson's order.
+//
+// `sharedInputs` describe the controls that drive every variant in
+// side-by-side mode (see useSharedInput); `comparisons` are extra rows for
+// the comparison strip, e.g. { label, bad: 'BadUserCard', good: 'GoodUserCard' }.
+const DemoStage = ({
+  implementation,
+  sharedInputs = [],
+  comparisons = [],
+  className,
+  ...elements
+}) => {
+  const [channel] = useState(createInputChannel);
+  // While a recording is replayed, this overrides the implementation from the URL
+  const [replayTarget, setReplayTarget] = useState(null);
+  const stageRef = useRef(null);
+  const variants = useVariants().filter(({ id }) => elements[id]);
+  const t = useTranslation();
+
+  const target = replayTarget?.implementation ?? implementation;
+  const current = variants.find(({ id }) => id === target) ?? variants[0];
+  const shown = target === 'compare' ? variants : [current];
+  const describeRef = useRef(null);
+
+  useEffect(() => {
+    describeRef.current = () => describeMetrics(t, comparisons, shown);
+  });
+
+  // Screen readers hear the counts the demo shows once an interaction settles;
+  // they're read when announced, after the renders it caused
+  useEffect(() => {
+    const stage = stageRef.current;
+    const onInteraction = () => announce(() => describeRef.current(), 'metrics');
+    INTERACTIONS.forEach((type) => stage.addEventListener(type, onInteraction));
+    return () => INTERACTIONS.forEach((type) => stage.removeEventListener(type, onInteraction));
+  }, []);
+
+  const renderDemo = () => {
+    if (replayTarget) {
+      const { run } = replayTarget;
+      return (
+        <Implementation key={run} implementation={current.id} run={run}>
+          {elements[current.id]}
+        </Implementation>
+      );
+    }
+
+    if (implementation === 'compare') {
+      return (
+        <>
+          {sharedInputs.length > 0 && <SharedInputPanel inputs={sharedInputs} channel={channel} />}
+          <ComparisonStrip rows={comparisons} variants={variants} />
+          <div className="grid grid-cols-1 2xl:grid-cols-2 gap-6">
+            {variants.map(({ id }) => (
+              <Implementation key={id} implementation={id}>
+                {elements[id]}
+              </Implementation>
+            ))}
+          </div>
+        </>
+      );
+    }
+
+    return (
+      <Implementation key={current.id} implementation={current.id}>
+        {elements[current.id]}
+      </Implementation>
+    );
+  };
+
+  return (
+    <InputChannelContext.Provider value={channel}>
+      <div className={className}>
+        <InteractionRecorder
+          stageRef={stageRef}
+          channel={channel}
+          variants={variants}
+          comparisons={comparisons}
+          onReplayTargetChange={setReplayTarget}
+        />
+        <div ref={stageRef}>{renderDemo()}</div>
+      </div>
+    </InputChannelContext.Provider>
+  );
+};
+
+export default DemoStage;
@@ -0,0 +1,142 @@
+import React, { useMemo, useState } from 'react';
+import { CodeLine } from './CodeBlock';
+import Message from './Message';
+import { useTranslation } from '../hooks/useLocale';
+import { countChanges, diffLines, ignoreVerdictStyling, toSplitRows } from '../lib/diff';
+import { extractDeclarations } from '../lib/sourceSnippets';
+
+const ROW_CLASSES = {
+  same: '',
+  removed: 'bg-bad-500/20',
+  added: 'bg-good-500/20',
+};
+
+const SIGNS = { same: ' ', removed: '-', added: '+' };
+
+// The declarations on one side as numbered lines, in the order listed
+const toLines = (source, names) =>
+  extractDeclarations(source, names).flatMap(({ code, startLine }, index) => [
+    ...(index > 0 ? [{ text: '', number: null }] : []),
+    ...code.split('\n').map((text, i) => ({ text, number: startLine + i })),
+  ]);
+
+const LineNumber = ({ line }) => (
+  <span className="w-12 shrink-0 pr-3 text-right text-neutral-500 select-none" aria-hidden="true">
+    {line?.number ?? ''}
+  </span>
+);
+
+const UnifiedDiff = ({ entries }) => (
+  <code className="block min-w-max">
+    {entries.map((entry, i) => (
+      <div key={i} data-diff={entry.type} className={`flex pr-4 ${ROW_CLASSES[entry.type]}`}>
+        <LineNumber line={entry.before} />
+        <LineNumber line={entry.after} />
+        <span className="w-5 shrink-0 text-neutral-600 select-none">{SIGNS[entry.type]}</span>
+        <CodeLine text={(entry.after ?? entry.before).text} />
+      </div>
+    ))}
+  </code>
+);
+
+const SplitSide = ({ line, type }) => (
+  <div className={`flex pr-4 min-w-0 overflow-hidden ${line ? ROW_CLASSES[type] : 'bg-neutral-200/50'}`}>
+    <LineNumber line={line} />
+    {line && <CodeLine text={line.text} />}
+  </div>
+);
+
+const SplitDiff = ({ entries }) => (
+  <div className="grid grid-cols-2 divide-x divide-neutral-300">
+    {toSplitRows(entries).map((row, i) => (
+      <React.Fragment key={i}>
+        <SplitSide line={row.left} type={row.type === 'same' ? 'same' : 'removed'} />
+        <SplitSide line={row.right} type={row.type === 'same' ? 'same' : 'added'} />
+      </React.Fragment>
+    ))}
+  </div>
+);
+
+// Aligns a Bad declaration with the Good one that replaces it, so the minimal
+// fix stands out. `pairs` come from the lesson's `source.diffs`.
+const DiffView = ({ source, pairs }) => {
+  const t = useTranslation();
+  const [pairIndex, setPairIndex] = useState(0);
+  const [layout, setLayout] = useState('unified');
+  const [ignoreStyling, setIgnoreStyling] = useState(true);
+  const pair = pairs[pairIndex];
+
+  const entries = useMemo(
+    () =>
+      diffLines(
+        toLines(source, pair.bad),
+        toLines(source, pair.good),
+        ignoreStyling ? ignoreVerdictStyling : undefined
+      ),
+    [source, pair, ignoreStyling]
+  );
+  const { removed, added } = countChanges(entries);
+
+  return (
+    <>
+      <div className="flex flex-wrap items-center justify-between gap-2 px-4 py-2 bg-neutral-200">
+        <div role="tablist" aria-label={t('diff.pairs')} className="flex flex-wrap gap-1">
+          {pairs.map(({ bad, good }, i) => (
+            <button
+              key={i}
+              role="tab"
+              aria-selected={i === pairIndex}
+              onClick={() => setPairIndex(i)}
+              className={`px-3 py-1 rounded-md font-mono text-xs transition-all ${
+                i === pairIndex ? 'bg-neutral-900 text-neutral-100' : 'text-neutral-700 hover:bg-neutral-300'
+              }`}
+            >
+              {bad.join(' + ')} → {good.join(' + ')}
+            </button>
+          ))}
+        </div>
+        <div className="flex items-center gap-3 text-xs text-neutral-700">
+          <label className="flex items-center gap-1.5">
+            <input
+              type="checkbox"
+              checked={ignoreStyling}
+              onChange={(e) => setIgnoreStyling(e.target.checked)}
+            />
+            {t('diff.ignoreStyling')}
+          </label>
+          <div className="flex gap-1">
+            {['unified', 'split'].map((option) => (
+              <button
+                key={option}
+                onClick={() => setLayout(option)}
+                aria-pressed={layout === option}
+                className={`px-2 py-1 rounded-md transition-all ${
+                  layout === option ? 'bg-neutral-900 text-neutral-100' : 'hover:bg-neutral-300'
+                }`}
+              >
+                {t(`diff.layouts.${option}`)}
+              </button>
+            ))}
+          </div>
+        </div>
+      </div>
+
+      <p className="px-4 pt-3 text-xs text-neutral-600">
+        <Message
+          id={ignoreStyling ? 'diff.changesIgnoringStyling' : 'diff.changes'}
+          values={{ removed, added }}
+          components={{
+            removed: <span className="text-bad-700 font-semibold" />,
+            added: <span className="text-good-700 font-semibold" />,
+          }}
+        />
+      </p>
+
+      <pre role="tabpanel" className="text-sm font-mono leading-relaxed py-3 overflow-x-auto text-neutral-900">
+        {layout === 'unified' ? <UnifiedDiff entries={entries} /> : <SplitDiff entries={entries} />}
+      </pre>
+    </>
+  );
+};
+
+export default DiffView;
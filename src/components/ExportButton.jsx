@@ -0,0 +1,40 @@
+import React, { useState } from 'react';
+import { useTranslation } from '../hooks/useLocale';
+
+// Downloads the lesson as a standalone project (see lib/lessonExport.js,
+// loaded on first use along with the sources it packages)
+const ExportButton = ({ lesson }) => {
+  const [status, setStatus] = useState({ exporting: false, error: null });
+  const t = useTranslation();
+
+  const handleClick = async () => {
+    setStatus({ exporting: true, error: null });
+    try {
+      const { exportLesson } = await import('../lib/lessonExport');
+      await exportLesson(lesson);
+      setStatus({ exporting: false, error: null });
+    } catch (error) {
+      setStatus({ exporting: false, error });
+    }
+  };
+
+  return (
+    <>
+      {status.error && (
+        <span role="alert" className="self-center text-xs text-bad-700">
+          {t('export.failed', { message: status.error.message })}
+        </span>
+      )}
+      <button
+        onClick={handleClick}
+        disabled={status.exporting}
+        title={t('export.hint')}
+        className="px-5 py-2.5 rounded-lg font-medium transition-all text-sm bg-neutral-0 border border-neutral-300 text-neutral-700 hover:bg-neutral-50 disabled:opacity-50"
+      >
+        {status.exporting ? t('export.packaging') : t('export.button')}
+      </button>
+    </>
+  );
+};
+
+export default ExportButton;
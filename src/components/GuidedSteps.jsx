@@ -0,0 +1,81 @@
+import React, { useEffect, useState } from 'react';
+import CodeMessage from './CodeMessage';
+import { useTranslation } from '../hooks/useLocale';
+import { advanceGuide, findDemoRoot, highlightTarget, observeDemo } from '../lib/guide';
+
+const stepClass = (state) => {
+  if (state === 'done') return 'text-neutral-500 line-through decoration-neutral-300';
+  if (state === 'current') return 'text-neutral-900 font-semibold';
+  return 'text-neutral-400';
+};
+
+const STEP_ICONS = { done: '✅', current: '👉', upcoming: '○' };
+
+// Walks the learner through a demo (see lib/guide.js). Steps tick themselves
+// off by watching the demo inside `containerRef`, and the control the current
+// step needs is highlighted. Keyed by implementation, so switching starts over.
+const GuidedSteps = ({ lessonId, steps, implementation, containerRef }) => {
+  const t = useTranslation();
+  const [current, setCurrent] = useState(0);
+  const finished = current >= steps.length - 1;
+  const conclusion = `${lessonId}.guide.${implementation}`;
+
+  useEffect(() => {
+    const container = containerRef.current;
+    const step = steps[current];
+
+    const update = () => {
+      const root = findDemoRoot(container, implementation);
+      if (!root) return;
+      const next = advanceGuide(steps, current, root);
+      if (next !== current) setCurrent(next);
+      else highlightTarget(container, root, step);
+    };
+
+    const stop = observeDemo(container, update);
+    return () => {
+      stop();
+      highlightTarget(container, null, null);
+    };
+  }, [steps, current, implementation, containerRef]);
+
+  const stateOf = (index) => {
+    if (index < current) return 'done';
+    return index === current ? 'current' : 'upcoming';
+  };
+
+  return (
+    <section className="mb-6 bg-warning-50 border border-warning-200 rounded-xl p-5" aria-labelledby="guide-heading">
+      <h2 id="guide-heading" className="text-sm font-bold text-warning-900 uppercase tracking-wider mb-3">
+        {t('guide.title')}
+      </h2>
+
+      <ol className="space-y-1.5 text-sm" aria-live="polite">
+        {steps.slice(0, -1).map((step, index) => (
+          <li key={step.id} className={`flex gap-2 ${stepClass(stateOf(index))}`} aria-current={index === current ? 'step' : undefined}>
+            <span aria-hidden="true" className="w-5 shrink-0 text-center">
+              {STEP_ICONS[stateOf(index)]}
+            </span>
+            <span>
+              <CodeMessage id={`${lessonId}.guide.steps.${step.id}`} />
+              {index < current && <span className="sr-only"> {t('guide.done')}</span>}
+            </span>
+          </li>
+        ))}
+      </ol>
+
+      {finished && (
+        <div className="mt-4 p-4 bg-neutral-0 border border-warning-200 rounded-lg text-sm text-neutral-800" role="status">
+          <p className="font-semibold mb-1">
+            <CodeMessage id={`${conclusion}.title`} />
+          </p>
+          <p>
+            <CodeMessage id={`${conclusion}.explanation`} />
+          </p>
+        </div>
+      )}
+    </section>
+  );
+};
+
+export default GuidedSteps;
@@ -0,0 +1,151 @@
+import React, { useEffect, useRef, useState } from 'react';
+import { useTranslation } from '../hooks/useLocale';
+import { measureReplay, startRecording, waitForElement } from '../lib/interactions';
+import { profilerId } from '../lib/renderMetrics';
+import { VERDICTS } from '../lib/variants';
+
+const formatMs = (value) => `${value.toFixed(2)}ms`;
+
+// One row per metric, with a value per run (a run per variant)
+const ReplayResults = ({ runs, comparisons }) => {
+  const t = useTranslation();
+  const rows = [
+    ...comparisons.map((row) => ({
+      label: row.label,
+      values: runs.map(({ variant, metrics }) => metrics[row[variant.id]]?.[row.field ?? 'renders']),
+      format: row.format,
+    })),
+    { label: t('recorder.commits'), values: runs.map(({ variant, metrics }) => metrics[profilerId(variant.id)].commits) },
+    {
+      label: t('recorder.renderTime'),
+      values: runs.map(({ variant, metrics }) => metrics[profilerId(variant.id)].totalActualDuration),
+      format: formatMs,
+    },
+    { label: t('recorder.elapsed'), values: runs.map((run) => run.elapsed), format: formatMs },
+    { label: t('recorder.missed'), values: runs.map((run) => run.missed) },
+  ];
+
+  return (
+    <div className="mt-4 bg-neutral-0 border border-neutral-200 rounded-xl overflow-hidden">
+      <table className="w-full text-sm">
+        <thead className="bg-neutral-100 text-neutral-700">
+          <tr>
+            <th className="px-4 py-2 text-left font-semibold">{t('recorder.result')}</th>
+            {runs.map(({ variant }) => (
+              <th key={variant.id} className={`px-4 py-2 text-right font-semibold ${VERDICTS[variant.verdict].text}`}>
+                {VERDICTS[variant.verdict].icon} {t(variant.short)}
+              </th>
+            ))}
+          </tr>
+        </thead>
+        <tbody>
+          {rows.map(({ label, values, format = String }) => (
+            <tr key={label} className="border-t border-neutral-200">
+              <td className="px-4 py-2 text-neutral-700">{label}</td>
+              {values.map((value, i) => (
+                <td
+                  key={runs[i].variant.id}
+                  className={`px-4 py-2 text-right font-mono font-bold ${VERDICTS[runs[i].variant.verdict].value}`}
+                >
+                  {value === undefined ? '—' : format(value)}
+                </td>
+              ))}
+            </tr>
+          ))}
+        </tbody>
+      </table>
+    </div>
+  );
+};
+
+// Records what the learner does in the demo, then replays the exact same
+// steps against a fresh mount of every variant and compares the runs.
+const InteractionRecorder = ({ stageRef, channel, variants, comparisons, onReplayTargetChange }) => {
+  const t = useTranslation();
+  const [status, setStatus] = useState('idle');
+  const [steps, setSteps] = useState([]);
+  const [runs, setRuns] = useState(null);
+  const [error, setError] = useState(null);
+  const runIdRef = useRef(0);
+
+  useEffect(() => {
+    if (status !== 'recording') return undefined;
+    return startRecording(stageRef.current, (step) => setSteps((prev) => [...prev, step]));
+  }, [status, stageRef]);
+
+  const startNewRecording = () => {
+    setSteps([]);
+    setRuns(null);
+    setError(null);
+    setStatus('recording');
+  };
+
+  // A replay can fail halfway, e.g. when the demo is unmounted under it; the
+  // stage always goes back to the implementation from the URL
+  const replay = async () => {
+    setStatus('replaying');
+    setError(null);
+    const results = [];
+
+    try {
+      for (const variant of variants) {
+        runIdRef.current += 1;
+        const run = runIdRef.current;
+        onReplayTargetChange({ implementation: variant.id, run });
+
+        const root = await waitForElement(() => stageRef.current?.querySelector(`[data-run="${run}"]`));
+        const ids = [profilerId(variant.id), ...comparisons.map((row) => row[variant.id]).filter(Boolean)];
+        results.push({ variant, ...(await measureReplay(root, steps, channel, ids)) });
+      }
+      setRuns(results);
+    } catch (replayError) {
+      setError(replayError.message);
+    } finally {
+      onReplayTargetChange(null);
+      setStatus('idle');
+    }
+  };
+
+  return (
+    <div className="mb-6">
+      <div className="flex flex-wrap items-center gap-2 text-sm">
+        {status === 'recording' ? (
+          <button
+            onClick={() => setStatus('idle')}
+            className="px-4 py-2 rounded-lg font-medium bg-bad-600 text-neutral-0 shadow-sm hover:bg-bad-700 transition-all"
+          >
+            {t('recorder.stop')}
+          </button>
+        ) : (
+          <button
+            onClick={startNewRecording}
+            disabled={status === 'replaying'}
+            className="px-4 py-2 rounded-lg font-medium bg-neutral-100 text-neutral-700 hover:bg-neutral-200 disabled:opacity-50 transition-all"
+          >
+            {t('recorder.record')}
+          </button>
+        )}
+        <button
+          onClick={replay}
+          disabled={status !== 'idle' || steps.length === 0}
+          className="px-4 py-2 rounded-lg font-medium bg-neutral-900 text-neutral-0 shadow-sm hover:bg-neutral-800 disabled:opacity-50 transition-all"
+        >
+          {t(status === 'replaying' ? 'recorder.replaying' : `recorder.${variants.length > 2 ? 'replayAll' : 'replayBoth'}`)}
+        </button>
+        <span className="text-neutral-500">
+          {status === 'recording' && '🔴 '}
+          {t(steps.length === 1 ? 'recorder.recordedOne' : 'recorder.recordedMany', { count: steps.length })}
+        </span>
+      </div>
+
+      {error && (
+        <p role="alert" className="mt-4 rounded-lg p-4 text-sm border bg-bad-50 border-bad-200 text-bad-900">
+          <strong className="font-semibold">{t('recorder.stopped')}</strong> {error}
+        </p>
+      )}
+      {runs && <ReplayResults runs={runs} comparisons={comparisons} />}
+    </div>
+  );
+};
+
+export default InteractionRecorder;
@@ -1,12 +1,15 @@
 import React from 'react';
+import { useTranslation } from '../hooks/useLocale';
+
+const KeyTakeaway = ({ id, children }) => {
+  const t = useTranslation();
 
-const KeyTakeaway = ({ children }) => {
   return (
-    <div className="mt-8 bg-slate-900 border border-slate-800 p-6 rounded-xl">
-      <h3 className="text-base font-semibold text-white mb-3 flex items-center gap-2">
-        <span className="text-xl">📚</span> Key Takeaway
-      </h3>
-      <div className="text-slate-300 leading-relaxed space-y-2">
+    <div id={id} data-theme="dark" className="mt-8 bg-neutral-100 border border-neutral-200 p-6 rounded-xl">
+      <h2 className="text-base font-semibold text-neutral-950 mb-3 flex items-center gap-2">
+        <span className="text-xl">📚</span> {t('takeaway.title')}
+      </h2>
+      <div className="text-neutral-700 leading-relaxed space-y-2">
         {children}
       </div>
     </div>
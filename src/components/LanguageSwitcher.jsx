@@ -0,0 +1,32 @@
+import React from 'react';
+import { useLocale, useTranslation } from '../hooks/useLocale';
+import { LOCALES, setLocale } from '../lib/i18n';
+
+// Picks the language of the lessons and the app around them; each option is
+// named in its own language, so it can be found from any of them
+const LanguageSwitcher = () => {
+  const locale = useLocale();
+  const t = useTranslation();
+
+  return (
+    <div className="mb-4 flex items-center gap-2">
+      <label htmlFor="language" className="text-xs font-semibold text-neutral-500">
+        <span aria-hidden="true">🌐</span> {t('sidebar.language')}
+      </label>
+      <select
+        id="language"
+        value={locale}
+        onChange={(event) => setLocale(event.target.value)}
+        className="flex-1 px-2 py-1.5 rounded-lg text-sm bg-neutral-0 text-neutral-900 border border-neutral-200"
+      >
+        {LOCALES.map(({ id, label }) => (
+          <option key={id} value={id} lang={id}>
+            {label}
+          </option>
+        ))}
+      </select>
+    </div>
+  );
+};
+
+export default LanguageSwitcher;
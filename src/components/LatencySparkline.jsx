@@ -0,0 +1,80 @@
+import React from 'react';
+import { useLatencyRef } from '../hooks/useInputLatency';
+import { useTranslation } from '../hooks/useLocale';
+import Message from './Message';
+import { SPARKLINE_SAMPLES, rateLatency } from '../lib/inputLatency';
+
+const WIDTH = 120;
+const HEIGHT = 32;
+
+const RATING_CLASSES = {
+  good: 'font-bold text-good-700',
+  'needs-improvement': 'font-bold text-warning-700',
+  poor: 'font-bold text-bad-700',
+};
+
+const formatMs = (duration) => (duration === null ? '—' : `${Math.round(duration)}ms`);
+
+// Scaled to the slowest visible keystroke, but never flatter than 100ms so a
+// run of fast keystrokes doesn't look like a spiky one
+const sparklinePath = (samples) => {
+  const visible = samples.slice(-SPARKLINE_SAMPLES);
+  const max = Math.max(100, ...visible.map((sample) => sample.duration));
+  const step = WIDTH / (SPARKLINE_SAMPLES - 1);
+
+  return visible
+    .map((sample, i) => {
+      const y = HEIGHT - (sample.duration / max) * HEIGHT;
+      return `${i === 0 ? 'M' : 'L'}${(i * step).toFixed(1)},${y.toFixed(1)}`;
+    })
+    .join(' ');
+};
+
+// Live keystroke-to-paint latency for the inputs observed under `id`. Like the
+// render stats, it's drawn straight into the DOM so measuring doesn't render.
+const LatencySparkline = ({ id, className = '' }) => {
+  const t = useTranslation();
+  const pathRef = useLatencyRef(id, (element, { samples }) => {
+    element.setAttribute('d', sparklinePath(samples));
+  });
+  const lastRef = useLatencyRef(id, (element, { last }) => {
+    element.textContent = formatMs(last?.duration ?? null);
+  });
+  const inpRef = useLatencyRef(id, (element, { inp }) => {
+    element.textContent = formatMs(inp);
+    element.className = inp === null ? 'font-bold' : RATING_CLASSES[rateLatency(inp)];
+  });
+  const sourceRef = useLatencyRef(id, (element, { last }) => {
+    element.textContent = last
+      ? t(last.source === 'event-timing' ? 'latency.eventTiming' : 'latency.animationFrame')
+      : t('latency.idle');
+  });
+
+  return (
+    <div className={`bg-neutral-50 border border-neutral-200 rounded-lg px-3 py-2 ${className}`}>
+      <div className="flex items-center justify-between text-xs text-neutral-700 mb-1">
+        <span className="font-semibold">{t('latency.title')}</span>
+        <span>
+          <Message
+            id="latency.values"
+            values={{
+              last: <span ref={lastRef} className="font-bold" />,
+              inp: <span ref={inpRef} className="font-bold" />,
+            }}
+          />
+        </span>
+      </div>
+      <svg
+        viewBox={`0 0 ${WIDTH} ${HEIGHT}`}
+        preserveAspectRatio="none"
+        className="w-full h-8 text-neutral-500"
+        aria-hidden="true"
+      >
+        <path ref={pathRef} fill="none" stroke="currentColor" strokeWidth="1.5" vectorEffect="non-scaling-stroke" />
+      </svg>
+      <p ref={sourceRef} className="text-[10px] text-neutral-500" />
+    </div>
+  );
+};
+
+export default LatencySparkline;
@@ -1,15 +1,48 @@
-import React from 'react';
+import React, { useState } from 'react';
 import Sidebar from './Sidebar';
+import CommandPalette from './CommandPalette';
+import LiveRegion from './LiveRegion';
+import { useTranslation } from '../hooks/useLocale';
+import { useMediaQuery } from '../hooks/useMediaQuery';
+
+// Tailwind's `lg` breakpoint: narrower than this, the sidebar becomes a drawer
+const WIDE_SCREEN = '(min-width: 64rem)';
+
+const Layout = ({ children, currentPage }) => {
+  const [isNavOpen, setNavOpen] = useState(false);
+  const isWide = useMediaQuery(WIDE_SCREEN, true);
+  const drawerOpen = isNavOpen && !isWide;
+  const closeNav = () => setNavOpen(false);
+  const t = useTranslation();
 
-const Layout = ({ children, currentPage, onPageChange }) => {
   return (
-    <div className="flex min-h-screen bg-white">
-      <Sidebar currentPage={currentPage} onPageChange={onPageChange} />
-      <main className="ml-72 flex-1 p-12">
+    <div className="min-h-screen bg-neutral-0 lg:flex">
+      <header className="lg:hidden sticky top-0 z-30 flex items-center gap-3 px-4 py-2 bg-neutral-50 border-b border-neutral-200">
+        <button
+          onClick={() => setNavOpen(true)}
+          aria-expanded={drawerOpen}
+          aria-controls="app-navigation"
+          className="min-w-11 min-h-11 rounded-lg text-xl text-neutral-900 hover:bg-neutral-100 touch-manipulation"
+        >
+          <span aria-hidden="true">☰</span>
+          <span className="sr-only">{t('sidebar.openNavigation')}</span>
+        </button>
+        <p className="font-bold text-neutral-900 tracking-tight">{t('sidebar.title')}</p>
+      </header>
+
+      {drawerOpen && (
+        <div className="lg:hidden fixed inset-0 z-40 bg-neutral-950/40" onClick={closeNav} aria-hidden="true" />
+      )}
+      <Sidebar currentPage={currentPage} drawer={!isWide} open={drawerOpen} onClose={closeNav} />
+
+      <main className="lg:ml-72 flex-1 min-w-0 p-4 sm:p-8 lg:p-12">
         <div className="max-w-6xl mx-auto">
           {children}
         </div>
       </main>
+
+      <CommandPalette currentPage={currentPage} />
+      <LiveRegion />
     </div>
   );
 };
@@ -0,0 +1,172 @@
+import React, { Suspense, useEffect, useMemo, useRef, useState } from 'react';
+import PageHeader from './PageHeader';
+import KeyTakeaway from './KeyTakeaway';
+import SourcePanel from './SourcePanel';
+import Playground from './Playground';
+import ExportButton from './ExportButton';
+import Quiz from './Quiz';
+import GuidedSteps from './GuidedSteps';
+import AutoplayPanel from './AutoplayPanel';
+import { useRegisterCommands } from '../hooks/useCommands';
+import { useLocale, useTranslation } from '../hooks/useLocale';
+import { useImplementation } from '../hooks/useRoute';
+import { VariantsContext } from '../hooks/useVariants';
+import { focusSection } from '../lib/focus';
+import { lessonTitle } from '../lib/i18n';
+import { markViewed, markVisited, recordDemoStep } from '../lib/progress';
+import { SLIDES, VIEWS, buildPresentationPath } from '../lib/presentation';
+import { navigate } from '../lib/router';
+import { lessonVariants } from '../lib/variants';
+
+export const LessonFallback = () => {
+  const t = useTranslation();
+
+  return (
+    <div className="bg-neutral-50 rounded-2xl border border-neutral-200 p-8 motion-safe:animate-pulse">
+      <div className="h-6 w-1/3 bg-neutral-200 rounded mb-4" />
+      <div className="h-4 w-2/3 bg-neutral-200 rounded mb-2" />
+      <div className="h-4 w-1/2 bg-neutral-200 rounded" />
+      <p className="sr-only">{t('lesson.loading')}</p>
+    </div>
+  );
+};
+
+// Typing into the demo or using one of its controls counts towards progress
+const isDemoStep = (event) => event.type === 'input' || event.target.closest?.('button, input, select, a') != null;
+
+// Parts of the page the command palette can jump to
+const sectionsOf = (lesson, implementation) =>
+  [
+    { id: 'lesson-demo', title: implementation === 'playground' ? 'commands.sections.playground' : 'commands.sections.demo' },
+    lesson.source && implementation !== 'playground' && { id: 'lesson-source', title: 'commands.sections.source' },
+    { id: 'lesson-takeaway', title: 'commands.sections.takeaway' },
+    lesson.quiz && { id: 'lesson-quiz', title: 'commands.sections.quiz' },
+  ].filter(Boolean);
+
+// Renders a registered lesson: header and takeaway come from the registry,
+// the demo itself is the lazily loaded page component (with the lesson's
+// autoplay controls and guided walkthrough above it, if it has them), or the
+// playground (which shows the source in its own editor).
+const LessonPage = ({ lesson }) => {
+  const [implementation, setImplementation] = useImplementation(lesson.id);
+  const { Component } = lesson;
+  const variants = useMemo(() => lessonVariants(lesson), [lesson]);
+  const demoRef = useRef(null);
+  // Bumped to remount the demo, so autoplay always starts from a fresh one
+  const [demoRun, setDemoRun] = useState(0);
+  const guide = lesson.guide?.[implementation];
+  const canAutoplay = lesson.autoplay && (implementation === 'bad' || implementation === 'good');
+  const locale = useLocale();
+  const t = useTranslation();
+
+  useEffect(() => {
+    markVisited(lesson.id);
+    markViewed(lesson.id, implementation);
+  }, [lesson.id, implementation]);
+
+  const commands = useMemo(
+    () => [
+      ...(implementation === 'playground'
+        ? []
+        : [
+            {
+              id: 'demo.reset',
+              title: t('commands.reset'),
+              group: t('commands.groups.lesson'),
+              shortcut: 'r',
+              keywords: ['restart', 'clear', 'counters'],
+              run: () => setDemoRun((run) => run + 1),
+            },
+          ]),
+      {
+        id: 'lesson.present',
+        title: t('commands.present'),
+        group: t('commands.groups.lesson'),
+        keywords: ['slides', 'workshop'],
+        run: () => navigate(buildPresentationPath(VIEWS.slides, { lessonId: lesson.id, slide: SLIDES[0].id })),
+      },
+      ...sectionsOf(lesson, implementation).map(({ id, title }) => ({
+        id: `section.${id}`,
+        title: t(title),
+        group: t('commands.groups.sections'),
+        run: () => focusSection(id),
+      })),
+    ],
+    [lesson, implementation, t]
+  );
+  useRegisterCommands(commands);
+
+  const trackStep = (event) => {
+    if (isDemoStep(event)) recordDemoStep(lesson.id);
+  };
+
+  return (
+    <div>
+      <PageHeader
+        id="lesson-header"
+        title={t('lesson.title', { number: lesson.number, title: lessonTitle(locale, lesson) })}
+        description={lesson.description}
+        variants={variants}
+        implementation={implementation}
+        onChange={setImplementation}
+        actions={
+          <>
+            <a
+              href={buildPresentationPath(VIEWS.slides, { lessonId: lesson.id, slide: SLIDES[0].id })}
+              onClick={() => document.documentElement.requestFullscreen?.()}
+              className="px-4 py-2.5 rounded-lg font-medium text-sm bg-neutral-100 text-neutral-700 hover:bg-neutral-200 transition-all"
+            >
+              🎤 {t('lesson.present')}
+            </a>
+            {lesson.source && <ExportButton lesson={lesson} />}
+          </>
+        }
+      />
+
+      <div id="lesson-demo">
+        {implementation === 'playground' ? (
+          <Playground lesson={lesson} />
+        ) : (
+          <>
+            {canAutoplay && (
+              <AutoplayPanel
+                key={implementation}
+                lessonId={lesson.id}
+                script={lesson.autoplay}
+                implementation={implementation}
+                containerRef={demoRef}
+                onRestart={() => setDemoRun((run) => run + 1)}
+              />
+            )}
+
+            {guide && (
+              <GuidedSteps
+                key={`${implementation}-${demoRun}`}
+                lessonId={lesson.id}
+                steps={guide}
+                implementation={implementation}
+                containerRef={demoRef}
+              />
+            )}
+
+            <div ref={demoRef} onInputCapture={trackStep} onClickCapture={trackStep}>
+              <Suspense fallback={<LessonFallback />}>
+                <VariantsContext.Provider value={variants}>
+                  <Component key={demoRun} implementation={implementation} />
+                </VariantsContext.Provider>
+              </Suspense>
+            </div>
+
+            <SourcePanel lesson={lesson} variants={variants} implementation={implementation} />
+          </>
+        )}
+      </div>
+
+      <KeyTakeaway id="lesson-takeaway">{lesson.takeaway}</KeyTakeaway>
+
+      {lesson.quiz && <Quiz key={lesson.id} lesson={lesson} />}
+    </div>
+  );
+};
+
+export default LessonPage;
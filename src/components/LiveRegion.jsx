@@ -0,0 +1,16 @@
+import React, { useSyncExternalStore } from 'react';
+import { getAnnouncement, subscribe } from '../lib/announcer';
+
+// Reads out what announce() queues. Rendered once, in the layout, so it is in
+// the page before anything is announced.
+const LiveRegion = () => {
+  const announcement = useSyncExternalStore(subscribe, getAnnouncement);
+
+  return (
+    <div role="status" aria-live="polite" aria-atomic="true" className="sr-only">
+      {announcement}
+    </div>
+  );
+};
+
+export default LiveRegion;
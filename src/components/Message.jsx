@@ -0,0 +1,34 @@
+import React, { Fragment, cloneElement } from 'react';
+import { useLocale } from '../hooks/useLocale';
+import { getMessage } from '../lib/i18n';
+import { parseMessage } from '../lib/messages';
+
+// What a message's tags render as unless `components` says otherwise
+const DEFAULT_COMPONENTS = {
+  strong: <strong />,
+  em: <em />,
+  code: <code />,
+  p: <p />,
+  li: <li />,
+};
+
+const renderNodes = (nodes, values, components) =>
+  nodes.map((node, i) => {
+    if (typeof node === 'string') return node;
+    if ('value' in node) return <Fragment key={i}>{values[node.value]}</Fragment>;
+    const element = components[node.tag] ?? DEFAULT_COMPONENTS[node.tag] ?? <Fragment />;
+    return cloneElement(element, { key: i }, ...renderNodes(node.children, values, components));
+  });
+
+/**
+ * A message from the current language's catalog (see lib/messages.js).
+ * `values` fill its placeholders and may be elements, e.g. a live counter;
+ * `components` are the elements its tags become, e.g.
+ * `{ code: <code className="..." /> }`.
+ */
+const Message = ({ id, values = {}, components = {} }) => {
+  const locale = useLocale();
+  return renderNodes(parseMessage(getMessage(locale, id)), values, components);
+};
+
+export default Message;
@@ -1,37 +1,110 @@
 import React from 'react';
+import Message from './Message';
+import { useTranslation } from '../hooks/useLocale';
+import { DEFAULT_VARIANTS, VERDICTS } from '../lib/variants';
+
+// The views every lesson offers after its variants
+const VIEWS = [
+  { id: 'compare', icon: '⚖️', selected: 'bg-neutral-900 text-neutral-0 shadow-sm' },
+  { id: 'playground', icon: '🧪', selected: 'bg-accent-600 text-neutral-0 shadow-sm' },
+];
+
+const NEXT_KEYS = { ArrowRight: 1, ArrowDown: 1, ArrowLeft: -1, ArrowUp: -1 };
+
+const explanationCode = 'bg-neutral-200 text-neutral-900 px-1 rounded font-mono text-xs';
+
+// The verdict and explanation of the variants on screen, if they have one
+const Explanations = ({ variants }) => {
+  const t = useTranslation();
+  if (!variants.some(({ explanation }) => explanation)) return null;
 
-const PageHeader = ({ title, description, showGood, onToggle }) => {
   return (
-    <div className="mb-10">
-      <h1 className="text-4xl font-bold text-slate-900 mb-3 tracking-tight">
+    <ul className="mt-4 space-y-2 text-sm text-neutral-700">
+      {variants.map(({ id, verdict, label, explanation }) => (
+        <li key={id}>
+          <strong className={VERDICTS[verdict].text}>
+            <span aria-hidden="true">{VERDICTS[verdict].icon}</span> {t(label)} ({t(`common.verdicts.${verdict}`)}):
+          </strong>{' '}
+          <Message id={explanation} components={{ code: <code className={explanationCode} /> }} />
+        </li>
+      ))}
+    </ul>
+  );
+};
+
+// A segmented control with the lesson's variants, from the anti-pattern to the
+// fix (see lib/variants.js), and the side-by-side and playground views. It has
+// one tab stop: the arrow keys (and Home/End) move between the segments and
+// switch the view.
+const PageHeader = ({
+  id,
+  title,
+  description,
+  variants = DEFAULT_VARIANTS,
+  implementation,
+  onChange,
+  playground = true,
+  actions,
+}) => {
+  const t = useTranslation();
+  const views = [
+    ...variants.map((variant) => ({ ...variant, ...VERDICTS[variant.verdict] })),
+    ...VIEWS.filter((view) => playground || view.id !== 'playground').map((view) => ({
+      ...view,
+      label: `common.implementations.${view.id}`,
+    })),
+  ];
+  const current = Math.max(
+    views.findIndex((view) => view.id === implementation),
+    0
+  );
+  const explained = implementation === 'compare' ? variants : variants.filter((variant) => variant.id === implementation);
+
+  const handleKeyDown = (event) => {
+    let next;
+    if (event.key in NEXT_KEYS) next = (current + NEXT_KEYS[event.key] + views.length) % views.length;
+    else if (event.key === 'Home') next = 0;
+    else if (event.key === 'End') next = views.length - 1;
+    else return;
+
+    event.preventDefault();
+    onChange(views[next].id);
+    event.currentTarget.querySelectorAll('button')[next].focus();
+  };
+
+  return (
+    <div id={id} className="mb-10">
+      <h1 className="text-3xl sm:text-4xl font-bold text-neutral-900 mb-3 tracking-tight">
         {title}
       </h1>
-      <p className="text-lg text-slate-600 mb-8 leading-relaxed">
+      <p className="text-base sm:text-lg text-neutral-600 mb-8 leading-relaxed">
         {description}
       </p>
 
-      <div className="flex gap-2">
-        <button
-          onClick={() => onToggle(false)}
-          className={`px-5 py-2.5 rounded-lg font-medium transition-all text-sm ${
-            !showGood
-              ? 'bg-rose-600 text-white shadow-sm'
-              : 'bg-slate-100 text-slate-700 hover:bg-slate-200'
-          }`}
-        >
-          ❌ Bad Implementation
-        </button>
-        <button
-          onClick={() => onToggle(true)}
-          className={`px-5 py-2.5 rounded-lg font-medium transition-all text-sm ${
-            showGood
-              ? 'bg-emerald-600 text-white shadow-sm'
-              : 'bg-slate-100 text-slate-700 hover:bg-slate-200'
-          }`}
+      <div className="flex flex-wrap gap-2">
+        <div
+          role="group"
+          aria-label={t('common.implementations.label')}
+          onKeyDown={handleKeyDown}
+          className="flex flex-wrap gap-2"
         >
-          ✅ Good Implementation
-        </button>
+          {views.map((view, i) => (
+            <button
+              key={view.id}
+              onClick={() => onChange(view.id)}
+              aria-pressed={view.id === implementation}
+              tabIndex={i === current ? 0 : -1}
+              className={`px-5 py-2.5 rounded-lg font-medium transition-all motion-reduce:transition-none text-sm ${
+                view.id === implementation ? view.selected : 'bg-neutral-100 text-neutral-700 hover:bg-neutral-200'
+              }`}
+            >
+              <span aria-hidden="true">{view.icon}</span> {t(view.label)}
+            </button>
+          ))}
+        </div>
+        {actions && <div className="ml-auto flex gap-2">{actions}</div>}
       </div>
+      <Explanations variants={explained} />
     </div>
   );
 };
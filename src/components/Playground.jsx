@@ -0,0 +1,329 @@
+import React, {
+  Component,
+  Suspense,
+  createContext,
+  memo,
+  use,
+  useCallback,
+  useContext,
+  useEffect,
+  useId,
+  useLayoutEffect,
+  useMemo,
+  useReducer,
+  useRef,
+  useState,
+} from 'react';
+import { createPortal } from 'react-dom';
+import RenderStat from './RenderStat';
+import RenderFlash from './RenderFlash';
+import LatencySparkline from './LatencySparkline';
+import Message from './Message';
+import { useCalculationTracker, useMetricsRef, useRenderTracker } from '../hooks/useRenderMetrics';
+import { useInputLatency } from '../hooks/useInputLatency';
+import { useSharedInput } from '../hooks/useSharedInput';
+import { useSettings } from '../hooks/useSettings';
+import { useLocale, useTranslation } from '../hooks/useLocale';
+import { useTheme } from '../hooks/useTheme';
+import { busyWait, simulateWork } from '../lib/workload';
+import { compileComponent } from '../lib/jsx';
+import { loadSource } from '../lib/lessonSource';
+import { extractDeclarations } from '../lib/sourceSnippets';
+import { measureReplay, settle, waitForElement } from '../lib/interactions';
+import { snapshotMetrics } from '../lib/renderMetrics';
+
+// Everything the lesson pages import, available to playground code by name.
+// The render counters are the real ones, so the check reads the same
+// metrics the demos report.
+const SCOPE = {
+  React,
+  useState,
+  useEffect,
+  useId,
+  useLayoutEffect,
+  useMemo,
+  useCallback,
+  useRef,
+  useReducer,
+  useContext,
+  createContext,
+  memo,
+  useRenderTracker,
+  useCalculationTracker,
+  useMetricsRef,
+  useInputLatency,
+  useSharedInput,
+  useSettings,
+  useLocale,
+  useTranslation,
+  busyWait,
+  simulateWork,
+  RenderStat,
+  RenderFlash,
+  LatencySparkline,
+  Message,
+};
+
+const compile = (code, entry) => {
+  try {
+    return { Component: compileComponent(code, SCOPE, entry), error: null };
+  } catch (error) {
+    return { Component: null, error };
+  }
+};
+
+class ErrorBoundary extends Component {
+  state = { error: null };
+
+  static getDerivedStateFromError(error) {
+    return { error };
+  }
+
+  render() {
+    if (this.state.error) {
+      return <ErrorMessage title={<Message id="playground.renderError" />} error={this.state.error} />;
+    }
+    return this.props.children;
+  }
+}
+
+const ErrorMessage = ({ title, error }) => {
+  return (
+    <div role="alert" className="bg-bad-50 border border-bad-200 rounded-lg p-4">
+      <p className="text-sm font-semibold text-bad-900">{title}</p>
+      <pre className="mt-1 text-xs font-mono text-bad-800 whitespace-pre-wrap">{error.message}</pre>
+    </div>
+  );
+};
+
+// The learner's component renders inside an iframe, so its layout and any
+// stray styles stay out of the page. The app's stylesheets are copied in,
+// the frame follows the app's theme, and React portals into the frame's body
+// so the shared hooks keep working.
+const Frame = ({ onReady }) => {
+  const { theme } = useTheme();
+  const t = useTranslation();
+  const frameRef = useRef(null);
+
+  useEffect(() => {
+    const frameDocument = frameRef.current.contentDocument;
+    if (frameDocument) frameDocument.documentElement.dataset.theme = theme;
+  }, [theme]);
+
+  const handleLoad = (event) => {
+    const frameDocument = event.currentTarget.contentDocument;
+    document.querySelectorAll('style, link[rel="stylesheet"]').forEach((sheet) => {
+      frameDocument.head.append(sheet.cloneNode(true));
+    });
+    frameDocument.documentElement.dataset.theme = theme;
+    frameDocument.body.className = 'p-6 bg-neutral-50 text-neutral-900';
+    onReady(frameDocument.body);
+  };
+
+  return (
+    <iframe
+      ref={frameRef}
+      title={t('playground.preview')}
+      onLoad={handleLoad}
+      className="w-full h-[44rem] rounded-xl border border-neutral-200 bg-neutral-50"
+    />
+  );
+};
+
+// The verdict on a replay, with `message` the id of what to tell the learner
+const judge = (lessonId, goal, result) => {
+  if (result.missed > 0) return { passed: false, message: 'playground.missed' };
+  return goal.check(result)
+    ? { passed: true, message: `${lessonId}.playground.success` }
+    : { passed: false, message: `${lessonId}.playground.hint` };
+};
+
+const INDENT = '  ';
+
+const Workbench = ({ lesson }) => {
+  const { declarations, entry = 'BadImplementation', goal } = lesson.playground;
+  const source = use(loadSource(lesson));
+  const starter = useMemo(
+    () => extractDeclarations(source, declarations).map((declaration) => declaration.code).join('\n\n'),
+    [source, declarations]
+  );
+  const [code, setCode] = useState(starter);
+  const [build, setBuild] = useState(() => ({ ...compile(starter, entry), run: 0 }));
+  const [frameBody, setFrameBody] = useState(null);
+  const [result, setResult] = useState(null);
+  const editorRef = useRef(null);
+  const t = useTranslation();
+  const caretRef = useRef(null);
+  // Tab indents; Escape first lets the next Tab move focus as usual
+  const tabReleasedRef = useRef(false);
+
+  useLayoutEffect(() => {
+    if (caretRef.current === null) return;
+    editorRef.current.setSelectionRange(caretRef.current, caretRef.current);
+    caretRef.current = null;
+  });
+
+  const rebuild = (nextCode) => {
+    const next = { ...compile(nextCode, entry), run: build.run + 1 };
+    setBuild(next);
+    setResult(null);
+    return next;
+  };
+
+  const reset = () => {
+    setCode(starter);
+    rebuild(starter);
+  };
+
+  const checkFix = async () => {
+    const next = rebuild(code);
+    if (next.error || !frameBody) return;
+
+    setResult({ running: true });
+    try {
+      const root = await waitForElement(() => frameBody.querySelector(`[data-run="${next.run}"]`));
+      await settle();
+      const mounted = snapshotMetrics(goal.ids);
+      const { missed, metrics } = await measureReplay(root, goal.steps, null, goal.ids);
+      setResult(judge(lesson.id, goal, { missed, mounted, metrics, root }));
+    } catch (error) {
+      setResult({ passed: false, error: error.message });
+    }
+  };
+
+  const handleKeyDown = (event) => {
+    if (event.key === 'Enter' && (event.metaKey || event.ctrlKey)) {
+      event.preventDefault();
+      rebuild(code);
+      return;
+    }
+    if (event.key === 'Escape') {
+      tabReleasedRef.current = true;
+      return;
+    }
+    if (event.key !== 'Tab' || event.shiftKey || tabReleasedRef.current) {
+      tabReleasedRef.current = false;
+      return;
+    }
+
+    event.preventDefault();
+    const { selectionStart, selectionEnd } = event.currentTarget;
+    setCode(code.slice(0, selectionStart) + INDENT + code.slice(selectionEnd));
+    caretRef.current = selectionStart + INDENT.length;
+  };
+
+  const { Component: Preview, error, run } = build;
+
+  return (
+    <div className="space-y-4">
+      <div className="bg-neutral-0 border border-neutral-200 rounded-xl p-5">
+        <p className="text-sm text-neutral-700">
+          <Message
+            id="playground.goal"
+            values={{ goal: t(`${lesson.id}.playground.goal`) }}
+            components={{ strong: <strong className="font-semibold" /> }}
+          />
+        </p>
+        <p className="text-xs text-neutral-500 mt-2">
+          <Message
+            id="playground.scope"
+            values={{ entry, names: Object.keys(SCOPE).join(', ') }}
+            components={{ code: <code className="font-mono" />, names: <span className="font-mono" /> }}
+          />
+        </p>
+      </div>
+
+      <div className="grid grid-cols-1 2xl:grid-cols-2 gap-6">
+        <div className="space-y-3">
+          <textarea
+            ref={editorRef}
+            value={code}
+            onChange={(event) => setCode(event.target.value)}
+            onKeyDown={handleKeyDown}
+            spellCheck={false}
+            aria-label={t('playground.editor')}
+            aria-describedby="playground-keys"
+            data-theme="dark"
+            className="w-full h-[44rem] p-4 rounded-xl bg-neutral-100 text-neutral-900 font-mono text-xs leading-relaxed focus:outline-none focus:ring-2 focus:ring-neutral-600"
+          />
+          <p id="playground-keys" className="text-xs text-neutral-500">
+            {t('playground.keys')}
+          </p>
+          <div className="flex flex-wrap gap-2">
+            <button
+              onClick={() => rebuild(code)}
+              className="px-4 py-2 rounded-lg text-sm font-medium bg-neutral-900 text-neutral-0 hover:bg-neutral-700"
+            >
+              {t('playground.run')}
+            </button>
+            <button
+              onClick={checkFix}
+              disabled={result?.running}
+              className="px-4 py-2 rounded-lg text-sm font-medium bg-good-600 text-neutral-0 hover:bg-good-700 disabled:opacity-50"
+            >
+              {t(result?.running ? 'playground.checking' : 'playground.check')}
+            </button>
+            <button
+              onClick={reset}
+              className="px-4 py-2 rounded-lg text-sm font-medium bg-neutral-100 text-neutral-700 hover:bg-neutral-200"
+            >
+              {t('playground.reset')}
+            </button>
+          </div>
+          {error && <ErrorMessage title={t('playground.compileError')} error={error} />}
+          <div role="status">
+            {result && !result.running && (
+              <p
+                className={`rounded-lg p-4 text-sm border ${
+                  result.passed
+                    ? 'bg-good-50 border-good-200 text-good-900'
+                    : 'bg-warning-50 border-warning-200 text-warning-900'
+                }`}
+              >
+                {result.passed ? '🎉 ' : '🤔 '}
+                {result.error ?? t(result.message)}
+              </p>
+            )}
+          </div>
+        </div>
+
+        <div>
+          {frameBody &&
+            Preview &&
+            createPortal(
+              <div key={run} data-run={run}>
+                <ErrorBoundary>
+                  <Preview />
+                </ErrorBoundary>
+              </div>,
+              frameBody
+            )}
+          <Frame onReady={setFrameBody} />
+        </div>
+      </div>
+    </div>
+  );
+};
+
+// Loads a lesson's Bad implementation into an editor and renders every edit
+// live, then replays the lesson's goal against it to tell the learner when
+// the fix behaves like the Good implementation.
+const Playground = ({ lesson }) => {
+  const t = useTranslation();
+
+  if (!lesson.playground) {
+    return (
+      <div className="bg-neutral-50 rounded-2xl border border-neutral-200 p-8 text-neutral-600">
+        {t('playground.unavailable')}
+      </div>
+    );
+  }
+
+  return (
+    <Suspense fallback={<p className="text-sm text-neutral-500">{t('playground.loading')}</p>}>
+      <Workbench key={lesson.id} lesson={lesson} />
+    </Suspense>
+  );
+};
+
+export default Playground;
@@ -0,0 +1,133 @@
+import React, { useRef, useState } from 'react';
+import { useTranslation } from '../hooks/useLocale';
+import { useProgress } from '../hooks/useProgress';
+import { downloadFile } from '../lib/download';
+import { ProgressImportError, exportProgress, importProgress, resetProgress } from '../lib/progress';
+
+const buttonClass =
+  'flex-1 px-3 py-2 rounded-lg text-xs font-medium bg-neutral-0 text-neutral-700 border border-neutral-200 hover:bg-neutral-50 disabled:opacity-50 transition-all';
+
+// Overall progress bar, for the top of the sidebar
+export const ProgressBar = ({ done, total }) => {
+  const t = useTranslation();
+  const percent = total === 0 ? 0 : Math.round((done / total) * 100);
+
+  return (
+    <div className="mb-8">
+      <div className="flex justify-between text-xs text-neutral-600 mb-1.5">
+        <span className="font-medium" id="progress-label">{t('progress.label')}</span>
+        <span className="font-mono">{percent}%</span>
+      </div>
+      <div
+        role="progressbar"
+        aria-labelledby="progress-label"
+        aria-valuemin={0}
+        aria-valuemax={total}
+        aria-valuenow={done}
+        aria-valuetext={t('progress.milestonesDone', { done, total })}
+        className="h-2 rounded-full bg-neutral-200 overflow-hidden"
+      >
+        <div className="h-full bg-good-500 transition-all" style={{ width: `${percent}%` }} />
+      </div>
+    </div>
+  );
+};
+
+// A lesson's milestones as a badge next to its link
+export const ProgressBadge = ({ milestones }) => {
+  const t = useTranslation();
+  const done = milestones.filter((milestone) => milestone.done).length;
+  const title = milestones.map(({ label, done: reached }) => `${reached ? '✓' : '○'} ${t(label)}`).join('\n');
+
+  if (done === milestones.length) {
+    return (
+      <span title={title} className="w-5 h-5 rounded-full bg-good-500 text-neutral-0 text-xs flex items-center justify-center">
+        <span aria-hidden="true">✓</span>
+        <span className="sr-only">, {t('progress.completed')}</span>
+      </span>
+    );
+  }
+
+  return (
+    <span title={title} className="text-[11px] font-mono opacity-70">
+      <span aria-hidden="true">
+        {done}/{milestones.length}
+      </span>
+      <span className="sr-only">, {t('progress.milestonesDone', { done, total: milestones.length })}</span>
+    </span>
+  );
+};
+
+// Reset, export and import of the learner's progress
+const ProgressPanel = () => {
+  const t = useTranslation();
+  const progress = useProgress();
+  const fileRef = useRef(null);
+  const [message, setMessage] = useState(null);
+  const isEmpty = Object.keys(progress).length === 0;
+
+  const reset = () => {
+    if (!window.confirm(t('progress.confirmReset'))) return;
+    resetProgress();
+    setMessage({ type: 'status', text: t('progress.wasReset') });
+  };
+
+  const importFile = async (event) => {
+    const [file] = event.target.files;
+    event.target.value = '';
+    if (!file) return;
+    try {
+      importProgress(await file.text());
+      setMessage({ type: 'status', text: t('progress.imported', { file: file.name }) });
+    } catch (error) {
+      const text = error instanceof ProgressImportError ? t(error.messageId, { file: file.name }) : error.message;
+      setMessage({ type: 'alert', text });
+    }
+  };
+
+  return (
+    <details className="mt-8 p-5 bg-neutral-100 rounded-xl border border-neutral-200">
+      <summary className="text-xs font-bold text-neutral-900 uppercase tracking-wider cursor-pointer select-none">
+        {t('progress.title')}
+      </summary>
+
+      <div className="mt-4 space-y-3">
+        <p className="text-xs text-neutral-500 leading-relaxed">
+          {t('progress.intro')}
+        </p>
+
+        <div className="flex gap-2">
+          <button
+            onClick={() => downloadFile('react-misconceptions-progress.json', exportProgress(), 'application/json')}
+            disabled={isEmpty}
+            className={buttonClass}
+          >
+            {t('progress.export')}
+          </button>
+          <button onClick={() => fileRef.current.click()} className={buttonClass}>
+            {t('progress.import')}
+          </button>
+          <button onClick={reset} disabled={isEmpty} className={buttonClass}>
+            {t('progress.reset')}
+          </button>
+        </div>
+        <input
+          ref={fileRef}
+          type="file"
+          accept="application/json,.json"
+          onChange={importFile}
+          className="hidden"
+          aria-label={t('progress.file')}
+        />
+
+        {message && (
+          <p role={message.type} className={`text-xs ${message.type === 'alert' ? 'text-bad-700' : 'text-neutral-600'}`}>
+            {message.text}
+          </p>
+        )}
+      </div>
+    </details>
+  );
+};
+
+export default ProgressPanel;
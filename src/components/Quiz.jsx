@@ -0,0 +1,185 @@
+import React, { Suspense, use, useState } from 'react';
+import CodeBlock from './CodeBlock';
+import CodeMessage from './CodeMessage';
+import Message from './Message';
+import { useTranslation } from '../hooks/useLocale';
+import { messageIds } from '../lib/i18n';
+import { buildPath } from '../lib/router';
+import { loadSource } from '../lib/lessonSource';
+import { extractDeclarations } from '../lib/sourceSnippets';
+import { isCorrect, scoreQuiz } from '../lib/quiz';
+import { markQuizPassed } from '../lib/progress';
+
+const QuestionCode = ({ lesson, names }) => {
+  const source = use(loadSource(lesson));
+  const snippets = extractDeclarations(source, names);
+
+  return (
+    <div data-theme="dark" className="mt-3 max-h-72 overflow-auto rounded-lg bg-neutral-100">
+      {snippets.map((snippet) => (
+        <CodeBlock key={snippet.name} code={snippet.code} startLine={snippet.startLine} />
+      ))}
+    </div>
+  );
+};
+
+// Scrolls back up to the demo once the link has switched implementations
+const scrollToDemo = () => {
+  requestAnimationFrame(() => document.getElementById('lesson-demo')?.scrollIntoView({ behavior: 'smooth' }));
+};
+
+const Question = ({ lesson, question, number, answer, onAnswer }) => {
+  const t = useTranslation();
+  const text = `${lesson.id}.quiz.${question.id}`;
+  const answered = answer !== undefined;
+  const correct = answered && isCorrect(question, answer);
+
+  const optionClass = (index) => {
+    if (!answered) return 'border-neutral-200 hover:border-neutral-400 hover:bg-neutral-50';
+    if (index === question.answer) return 'border-good-400 bg-good-50';
+    if (index === answer) return 'border-bad-400 bg-bad-50';
+    return 'border-neutral-200 opacity-60';
+  };
+
+  return (
+    <fieldset className="bg-neutral-0 border border-neutral-200 rounded-xl p-5">
+      <legend className="sr-only">{t('quiz.question', { number })}</legend>
+      <p className="text-sm font-semibold text-neutral-900">
+        <span className="text-neutral-400 mr-2">{number}.</span>
+        <CodeMessage id={`${text}.prompt`} />
+      </p>
+      {question.code && (
+        <Suspense fallback={<p className="mt-3 text-xs text-neutral-400">{t('quiz.loadingCode')}</p>}>
+          <QuestionCode lesson={lesson} names={question.code} />
+        </Suspense>
+      )}
+
+      <div className="mt-4 space-y-2">
+        {messageIds(`${text}.options`).map((option, index) => (
+          <label
+            key={index}
+            className={`flex items-start gap-3 px-4 py-2.5 rounded-lg border text-sm text-neutral-700 transition-all ${optionClass(index)} ${
+              answered ? '' : 'cursor-pointer'
+            }`}
+          >
+            <input
+              type="radio"
+              name={`${lesson.id}-${question.id}`}
+              checked={answer === index}
+              disabled={answered}
+              onChange={() => onAnswer(question.id, index)}
+              className="mt-0.5"
+            />
+            <span>
+              <CodeMessage id={option} />
+            </span>
+          </label>
+        ))}
+      </div>
+
+      <div aria-live="polite">
+        {answered && (
+          <div
+            className={`mt-4 p-4 rounded-lg text-sm ${
+              correct ? 'bg-good-50 text-good-900' : 'bg-bad-50 text-bad-900'
+            }`}
+          >
+            <p className="font-semibold mb-1">{t(correct ? 'quiz.correct' : 'quiz.incorrect')}</p>
+            <p>
+              <CodeMessage id={`${text}.explanation`} />
+            </p>
+            <a
+              href={buildPath(lesson.id, question.demo)}
+              onClick={scrollToDemo}
+              className="inline-block mt-2 font-medium underline underline-offset-2"
+            >
+              {t(`quiz.demo.${question.demo}`)} →
+            </a>
+          </div>
+        )}
+      </div>
+    </fieldset>
+  );
+};
+
+// Checks understanding at the end of a lesson. Like the source panel, the
+// questions (and the page source the code-reading ones load) only appear
+// once asked for. Each answer is final and explained right away; retrying
+// starts the whole quiz over. A perfect score counts towards the learner's
+// progress.
+const Quiz = ({ lesson }) => {
+  const t = useTranslation();
+  const [started, setStarted] = useState(false);
+  const [answers, setAnswers] = useState({});
+  const [attempt, setAttempt] = useState(1);
+  const questions = lesson.quiz;
+  const score = scoreQuiz(questions, answers);
+
+  const answer = (id, index) => {
+    if (id in answers) return;
+    const next = { ...answers, [id]: index };
+    setAnswers(next);
+
+    const result = scoreQuiz(questions, next);
+    if (result.complete && result.correct === result.total) markQuizPassed(lesson.id);
+  };
+
+  const retry = () => {
+    setAnswers({});
+    setAttempt((previous) => previous + 1);
+  };
+
+  return (
+    <section id="lesson-quiz" className="mt-8" aria-labelledby={`${lesson.id}-quiz`}>
+      <div className="flex items-center justify-between gap-4 mb-4">
+        <h2 id={`${lesson.id}-quiz`} className="text-xl font-bold text-neutral-900 flex items-center gap-2">
+          <span>🧠</span> {t('quiz.title')}
+        </h2>
+        {started ? (
+          <p className="text-sm text-neutral-600" role="status">
+            <Message id="quiz.score" values={score} />
+            {attempt > 1 && <span className="text-neutral-400"> {t('quiz.attempt', { attempt })}</span>}
+          </p>
+        ) : (
+          <button
+            onClick={() => setStarted(true)}
+            className="px-4 py-2 rounded-lg text-sm font-medium bg-neutral-900 text-neutral-0 hover:bg-neutral-700"
+          >
+            {t('quiz.start', { count: questions.length })}
+          </button>
+        )}
+      </div>
+
+      {started && (
+        <div key={attempt} className="space-y-4">
+          {questions.map((question, index) => (
+            <Question
+              key={question.id}
+              lesson={lesson}
+              question={question}
+              number={index + 1}
+              answer={answers[question.id]}
+              onAnswer={answer}
+            />
+          ))}
+        </div>
+      )}
+
+      {score.complete && (
+        <div className="mt-4 flex items-center justify-between gap-4 bg-neutral-900 text-neutral-0 rounded-xl p-5">
+          <p className="text-sm">
+            {t(score.correct === score.total ? 'quiz.allCorrect' : 'quiz.someCorrect', score)}
+          </p>
+          <button
+            onClick={retry}
+            className="px-4 py-2 rounded-lg text-sm font-medium bg-neutral-0 text-neutral-900 hover:bg-neutral-100"
+          >
+            {t('quiz.retry')}
+          </button>
+        </div>
+      )}
+    </section>
+  );
+};
+
+export default Quiz;
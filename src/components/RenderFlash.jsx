@@ -0,0 +1,33 @@
+import React, { useRef } from 'react';
+import { useMetricsRef } from '../hooks/useRenderMetrics';
+import { announce } from '../lib/announcer';
+
+const FADE_OUT = [{ opacity: 1 }, { opacity: 0 }];
+// With reduced motion the content just shows for a moment, without fading
+const HOLD = [{ opacity: 1 }, { opacity: 1 }];
+
+const REDUCED_MOTION = '(prefers-reduced-motion: reduce)';
+
+// Briefly shows its content whenever `field` of the metrics for `id` changes,
+// replacing the `isRendering` state + setTimeout pattern (which itself caused
+// two extra renders per flash). The content is hidden from screen readers and
+// announced instead.
+const RenderFlash = ({ id, field = 'renders', duration = 600, className, children }) => {
+  const lastValueRef = useRef(null);
+
+  const ref = useMetricsRef(id, (element, metrics, { initial }) => {
+    if (initial || metrics[field] === lastValueRef.current) return;
+    lastValueRef.current = metrics[field];
+    const reduced = window.matchMedia?.(REDUCED_MOTION).matches ?? false;
+    element.animate?.(reduced ? HOLD : FADE_OUT, { duration, easing: 'ease-out' });
+    if (element.textContent.trim()) announce(element.textContent);
+  });
+
+  return (
+    <div ref={ref} className={className} style={{ opacity: 0 }} aria-hidden="true">
+      {children}
+    </div>
+  );
+};
+
+export default RenderFlash;
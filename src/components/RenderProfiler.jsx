@@ -0,0 +1,17 @@
+import React, { Profiler } from 'react';
+import { recordProfile } from '../lib/renderMetrics';
+
+const handleRender = (id, phase, actualDuration, baseDuration, startTime, commitTime) => {
+  recordProfile(id, { phase, actualDuration, baseDuration, commitTime });
+};
+
+// Records actual/base render duration of everything inside it under `id`
+const RenderProfiler = ({ id, children }) => {
+  return (
+    <Profiler id={id} onRender={handleRender}>
+      {children}
+    </Profiler>
+  );
+};
+
+export default RenderProfiler;
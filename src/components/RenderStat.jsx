@@ -0,0 +1,14 @@
+import React from 'react';
+import { useMetricsRef } from '../hooks/useRenderMetrics';
+
+// Displays one field of a component's render metrics. The text is written
+// straight to the DOM, so updating the number never re-renders anything.
+const RenderStat = ({ id, field = 'renders', format = String, className }) => {
+  const ref = useMetricsRef(id, (element, metrics) => {
+    element.textContent = format(metrics[field]);
+  });
+
+  return <span ref={ref} className={className} />;
+};
+
+export default RenderStat;
@@ -0,0 +1,155 @@
+import React, { useEffect, useState } from 'react';
+import index from 'virtual:search-index';
+import { lessons } from '../lessons/registry';
+import { useLocale, useTranslation } from '../hooks/useLocale';
+import { focusElement } from '../lib/focus';
+import { DEFAULT_LOCALE, lessonTitle } from '../lib/i18n';
+import { waitForElement } from '../lib/interactions';
+import { buildPath, getPath, navigate, parsePath } from '../lib/router';
+import { searchLessons } from '../lib/search';
+
+// How long the section a result jumped to stays outlined
+const HIGHLIGHT_MS = 3000;
+
+// The element on the lesson page that shows `section`
+const findSection = (section) => {
+  if (section === 'problem' || section === 'solution') {
+    return document.querySelector(`#lesson-demo [data-callout="${section}"]`);
+  }
+  return document.getElementById(section === 'takeaway' ? 'lesson-takeaway' : 'lesson-header');
+};
+
+// Opens the lesson (and implementation) a result is in, unless it's already
+// showing, then focuses and briefly outlines the matching section
+const showResult = async ({ lessonId, implementation, section }) => {
+  const route = parsePath(getPath());
+  const onLesson = (route.lessonId ?? lessons[0].id) === lessonId;
+  const shown = implementation
+    ? onLesson && (route.implementation === implementation || route.implementation === 'compare')
+    : onLesson;
+  if (!shown) navigate(buildPath(lessonId, implementation ?? undefined));
+
+  let element;
+  try {
+    element = await waitForElement(() => findSection(section));
+  } catch {
+    return;
+  }
+  focusElement(element);
+  element.setAttribute('data-search-hit', '');
+  setTimeout(() => element.removeAttribute('data-search-hit'), HIGHLIGHT_MS);
+};
+
+const Snippet = ({ parts }) => {
+  return parts.map(({ text, match }, i) =>
+    match ? (
+      <mark key={i} className="bg-warning-100 text-neutral-900 rounded-sm">
+        {text}
+      </mark>
+    ) : (
+      text
+    )
+  );
+};
+
+/**
+ * Full-text search over every lesson's title, description, Problem/Solution
+ * callouts and takeaway in the current language (see lib/search.js). Picking
+ * a result jumps to where it's shown; `onOpen` is called first, e.g. to close
+ * the navigation drawer.
+ */
+const SearchBox = ({ onOpen = () => {} }) => {
+  const [query, setQuery] = useState('');
+  const [active, setActive] = useState(0);
+  const locale = useLocale();
+  const t = useTranslation();
+  const results = searchLessons(index[locale] ?? index[DEFAULT_LOCALE], query);
+  const current = Math.min(active, results.length - 1);
+
+  const open = (entry) => {
+    setQuery('');
+    onOpen();
+    showResult(entry);
+  };
+
+  const handleKeyDown = (event) => {
+    if (event.key === 'Escape' && query) {
+      // Clear the search before Escape closes anything around it
+      event.stopPropagation();
+      setQuery('');
+      return;
+    }
+    if (results.length === 0) return;
+    if (event.key === 'ArrowDown' || event.key === 'ArrowUp') {
+      event.preventDefault();
+      const step = event.key === 'ArrowDown' ? 1 : -1;
+      setActive((current + step + results.length) % results.length);
+    } else if (event.key === 'Enter') {
+      event.preventDefault();
+      open(results[current].entry);
+    }
+  };
+
+  useEffect(() => {
+    document.getElementById(`search-result-${current}`)?.scrollIntoView?.({ block: 'nearest' });
+  }, [current]);
+
+  return (
+    <div className="mb-4" role="search">
+      <input
+        type="search"
+        role="combobox"
+        value={query}
+        onChange={(event) => {
+          setQuery(event.target.value);
+          setActive(0);
+        }}
+        onKeyDown={handleKeyDown}
+        aria-label={t('search.label')}
+        aria-expanded={results.length > 0}
+        aria-controls="search-results"
+        aria-autocomplete="list"
+        aria-activedescendant={results.length > 0 ? `search-result-${current}` : undefined}
+        placeholder={t('search.placeholder')}
+        className="w-full px-3 py-2 rounded-lg text-sm bg-neutral-0 text-neutral-900 border border-neutral-200 placeholder:text-neutral-500"
+      />
+      <ul
+        id="search-results"
+        role="listbox"
+        aria-label={t('search.results')}
+        hidden={results.length === 0}
+        className="mt-1 max-h-96 overflow-y-auto rounded-lg bg-neutral-0 border border-neutral-200 shadow-lg"
+      >
+        {results.map(({ entry, snippet }, i) => {
+          const lesson = lessons.find(({ id }) => id === entry.lessonId);
+          return (
+            <li
+              key={`${entry.lessonId}-${entry.section}`}
+              id={`search-result-${i}`}
+              role="option"
+              aria-selected={i === current}
+              onClick={() => open(entry)}
+              onMouseMove={() => setActive(i)}
+              className={`px-3 py-2 text-xs cursor-pointer border-b border-neutral-100 last:border-b-0 ${
+                i === current ? 'bg-neutral-100' : ''
+              }`}
+            >
+              <span className="block font-semibold text-neutral-900">
+                {lesson.icon} {lessonTitle(locale, lesson)}
+                <span className="font-normal text-neutral-500"> · {t(`search.sections.${entry.section}`)}</span>
+              </span>
+              <span className="block mt-0.5 text-neutral-600 leading-snug">
+                <Snippet parts={snippet} />
+              </span>
+            </li>
+          );
+        })}
+      </ul>
+      {query.trim() && results.length === 0 && (
+        <p className="mt-1 px-1 text-xs text-neutral-500">{t('search.noResults', { query })}</p>
+      )}
+    </div>
+  );
+};
+
+export default SearchBox;
@@ -0,0 +1,73 @@
+import React, { useState } from 'react';
+import { useTranslation } from '../hooks/useLocale';
+
+const initialValues = (inputs) =>
+  Object.fromEntries(inputs.map((input) => [input.name, input.initialValue ?? '']));
+
+// Controls that drive both implementations at once in side-by-side mode.
+// Each change is published on the input channel rather than passed as props.
+const SharedInputPanel = ({ inputs, channel }) => {
+  const [values, setValues] = useState(() => initialValues(inputs));
+  const t = useTranslation();
+
+  const handleChange = (name, value) => {
+    setValues((prev) => ({ ...prev, [name]: value }));
+    channel.publish(name, value);
+  };
+
+  return (
+    <div className="bg-neutral-0 border border-neutral-200 rounded-xl p-5 mb-6">
+      <h2 className="text-xs font-bold mb-3 text-neutral-900 uppercase tracking-wider">
+        🎛️ {t('sharedControls.title')}
+      </h2>
+      <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+        {inputs.map((input) => (
+          <div key={input.name}>
+            <label
+              htmlFor={`shared-${input.name}`}
+              className="block text-sm font-medium text-neutral-700 mb-2"
+            >
+              {input.label}
+            </label>
+            {input.type === 'select' ? (
+              <select
+                id={`shared-${input.name}`}
+                data-shared-input={input.name}
+                value={values[input.name]}
+                onChange={(e) => handleChange(input.name, e.target.value)}
+                className="w-full px-4 py-2.5 border border-neutral-300 rounded-lg"
+              >
+                {input.options.map((option) => (
+                  <option key={option.value} value={option.value}>
+                    {option.label}
+                  </option>
+                ))}
+              </select>
+            ) : input.type === 'button' ? (
+              <button
+                id={`shared-${input.name}`}
+                data-shared-input={input.name}
+                onClick={() => channel.publish(input.name)}
+                className="w-full px-4 py-2.5 bg-neutral-900 text-neutral-0 rounded-lg hover:bg-neutral-800 transition"
+              >
+                {input.buttonLabel}
+              </button>
+            ) : (
+              <input
+                id={`shared-${input.name}`}
+                data-shared-input={input.name}
+                type="text"
+                value={values[input.name]}
+                onChange={(e) => handleChange(input.name, e.target.value)}
+                placeholder={input.placeholder}
+                className="w-full px-4 py-2.5 border border-neutral-300 rounded-lg focus:ring-2 focus:ring-neutral-500 focus:border-transparent transition"
+              />
+            )}
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+};
+
+export default SharedInputPanel;
@@ -1,56 +1,159 @@
-import React from 'react';
+import React, { useRef } from 'react';
+import { buildPath } from '../lib/router';
+import { lessons } from '../lessons/registry';
+import { tools } from '../tools/registry';
+import { useFocusTrap } from '../hooks/useFocusTrap';
+import { useLocale, useTranslation } from '../hooks/useLocale';
+import { useProgress } from '../hooks/useProgress';
+import { MOD_KEY, showOverlay } from '../lib/commands';
+import { lessonTitle } from '../lib/i18n';
+import { lessonEntry, lessonMilestones, overallProgress } from '../lib/progress';
+import Message from './Message';
+import SimulationPanel from './SimulationPanel';
+import ProgressPanel, { ProgressBadge, ProgressBar } from './ProgressPanel';
+import SearchBox from './SearchBox';
+import LanguageSwitcher from './LanguageSwitcher';
+import ThemeToggle from './ThemeToggle';
 
-const Sidebar = ({ currentPage, onPageChange }) => {
-  const pages = [
-    { id: 'memoization', title: '1. Memoization vs. Colocation', icon: '🎯' },
-    { id: 'fearing-rerenders', title: '2. Fearing Re-renders', icon: '⚡' },
-    { id: 'context-misuse', title: '3. Context Misuse', icon: '🌐' },
-    { id: 'index-as-key', title: '4. Index as Key', icon: '🔑' },
-    { id: 'useeffect-redundancy', title: '5. useEffect Redundancy', icon: '♻️' },
-  ];
+const lessonIds = lessons.map((lesson) => lesson.id);
+
+// Fixed on wide screens. As a `drawer` (see Layout) it slides in over the
+// page while `open`, holds the focus until it's closed, and is inert otherwise.
+const Sidebar = ({ currentPage, drawer = false, open = false, onClose = () => {} }) => {
+  const progress = useProgress();
+  const ref = useRef(null);
+  const isModal = drawer && open;
+  const locale = useLocale();
+  const t = useTranslation();
+
+  useFocusTrap(ref, isModal, onClose);
 
   return (
-    <div className="w-72 bg-slate-50 border-r border-slate-200 h-screen fixed left-0 top-0 overflow-y-auto">
-      <div className="p-8">
+    <aside
+      ref={ref}
+      id="app-navigation"
+      role={isModal ? 'dialog' : undefined}
+      aria-modal={isModal || undefined}
+      aria-label={t('sidebar.navigation')}
+      inert={drawer && !open}
+      className={`w-72 max-w-[85vw] bg-neutral-50 border-r border-neutral-200 h-dvh fixed left-0 top-0 z-50 overflow-y-auto transition-transform duration-200 motion-reduce:transition-none lg:translate-x-0 ${
+        open ? 'translate-x-0 shadow-2xl' : '-translate-x-full'
+      }`}
+    >
+      <div className="p-6 lg:p-8">
+        {drawer && (
+          <button
+            onClick={onClose}
+            className="float-right -mt-1 -mr-2 min-w-11 min-h-11 rounded-lg text-lg text-neutral-500 hover:bg-neutral-100 hover:text-neutral-900"
+          >
+            <span aria-hidden="true">✕</span>
+            <span className="sr-only">{t('sidebar.closeNavigation')}</span>
+          </button>
+        )}
         <div className="mb-10">
-          <h1 className="text-2xl font-bold mb-2 text-slate-900 tracking-tight">
-            React Misconceptions
+          <h1 className="text-2xl font-bold mb-2 text-neutral-900 tracking-tight">
+            {t('sidebar.title')}
           </h1>
-          <p className="text-sm text-slate-500 font-medium">
-            Learn from common mistakes
+          <p className="text-sm text-neutral-500 font-medium">
+            {t('sidebar.tagline')}
           </p>
         </div>
 
-        <nav className="space-y-1.5">
-          {pages.map((page) => (
-            <button
-              key={page.id}
-              onClick={() => onPageChange(page.id)}
+        <SearchBox onOpen={onClose} />
+
+        <div className="mb-4 flex gap-1">
+          <button
+            onClick={() => {
+              onClose();
+              showOverlay('palette');
+            }}
+            className="flex-1 flex items-center gap-2 px-3 py-2 rounded-lg text-sm text-neutral-500 bg-neutral-0 border border-neutral-200 hover:text-neutral-900"
+          >
+            <span aria-hidden="true">🔍</span>
+            <span className="flex-1 text-left">{t('sidebar.commands')}</span>
+            <kbd className="font-mono text-xs">{MOD_KEY} K</kbd>
+          </button>
+          <button
+            onClick={() => {
+              onClose();
+              showOverlay('help');
+            }}
+            title={t('sidebar.shortcuts')}
+            className="px-3 py-2 rounded-lg text-sm text-neutral-500 bg-neutral-0 border border-neutral-200 hover:text-neutral-900"
+          >
+            <span aria-hidden="true">?</span>
+            <span className="sr-only">{t('sidebar.shortcuts')}</span>
+          </button>
+        </div>
+
+        <LanguageSwitcher />
+
+        <ThemeToggle />
+
+        <ProgressBar {...overallProgress(progress, lessonIds)} />
+
+        <nav aria-label={t('sidebar.lessons')} className="space-y-1.5">
+          {lessons.map((lesson) => (
+            <a
+              key={lesson.id}
+              href={buildPath(lesson.id)}
+              aria-current={currentPage === lesson.id ? 'page' : undefined}
+              onClick={onClose}
               className={`w-full text-left px-4 py-3.5 rounded-lg transition-all duration-150 flex items-center gap-3 group ${
-                currentPage === page.id
-                  ? 'bg-slate-900 text-white shadow-sm'
-                  : 'hover:bg-slate-100 text-slate-700 hover:text-slate-900'
+                currentPage === lesson.id
+                  ? 'bg-neutral-900 text-neutral-0 shadow-sm'
+                  : 'hover:bg-neutral-100 text-neutral-700 hover:text-neutral-900'
               }`}
             >
-              <span className="text-xl opacity-80">{page.icon}</span>
-              <span className="flex-1 text-sm font-medium leading-tight">{page.title}</span>
-            </button>
+              <span className="text-xl opacity-80">{lesson.icon}</span>
+              <span className="flex-1 text-sm font-medium leading-tight">{lesson.number}. {lessonTitle(locale, lesson)}</span>
+              <ProgressBadge milestones={lessonMilestones(lessonEntry(progress, lesson.id))} />
+            </a>
           ))}
         </nav>
 
-        <div className="mt-8 p-5 bg-slate-100 rounded-xl border border-slate-200">
-          <h3 className="text-xs font-bold mb-2.5 text-slate-900 uppercase tracking-wider">
-            💡 Learning Guide
+        <h2 id="sidebar-tools" className="mt-8 mb-2 px-4 text-xs font-bold text-neutral-500 uppercase tracking-wider">
+          {t('sidebar.tools')}
+        </h2>
+        <nav aria-labelledby="sidebar-tools" className="space-y-1.5">
+          {tools.map((tool) => (
+            <a
+              key={tool.id}
+              href={`#${tool.path}`}
+              aria-current={currentPage === tool.id ? 'page' : undefined}
+              onClick={onClose}
+              className={`w-full text-left px-4 py-3.5 rounded-lg transition-all duration-150 flex items-center gap-3 group ${
+                currentPage === tool.id
+                  ? 'bg-neutral-900 text-neutral-0 shadow-sm'
+                  : 'hover:bg-neutral-100 text-neutral-700 hover:text-neutral-900'
+              }`}
+            >
+              <span className="text-xl opacity-80">{tool.icon}</span>
+              <span className="flex-1 text-sm font-medium leading-tight">{t(tool.title)}</span>
+            </a>
+          ))}
+        </nav>
+
+        <SimulationPanel />
+
+        <ProgressPanel />
+
+        <div className="mt-8 p-5 bg-neutral-100 rounded-xl border border-neutral-200">
+          <h3 className="text-xs font-bold mb-2.5 text-neutral-900 uppercase tracking-wider">
+            💡 {t('sidebar.guide.title')}
           </h3>
-          <p className="text-xs text-slate-600 leading-relaxed">
-            Each page demonstrates a common misconception with a{' '}
-            <span className="text-rose-600 font-semibold">Bad Implementation</span> and a{' '}
-            <span className="text-emerald-600 font-semibold">Good Implementation</span>.
-            Toggle between them to understand the difference.
+          <p className="text-xs text-neutral-600 leading-relaxed">
+            <Message
+              id="sidebar.guide.text"
+              components={{
+                bad: <span className="text-bad-600 font-semibold" />,
+                good: <span className="text-good-600 font-semibold" />,
+              }}
+            />
           </p>
         </div>
       </div>
-    </div>
+    </aside>
   );
 };
 
@@ -0,0 +1,57 @@
+import React from 'react';
+import { useLocale, useTranslation } from '../hooks/useLocale';
+import { useSettings } from '../hooks/useSettings';
+import { DEFAULT_SETTINGS, SETTING_FIELDS, resetSettings, updateSettings } from '../lib/settings';
+
+// Workload knobs shared by every demo; changes apply immediately and persist
+const SimulationPanel = () => {
+  const settings = useSettings();
+  const locale = useLocale();
+  const t = useTranslation();
+  const isDefault = SETTING_FIELDS.every(({ name }) => settings[name] === DEFAULT_SETTINGS[name]);
+
+  return (
+    <details className="mt-8 p-5 bg-neutral-100 rounded-xl border border-neutral-200">
+      <summary className="text-xs font-bold text-neutral-900 uppercase tracking-wider cursor-pointer select-none">
+        {t('settings.title')}
+      </summary>
+
+      <div className="mt-4 space-y-4">
+        {SETTING_FIELDS.map(({ name, label, unit, min, max, step }) => (
+          <div key={name}>
+            <label htmlFor={`setting-${name}`} className="flex justify-between text-xs text-neutral-700 mb-1">
+              <span className="font-medium">{t(label)}</span>
+              <span className="font-mono">
+                {t(`settings.units.${unit}`, { value: settings[name].toLocaleString(locale) })}
+              </span>
+            </label>
+            <input
+              id={`setting-${name}`}
+              type="range"
+              min={min}
+              max={max}
+              step={step}
+              value={settings[name]}
+              onChange={(e) => updateSettings({ [name]: Number(e.target.value) })}
+              className="w-full accent-neutral-900"
+            />
+          </div>
+        ))}
+
+        <p className="text-xs text-neutral-500 leading-relaxed">
+          {t('settings.slowdownHint')}
+        </p>
+
+        <button
+          onClick={resetSettings}
+          disabled={isDefault}
+          className="w-full px-3 py-2 rounded-lg text-xs font-medium bg-neutral-0 text-neutral-700 border border-neutral-200 hover:bg-neutral-50 disabled:opacity-50 transition-all"
+        >
+          {t('settings.reset')}
+        </button>
+      </div>
+    </details>
+  );
+};
+
+export default SimulationPanel;
@@ -0,0 +1,119 @@
+import React, { Suspense, use, useState } from 'react';
+import CodeBlock from './CodeBlock';
+import DiffView from './DiffView';
+import { useTranslation } from '../hooks/useLocale';
+import { extractDeclarations } from '../lib/sourceSnippets';
+import { loadSource } from '../lib/lessonSource';
+import { DEFAULT_VARIANTS, VERDICTS } from '../lib/variants';
+
+// Tabs for each variant the source names declarations for, then the diff
+const VARIANT_TABS = {
+  bad: 'bg-bad-400 text-neutral-950',
+  acceptable: 'bg-warning-400 text-neutral-950',
+  best: 'bg-good-400 text-neutral-950',
+};
+
+const DIFF = { id: 'diff', active: 'bg-neutral-900 text-neutral-100' };
+
+const Snippets = ({ lesson, side }) => {
+  const t = useTranslation();
+  const source = use(loadSource(lesson));
+  const snippets = extractDeclarations(source, lesson.source[side]);
+  const [selected, setSelected] = useState(snippets[snippets.length - 1]?.name);
+  const snippet = snippets.find((candidate) => candidate.name === selected) ?? snippets[0];
+
+  if (!snippet) return null;
+
+  return (
+    <>
+      <div role="tablist" aria-label={t('source.declarations')} className="flex flex-wrap gap-1 px-4 py-2 bg-neutral-200">
+        {snippets.map(({ name }) => (
+          <button
+            key={name}
+            role="tab"
+            aria-selected={name === snippet.name}
+            onClick={() => setSelected(name)}
+            className={`px-3 py-1 rounded-md font-mono text-xs transition-all ${
+              name === snippet.name ? 'bg-neutral-900 text-neutral-100' : 'text-neutral-700 hover:bg-neutral-300'
+            }`}
+          >
+            {name}
+          </button>
+        ))}
+      </div>
+      <div role="tabpanel" aria-label={t('source.lines', { name: snippet.name, from: snippet.startLine, to: snippet.endLine })}>
+        <CodeBlock code={snippet.code} startLine={snippet.startLine} />
+      </div>
+    </>
+  );
+};
+
+const Diff = ({ lesson }) => {
+  const source = use(loadSource(lesson));
+  return <DiffView source={source} pairs={lesson.source.diffs} />;
+};
+
+// Shows the real source of the variant on screen, collapsed until asked
+// for. It follows the selected variant until another view (another variant,
+// or the diff between Bad and Good) is picked.
+const SourcePanel = ({ lesson, variants = DEFAULT_VARIANTS, implementation }) => {
+  const t = useTranslation();
+  const [isOpen, setIsOpen] = useState(false);
+  const [choice, setChoice] = useState({ implementation, view: null });
+  const defaultView = lesson.source?.[implementation] ? implementation : 'bad';
+  const view = (choice.implementation === implementation && choice.view) || defaultView;
+
+  if (!lesson.source) return null;
+
+  const views = [
+    ...variants
+      .filter(({ id }) => lesson.source[id])
+      .map(({ id, verdict, short }) => ({
+        id,
+        label: `${VERDICTS[verdict].icon} ${t(short)}`,
+        active: VARIANT_TABS[verdict],
+      })),
+    { ...DIFF, label: t('source.diff') },
+  ];
+
+  return (
+    <section id="lesson-source" data-theme="dark" className="mt-8 rounded-xl overflow-hidden border border-neutral-200 bg-neutral-100">
+      <div className="flex items-center justify-between gap-4 px-4 py-3">
+        <h2 className="text-base font-semibold text-neutral-950">
+          <button
+            onClick={() => setIsOpen((open) => !open)}
+            aria-expanded={isOpen}
+            className="flex items-center gap-2"
+          >
+            <span className="text-xl">📄</span> {t('source.title')}
+            <span className="font-mono text-xs font-normal text-neutral-600">{lesson.source.file}</span>
+            <span className="text-xs text-neutral-600">{isOpen ? '▲' : '▼'}</span>
+          </button>
+        </h2>
+        {isOpen && (
+          <div className="flex gap-1">
+            {views.map(({ id, label, active }) => (
+              <button
+                key={id}
+                onClick={() => setChoice({ implementation, view: id })}
+                aria-pressed={view === id}
+                className={`px-3 py-1 rounded-md text-xs font-medium transition-all ${
+                  view === id ? active : 'text-neutral-700 hover:bg-neutral-200'
+                }`}
+              >
+                {label}
+              </button>
+            ))}
+          </div>
+        )}
+      </div>
+      {isOpen && (
+        <Suspense fallback={<p className="px-4 py-6 text-sm text-neutral-600">{t('source.loading')}</p>}>
+          {view === 'diff' ? <Diff lesson={lesson} /> : <Snippets key={view} lesson={lesson} side={view} />}
+        </Suspense>
+      )}
+    </section>
+  );
+};
+
+export default SourcePanel;
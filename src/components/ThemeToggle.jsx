@@ -0,0 +1,38 @@
+import React from 'react';
+import { useTheme } from '../hooks/useTheme';
+import { useTranslation } from '../hooks/useLocale';
+import { THEMES, setThemePreference } from '../lib/theme';
+
+// Picks the colour theme; "System" follows the OS light/dark and contrast settings
+const ThemeToggle = () => {
+  const { preference, theme } = useTheme();
+  const t = useTranslation();
+
+  return (
+    <div className="mb-8">
+      <div role="group" aria-label={t('theme.label')} className="grid grid-cols-4 gap-1 p-1 bg-neutral-100 rounded-lg border border-neutral-200">
+        {THEMES.map(({ id, icon }) => (
+          <button
+            key={id}
+            onClick={() => setThemePreference(id)}
+            aria-pressed={preference === id}
+            title={t(`theme.${id}`)}
+            className={`py-1.5 rounded-md text-sm transition-all ${
+              preference === id ? 'bg-neutral-0 text-neutral-900 shadow-sm' : 'text-neutral-500 hover:text-neutral-900'
+            }`}
+          >
+            <span aria-hidden="true">{icon}</span>
+            <span className="sr-only">{t(`theme.${id}`)}</span>
+          </button>
+        ))}
+      </div>
+      {preference === 'system' && (
+        <p className="mt-1.5 px-1 text-xs text-neutral-500">
+          {t(`theme.following.${theme}`)}
+        </p>
+      )}
+    </div>
+  );
+};
+
+export default ThemeToggle;
@@ -0,0 +1,8 @@
+import { useEffect } from 'react';
+import { registerCommands } from '../lib/commands';
+
+// Offers `commands` in the command palette while the component is mounted;
+// memoize them, every new array re-registers
+export const useRegisterCommands = (commands) => {
+  useEffect(() => registerCommands(commands), [commands]);
+};
@@ -0,0 +1,36 @@
+import { useEffect, useRef } from 'react';
+import { focusableElements, trapTab } from '../lib/focus';
+
+// While `active`, moves the focus into `ref`'s element and keeps it there,
+// calls `onEscape` on Escape, and gives the focus back to whatever had it
+// before once it's released - unless something else took it in the meantime,
+// like a section a command jumped to.
+export const useFocusTrap = (ref, active, onEscape) => {
+  const onEscapeRef = useRef(onEscape);
+  useEffect(() => {
+    onEscapeRef.current = onEscape;
+  });
+
+  useEffect(() => {
+    if (!active) return;
+    const container = ref.current;
+    const previous = document.activeElement;
+    focusableElements(container)[0]?.focus();
+
+    const onKeyDown = (event) => {
+      if (event.key === 'Escape') {
+        event.preventDefault();
+        onEscapeRef.current();
+        return;
+      }
+      trapTab(event, container);
+    };
+
+    document.addEventListener('keydown', onKeyDown);
+    return () => {
+      document.removeEventListener('keydown', onKeyDown);
+      const focused = document.activeElement;
+      if (!focused || focused === document.body || container.contains(focused)) previous?.focus?.();
+    };
+  }, [ref, active]);
+};
@@ -0,0 +1,28 @@
+import { useEffect, useLayoutEffect, useRef } from 'react';
+import { getLatency, observeInput, subscribe } from '../lib/inputLatency';
+
+// Returns a ref for a text input; every keystroke in it is timed under `id`
+export const useInputLatency = (id) => {
+  const ref = useRef(null);
+
+  useEffect(() => observeInput(ref.current, id), [id]);
+
+  return ref;
+};
+
+// Like useMetricsRef, but for latency samples: `apply(element, latency)`
+// updates the element directly whenever a keystroke is measured, and on every
+// render, so text it writes follows the language.
+export const useLatencyRef = (id, apply) => {
+  const ref = useRef(null);
+  const applyRef = useRef(apply);
+
+  useLayoutEffect(() => {
+    applyRef.current = apply;
+    apply(ref.current, getLatency(id));
+  });
+
+  useLayoutEffect(() => subscribe(id, (latency) => applyRef.current(ref.current, latency)), [id]);
+
+  return ref;
+};
@@ -0,0 +1,11 @@
+import { useCallback, useSyncExternalStore } from 'react';
+import { getLocale, subscribe, translate } from '../lib/i18n';
+
+export const useLocale = () => useSyncExternalStore(subscribe, getLocale);
+
+// `t(id, values)`: a plain-text message in the current language, for
+// attributes, options and the like; rich text goes through <Message>
+export const useTranslation = () => {
+  const locale = useLocale();
+  return useCallback((id, values) => translate(locale, id, values), [locale]);
+};
@@ -0,0 +1,16 @@
+import { useCallback, useSyncExternalStore } from 'react';
+
+// Whether `query` matches, updated as it changes; `fallback` where
+// matchMedia isn't available
+export const useMediaQuery = (query, fallback = false) => {
+  const subscribe = useCallback(
+    (onChange) => {
+      const list = window.matchMedia?.(query);
+      list?.addEventListener('change', onChange);
+      return () => list?.removeEventListener('change', onChange);
+    },
+    [query]
+  );
+
+  return useSyncExternalStore(subscribe, () => window.matchMedia?.(query).matches ?? fallback);
+};
@@ -0,0 +1,4 @@
+import { useSyncExternalStore } from 'react';
+import { getProgress, subscribe } from '../lib/progress';
+
+export const useProgress = () => useSyncExternalStore(subscribe, getProgress);
@@ -0,0 +1,46 @@
+import { useLayoutEffect, useRef } from 'react';
+import { getMetrics, recordCalculation, recordRender, subscribe } from '../lib/renderMetrics';
+
+// Counts every commit of the calling component. Nothing here sets state, so
+// counting a render never causes another one.
+export const useRenderTracker = (id) => {
+  const lastCountedRef = useRef(null);
+  const render = {};
+
+  useLayoutEffect(() => {
+    // StrictMode re-runs effects for the same render; count it only once
+    if (lastCountedRef.current === render) return;
+    const phase = lastCountedRef.current === null ? 'mount' : 'update';
+    lastCountedRef.current = render;
+    recordRender(id, phase);
+  });
+};
+
+// Records an expensive calculation each time its (memoized) result changes
+export const useCalculationTracker = (id, result, duration) => {
+  const lastResultRef = useRef(null);
+
+  useLayoutEffect(() => {
+    if (lastResultRef.current === result) return;
+    lastResultRef.current = result;
+    recordCalculation(id, duration);
+  }, [id, result, duration]);
+};
+
+// Returns a ref whose element is updated directly by `apply(element, metrics)`
+// whenever the metrics for `id` change - no React render involved.
+export const useMetricsRef = (id, apply) => {
+  const ref = useRef(null);
+  const applyRef = useRef(apply);
+
+  useLayoutEffect(() => {
+    applyRef.current = apply;
+  });
+
+  useLayoutEffect(() => {
+    applyRef.current(ref.current, getMetrics(id), { initial: true });
+    return subscribe(id, (metrics) => applyRef.current(ref.current, metrics, { initial: false }));
+  }, [id]);
+
+  return ref;
+};
@@ -0,0 +1,21 @@
+import { useCallback, useMemo, useSyncExternalStore } from 'react';
+import { buildPath, getPath, navigate, parsePath, subscribe } from '../lib/router';
+
+// Current route, re-rendering whenever the URL hash changes
+export const useRoute = () => {
+  const path = useSyncExternalStore(subscribe, getPath);
+  return useMemo(() => parsePath(path), [path]);
+};
+
+// Like `useState('bad')`, but keeps a lesson's selected implementation in the
+// URL so "Index as Key, good implementation" can be shared as a link.
+export const useImplementation = (lessonId) => {
+  const { implementation } = useRoute();
+
+  const setImplementation = useCallback(
+    (next) => navigate(buildPath(lessonId, next)),
+    [lessonId]
+  );
+
+  return [implementation, setImplementation];
+};
@@ -0,0 +1,4 @@
+import { useSyncExternalStore } from 'react';
+import { getSettings, subscribe } from '../lib/settings';
+
+export const useSettings = () => useSyncExternalStore(subscribe, getSettings);
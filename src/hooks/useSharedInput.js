@@ -0,0 +1,20 @@
+import { createContext, useContext, useEffect, useRef } from 'react';
+
+// Provided by DemoStage in side-by-side mode; null everywhere else
+export const InputChannelContext = createContext(null);
+
+// Calls `onChange(value)` whenever the shared control `name` changes.
+// Outside side-by-side mode this does nothing.
+export const useSharedInput = (name, onChange) => {
+  const channel = useContext(InputChannelContext);
+  const onChangeRef = useRef(onChange);
+
+  useEffect(() => {
+    onChangeRef.current = onChange;
+  });
+
+  useEffect(() => {
+    if (!channel) return undefined;
+    return channel.subscribe(name, (value) => onChangeRef.current(value));
+  }, [channel, name]);
+};
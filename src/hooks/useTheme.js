@@ -0,0 +1,4 @@
+import { useSyncExternalStore } from 'react';
+import { getTheme, subscribe } from '../lib/theme';
+
+export const useTheme = () => useSyncExternalStore(subscribe, getTheme);
@@ -0,0 +1,8 @@
+import { createContext, useContext } from 'react';
+import { DEFAULT_VARIANTS } from '../lib/variants';
+
+// Provided by LessonPage with the lesson's variants (see lib/variants.js), so
+// DemoStage knows their order and labels; outside a lesson, the Bad/Good pair
+export const VariantsContext = createContext(DEFAULT_VARIANTS);
+
+export const useVariants = () => useContext(VariantsContext);
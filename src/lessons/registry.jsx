@@ -0,0 +1,421 @@
+import { lazy } from 'react';
+import Message from '../components/Message';
+import { choose, click, toggle, typeText, wait } from '../lib/scenarios';
+import { control, hasExactText, textInputs } from '../lib/guide';
+import { findTarget } from '../lib/interactions';
+
+/**
+ * Lesson registry
+ *
+ * The single source of truth for every misconception in the app. The sidebar,
+ * the router and the page headers are all driven by this list, and each page
+ * is code-split so the initial bundle only contains the shell.
+ *
+ * Adding a new misconception is a single `defineLesson` call below. A lesson
+ * is a Bad/Good pair unless it lists its `variants` in order, from `bad` to
+ * `good`, each with a verdict (see lib/variants.js). The optional `benchmark`
+ * scenario is what the Benchmark Runner replays against each variant (see
+ * lib/scenarios.js), and `source` names the declarations the source viewer
+ * shows for each variant and the Bad/Good pairs its diff view aligns.
+ * `playground` lists the declarations the playground loads into its editor
+ * and the `goal` it replays against the learner's edit: `check` gets the
+ * metrics counted on mount, their deltas over the steps and the rendered root,
+ * and passes when the edit behaves like the Good implementation. `quiz`
+ * questions are multiple choice, `answer` being the index of the right option;
+ * `code` names declarations to show from the page source, and `demo` is the
+ * implementation the feedback links back to. `guide` holds the walkthrough
+ * shown above each implementation (see lib/guide.js) and `autoplay` the script
+ * the lesson plays itself with (see lib/autoplay.js).
+ *
+ * The words for all of these live in the message catalogs, under the lesson's
+ * id: the `benchmark` scenario, the `playground` goal with its verdicts, the
+ * `guide` steps (by step id) and its conclusion for each implementation, the
+ * `autoplay` captions by beat, the `quiz` questions by id with their options
+ * in order, and the speaker `notes` for each presentation slide (see
+ * lib/presentation.js).
+ */
+
+const defineLesson = (lesson) => ({
+  ...lesson,
+  Component: lazy(lesson.load),
+});
+
+const code = 'bg-neutral-100 text-neutral-900 px-2 py-1 rounded font-mono text-sm';
+const takeawayCode = 'bg-neutral-200 text-neutral-900 px-2 py-0.5 rounded font-mono text-sm';
+
+// How often the unrelated counter in "Fearing Re-renders" has been clicked
+const clickCount = (root) => Number(findTarget(root, control.button('Click Me:'))?.textContent.match(/\d+/)?.[0] ?? 0);
+
+// The walkthroughs that are the same for both implementations; only the
+// conclusion differs, and that comes from the messages
+const memoizationSteps = [
+  {
+    id: 'type',
+    target: control.text('Start typing...'),
+    done: ({ root }) => textInputs(root)[0]?.value !== '',
+  },
+  {
+    id: 'keep-typing',
+    target: control.text('Start typing...'),
+    done: ({ root }) => textInputs(root)[0]?.value.length >= 5,
+  },
+  { id: 'explain' },
+];
+
+const fearingReRendersSteps = [
+  {
+    id: 'category',
+    target: control.select('Filter by category:'),
+    done: ({ root }) => root.querySelector('select')?.value === 'B',
+  },
+  {
+    id: 'unrelated',
+    target: control.button('Click Me:'),
+    done: ({ root }) => clickCount(root) >= 3,
+  },
+  { id: 'explain' },
+];
+
+const useEffectRedundancySteps = [
+  {
+    id: 'first-name',
+    target: control.text('First Name:'),
+    done: ({ root }) => textInputs(root)[0]?.value !== 'John',
+  },
+  {
+    id: 'last-name',
+    target: control.text('Last Name:'),
+    done: ({ root }) => textInputs(root)[1]?.value !== 'Doe',
+  },
+  { id: 'explain' },
+];
+
+export const lessons = [
+  defineLesson({
+    id: 'memoization',
+    number: 1,
+    title: 'Memoization vs. Colocation',
+    icon: '🎯',
+    load: () => import('../pages/MemoizationVsColocation'),
+    source: {
+      file: 'src/pages/MemoizationVsColocation.jsx',
+      load: () => import('../pages/MemoizationVsColocation.jsx?raw'),
+      bad: ['ExpensiveComponent', 'BadImplementation'],
+      good: ['InputComponent', 'SlowComponentWithoutMemo', 'GoodImplementation'],
+      diffs: [
+        { bad: ['ExpensiveComponent'], good: ['SlowComponentWithoutMemo'] },
+        { bad: ['BadImplementation'], good: ['InputComponent', 'GoodImplementation'] },
+      ],
+    },
+    benchmark: { steps: typeText('Start typing...', 'hello') },
+    playground: {
+      declarations: ['ExpensiveComponent', 'BadImplementation'],
+      goal: {
+        steps: typeText('Start typing...', 'hello'),
+        ids: ['BadImplementation'],
+        check: ({ mounted, metrics }) =>
+          mounted.BadImplementation.renders > 0 && metrics.BadImplementation.renders === 0,
+      },
+    },
+    guide: { bad: memoizationSteps, good: memoizationSteps },
+    autoplay: [
+      { steps: typeText('Start typing...', 'hello world') },
+      { steps: [] },
+    ],
+    quiz: [
+      { id: 'bad-keystroke', answer: 2, demo: 'bad' },
+      { id: 'good-input', code: ['InputComponent'], answer: 0, demo: 'good' },
+      { id: 'first-step', answer: 1, demo: 'compare' },
+    ],
+    description: (
+      <Message id="memoization.description" components={{ code: <code className={code} /> }} />
+    ),
+    takeaway: (
+      <Message id="memoization.takeaway" components={{ code: <code className={takeawayCode} /> }} />
+    ),
+  }),
+  defineLesson({
+    id: 'fearing-rerenders',
+    number: 2,
+    title: 'Fearing Re-renders',
+    icon: '⚡',
+    load: () => import('../pages/FearingReRenders'),
+    source: {
+      file: 'src/pages/FearingReRenders.jsx',
+      load: () => import('../pages/FearingReRenders.jsx?raw'),
+      bad: ['BadImplementation'],
+      good: ['GoodImplementation'],
+      diffs: [{ bad: ['BadImplementation'], good: ['GoodImplementation'] }],
+    },
+    benchmark: {
+      steps: [
+        choose('Filter by category:', 'B'),
+        click('Click Me:'),
+        click('Click Me:'),
+        click('Click Me:'),
+        ...typeText('Type to filter...', 'Item 1'),
+      ],
+    },
+    playground: {
+      declarations: ['generateItems', 'cachedItems', 'getItems', 'BadImplementation'],
+      goal: {
+        steps: [click('Click Me:'), click('Click Me:'), click('Click Me:')],
+        ids: ['BadImplementation'],
+        check: ({ mounted, metrics }) =>
+          mounted.BadImplementation.renders > 0 &&
+          metrics.BadImplementation.renders >= 3 &&
+          metrics.BadImplementation.calculations === 0,
+      },
+    },
+    guide: { bad: fearingReRendersSteps, good: fearingReRendersSteps },
+    autoplay: [
+      {
+        steps: [choose('Filter by category:', 'B'), choose('Filter by category:', 'C'), choose('Filter by category:', 'A')],
+      },
+      { steps: [click('Click Me:'), click('Click Me:'), click('Click Me:')] },
+      { steps: [] },
+    ],
+    quiz: [
+      { id: 'unrelated-click', answer: 1, demo: 'bad' },
+      { id: 'get-items', code: ['cachedItems', 'getItems'], answer: 0, demo: 'good' },
+      { id: 'memo-deps', answer: 2, demo: 'good' },
+    ],
+    description: (
+      <Message id="fearing-rerenders.description" components={{ code: <code className={code} /> }} />
+    ),
+    takeaway: (
+      <Message id="fearing-rerenders.takeaway" components={{ code: <code className={takeawayCode} /> }} />
+    ),
+  }),
+  defineLesson({
+    id: 'context-misuse',
+    number: 3,
+    title: 'Context Misuse',
+    icon: '🌐',
+    load: () => import('../pages/ContextMisuse'),
+    source: {
+      file: 'src/pages/ContextMisuse.jsx',
+      load: () => import('../pages/ContextMisuse.jsx?raw'),
+      bad: ['BadGlobalContext', 'BadGlobalProvider', 'BadUserProfile', 'BadImplementation'],
+      good: ['UserContext', 'TimeContext', 'GoodUserProvider', 'GoodTimeProvider', 'GoodUserProfile', 'GoodImplementation'],
+      diffs: [
+        {
+          bad: ['BadGlobalContext', 'BadGlobalProvider'],
+          good: ['UserContext', 'TimeContext', 'GoodUserProvider', 'GoodTimeProvider'],
+        },
+        { bad: ['BadUserProfile'], good: ['GoodUserProfile'] },
+        { bad: ['BadImplementation'], good: ['GoodImplementation'] },
+      ],
+    },
+    benchmark: { steps: [wait(2000)] },
+    playground: {
+      declarations: [
+        'describeTick',
+        'BadGlobalContext',
+        'BadGlobalProvider',
+        'WastedRendersBar',
+        'BadUserProfile',
+        'BadClockDisplay',
+        'BadImplementation',
+      ],
+      goal: {
+        steps: [wait(2000)],
+        ids: ['BadUserProfile', 'BadClockDisplay'],
+        check: ({ mounted, metrics }) =>
+          mounted.BadUserProfile.renders > 0 &&
+          metrics.BadUserProfile.renders === 0 &&
+          metrics.BadClockDisplay.renders > 0,
+      },
+    },
+    guide: {
+      bad: [
+        {
+          id: 'watch',
+          done: ({ metrics }) => metrics('BadClockDisplay').renders > 3,
+        },
+        { id: 'explain' },
+      ],
+      good: [
+        {
+          id: 'watch',
+          done: ({ metrics }) => metrics('GoodClockDisplay').renders > 3,
+        },
+        { id: 'explain' },
+      ],
+    },
+    autoplay: [
+      { steps: [wait(4000)] },
+      { steps: [] },
+    ],
+    quiz: [
+      { id: 'god-context', answer: 1, demo: 'bad' },
+      { id: 'split-provider', code: ['GoodUserProvider'], answer: 1, demo: 'good' },
+      { id: 'what-context-is', answer: 1, demo: 'compare' },
+    ],
+    description: (
+      <Message id="context-misuse.description" components={{ code: <code className={code} /> }} />
+    ),
+    takeaway: (
+      <Message id="context-misuse.takeaway" components={{ code: <code className={takeawayCode} /> }} />
+    ),
+  }),
+  defineLesson({
+    id: 'index-as-key',
+    number: 4,
+    title: 'Index as Key',
+    icon: '🔑',
+    load: () => import('../pages/IndexAsKey'),
+    variants: [
+      { id: 'bad', verdict: 'bad' },
+      { id: 'random', verdict: 'bad' },
+      { id: 'content', verdict: 'acceptable' },
+      { id: 'good', verdict: 'best' },
+    ],
+    source: {
+      file: 'src/pages/IndexAsKey.jsx',
+      load: () => import('../pages/IndexAsKey.jsx?raw'),
+      bad: ['BadImplementation'],
+      random: ['KeyedTaskList', 'RandomKeyImplementation'],
+      content: ['KeyedTaskList', 'ContentKeyImplementation'],
+      good: ['GoodImplementation'],
+      diffs: [{ bad: ['BadImplementation'], good: ['GoodImplementation'] }],
+    },
+    benchmark: {
+      steps: [
+        toggle(0),
+        ...typeText('Type something here...', 'first', 0),
+        ...typeText('Type something here...', 'second', 1),
+        click('🗑️ Delete', 0),
+      ],
+    },
+    playground: {
+      declarations: ['nextId', 'generateId', 'BadImplementation'],
+      goal: {
+        steps: [
+          ...typeText('Type something here...', 'first', 0),
+          ...typeText('Type something here...', 'second', 1),
+          click('🗑️ Delete', 0),
+        ],
+        ids: [],
+        check: ({ root }) => root.querySelector('input[type="text"]')?.value === 'second',
+      },
+    },
+    guide: {
+      bad: [
+        {
+          id: 'check',
+          target: control.checkbox(0),
+          done: ({ root }) => root.querySelector('input[type="checkbox"]')?.checked === true,
+        },
+        {
+          id: 'type-first',
+          target: control.text('Type something here...', 0),
+          done: ({ root }) => textInputs(root)[0]?.value !== '',
+        },
+        {
+          id: 'type-second',
+          target: control.text('Type something here...', 1),
+          done: ({ root }) => {
+            const [first, second] = textInputs(root);
+            return second?.value !== '' && second?.value !== first?.value;
+          },
+        },
+        {
+          id: 'delete',
+          target: control.button('🗑️ Delete', 0),
+          done: ({ root }) => !hasExactText(root, 'Task 1'),
+        },
+        { id: 'explain' },
+      ],
+      good: [
+        {
+          id: 'type-first',
+          target: control.text('Type something here...', 0),
+          done: ({ root }) => textInputs(root)[0]?.value !== '',
+        },
+        {
+          id: 'type-second',
+          target: control.text('Type something here...', 1),
+          done: ({ root }) => {
+            const [first, second] = textInputs(root);
+            return second?.value !== '' && second?.value !== first?.value;
+          },
+        },
+        {
+          id: 'delete',
+          target: control.button('🗑️ Delete', 0),
+          done: ({ root }) => !hasExactText(root, 'Task 1'),
+        },
+        { id: 'explain' },
+      ],
+    },
+    autoplay: [
+      {
+        steps: [
+          toggle(0),
+          ...typeText('Type something here...', 'first', 0),
+          ...typeText('Type something here...', 'second', 1),
+        ],
+      },
+      { steps: [click('🗑️ Delete', 0)] },
+      { steps: [] },
+    ],
+    quiz: [
+      { id: 'delete-first', answer: 1, demo: 'bad' },
+      { id: 'generate-id', code: ['nextId', 'generateId'], answer: 0, demo: 'good' },
+      { id: 'index-ok', answer: 1, demo: 'compare' },
+    ],
+    description: (
+      <Message id="index-as-key.description" components={{ code: <code className={code} /> }} />
+    ),
+    takeaway: (
+      <Message id="index-as-key.takeaway" components={{ code: <code className={takeawayCode} /> }} />
+    ),
+  }),
+  defineLesson({
+    id: 'useeffect-redundancy',
+    number: 5,
+    title: 'useEffect Redundancy',
+    icon: '♻️',
+    load: () => import('../pages/UseEffectRedundancy'),
+    source: {
+      file: 'src/pages/UseEffectRedundancy.jsx',
+      load: () => import('../pages/UseEffectRedundancy.jsx?raw'),
+      bad: ['BadUserCard', 'BadImplementation'],
+      good: ['GoodUserCard', 'GoodImplementation'],
+      diffs: [
+        { bad: ['BadUserCard'], good: ['GoodUserCard'] },
+        { bad: ['BadImplementation'], good: ['GoodImplementation'] },
+      ],
+    },
+    benchmark: { steps: [...typeText('First Name:', 'Jane'), ...typeText('Last Name:', 'Smith')] },
+    playground: {
+      declarations: ['BadUserCard', 'BadImplementation'],
+      goal: {
+        steps: typeText('First Name:', 'Jane'),
+        ids: ['BadUserCard'],
+        check: ({ mounted, metrics }) =>
+          mounted.BadUserCard.renders > 0 && metrics.BadUserCard.renders === 'Jane'.length,
+      },
+    },
+    guide: { bad: useEffectRedundancySteps, good: useEffectRedundancySteps },
+    autoplay: [
+      { steps: typeText('First Name:', 'Jane') },
+      { steps: typeText('Last Name:', 'Smith') },
+      { steps: [] },
+    ],
+    quiz: [
+      { id: 'bad-user-card-renders', code: ['BadUserCard'], answer: 1, demo: 'bad' },
+      { id: 'derive', answer: 1, demo: 'good' },
+      { id: 'effect-for', answer: 2, demo: 'compare' },
+    ],
+    description: (
+      <Message id="useeffect-redundancy.description" components={{ code: <code className={code} /> }} />
+    ),
+    takeaway: (
+      <Message id="useeffect-redundancy.takeaway" components={{ code: <code className={takeawayCode} /> }} />
+    ),
+  }),
+];
+
+export const getLesson = (id) => lessons.find((lesson) => lesson.id === id);
@@ -0,0 +1,52 @@
+/**
+ * Announcements
+ *
+ * Text for the polite live region (see LiveRegion), so a screen reader hears
+ * what the demos only show: a "Parent Re-rendering" flash, the render counts
+ * after an interaction. Typing fires a burst of changes, so announcements are
+ * collected for a moment and read out together once things settle.
+ *
+ * A message is a string, or a function returning one when the announcement is
+ * made - for numbers that are still changing when it is queued. Messages
+ * queued under the same key replace each other.
+ */
+
+export const ANNOUNCE_DELAY = 500;
+
+const listeners = new Set();
+const pending = new Map();
+
+let announcement = '';
+let timer = null;
+
+export const getAnnouncement = () => announcement;
+
+const apply = (next) => {
+  announcement = next;
+  listeners.forEach((listener) => listener());
+};
+
+const flush = () => {
+  timer = null;
+  const messages = [...pending.values()].map((message) => (typeof message === 'function' ? message() : message));
+  pending.clear();
+  apply([...new Set(messages.map((message) => message?.trim()).filter(Boolean))].join(' '));
+};
+
+export const subscribe = (listener) => {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+};
+
+export const announce = (message, key = message) => {
+  pending.set(key, message);
+  clearTimeout(timer);
+  timer = setTimeout(flush, ANNOUNCE_DELAY);
+};
+
+export const resetAnnouncer = () => {
+  clearTimeout(timer);
+  timer = null;
+  pending.clear();
+  apply('');
+};
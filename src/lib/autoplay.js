@@ -0,0 +1,116 @@
+import { isMessage } from './i18n';
+import { applyStep } from './interactions';
+
+/**
+ * Autoplay
+ *
+ * Lets a lesson play itself, for talks and screen recordings. A lesson's
+ * `autoplay` script is a list of beats:
+ *
+ *   { steps }
+ *
+ * `steps` are scenario steps (see lib/scenarios.js) and are performed at a
+ * human pace - keystrokes a little irregular, a pause before each click - so
+ * the audience can follow along. Each beat's caption is shown on screen while
+ * it plays; it's the message `<lesson>.autoplay.<beat>`, or a `bad` and a
+ * `good` one under it when the two implementations call for different
+ * commentary. Playback can be paused between any two steps, and stepping
+ * plays the rest of the current beat, then pauses.
+ */
+
+export const DELAYS = Object.freeze({
+  keystroke: 140,
+  // Each keystroke lands up to this much earlier or later than `keystroke`
+  jitter: 60,
+  click: 700,
+  // Time to read the caption before the next beat starts
+  beat: 1800,
+});
+
+// The message id of the caption for beat number `beat`
+export const captionFor = (lessonId, beat, implementation) => {
+  const id = `${lessonId}.autoplay.${beat}`;
+  return isMessage(id) ? id : `${id}.${implementation}`;
+};
+
+// How long to wait before performing `step`
+export const stepDelay = (step, delays, random = Math.random) => {
+  if (step.action === 'wait') return step.duration;
+  if (step.action === 'input' && step.target.key.startsWith('text:')) {
+    return Math.max(0, delays.keystroke + (random() * 2 - 1) * delays.jitter);
+  }
+  return delays.click;
+};
+
+const delay = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+/**
+ * Creates a player for `script`. `getRoot` returns the element the steps are
+ * applied to (looked up before every step, so a remounted demo is picked up)
+ * and `onChange` receives the player state after every change:
+ *
+ *   { status: 'idle' | 'playing' | 'paused' | 'done', beat, missed }
+ *
+ * where `beat` is the index of the beat on screen and `missed` counts steps
+ * whose control wasn't found.
+ */
+export const createPlayer = ({ script, getRoot, onChange, delays = DELAYS }) => {
+  let state = { status: 'idle', beat: 0, missed: 0 };
+  let position = { beat: 0, step: 0 };
+  // Bumped by pause/stop so a loop that is waiting knows it's been cancelled
+  let run = 0;
+
+  const update = (changes) => {
+    state = { ...state, ...changes };
+    onChange(state);
+  };
+
+  const playBeats = async (singleBeat) => {
+    const current = ++run;
+    update({ status: 'playing', beat: position.beat });
+
+    while (position.beat < script.length) {
+      const beat = script[position.beat];
+
+      while (position.step < beat.steps.length) {
+        const step = beat.steps[position.step];
+        await delay(stepDelay(step, delays));
+        if (current !== run) return;
+        if (step.action !== 'wait') {
+          const root = getRoot();
+          if (!root || !applyStep(root, step)) update({ missed: state.missed + 1 });
+        }
+        position.step += 1;
+      }
+
+      await delay(delays.beat);
+      if (current !== run) return;
+      if (position.beat === script.length - 1) break;
+
+      position = { beat: position.beat + 1, step: 0 };
+      if (singleBeat) {
+        update({ status: 'paused', beat: position.beat });
+        return;
+      }
+      update({ beat: position.beat });
+    }
+
+    position = { beat: script.length, step: 0 };
+    update({ status: 'done' });
+  };
+
+  return {
+    getState: () => state,
+    play: () => playBeats(false),
+    step: () => playBeats(true),
+    pause: () => {
+      run += 1;
+      update({ status: 'paused' });
+    },
+    stop: () => {
+      run += 1;
+      position = { beat: 0, step: 0 };
+      update({ status: 'idle', beat: 0, missed: 0 });
+    },
+  };
+};
@@ -0,0 +1,35 @@
+/**
+ * Spot-the-anti-pattern grading
+ *
+ * A selection is graded against a snippet's answer ranges (see
+ * challenges/snippets.js): every range with at least one selected line is
+ * found, and selected lines outside all ranges are false positives. A snippet
+ * is solved when every range is found without false positives.
+ */
+
+// Snippets are written as template literals starting on a new line
+export const snippetLines = (snippet) => snippet.code.replace(/^\n/, '').split('\n');
+
+const inRange = (line, [from, to]) => line >= from && line <= to;
+
+export const gradeSelection = (snippet, selectedLines) => {
+  const answers = snippet.answers.map((answer) => ({
+    ...answer,
+    found: selectedLines.some((line) => inRange(line, answer.lines)),
+  }));
+  const falsePositives = selectedLines
+    .filter((line) => !snippet.answers.some((answer) => inRange(line, answer.lines)))
+    .sort((a, b) => a - b);
+
+  return {
+    answers,
+    falsePositives,
+    solved: answers.every((answer) => answer.found) && falsePositives.length === 0,
+  };
+};
+
+// A random snippet from `pool`, other than the current one when there's a choice
+export const pickSnippet = (pool, currentId = null, random = Math.random) => {
+  const candidates = pool.length > 1 ? pool.filter((snippet) => snippet.id !== currentId) : pool;
+  return candidates[Math.floor(random() * candidates.length)] ?? null;
+};
@@ -0,0 +1,104 @@
+/**
+ * Commands
+ *
+ * Everything the command palette (Ctrl/⌘+K) and the keyboard shortcuts can
+ * do. A command is
+ *
+ *   { id, title, group, run, shortcut?, keywords? }
+ *
+ * where `group` is the heading it's listed under, `shortcut` a single key
+ * that runs it from anywhere outside a text field, and `keywords` extra words
+ * the search matches. The app-wide commands are built by the palette itself
+ * (see components/CommandPalette); a page adds its own, e.g. "Reset demo",
+ * with `registerCommands` for as long as it's mounted.
+ */
+
+// How the palette's modifier key is labelled on this platform
+export const MOD_KEY = /Mac|iPhone|iPad/.test(navigator.platform) ? '⌘' : 'Ctrl';
+
+const listeners = new Set();
+
+let registered = [];
+// Which overlay is open: null, 'palette' or 'help'
+let overlay = null;
+
+const notify = () => listeners.forEach((listener) => listener());
+
+export const subscribe = (listener) => {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+};
+
+export const getRegisteredCommands = () => registered;
+
+// Adds `commands` until the returned function is called
+export const registerCommands = (commands) => {
+  registered = [...registered, ...commands];
+  notify();
+  return () => {
+    registered = registered.filter((command) => !commands.includes(command));
+    notify();
+  };
+};
+
+export const getOverlay = () => overlay;
+
+export const showOverlay = (next) => {
+  overlay = next;
+  notify();
+};
+
+export const commandForKey = (commands, key) => commands.find((command) => command.shortcut === key);
+
+const isWordStart = (text, index) => index === 0 || /[\s\-./:#]/.test(text[index - 1]);
+
+/**
+ * Fuzzy-matches `query` against `text`: every character of the query has to
+ * appear in order (spaces are ignored). Returns null, or the `score` (higher
+ * is better: a plain substring beats scattered characters, and consecutive
+ * characters and word starts count extra) and the `indices` of the matched
+ * characters, for highlighting.
+ */
+export const fuzzyMatch = (query, text) => {
+  const needle = query.toLowerCase().replace(/\s+/g, '');
+  const haystack = text.toLowerCase();
+  if (!needle) return { score: 0, indices: [] };
+
+  const substring = haystack.indexOf(needle);
+  if (substring !== -1) {
+    return {
+      score: needle.length * 4 + (isWordStart(haystack, substring) ? 4 : 0),
+      indices: Array.from(needle, (_, i) => substring + i),
+    };
+  }
+
+  const indices = [];
+  let score = 0;
+  let from = 0;
+  for (const char of needle) {
+    const index = haystack.indexOf(char, from);
+    if (index === -1) return null;
+    score += 1 + (index === indices[indices.length - 1] + 1 ? 2 : 0) + (isWordStart(haystack, index) ? 2 : 0);
+    indices.push(index);
+    from = index + 1;
+  }
+  return { score, indices };
+};
+
+/**
+ * The commands matching `query`, best first, as { command, indices } with
+ * the matched characters of the title. A command found only through its
+ * group or keywords ranks below the title matches and highlights nothing.
+ * An empty query lists every command in order.
+ */
+export const rankCommands = (commands, query) =>
+  commands
+    .map((command, order) => {
+      const title = fuzzyMatch(query, command.title);
+      if (title) return { command, indices: title.indices, titleMatch: true, score: title.score, order };
+      const other = fuzzyMatch(query, [command.group, ...(command.keywords ?? [])].join(' '));
+      return other && { command, indices: [], titleMatch: false, score: other.score, order };
+    })
+    .filter(Boolean)
+    .sort((a, b) => b.titleMatch - a.titleMatch || b.score - a.score || a.order - b.order)
+    .map(({ command, indices }) => ({ command, indices }));
@@ -0,0 +1,108 @@
+/**
+ * Line diff for the Bad-vs-Good view.
+ *
+ * Lines are `{ text, number }` objects so the result can show each side's
+ * original file line numbers. `normalize` decides which lines count as equal.
+ */
+
+// Lines that only differ in the Bad/Good naming, the bad/good colours or the
+// `.bad.`/`.good.` segment of a message id aren't part of the fix, so the diff
+// can treat them as unchanged
+export const ignoreVerdictStyling = (text) =>
+  text
+    .trim()
+    .replace(/\b(Bad|Good)(?=[A-Z])/g, '')
+    .replace(/\b(bad|good)-(\d+)/g, 'tone-$2')
+    .replace(/\.(bad|good)\./g, '.verdict.');
+
+// Longest-common-subsequence diff. Returns entries of
+// `{ type: 'same' | 'removed' | 'added', before, after }`, where `before` and
+// `after` are the lines from each side (only one of them for changes).
+export const diffLines = (before, after, normalize = (text) => text) => {
+  const a = before.map((line) => normalize(line.text));
+  const b = after.map((line) => normalize(line.text));
+
+  // lengths[i][j] is the LCS length of a[i..] and b[j..]
+  const lengths = Array.from({ length: a.length + 1 }, () => new Array(b.length + 1).fill(0));
+  for (let i = a.length - 1; i >= 0; i -= 1) {
+    for (let j = b.length - 1; j >= 0; j -= 1) {
+      lengths[i][j] = a[i] === b[j] ? lengths[i + 1][j + 1] + 1 : Math.max(lengths[i + 1][j], lengths[i][j + 1]);
+    }
+  }
+
+  const entries = [];
+  let i = 0;
+  let j = 0;
+  while (i < a.length || j < b.length) {
+    if (i < a.length && j < b.length && a[i] === b[j]) {
+      entries.push({ type: 'same', before: before[i], after: after[j] });
+      i += 1;
+      j += 1;
+    } else if (j < b.length && (i === a.length || lengths[i][j + 1] >= lengths[i + 1][j])) {
+      entries.push({ type: 'added', after: after[j] });
+      j += 1;
+    } else {
+      entries.push({ type: 'removed', before: before[i] });
+      i += 1;
+    }
+  }
+
+  // Show removals before the additions that replace them
+  return reorderChanges(entries);
+};
+
+const reorderChanges = (entries) => {
+  const result = [];
+  let removed = [];
+  let added = [];
+
+  const flush = () => {
+    result.push(...removed, ...added);
+    removed = [];
+    added = [];
+  };
+
+  for (const entry of entries) {
+    if (entry.type === 'removed') removed.push(entry);
+    else if (entry.type === 'added') added.push(entry);
+    else {
+      flush();
+      result.push(entry);
+    }
+  }
+  flush();
+
+  return result;
+};
+
+// Pairs each run of removals with the additions that follow it, for a
+// side-by-side layout: `{ left, right }` rows where either side may be empty
+export const toSplitRows = (entries) => {
+  const rows = [];
+  let index = 0;
+
+  while (index < entries.length) {
+    const entry = entries[index];
+    if (entry.type === 'same') {
+      rows.push({ type: 'same', left: entry.before, right: entry.after });
+      index += 1;
+      continue;
+    }
+
+    const removed = [];
+    const added = [];
+    while (entries[index]?.type === 'removed') removed.push(entries[index++].before);
+    while (entries[index]?.type === 'added') added.push(entries[index++].after);
+
+    for (let row = 0; row < Math.max(removed.length, added.length); row += 1) {
+      rows.push({ type: 'changed', left: removed[row] ?? null, right: added[row] ?? null });
+    }
+  }
+
+  return rows;
+};
+
+export const countChanges = (entries) => ({
+  removed: entries.filter((entry) => entry.type === 'removed').length,
+  added: entries.filter((entry) => entry.type === 'added').length,
+});
@@ -0,0 +1,27 @@
+// Saves `content` as a file through a temporary object URL. Firefox only
+// follows links that are in the document, and revoking the URL right after
+// the click can cancel the download before it has started.
+export const downloadFile = (filename, content, type) => {
+  const url = URL.createObjectURL(content instanceof Blob ? content : new Blob([content], { type }));
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  document.body.append(link);
+  link.click();
+  link.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+};
+
+const escapeCsv = (value) => {
+  const text = String(value ?? '');
+  return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// Rows are objects; the columns are the keys of the first row
+export const toCsv = (rows) => {
+  if (rows.length === 0) return '';
+  const columns = Object.keys(rows[0]);
+  return [columns, ...rows.map((row) => columns.map((column) => row[column]))]
+    .map((cells) => cells.map(escapeCsv).join(','))
+    .join('\n');
+};
@@ -0,0 +1,63 @@
+/**
+ * Keyboard focus helpers for dialogs, drawers and keyboard shortcuts.
+ */
+
+const FOCUSABLE = [
+  'a[href]',
+  'button:not([disabled])',
+  'input:not([disabled]):not([type="hidden"])',
+  'select:not([disabled])',
+  'textarea:not([disabled])',
+  'summary',
+  '[tabindex]:not([tabindex="-1"])',
+].join(', ');
+
+// checkVisibility covers display: none and closed <details> where the browser
+// has it; otherwise only the [hidden] attribute and closed <details> count
+const isVisible = (element) =>
+  element.checkVisibility?.() ?? !element.closest('[hidden], details:not([open]) > :not(summary)');
+
+// Everything inside `container` that Tab can reach, in tab order
+export const focusableElements = (container) =>
+  [...container.querySelectorAll(FOCUSABLE)].filter((element) => !element.closest('[inert]') && isVisible(element));
+
+/**
+ * Keeps Tab and Shift+Tab cycling through `container`'s controls. Call it
+ * from a keydown listener; returns whether it moved the focus.
+ */
+export const trapTab = (event, container) => {
+  if (event.key !== 'Tab') return false;
+  const elements = focusableElements(container);
+  if (elements.length === 0) return false;
+
+  const first = elements[0];
+  const last = elements[elements.length - 1];
+  const outside = !container.contains(document.activeElement);
+
+  if (event.shiftKey && (outside || document.activeElement === first)) {
+    last.focus();
+  } else if (!event.shiftKey && (outside || document.activeElement === last)) {
+    first.focus();
+  } else {
+    return false;
+  }
+  event.preventDefault();
+  return true;
+};
+
+// Keys typed into a text field or a demo's controls belong to it, not to a
+// page-wide shortcut
+export const isEditing = (target) => target.closest?.('input, textarea, select, [contenteditable="true"]') != null;
+
+// Scrolls a part of the page into view and moves the focus to it, so the
+// next Tab continues from there
+export const focusElement = (element) => {
+  if (!element.hasAttribute('tabindex')) element.setAttribute('tabindex', '-1');
+  element.focus({ preventScroll: true });
+  element.scrollIntoView?.({ behavior: 'smooth', block: 'start' });
+};
+
+export const focusSection = (id) => {
+  const section = document.getElementById(id);
+  if (section) focusElement(section);
+};
@@ -0,0 +1,85 @@
+import { findTarget } from './interactions';
+import { getMetrics } from './renderMetrics';
+
+/**
+ * Guided walkthroughs
+ *
+ * A lesson's `guide` lists, per implementation, the steps that make its point:
+ *
+ *   { id, target?, done: ({ root, metrics }) => boolean }
+ *
+ * `done` looks at the implementation's DOM (`root`) and render metrics
+ * (`metrics(id)`), and is checked again after every interaction with the demo
+ * and every change to its DOM, so a step ticks itself off as soon as the
+ * learner has done it.
+ * `target` is the control to use next, addressed like the steps of a scenario
+ * (see `findTarget`), and gets highlighted. The last step has no `done`: it
+ * concludes the walkthrough by explaining what the learner just saw. A step's
+ * title is the message `<lesson>.guide.steps.<id>`, and the conclusion's
+ * title and explanation are under `<lesson>.guide.<implementation>`.
+ */
+
+// Controls as `target`s, matching what the interaction recorder records
+export const control = {
+  text: (label, index = 0) => ({ key: `text:${label}`, index }),
+  button: (label, index = 0) => ({ key: `button:${label}`, index }),
+  select: (label, index = 0) => ({ key: `select:${label}`, index }),
+  checkbox: (index = 0) => ({ key: 'checkbox', index }),
+};
+
+// Predicate helpers for `done`
+export const textInputs = (root) => [...root.querySelectorAll('input[type="text"], input:not([type])')];
+
+export const hasExactText = (root, text) =>
+  [...root.querySelectorAll('*')].some((element) => element.childElementCount === 0 && element.textContent.trim() === text);
+
+// The mounted implementation the learner is looking at; replays mount their
+// own copy, which shouldn't tick steps off
+export const findDemoRoot = (container, implementation) =>
+  container.querySelector(`[data-implementation="${implementation}"]:not([data-run])`);
+
+// Index of the first step that isn't done yet, starting from `from` (steps
+// are done in order, and once done stay done)
+export const advanceGuide = (steps, from, root) => {
+  let current = from;
+  const context = { root, metrics: getMetrics };
+  while (current < steps.length && steps[current].done && steps[current].done(context)) current += 1;
+  return current;
+};
+
+export const HIGHLIGHT_ATTRIBUTE = 'data-guide-target';
+
+// Moves the highlight to `step`'s target, if it has one
+export const highlightTarget = (container, root, step) => {
+  const element = root && step?.target ? findTarget(root, step.target) : null;
+  container.querySelectorAll(`[${HIGHLIGHT_ATTRIBUTE}]`).forEach((highlighted) => {
+    if (highlighted !== element) highlighted.removeAttribute(HIGHLIGHT_ATTRIBUTE);
+  });
+  if (element && !element.hasAttribute(HIGHLIGHT_ATTRIBUTE)) element.setAttribute(HIGHLIGHT_ATTRIBUTE, '');
+};
+
+/**
+ * Calls `onChange` after anything happens in `container`: an interaction
+ * (once React has handled it) or a DOM change such as a render counter
+ * updating. Attribute changes are ignored, so highlighting doesn't feed back
+ * into itself. Returns a function that stops observing.
+ */
+export const observeDemo = (container, onChange) => {
+  let timer = null;
+  const schedule = () => {
+    clearTimeout(timer);
+    timer = setTimeout(onChange, 0);
+  };
+
+  const events = ['input', 'change', 'click'];
+  events.forEach((type) => container.addEventListener(type, schedule, true));
+  const observer = new MutationObserver(schedule);
+  observer.observe(container, { childList: true, subtree: true, characterData: true });
+  schedule();
+
+  return () => {
+    clearTimeout(timer);
+    observer.disconnect();
+    events.forEach((type) => container.removeEventListener(type, schedule, true));
+  };
+};
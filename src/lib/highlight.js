@@ -0,0 +1,79 @@
+/**
+ * A small JSX syntax highlighter for the source viewer. It only needs to
+ * colour the demo pages in this repo, so it knows comments, strings,
+ * keywords, JSX tags and numbers, and leaves everything else plain.
+ */
+
+const KEYWORDS = new Set([
+  'const', 'let', 'var', 'function', 'return', 'if', 'else', 'for', 'while', 'do',
+  'import', 'from', 'export', 'default', 'new', 'typeof', 'of', 'in', 'class',
+  'extends', 'true', 'false', 'null', 'undefined', 'async', 'await', 'delete',
+]);
+
+const RULES = [
+  { type: 'comment', pattern: /\/\/[^\n]*|\/\*[\s\S]*?(?:\*\/|$)/y },
+  { type: 'string', pattern: /`(?:\\[\s\S]|[^`\\])*`?/y },
+  // A quote between two letters is an apostrophe in JSX text ("isn't")
+  { type: 'string', pattern: /(?<![A-Za-z])(["'])(?:\\.|(?!\1)[^\\\n])*\1?/y },
+  { type: 'tag', pattern: /(?<=<\/?)[A-Za-z][\w.]*/y },
+  { type: 'number', pattern: /\b\d+(?:\.\d+)?\b/y },
+  { type: 'word', pattern: /[A-Za-z_$][\w$]*/y },
+];
+
+// Splits `code` into `{ type, text }` tokens, where type is one of comment,
+// string, keyword, tag, number or plain
+export const tokenize = (code) => {
+  const tokens = [];
+  let position = 0;
+
+  const push = (type, text) => {
+    const last = tokens[tokens.length - 1];
+    if (last?.type === type && type === 'plain') {
+      last.text += text;
+    } else {
+      tokens.push({ type, text });
+    }
+  };
+
+  while (position < code.length) {
+    let matched = false;
+
+    for (const { type, pattern } of RULES) {
+      pattern.lastIndex = position;
+      const match = pattern.exec(code);
+      if (!match || match[0].length === 0) continue;
+
+      const text = match[0];
+      if (type === 'word') {
+        push(KEYWORDS.has(text) ? 'keyword' : 'plain', text);
+      } else {
+        push(type, text);
+      }
+      position += text.length;
+      matched = true;
+      break;
+    }
+
+    if (!matched) {
+      push('plain', code[position]);
+      position += 1;
+    }
+  }
+
+  return tokens;
+};
+
+// Same tokens, grouped per line so the viewer can number and mark lines.
+// Tokens that span lines (block comments, template strings) are split.
+export const tokenizeLines = (code) => {
+  const lines = [[]];
+
+  for (const token of tokenize(code)) {
+    token.text.split('\n').forEach((text, i) => {
+      if (i > 0) lines.push([]);
+      if (text) lines[lines.length - 1].push({ type: token.type, text });
+    });
+  }
+
+  return lines;
+};
@@ -0,0 +1,110 @@
+import en from '../locales/en';
+import de from '../locales/de';
+import { flattenMessages, formatMessage, lookupEntry, lookupMessage } from './messages';
+
+/**
+ * Languages
+ *
+ * The lesson text comes from a message catalog per locale (see messages.js).
+ * English is the source: a message another catalog lacks falls back to it,
+ * and a lesson's English title is the one in the registry. The chosen locale
+ * is persisted in localStorage and set as `lang` on <html>.
+ */
+
+export const LOCALE_STORAGE_KEY = 'react-misconceptions:locale';
+
+export const LOCALES = [
+  { id: 'en', label: 'English', catalog: en },
+  { id: 'de', label: 'Deutsch', catalog: de },
+];
+
+export const DEFAULT_LOCALE = 'en';
+
+const catalogFor = (locale) => LOCALES.find(({ id }) => id === locale)?.catalog ?? en;
+
+// The message for `id`, or the id itself so a missing one is easy to spot
+export const getMessage = (locale, id) => lookupMessage(catalogFor(locale), id) ?? lookupMessage(en, id) ?? id;
+
+// A plain-text message with its `values` filled in
+export const translate = (locale, id, values) => formatMessage(getMessage(locale, id), values);
+
+// Whether `id` is a single message rather than a group of them
+export const isMessage = (id) => lookupMessage(en, id) !== undefined;
+
+// The ids of the messages in the group at `id`, in order, e.g. a quiz
+// question's options. Every catalog has the same ids as the English one.
+export const messageIds = (id) => Object.keys(lookupEntry(en, id) ?? {}).map((key) => `${id}.${key}`);
+
+export const lessonTitle = (locale, lesson) => lookupMessage(catalogFor(locale), `${lesson.id}.title`) ?? lesson.title;
+
+/**
+ * The English text of a label shown in `locale`, as normalized by
+ * `normalize`; labels no message matches come back unchanged. Interaction
+ * steps address controls by their English label (see interactions.js), so a
+ * scenario or recording replays in any language.
+ */
+const englishLabels = new Map();
+
+export const englishLabel = (locale, label, normalize) => {
+  if (locale === DEFAULT_LOCALE) return label;
+  if (!englishLabels.has(locale)) {
+    const labels = flattenMessages(catalogFor(locale)).map(([id, message]) => [
+      normalize(formatMessage(message, {}, '')),
+      normalize(formatMessage(getMessage(DEFAULT_LOCALE, id), {}, '')),
+    ]);
+    englishLabels.set(locale, new Map(labels.reverse()));
+  }
+  return englishLabels.get(locale).get(label) ?? label;
+};
+
+const listeners = new Set();
+
+const sanitize = (locale) => (LOCALES.some(({ id }) => id === locale) ? locale : DEFAULT_LOCALE);
+
+const load = () => {
+  try {
+    return sanitize(window.localStorage.getItem(LOCALE_STORAGE_KEY));
+  } catch {
+    return DEFAULT_LOCALE;
+  }
+};
+
+let locale = load();
+
+export const getLocale = () => locale;
+
+const apply = (next) => {
+  locale = next;
+  document.documentElement.lang = locale;
+  listeners.forEach((listener) => listener());
+};
+
+// Another tab picked a language
+const onStorage = (event) => {
+  if (event.key === LOCALE_STORAGE_KEY) apply(load());
+};
+
+export const subscribe = (listener) => {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+};
+
+export const setLocale = (next) => {
+  const sanitized = sanitize(next);
+  try {
+    window.localStorage.setItem(LOCALE_STORAGE_KEY, sanitized);
+  } catch {
+    // Private browsing or a full quota: the language still applies to this tab
+  }
+  apply(sanitized);
+};
+
+export const resetLocale = () => setLocale(DEFAULT_LOCALE);
+
+// Sets `lang` on <html> and follows the language other tabs pick. Called
+// once, before the app renders; returns a function that stops listening.
+export const initLocale = () => {
+  apply(load());
+  window.addEventListener('storage', onStorage);
+  return () => window.removeEventListener('storage', onStorage);
+};
@@ -0,0 +1,23 @@
+/**
+ * Input channel for side-by-side mode
+ *
+ * A shared control publishes each change on a named channel, and every
+ * implementation that subscribed feeds it into its OWN state. That way both
+ * implementations react to the same input while keeping their state exactly
+ * where the lesson put it - lifting the value into a common parent would
+ * re-render both and erase the very difference we're trying to show.
+ */
+export const createInputChannel = () => {
+  const listeners = new Map();
+
+  return {
+    publish(name, value) {
+      listeners.get(name)?.forEach((listener) => listener(value));
+    },
+    subscribe(name, listener) {
+      if (!listeners.has(name)) listeners.set(name, new Set());
+      listeners.get(name).add(listener);
+      return () => listeners.get(name).delete(listener);
+    },
+  };
+};
@@ -0,0 +1,129 @@
+/**
+ * Input latency store
+ *
+ * Measures how long each keystroke takes to reach the screen: from the input
+ * event's timestamp to the next paint. The Event Timing API reports that
+ * directly, but only for events slower than its 16ms threshold, so every
+ * keystroke is also timed with a requestAnimationFrame-based fallback and
+ * upgraded when a matching Event Timing entry arrives.
+ */
+
+// How many recent keystrokes the sparkline shows
+export const SPARKLINE_SAMPLES = 40;
+
+// Web Vitals thresholds for Interaction to Next Paint
+export const INP_THRESHOLDS = { good: 200, poor: 500 };
+
+const EMPTY_LATENCY = Object.freeze({ samples: [], last: null, inp: null });
+
+const stores = new Map();
+const listeners = new Map();
+
+export const getLatency = (id) => stores.get(id) ?? EMPTY_LATENCY;
+
+export const subscribe = (id, listener) => {
+  if (!listeners.has(id)) listeners.set(id, new Set());
+  listeners.get(id).add(listener);
+  return () => listeners.get(id).delete(listener);
+};
+
+// INP ignores one outlier per 50 interactions, so a single hiccup in a long
+// session doesn't define it
+export const interactionToNextPaint = (durations) => {
+  if (durations.length === 0) return null;
+  const sorted = [...durations].sort((a, b) => b - a);
+  return sorted[Math.min(Math.floor(durations.length / 50), sorted.length - 1)];
+};
+
+export const rateLatency = (duration) => {
+  if (duration <= INP_THRESHOLDS.good) return 'good';
+  return duration <= INP_THRESHOLDS.poor ? 'needs-improvement' : 'poor';
+};
+
+const update = (id, samples) => {
+  const next = {
+    samples,
+    last: samples[samples.length - 1],
+    inp: interactionToNextPaint(samples.map((sample) => sample.duration)),
+  };
+  stores.set(id, next);
+  listeners.get(id)?.forEach((listener) => listener(next));
+};
+
+// `key` is the event's timestamp, which is also the Event Timing entry's
+// startTime. An Event Timing measurement replaces the fallback for the same
+// keystroke; a late fallback never replaces an Event Timing one.
+export const recordLatency = (id, key, duration, source) => {
+  const { samples } = getLatency(id);
+  const index = samples.findIndex((sample) => sample.key === key);
+
+  if (index === -1) {
+    update(id, [...samples, { key, duration, source }]);
+  } else if (source === 'event-timing' && samples[index].source !== 'event-timing') {
+    update(id, samples.map((sample, i) => (i === index ? { key, duration, source } : sample)));
+  }
+};
+
+export const resetLatency = (id) => {
+  if (id === undefined) {
+    stores.clear();
+    return;
+  }
+  stores.delete(id);
+  listeners.get(id)?.forEach((listener) => listener(EMPTY_LATENCY));
+};
+
+// Which latency id each observed input belongs to
+const observed = new Map();
+let eventObserver = null;
+
+const supportsEventTiming = () =>
+  typeof PerformanceObserver !== 'undefined' &&
+  PerformanceObserver.supportedEntryTypes?.includes('event');
+
+const observeEventTiming = () => {
+  if (eventObserver || !supportsEventTiming()) return;
+  eventObserver = new PerformanceObserver((list) => {
+    for (const entry of list.getEntries()) {
+      const id = entry.name === 'input' && observed.get(entry.target);
+      if (id) recordLatency(id, entry.startTime, entry.duration, 'event-timing');
+    }
+  });
+  eventObserver.observe({ type: 'event', durationThreshold: 16, buffered: false });
+};
+
+// The task after the next animation frame runs once that frame has painted
+const afterNextPaint = (callback) => {
+  if (typeof requestAnimationFrame === 'function') {
+    requestAnimationFrame(() => setTimeout(callback, 0));
+  } else {
+    setTimeout(callback, 16);
+  }
+};
+
+// Older engines (and jsdom) stamp events with epoch time rather than time
+// since the page's time origin
+const eventStart = (event) =>
+  event.timeStamp > performance.now() ? event.timeStamp - performance.timeOrigin : event.timeStamp;
+
+/**
+ * Times every `input` event on `element` under `id`. The first input observed
+ * for an id starts its samples over, like a fresh mount resets render counts.
+ * Returns a cleanup function.
+ */
+export const observeInput = (element, id) => {
+  if (![...observed.values()].includes(id)) resetLatency(id);
+  observed.set(element, id);
+  observeEventTiming();
+
+  const onInput = (event) => {
+    const start = eventStart(event);
+    afterNextPaint(() => recordLatency(id, start, performance.now() - start, 'raf'));
+  };
+
+  element.addEventListener('input', onInput);
+  return () => {
+    element.removeEventListener('input', onInput);
+    observed.delete(element);
+  };
+};
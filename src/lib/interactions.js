@@ -0,0 +1,175 @@
+import { englishLabel, getLocale } from './i18n';
+import { diffMetrics, getVersion, snapshotMetrics } from './renderMetrics';
+
+/**
+ * Interaction recording and replay
+ *
+ * Steps are recorded against the implementation the learner is using and
+ * replayed against a fresh mount of every implementation. Targets are located
+ * by what they look like to a user - the kind of control, its label and its
+ * position among identical controls - rather than by DOM path, so a step
+ * recorded on the Bad implementation finds the same control in the Good one.
+ * Labels are compared in English, so steps work whatever the language.
+ */
+
+const CONTROLS = 'input, select, textarea, button';
+
+const labelOf = (element) => {
+  const label = element.labels?.[0] ?? element.parentElement?.querySelector('label');
+  return element.placeholder || label?.textContent || '';
+};
+
+// Digits are dropped so "Click Me: 3" and "Click Me: 4" are the same button
+const normalize = (text) => text.replace(/\d+/g, '').replace(/\s+/g, ' ').trim();
+
+const englishText = (text) => englishLabel(getLocale(), normalize(text), normalize);
+
+const controlKey = (element) => {
+  if (element.tagName === 'BUTTON') return `button:${englishText(element.textContent)}`;
+  if (element.type === 'checkbox') return 'checkbox';
+  if (element.tagName === 'SELECT') return `select:${englishText(labelOf(element))}`;
+  return `text:${englishText(labelOf(element))}`;
+};
+
+export const describeTarget = (element, root) => {
+  const key = controlKey(element);
+  const matches = [...root.querySelectorAll(CONTROLS)].filter((control) => controlKey(control) === key);
+  return { key, index: matches.indexOf(element) };
+};
+
+export const findTarget = (root, { key, index }) =>
+  [...root.querySelectorAll(CONTROLS)].filter((control) => controlKey(control) === key)[index] ?? null;
+
+// React tracks input values itself, so assigning `element.value` directly
+// would be swallowed. Going through the native setter makes onChange fire.
+const setNativeValue = (element, value) => {
+  const { set } = Object.getOwnPropertyDescriptor(Object.getPrototypeOf(element), 'value');
+  set.call(element, value);
+  element.dispatchEvent(new Event(element.tagName === 'SELECT' ? 'change' : 'input', { bubbles: true }));
+};
+
+/**
+ * Starts recording interactions inside `stage`. Controls must live inside an
+ * element with `data-implementation`, or carry `data-shared-input` (the
+ * side-by-side shared controls). Returns a function that stops recording.
+ */
+export const startRecording = (stage, onStep) => {
+  const startedAt = performance.now();
+
+  const record = (event) => {
+    const element = event.target.closest?.(CONTROLS);
+    if (!element || element.disabled) return;
+
+    // Buttons and checkboxes are recorded as clicks, selects on `change` and
+    // text fields on every `input` (one step per keystroke)
+    const isClickable = element.tagName === 'BUTTON' || element.type === 'checkbox';
+    const valueEvent = element.tagName === 'SELECT' ? 'change' : 'input';
+    if (event.type !== (isClickable ? 'click' : valueEvent)) return;
+
+    const at = Math.round(performance.now() - startedAt);
+    const shared = element.dataset.sharedInput;
+    if (shared) {
+      onStep({ at, action: 'shared', name: shared, value: isClickable ? undefined : element.value });
+      return;
+    }
+
+    const root = element.closest('[data-implementation]');
+    if (!root) return;
+    onStep({
+      at,
+      action: isClickable ? 'click' : 'input',
+      target: describeTarget(element, root),
+      value: isClickable ? undefined : element.value,
+    });
+  };
+
+  stage.addEventListener('input', record);
+  stage.addEventListener('change', record);
+  stage.addEventListener('click', record);
+
+  return () => {
+    stage.removeEventListener('input', record);
+    stage.removeEventListener('change', record);
+    stage.removeEventListener('click', record);
+  };
+};
+
+// Applies one step; returns false if its target doesn't exist in this root
+export const applyStep = (root, step, channel) => {
+  if (step.action === 'shared') {
+    if (!channel) return false;
+    channel.publish(step.name, step.value);
+    return true;
+  }
+
+  const element = findTarget(root, step.target);
+  if (!element) return false;
+
+  if (step.action === 'click') {
+    element.click();
+  } else if (element.type !== 'checkbox') {
+    setNativeValue(element, step.value);
+  }
+  return true;
+};
+
+const delay = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+// Renders scheduled from effects run as tasks of their own, so a single
+// timer turn can return before they land and let them merge with the next
+// step. Settling waits until a couple of turns go by with nothing recorded.
+const QUIET_TURNS = 2;
+
+export const settle = async () => {
+  let quietTurns = 0;
+  while (quietTurns < QUIET_TURNS) {
+    const version = getVersion();
+    await delay(0);
+    quietTurns = getVersion() === version ? quietTurns + 1 : 0;
+  }
+};
+
+// Polls until `find()` returns an element, e.g. a freshly mounted demo
+export const waitForElement = async (find, timeout = 5000) => {
+  const start = performance.now();
+  while (performance.now() - start < timeout) {
+    const element = find();
+    if (element) return element;
+    await delay(10);
+  }
+  throw new Error('Timed out waiting for the demo to mount');
+};
+
+/**
+ * Replays `steps` against `root` one at a time, letting React settle between
+ * steps. Only the time spent handling each step is counted, so the result
+ * doesn't depend on how fast the original recording was typed. `wait` steps
+ * (used by timer-driven demos) let real time pass without counting it.
+ */
+export const replaySteps = async (root, steps, channel) => {
+  let elapsed = 0;
+  let missed = 0;
+
+  for (const step of steps) {
+    if (step.action === 'wait') {
+      await delay(step.duration);
+      continue;
+    }
+
+    const start = performance.now();
+    if (!applyStep(root, step, channel)) missed += 1;
+    elapsed += performance.now() - start;
+    await settle();
+  }
+
+  return { elapsed, missed };
+};
+
+// Replays `steps` against a freshly mounted implementation and reports what
+// they cost: elapsed handling time and the metric deltas for `ids`
+export const measureReplay = async (root, steps, channel, ids) => {
+  await settle();
+  const before = snapshotMetrics(ids);
+  const { elapsed, missed } = await replaySteps(root, steps, channel);
+  return { elapsed, missed, metrics: diffMetrics(before, snapshotMetrics(ids)) };
+};
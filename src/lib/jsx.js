@@ -0,0 +1,338 @@
+/**
+ * JSX transform for the playground
+ *
+ * Turns JSX into `React.createElement` calls, in the browser and without any
+ * network access. It covers what the lesson pages use - elements, fragments,
+ * member-expression tags, string/expression/spread attributes, and JSX nested
+ * inside expressions - and reports anything it can't read as a JsxSyntaxError
+ * with a line and column. Everything that isn't JSX is copied through as-is.
+ */
+
+export class JsxSyntaxError extends SyntaxError {
+  constructor(message, source, position) {
+    const before = source.slice(0, position).split('\n');
+    const line = before.length;
+    const column = before[before.length - 1].length + 1;
+    super(`${message} (${line}:${column})`);
+    this.name = 'JsxSyntaxError';
+    this.line = line;
+    this.column = column;
+  }
+}
+
+const ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ' };
+
+const decodeEntities = (text) =>
+  text.replace(/&(#x[\da-f]+|#\d+|\w+);/gi, (entity, name) => {
+    if (name[0] === '#') {
+      const code = name[1].toLowerCase() === 'x' ? parseInt(name.slice(2), 16) : parseInt(name.slice(1), 10);
+      return String.fromCodePoint(code);
+    }
+    return ENTITIES[name] ?? entity;
+  });
+
+// JSX whitespace rules: lines are trimmed, blank lines dropped and the rest
+// joined with single spaces
+const cleanText = (text) => {
+  const lines = text.split(/\r\n|\n|\r/);
+  const lastNonEmpty = lines.reduce((last, line, i) => (/[^ \t]/.test(line) ? i : last), -1);
+
+  return lines
+    .map((line, i) => {
+      let trimmed = line.replace(/\t/g, ' ');
+      if (i > 0) trimmed = trimmed.replace(/^ +/, '');
+      if (i < lines.length - 1) trimmed = trimmed.replace(/ +$/, '');
+      return trimmed && i !== lastNonEmpty ? `${trimmed} ` : trimmed;
+    })
+    .join('');
+};
+
+const IDENTIFIER_START = /[A-Za-z_$]/;
+const TAG_NAME = /[A-Za-z_$][\w$.:-]*/y;
+const ATTRIBUTE_NAME = /[A-Za-z_$][\w$:-]*/y;
+
+// A `<` starts JSX where an expression may begin: after one of these
+// characters, after `=>` or after `return`
+const EXPRESSION_START = new Set(['(', ',', '=', ':', '?', '[', '{', ';', '!', '&', '|']);
+
+class Transformer {
+  constructor(source) {
+    this.source = source;
+    this.position = 0;
+  }
+
+  error(message, position = this.position) {
+    return new JsxSyntaxError(message, this.source, position);
+  }
+
+  peek(offset = 0) {
+    return this.source[this.position + offset];
+  }
+
+  startsWith(text) {
+    return this.source.startsWith(text, this.position);
+  }
+
+  match(pattern) {
+    pattern.lastIndex = this.position;
+    const result = pattern.exec(this.source);
+    if (!result) return null;
+    this.position += result[0].length;
+    return result[0];
+  }
+
+  expect(text) {
+    if (!this.startsWith(text)) throw this.error(`Expected "${text}"`);
+    this.position += text.length;
+  }
+
+  skipWhitespace() {
+    while (this.position < this.source.length) {
+      if (/\s/.test(this.peek())) {
+        this.position += 1;
+      } else if (this.startsWith('//')) {
+        const end = this.source.indexOf('\n', this.position);
+        this.position = end === -1 ? this.source.length : end;
+      } else if (this.startsWith('/*')) {
+        this.skipBlockComment();
+      } else {
+        return;
+      }
+    }
+  }
+
+  skipBlockComment() {
+    const end = this.source.indexOf('*/', this.position + 2);
+    if (end === -1) throw this.error('Unterminated comment');
+    this.position = end + 2;
+  }
+
+  // Copies plain JavaScript until `stop` returns true at depth 0, turning any
+  // JSX found along the way into createElement calls
+  javascript(stop) {
+    let output = '';
+    let depth = 0;
+    let previous = '';
+
+    while (this.position < this.source.length) {
+      const char = this.peek();
+
+      if (depth === 0 && stop(char)) return output;
+
+      if (char === '"' || char === "'") {
+        output += this.stringLiteral(char);
+        previous = char;
+      } else if (char === '`') {
+        output += this.templateLiteral();
+        previous = '`';
+      } else if (this.startsWith('//') || this.startsWith('/*')) {
+        const start = this.position;
+        if (this.startsWith('//')) {
+          const end = this.source.indexOf('\n', this.position);
+          this.position = end === -1 ? this.source.length : end;
+        } else {
+          this.skipBlockComment();
+        }
+        output += this.source.slice(start, this.position);
+      } else if (char === '<' && this.startsJsx(previous, output)) {
+        output += this.element();
+        previous = ')';
+      } else {
+        if ('([{'.includes(char)) depth += 1;
+        if (')]}'.includes(char)) {
+          if (depth === 0) throw this.error(`Unexpected "${char}"`);
+          depth -= 1;
+        }
+        output += char;
+        this.position += 1;
+        if (!/\s/.test(char)) previous = char;
+      }
+    }
+
+    return output;
+  }
+
+  startsJsx(previous, output) {
+    const next = this.peek(1);
+    if (!(next === '>' || IDENTIFIER_START.test(next ?? ''))) return false;
+    if (previous === '' || EXPRESSION_START.has(previous)) return true;
+    if (previous === '>' && /=>\s*$/.test(output)) return true;
+    return /\breturn\s*$/.test(output);
+  }
+
+  stringLiteral(quote) {
+    const start = this.position;
+    this.position += 1;
+    while (this.position < this.source.length && this.peek() !== quote) {
+      if (this.peek() === '\n') break;
+      this.position += this.peek() === '\\' ? 2 : 1;
+    }
+    if (this.peek() !== quote) throw this.error('Unterminated string', start);
+    this.position += 1;
+    return this.source.slice(start, this.position);
+  }
+
+  templateLiteral() {
+    const start = this.position;
+    let output = '`';
+    this.position += 1;
+
+    while (this.peek() !== '`') {
+      if (this.position >= this.source.length) throw this.error('Unterminated template literal', start);
+      if (this.peek() === '\\') {
+        output += this.source.slice(this.position, this.position + 2);
+        this.position += 2;
+      } else if (this.startsWith('${')) {
+        this.position += 2;
+        output += `\${${this.javascript((char) => char === '}')}}`;
+        this.expect('}');
+      } else {
+        output += this.peek();
+        this.position += 1;
+      }
+    }
+
+    this.position += 1;
+    return `${output}\``;
+  }
+
+  // `{ expression }` inside JSX; null for an empty or comment-only container
+  expressionContainer() {
+    this.expect('{');
+    const expression = this.javascript((char) => char === '}');
+    this.expect('}');
+    const withoutComments = expression.replace(/\/\*[\s\S]*?\*\/|\/\/[^\n]*/g, '');
+    return withoutComments.trim() ? expression : null;
+  }
+
+  tagName() {
+    const name = this.match(TAG_NAME);
+    if (!name) throw this.error('Expected a tag name');
+    return name;
+  }
+
+  attributes() {
+    const props = [];
+
+    for (;;) {
+      this.skipWhitespace();
+      if (this.startsWith('/>') || this.startsWith('>')) return props;
+
+      if (this.startsWith('{')) {
+        this.position += 1;
+        this.skipWhitespace();
+        this.expect('...');
+        props.push(`...${this.javascript((char) => char === '}')}`);
+        this.expect('}');
+        continue;
+      }
+
+      const name = this.match(ATTRIBUTE_NAME);
+      if (!name) throw this.error('Expected an attribute');
+      const key = /^[A-Za-z_$][\w$]*$/.test(name) ? name : JSON.stringify(name);
+
+      this.skipWhitespace();
+      if (!this.startsWith('=')) {
+        props.push(`${key}: true`);
+        continue;
+      }
+
+      this.position += 1;
+      this.skipWhitespace();
+      const quote = this.peek();
+      if (quote === '"' || quote === "'") {
+        const end = this.source.indexOf(quote, this.position + 1);
+        if (end === -1) throw this.error('Unterminated attribute value');
+        props.push(`${key}: ${JSON.stringify(decodeEntities(this.source.slice(this.position + 1, end)))}`);
+        this.position = end + 1;
+      } else if (quote === '{') {
+        const value = this.expressionContainer();
+        if (value === null) throw this.error(`Empty expression for "${name}"`);
+        props.push(`${key}: ${value}`);
+      } else if (quote === '<') {
+        props.push(`${key}: ${this.element()}`);
+      } else {
+        throw this.error(`Expected a value for "${name}"`);
+      }
+    }
+  }
+
+  children(closingName) {
+    const children = [];
+
+    for (;;) {
+      if (this.position >= this.source.length) {
+        throw this.error(`Missing closing tag for <${closingName || ''}>`);
+      }
+
+      if (this.startsWith('</')) {
+        this.position += 2;
+        this.skipWhitespace();
+        const name = this.peek() === '>' ? '' : this.tagName();
+        if (name !== closingName) {
+          throw this.error(`Expected </${closingName}> but found </${name}>`);
+        }
+        this.skipWhitespace();
+        this.expect('>');
+        return children;
+      }
+
+      if (this.peek() === '<') {
+        children.push(this.element());
+      } else if (this.peek() === '{') {
+        const expression = this.expressionContainer();
+        if (expression !== null) children.push(expression);
+      } else {
+        const start = this.position;
+        while (this.position < this.source.length && !'<{'.includes(this.peek())) this.position += 1;
+        const text = cleanText(this.source.slice(start, this.position));
+        if (text) children.push(JSON.stringify(decodeEntities(text)));
+      }
+    }
+  }
+
+  element() {
+    this.expect('<');
+    this.skipWhitespace();
+
+    if (this.startsWith('>')) {
+      this.position += 1;
+      const children = this.children('');
+      return `React.createElement(React.Fragment, null${children.map((child) => `, ${child}`).join('')})`;
+    }
+
+    const name = this.tagName();
+    const type = /^[a-z]/.test(name) && !name.includes('.') ? JSON.stringify(name) : name;
+    const props = this.attributes();
+    const propsCode = props.length ? `{ ${props.join(', ')} }` : 'null';
+
+    if (this.startsWith('/>')) {
+      this.position += 2;
+      return `React.createElement(${type}, ${propsCode})`;
+    }
+
+    this.expect('>');
+    const children = this.children(name);
+    return `React.createElement(${type}, ${propsCode}${children.map((child) => `, ${child}`).join('')})`;
+  }
+
+  program() {
+    const output = this.javascript(() => false);
+    if (this.position < this.source.length) throw this.error('Unexpected input');
+    return output;
+  }
+}
+
+export const transformJsx = (source) => new Transformer(source).program();
+
+/**
+ * Evaluates `source` with the names in `scope` as its only imports and
+ * returns the value it declares as `name`. Throws a JsxSyntaxError or
+ * whatever evaluating the code throws.
+ */
+export const compileComponent = (source, scope, name) => {
+  const body = `'use strict';\n${transformJsx(source)}\nreturn typeof ${name} === 'undefined' ? undefined : ${name};`;
+  const component = new Function(...Object.keys(scope), body)(...Object.values(scope));
+  if (component === undefined) throw new ReferenceError(`The code must declare ${name}`);
+  return component;
+};
@@ -0,0 +1,219 @@
+import { dependencies, devDependencies } from '../../package.json';
+import postcssConfig from '../../postcss.config.js?raw';
+import indexCss from '../index.css?raw';
+import registrySource from '../lessons/registry.jsx?raw';
+import { extractDeclarations, extractLessonProperty } from './sourceSnippets';
+import { createZip } from './zip';
+import { downloadFile } from './download';
+
+/**
+ * Lesson export
+ *
+ * Packages one lesson as a standalone Vite + React + Tailwind project: the
+ * page, every module it imports (followed through relative imports, so the
+ * instrumentation and message catalogs come along), the header and takeaway,
+ * and a small App that toggles between the implementations. Everything is
+ * read from the sources at build time and zipped in the browser.
+ */
+
+// Raw sources of every module a page may import, each its own lazy chunk
+// (keyed by their path from the project root, e.g. `/src/lib/settings.js`)
+const modules = import.meta.glob(
+  ['/src/components/*.jsx', '/src/hooks/*.js', '/src/lib/*.js', '/src/locales/*.js', '/src/pages/*.jsx'],
+  { query: '?raw', import: 'default' }
+);
+
+const IMPORT = /^\s*import\s(?:[^'"]*?\sfrom\s)?['"](\.{1,2}\/[^'"]+)['"]/gm;
+
+export const relativeImports = (source) => [...source.matchAll(IMPORT)].map((match) => match[1]);
+
+// Resolves `../hooks/useSettings` imported from `src/pages/X.jsx` to a file
+export const resolveImport = (from, specifier, exists) => {
+  const segments = from.split('/').slice(0, -1);
+  for (const part of specifier.split('/')) {
+    if (part === '..') segments.pop();
+    else if (part !== '.') segments.push(part);
+  }
+  const path = segments.join('/');
+  const match = [path, `${path}.jsx`, `${path}.js`].find(exists);
+  if (!match) throw new Error(`Cannot resolve "${specifier}" from ${from}`);
+  return match;
+};
+
+// Every module reachable from `entries`, as { path: source }
+const collectModules = async (entries) => {
+  const exists = (path) => `/${path}` in modules;
+  const collected = {};
+  const queue = [...entries];
+
+  while (queue.length > 0) {
+    const path = queue.shift();
+    if (path in collected) continue;
+    const source = await modules[`/${path}`]();
+    collected[path] = source;
+    queue.push(...relativeImports(source).map((specifier) => resolveImport(path, specifier, exists)));
+  }
+
+  return collected;
+};
+
+const lessonModule = (lesson) => {
+  const description = extractLessonProperty(registrySource, lesson.id, 'description');
+  const takeaway = extractLessonProperty(registrySource, lesson.id, 'takeaway');
+  // Class name constants the description and takeaway use, e.g. `className={code}`
+  const constants = extractDeclarations(registrySource, ['code', 'takeawayCode']).filter(({ name }) =>
+    `${description}\n${takeaway}`.includes(`{${name}}`)
+  );
+
+  return `import React from 'react';
+import Message from './components/Message';
+
+${constants.map(({ code }) => `${code}\n\n`).join('')}export const lesson = {
+  id: ${JSON.stringify(lesson.id)},
+  number: ${lesson.number},
+  title: ${JSON.stringify(lesson.title)},
+  icon: ${JSON.stringify(lesson.icon)},
+${lesson.variants ? `  variants: ${JSON.stringify(lesson.variants)},\n` : ''}${description}
+${takeaway}
+};
+`;
+};
+
+const appModule = (pageName) => `import React, { useState } from 'react';
+import PageHeader from './components/PageHeader';
+import KeyTakeaway from './components/KeyTakeaway';
+import ${pageName} from './pages/${pageName}';
+import { VariantsContext } from './hooks/useVariants';
+import { lessonVariants } from './lib/variants';
+import { lesson } from './lesson';
+
+const variants = lessonVariants(lesson);
+
+const App = () => {
+  const [implementation, setImplementation] = useState('bad');
+
+  return (
+    <main className="max-w-7xl mx-auto px-6 py-10">
+      <PageHeader
+        title={\`\${lesson.icon} Misconception #\${lesson.number}: \${lesson.title}\`}
+        description={lesson.description}
+        variants={variants}
+        implementation={implementation}
+        onChange={setImplementation}
+        playground={false}
+      />
+
+      <VariantsContext.Provider value={variants}>
+        <${pageName} implementation={implementation} />
+      </VariantsContext.Provider>
+
+      <KeyTakeaway>{lesson.takeaway}</KeyTakeaway>
+    </main>
+  );
+};
+
+export default App;
+`;
+
+// The app's own config also builds its search index, which a single lesson
+// doesn't need
+const VITE_CONFIG = `import { defineConfig } from 'vite';
+import react from '@vitejs/plugin-react';
+
+export default defineConfig({
+  plugins: [react()],
+});
+`;
+
+const MAIN_MODULE = `import { StrictMode } from 'react';
+import { createRoot } from 'react-dom/client';
+import './index.css';
+import App from './App.jsx';
+
+createRoot(document.getElementById('root')).render(
+  <StrictMode>
+    <App />
+  </StrictMode>,
+);
+`;
+
+const indexHtml = (lesson) => `<!doctype html>
+<html lang="en">
+  <head>
+    <meta charset="UTF-8" />
+    <meta name="viewport" content="width=device-width, initial-scale=1.0" />
+    <title>${lesson.title}</title>
+  </head>
+  <body class="bg-neutral-0">
+    <div id="root"></div>
+    <script type="module" src="/src/main.jsx"></script>
+  </body>
+</html>
+`;
+
+const BUILD_TOOLS = ['vite', '@vitejs/plugin-react', 'tailwindcss', '@tailwindcss/postcss', 'postcss', 'autoprefixer'];
+
+const packageJson = (lesson) =>
+  `${JSON.stringify(
+    {
+      name: `react-misconception-${lesson.id}`,
+      private: true,
+      version: '0.0.0',
+      type: 'module',
+      scripts: { dev: 'vite', build: 'vite build', preview: 'vite preview' },
+      dependencies: { react: dependencies.react, 'react-dom': dependencies['react-dom'] },
+      devDependencies: Object.fromEntries(BUILD_TOOLS.map((name) => [name, devDependencies[name]])),
+    },
+    null,
+    2
+  )}\n`;
+
+const readme = (lesson) => `# Misconception #${lesson.number}: ${lesson.title}
+
+A standalone copy of one lesson from the 5 React Misconceptions app.
+
+\`\`\`bash
+npm install
+npm run dev
+\`\`\`
+
+The demo lives in \`${lesson.source.file}\`; everything under \`src/components\`,
+\`src/hooks\` and \`src/lib\` is the instrumentation it uses (render counters,
+the side-by-side stage, interaction replay and simulation settings).
+`;
+
+/**
+ * Builds the files of a standalone project for `lesson`, as { path, content }
+ * with paths relative to the project root.
+ */
+export const buildLessonProject = async (lesson) => {
+  const pagePath = lesson.source.file;
+  const pageName = pagePath.split('/').pop().replace(/\.jsx$/, '');
+  const sources = await collectModules([
+    pagePath,
+    'src/components/PageHeader.jsx',
+    'src/components/KeyTakeaway.jsx',
+    'src/components/Message.jsx',
+    'src/hooks/useVariants.js',
+  ]);
+
+  return [
+    { path: 'package.json', content: packageJson(lesson) },
+    { path: 'README.md', content: readme(lesson) },
+    { path: 'index.html', content: indexHtml(lesson) },
+    { path: 'vite.config.js', content: VITE_CONFIG },
+    { path: 'postcss.config.js', content: postcssConfig },
+    { path: 'src/main.jsx', content: MAIN_MODULE },
+    { path: 'src/index.css', content: indexCss },
+    { path: 'src/App.jsx', content: appModule(pageName) },
+    { path: 'src/lesson.jsx', content: lessonModule(lesson) },
+    ...Object.entries(sources).map(([path, content]) => ({ path, content })),
+  ];
+};
+
+export const exportLesson = async (lesson) => {
+  const folder = `react-misconception-${lesson.id}`;
+  const files = await buildLessonProject(lesson);
+  const archive = createZip(files.map(({ path, content }) => ({ path: `${folder}/${path}`, content })));
+  downloadFile(`${folder}.zip`, new Blob([archive], { type: 'application/zip' }));
+};
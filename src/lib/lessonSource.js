@@ -0,0 +1,10 @@
+// The raw page source is its own chunk, fetched the first time a lesson's
+// code is needed and shared by every later use (source viewer, playground)
+const sources = new Map();
+
+export const loadSource = (lesson) => {
+  if (!sources.has(lesson.id)) {
+    sources.set(lesson.id, lesson.source.load().then((module) => module.default));
+  }
+  return sources.get(lesson.id);
+};
@@ -0,0 +1,82 @@
+/**
+ * Message catalogs
+ *
+ * A catalog (src/locales/<locale>.js) is a nested object of messages looked
+ * up by dotted id, e.g. `index-as-key.solution.lead`. A message is text with
+ * `{name}` placeholders for values and HTML-like tags for inline markup:
+ *
+ *   'Wrap it in <code>useMemo</code>, it runs {count} times'
+ *
+ * The tags are mapped to elements where the message is rendered (see
+ * components/Message.jsx), so a translation can move the code fragments
+ * around its sentence. These helpers are plain functions of the catalogs, so
+ * they run at build time too (see plugins/searchIndex.js).
+ */
+
+const TOKEN = /<(\w+)>|<\/(\w+)>|\{(\w+)\}/g;
+
+// Tags whose content reads as a paragraph of its own in plain text
+const BLOCK_TAGS = new Set(['p', 'li']);
+
+// The message or group of messages at `id`, or undefined
+export const lookupEntry = (catalog, id) => id.split('.').reduce((node, key) => node?.[key], catalog);
+
+export const lookupMessage = (catalog, id) => {
+  const entry = lookupEntry(catalog, id);
+  return typeof entry === 'string' ? entry : undefined;
+};
+
+// Every message in a catalog (or a group of one) as [id, message], in order
+export const flattenMessages = (entry, prefix = '') => {
+  if (typeof entry === 'string') return [[prefix, entry]];
+  return Object.entries(entry ?? {}).flatMap(([key, child]) => flattenMessages(child, prefix ? `${prefix}.${key}` : key));
+};
+
+/**
+ * Parses a message into a tree of strings, `{ value }` placeholders and
+ * `{ tag, children }` elements. Throws on unbalanced tags.
+ */
+export const parseMessage = (message) => {
+  const root = { children: [] };
+  const stack = [root];
+  let last = 0;
+
+  for (const match of message.matchAll(TOKEN)) {
+    const [token, open, close, value] = match;
+    const current = stack[stack.length - 1];
+    if (match.index > last) current.children.push(message.slice(last, match.index));
+    last = match.index + token.length;
+
+    if (open) {
+      const node = { tag: open, children: [] };
+      current.children.push(node);
+      stack.push(node);
+    } else if (close) {
+      if (current.tag !== close) throw new Error(`Unexpected </${close}> in message "${message}"`);
+      stack.pop();
+    } else {
+      current.children.push({ value });
+    }
+  }
+
+  if (stack.length > 1) throw new Error(`Unclosed <${stack[stack.length - 1].tag}> in message "${message}"`);
+  if (last < message.length) root.children.push(message.slice(last));
+  return root.children;
+};
+
+const nodesText = (nodes, values, missing) =>
+  nodes
+    .map((node) => {
+      if (typeof node === 'string') return node;
+      if ('value' in node) return String(values[node.value] ?? missing);
+      const text = nodesText(node.children, values, missing);
+      return BLOCK_TAGS.has(node.tag) ? ` ${text} ` : text;
+    })
+    .join('');
+
+/**
+ * A message as plain text: values filled in, tags dropped. Values that
+ * aren't given show as `missing`, "…" unless told otherwise.
+ */
+export const formatMessage = (message, values = {}, missing = '…') =>
+  nodesText(parseMessage(message), values, missing).replace(/\s+/g, ' ').trim();
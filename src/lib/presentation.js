@@ -0,0 +1,66 @@
+/**
+ * Presentation mode
+ *
+ * Turns the lessons into one slide deck for workshops: every lesson becomes
+ * four slides (the problem, the live Bad demo, the live Good demo and the
+ * takeaway), in lesson order. The audience sees `#/present/<lessonId>/<slide>`
+ * and the presenter can open `#/presenter/<lessonId>/<slide>` in a second
+ * window, with the speaker notes (`<lesson>.notes.<slide>` in the message
+ * catalogs). Both windows follow each other through a
+ * BroadcastChannel, so either one can drive.
+ */
+
+// `label` is a message id
+export const SLIDES = [
+  { id: 'problem', label: 'presentation.slides.problem' },
+  { id: 'bad', label: 'presentation.slides.bad' },
+  { id: 'good', label: 'presentation.slides.good' },
+  { id: 'takeaway', label: 'presentation.slides.takeaway' },
+];
+
+export const VIEWS = { slides: 'slides', presenter: 'presenter' };
+
+// First path segment of each view
+const PREFIXES = { present: VIEWS.slides, presenter: VIEWS.presenter };
+
+export const PRESENTATION_CHANNEL = 'react-misconceptions:presentation';
+
+// Every slide of every lesson, in order, as { lessonId, slide }
+export const buildDeck = (lessons) =>
+  lessons.flatMap((lesson) => SLIDES.map(({ id }) => ({ lessonId: lesson.id, slide: id })));
+
+export const slideIndex = (deck, { lessonId, slide }) =>
+  deck.findIndex((entry) => entry.lessonId === lessonId && entry.slide === slide);
+
+export const slideLabel = (slide) => SLIDES.find(({ id }) => id === slide)?.label ?? slide;
+
+// `#/present/index-as-key/bad` → { view: 'slides', lessonId, slide }; null
+// for anything that isn't a presentation path. A missing slide means the
+// lesson's first one.
+export const parsePresentationPath = (path) => {
+  const [prefix, lessonId, slide = SLIDES[0].id, ...rest] = path.replace(/^#?\/?/, '').split('/').filter(Boolean);
+  if (!(prefix in PREFIXES) || !lessonId || rest.length > 0) return null;
+  return { view: PREFIXES[prefix], lessonId, slide };
+};
+
+export const buildPresentationPath = (view, { lessonId, slide }) =>
+  `#/${view === VIEWS.presenter ? 'presenter' : 'present'}/${lessonId}/${slide}`;
+
+/**
+ * Keeps presentation windows on the same slide: `announce` tells the other
+ * windows where this one is, and `onGoto` is called with the position another
+ * window moved to. A no-op where BroadcastChannel isn't available.
+ */
+export const createPresentationSync = (onGoto) => {
+  if (typeof BroadcastChannel === 'undefined') return { announce: () => {}, close: () => {} };
+
+  const channel = new BroadcastChannel(PRESENTATION_CHANNEL);
+  channel.onmessage = ({ data }) => {
+    if (data?.type === 'goto') onGoto({ lessonId: data.lessonId, slide: data.slide });
+  };
+
+  return {
+    announce: ({ lessonId, slide }) => channel.postMessage({ type: 'goto', lessonId, slide }),
+    close: () => channel.close(),
+  };
+};
@@ -0,0 +1,165 @@
+/**
+ * Learning progress
+ *
+ * What a learner has done in each lesson, kept in localStorage so the sidebar
+ * can show it across visits. A lesson is complete once every milestone is
+ * reached: it was opened, both implementations were seen (side by side counts
+ * for both), the demo was actually used and the quiz was answered without a
+ * mistake. Progress can be exported as JSON and imported on another machine.
+ */
+
+export const PROGRESS_STORAGE_KEY = 'react-misconceptions:progress';
+
+// Interactions with a demo (typing, clicking its controls) before it counts as tried
+export const DEMO_STEP_GOAL = 3;
+
+// `label` is a message id
+export const MILESTONES = [
+  { name: 'visited', label: 'progress.milestones.visited', done: (entry) => entry.visited },
+  { name: 'viewed', label: 'progress.milestones.viewed', done: (entry) => entry.viewed.bad && entry.viewed.good },
+  { name: 'steps', label: 'progress.milestones.steps', done: (entry) => entry.steps >= DEMO_STEP_GOAL },
+  { name: 'quiz', label: 'progress.milestones.quiz', done: (entry) => entry.quizPassed },
+];
+
+const EMPTY_ENTRY = Object.freeze({
+  visited: false,
+  viewed: Object.freeze({ bad: false, good: false }),
+  steps: 0,
+  quizPassed: false,
+});
+
+const EMPTY_PROGRESS = Object.freeze({});
+
+const listeners = new Set();
+
+// Like the settings, anything malformed falls back to "not done yet" rather
+// than breaking the sidebar
+const sanitizeEntry = (entry) =>
+  Object.freeze({
+    visited: entry?.visited === true,
+    viewed: Object.freeze({ bad: entry?.viewed?.bad === true, good: entry?.viewed?.good === true }),
+    steps: Math.min(DEMO_STEP_GOAL, Math.max(0, Math.floor(Number(entry?.steps)) || 0)),
+    quizPassed: entry?.quizPassed === true,
+  });
+
+const sanitize = (values) => {
+  if (typeof values !== 'object' || values === null || Array.isArray(values)) return EMPTY_PROGRESS;
+  return Object.freeze(
+    Object.fromEntries(
+      Object.entries(values)
+        .filter(([, entry]) => typeof entry === 'object' && entry !== null)
+        .map(([lessonId, entry]) => [lessonId, sanitizeEntry(entry)])
+    )
+  );
+};
+
+const load = () => {
+  try {
+    return sanitize(JSON.parse(window.localStorage.getItem(PROGRESS_STORAGE_KEY)));
+  } catch {
+    return EMPTY_PROGRESS;
+  }
+};
+
+let progress = load();
+
+export const getProgress = () => progress;
+
+// One lesson's entry in a progress snapshot, empty when it hasn't been opened
+export const lessonEntry = (snapshot, lessonId) => snapshot[lessonId] ?? EMPTY_ENTRY;
+
+// Another tab recorded progress
+const onStorage = (event) => {
+  if (event.key !== PROGRESS_STORAGE_KEY) return;
+  progress = load();
+  listeners.forEach((listener) => listener());
+};
+
+export const subscribe = (listener) => {
+  if (listeners.size === 0) window.addEventListener('storage', onStorage);
+  listeners.add(listener);
+  return () => {
+    listeners.delete(listener);
+    if (listeners.size === 0) window.removeEventListener('storage', onStorage);
+  };
+};
+
+const save = (next) => {
+  progress = next;
+  try {
+    window.localStorage.setItem(PROGRESS_STORAGE_KEY, JSON.stringify(next));
+  } catch {
+    // Private browsing or a full quota: progress still shows for this visit
+  }
+  listeners.forEach((listener) => listener());
+};
+
+// Applies `change` to one lesson's entry, skipping the write when nothing
+// changed (most calls repeat a milestone that is already reached)
+const updateLesson = (lessonId, change) => {
+  const current = lessonEntry(progress, lessonId);
+  const next = sanitizeEntry({ ...current, ...change(current) });
+  if (JSON.stringify(next) === JSON.stringify(current)) return;
+  save(Object.freeze({ ...progress, [lessonId]: next }));
+};
+
+export const markVisited = (lessonId) => updateLesson(lessonId, () => ({ visited: true }));
+
+// `compare` shows both implementations at once; the playground shows neither
+export const markViewed = (lessonId, implementation) =>
+  updateLesson(lessonId, ({ viewed }) => ({
+    viewed: {
+      bad: viewed.bad || implementation === 'bad' || implementation === 'compare',
+      good: viewed.good || implementation === 'good' || implementation === 'compare',
+    },
+  }));
+
+export const recordDemoStep = (lessonId) => updateLesson(lessonId, ({ steps }) => ({ steps: steps + 1 }));
+
+export const markQuizPassed = (lessonId) => updateLesson(lessonId, () => ({ quizPassed: true }));
+
+export const resetProgress = () => save(EMPTY_PROGRESS);
+
+// Milestones of one lesson, each with whether it's reached
+export const lessonMilestones = (entry) =>
+  MILESTONES.map(({ name, label, done }) => ({ name, label, done: done(entry) }));
+
+export const isLessonComplete = (entry) => MILESTONES.every(({ done }) => done(entry));
+
+// Reached milestones across `lessonIds`, as { done, total }
+export const overallProgress = (snapshot, lessonIds) => {
+  const done = lessonIds.reduce(
+    (total, lessonId) =>
+      total + MILESTONES.filter((milestone) => milestone.done(lessonEntry(snapshot, lessonId))).length,
+    0
+  );
+  return { done, total: lessonIds.length * MILESTONES.length };
+};
+
+export const exportProgress = () =>
+  `${JSON.stringify({ app: 'react-misconceptions', version: 1, progress }, null, 2)}\n`;
+
+// Why a file couldn't be imported; `messageId` says it in the learner's language
+export class ProgressImportError extends Error {
+  constructor(message, messageId) {
+    super(message);
+    this.name = 'ProgressImportError';
+    this.messageId = messageId;
+  }
+}
+
+// Replaces the current progress with an exported file's. Throws a
+// ProgressImportError on anything that isn't a progress export, so the panel
+// can say so.
+export const importProgress = (text) => {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch {
+    throw new ProgressImportError('The file is not valid JSON.', 'progress.notJson');
+  }
+  if (data?.app !== 'react-misconceptions' || typeof data.progress !== 'object' || data.progress === null) {
+    throw new ProgressImportError('The file is not a progress export.', 'progress.notAnExport');
+  }
+  save(sanitize(data.progress));
+};
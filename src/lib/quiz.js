@@ -0,0 +1,20 @@
+/**
+ * Quiz scoring
+ *
+ * Lessons register their questions in the registry (`quiz`), with the text in
+ * the message catalogs under `<lesson>.quiz.<question>`. Answers are the
+ * index of the chosen option, keyed by question id; a question is answered
+ * once and can only be changed by retrying the whole quiz.
+ */
+
+export const isCorrect = (question, answer) => answer === question.answer;
+
+export const scoreQuiz = (questions, answers) => {
+  const answered = questions.filter((question) => question.id in answers);
+  return {
+    total: questions.length,
+    answered: answered.length,
+    correct: answered.filter((question) => isCorrect(question, answers[question.id])).length,
+    complete: answered.length === questions.length,
+  };
+};
@@ -0,0 +1,116 @@
+/**
+ * Render metrics store
+ *
+ * Demos report their renders here instead of keeping a counter in React state.
+ * `useEffect(() => setRenderCount(prev => prev + 1))` schedules another render
+ * every time it runs, which distorts the very numbers the lessons are about.
+ * A plain module-level store, read by components that write straight to the
+ * DOM (see `RenderStat`), keeps the measurement out of what is being measured.
+ *
+ * Entries are replaced, never mutated, so a snapshot can be compared by identity.
+ */
+
+// Every implementation is wrapped in a RenderProfiler under one of these ids
+export const PROFILER_IDS = { bad: 'BadImplementation', good: 'GoodImplementation' };
+
+const pascalCase = (id) => id.replace(/(?:^|-)(\w)/g, (_, letter) => letter.toUpperCase());
+
+// The profiler id of any lesson variant (see lib/variants.js): the ones in
+// between Bad and Good are named after them, e.g. `RandomImplementation`
+export const profilerId = (variant) => PROFILER_IDS[variant] ?? `${pascalCase(variant)}Implementation`;
+
+// { [variant]: profiler id } for a list of variants, like a comparison row
+export const profilerIds = (variants) => Object.fromEntries(variants.map(({ id }) => [id, profilerId(id)]));
+
+const EMPTY_METRICS = Object.freeze({
+  // Commits of the named component itself (useRenderTracker)
+  renders: 0,
+  phase: null,
+  timestamp: null,
+  // Commits of the profiled subtree (RenderProfiler)
+  commits: 0,
+  actualDuration: 0,
+  baseDuration: 0,
+  totalActualDuration: 0,
+  // Expensive calculations that actually ran (useCalculationTracker)
+  calculations: 0,
+  calculationTime: 0,
+});
+
+const metrics = new Map();
+const listeners = new Map();
+
+// Bumped on every recorded change, across all ids
+let version = 0;
+
+export const getMetrics = (id) => metrics.get(id) ?? EMPTY_METRICS;
+
+export const getVersion = () => version;
+
+const update = (id, changes) => {
+  const next = { ...getMetrics(id), ...changes };
+  version += 1;
+  metrics.set(id, next);
+  listeners.get(id)?.forEach((listener) => listener(next));
+};
+
+export const subscribe = (id, listener) => {
+  if (!listeners.has(id)) listeners.set(id, new Set());
+  listeners.get(id).add(listener);
+  return () => listeners.get(id).delete(listener);
+};
+
+// A fresh mount starts the counters over, so toggling Bad/Good behaves like
+// the old per-component state did.
+export const recordRender = (id, phase) => {
+  const previous = phase === 'mount' ? EMPTY_METRICS : getMetrics(id);
+  update(id, {
+    renders: previous.renders + 1,
+    calculations: previous.calculations,
+    calculationTime: previous.calculationTime,
+    phase,
+    timestamp: performance.now(),
+  });
+};
+
+export const recordProfile = (id, { phase, actualDuration, baseDuration, commitTime }) => {
+  const previous = phase === 'mount' ? EMPTY_METRICS : getMetrics(id);
+  update(id, {
+    commits: previous.commits + 1,
+    actualDuration,
+    baseDuration,
+    totalActualDuration: previous.totalActualDuration + actualDuration,
+    timestamp: commitTime,
+  });
+};
+
+export const recordCalculation = (id, duration) => {
+  update(id, {
+    calculations: getMetrics(id).calculations + 1,
+    calculationTime: duration,
+  });
+};
+
+export const resetMetrics = () => {
+  metrics.clear();
+};
+
+// Counters that accumulate; other fields only make sense as a final value
+const CUMULATIVE_FIELDS = ['renders', 'commits', 'totalActualDuration', 'calculations'];
+
+export const snapshotMetrics = (ids) => Object.fromEntries(ids.map((id) => [id, getMetrics(id)]));
+
+// What happened between two snapshots: the delta of every counter, and the
+// latest value of everything else
+export const diffMetrics = (before, after) =>
+  Object.fromEntries(
+    Object.entries(after).map(([id, entry]) => [
+      id,
+      Object.fromEntries(
+        Object.entries(entry).map(([field, value]) => [
+          field,
+          CUMULATIVE_FIELDS.includes(field) ? value - before[id][field] : value,
+        ])
+      ),
+    ])
+  );
@@ -0,0 +1,60 @@
+/**
+ * Minimal hash-based router.
+ *
+ * Every lesson has its own URL of the form `#/<lessonId>/<implementation>`,
+ * e.g. `#/index-as-key/good`, where the implementation is one of the lesson's
+ * variants (see lib/variants.js), `compare` to show them all side by side or
+ * `playground` to open the Bad one in an editor. Hash routing keeps deep links working on any
+ * static host (including `vite preview`) without server-side rewrites, and the
+ * browser's back/forward buttons work out of the box via `hashchange`.
+ */
+
+export const DEFAULT_IMPLEMENTATION = 'bad';
+
+// Which implementations a lesson has is up to the lesson; the router only
+// checks that the segment could name one
+const IMPLEMENTATION = /^[a-z][a-z0-9-]*$/;
+
+const listeners = new Set();
+
+// Turns a hash like `#/index-as-key/good` into a route object.
+// An empty hash has no `lessonId` (the app shows the first lesson); anything
+// that doesn't fit the `<lessonId>/<implementation>` shape is flagged as invalid.
+// Whether the lesson has that implementation is checked where it's shown.
+export const parsePath = (path) => {
+  const segments = path.replace(/^#?\/?/, '').split('/').filter(Boolean);
+  const [
+    lessonId = null,
+    implementation = DEFAULT_IMPLEMENTATION,
+    ...rest
+  ] = segments;
+
+  return {
+    path: `/${segments.join('/')}`,
+    lessonId,
+    implementation,
+    valid: IMPLEMENTATION.test(implementation) && rest.length === 0,
+  };
+};
+
+export const buildPath = (lessonId, implementation = DEFAULT_IMPLEMENTATION) =>
+  `#/${lessonId}/${implementation}`;
+
+export const getPath = () => window.location.hash;
+
+export const subscribe = (listener) => {
+  listeners.add(listener);
+  window.addEventListener('hashchange', listener);
+  return () => {
+    listeners.delete(listener);
+    window.removeEventListener('hashchange', listener);
+  };
+};
+
+// Pushes a new history entry. Listeners are notified synchronously so the UI
+// doesn't have to wait for the (asynchronous) `hashchange` event.
+export const navigate = (path) => {
+  if (path === getPath()) return;
+  window.location.hash = path;
+  listeners.forEach((listener) => listener());
+};
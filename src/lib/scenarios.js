@@ -0,0 +1,35 @@
+/**
+ * Scenario builders
+ *
+ * Scenarios are the same steps the interaction recorder produces, written by
+ * hand. Controls are addressed the way the recorder addresses them: by label
+ * (a placeholder, a <label> or a button's text, digits ignored) plus an index
+ * among controls with the same label.
+ */
+
+// One `input` step per keystroke, like a user typing `text` into an empty field
+export const typeText = (label, text, index = 0) =>
+  [...text].map((_, position) => ({
+    action: 'input',
+    target: { key: `text:${label}`, index },
+    value: text.slice(0, position + 1),
+  }));
+
+export const click = (label, index = 0) => ({
+  action: 'click',
+  target: { key: `button:${label}`, index },
+});
+
+export const toggle = (index = 0) => ({
+  action: 'click',
+  target: { key: 'checkbox', index },
+});
+
+export const choose = (label, value, index = 0) => ({
+  action: 'input',
+  target: { key: `select:${label}`, index },
+  value,
+});
+
+// For demos driven by timers rather than input
+export const wait = (duration) => ({ action: 'wait', duration });
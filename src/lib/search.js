@@ -0,0 +1,117 @@
+import { flattenMessages, formatMessage, lookupEntry } from './messages';
+
+/**
+ * Full-text search
+ *
+ * The index is built at build time (see plugins/searchIndex.js) from the
+ * message catalogs, one per locale: each lesson's title, the description
+ * under its header, the "The Problem" and "The Solution" callouts in its page
+ * and its key takeaway. Every entry is
+ *
+ *   { lessonId, implementation, section, text }
+ *
+ * where `section` says which part of the page to jump to and
+ * `implementation` is the one it's shown in (null if it's in both).
+ *
+ * Like sourceSnippets.js this has to run in Node as well as in the browser.
+ */
+
+export const SECTIONS = {
+  title: { weight: 5 },
+  description: { weight: 3 },
+  problem: { weight: 2, implementation: 'bad' },
+  solution: { weight: 2, implementation: 'good' },
+  takeaway: { weight: 2 },
+};
+
+// { id, title } for every `defineLesson` call in the registry's source
+export const lessonHeaders = (registrySource) =>
+  registrySource
+    .split('defineLesson({')
+    .slice(1)
+    .map((block) => ({
+      id: block.match(/^ {4}id: '([^']+)'/m)[1],
+      title: block.match(/^ {4}title: '((?:[^'\\]|\\.)*)'/m)[1].replace(/\\'/g, "'"),
+    }));
+
+/**
+ * Builds an index per locale from the registry's source and `catalogs`, as
+ * { locale: entries }. `fallback` is the locale a catalog's missing messages
+ * come from, as in lib/i18n.js. A section's text is every message in its
+ * group, e.g. all of `index-as-key.problem` for the Problem callout.
+ */
+export const buildSearchIndex = (registrySource, catalogs, fallback = 'en') => {
+  const lessons = lessonHeaders(registrySource);
+
+  return Object.fromEntries(
+    Object.entries(catalogs).map(([locale, catalog]) => {
+      const text = (id) =>
+        flattenMessages(lookupEntry(catalog, id) ?? lookupEntry(catalogs[fallback], id))
+          .map(([, message]) => formatMessage(message))
+          .join(' ');
+
+      const entries = lessons.flatMap(({ id, title }) =>
+        Object.keys(SECTIONS).map((section) => ({
+          lessonId: id,
+          implementation: SECTIONS[section].implementation ?? null,
+          section,
+          text: section === 'title' ? (lookupEntry(catalog, `${id}.title`) ?? title) : text(`${id}.${section}`),
+        }))
+      );
+      return [locale, entries.filter((entry) => entry.text)];
+    })
+  );
+};
+
+const escape = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+const SNIPPET_CONTEXT = 60;
+
+// Splits a window of `text` around `at` into { text, match } parts, with the
+// occurrences of `terms` marked
+const snippetParts = (text, at, terms) => {
+  let start = Math.max(0, at - SNIPPET_CONTEXT);
+  let end = Math.min(text.length, at + SNIPPET_CONTEXT * 2);
+  // Don't cut words in half
+  if (start > 0) start = text.indexOf(' ', start) + 1 || start;
+  if (end < text.length) end = text.lastIndexOf(' ', end) > at ? text.lastIndexOf(' ', end) : end;
+
+  const window = `${start > 0 ? '…' : ''}${text.slice(start, end)}${end < text.length ? '…' : ''}`;
+  const pattern = new RegExp(`(${terms.map(escape).join('|')})`, 'gi');
+  return window
+    .split(pattern)
+    .filter(Boolean)
+    .map((part) => ({ text: part, match: terms.some((term) => term === part.toLowerCase()) }));
+};
+
+/**
+ * Entries containing every word of `query`, best first, as
+ * { entry, snippet } where `snippet` is a short excerpt around the first
+ * match as { text, match } parts. Matches at the start of a word and in the
+ * more prominent sections (the title, then the description) rank higher.
+ */
+export const searchLessons = (index, query, limit = 8) => {
+  const terms = [...new Set(query.toLowerCase().split(/\s+/).filter(Boolean))];
+  if (terms.length === 0) return [];
+
+  return index
+    .map((entry, order) => {
+      const text = entry.text.toLowerCase();
+      let score = 0;
+      for (const term of terms) {
+        const matches = [...text.matchAll(new RegExp(escape(term), 'g'))];
+        if (matches.length === 0) return null;
+        const atWordStart = matches.some(({ index }) => index === 0 || /\W/.test(text[index - 1]));
+        // Where it matches counts for more than how often
+        score += SECTIONS[entry.section].weight * (atWordStart ? 3 : 1) + Math.min(matches.length, 3) - 1;
+      }
+      if (terms.length > 1 && text.includes(terms.join(' '))) score *= 2;
+
+      const first = Math.min(...terms.map((term) => text.indexOf(term)));
+      return { entry, score, order, snippet: snippetParts(entry.text, first, terms) };
+    })
+    .filter(Boolean)
+    .sort((a, b) => b.score - a.score || a.order - b.order)
+    .slice(0, limit)
+    .map(({ entry, snippet }) => ({ entry, snippet }));
+};
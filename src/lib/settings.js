@@ -0,0 +1,77 @@
+/**
+ * Simulation settings
+ *
+ * The workload knobs the demos read instead of hard-coded constants, so a
+ * presenter can turn them up and show where each anti-pattern starts to hurt.
+ * Shared by every lesson and persisted in localStorage.
+ */
+
+export const SETTINGS_STORAGE_KEY = 'react-misconceptions:settings';
+
+// `label` is a message id, `unit` one of the `settings.units` messages
+export const SETTING_FIELDS = [
+  { name: 'renderDelay', label: 'settings.fields.renderDelay', unit: 'ms', min: 0, max: 500, step: 10, defaultValue: 100 },
+  { name: 'datasetSize', label: 'settings.fields.datasetSize', unit: 'items', min: 500, max: 50000, step: 500, defaultValue: 5000 },
+  { name: 'tickRate', label: 'settings.fields.tickRate', unit: 'ms', min: 100, max: 5000, step: 100, defaultValue: 1000 },
+  { name: 'slowdown', label: 'settings.fields.slowdown', unit: 'times', min: 1, max: 8, step: 1, defaultValue: 1 },
+];
+
+export const DEFAULT_SETTINGS = Object.freeze(
+  Object.fromEntries(SETTING_FIELDS.map((field) => [field.name, field.defaultValue]))
+);
+
+const listeners = new Set();
+
+// Anything missing, unknown or out of range falls back to a sane value, so a
+// stale or hand-edited entry in localStorage can't break the demos
+const sanitize = (values) =>
+  Object.freeze(
+    Object.fromEntries(
+      SETTING_FIELDS.map(({ name, min, max, defaultValue }) => {
+        const value = Number(values?.[name]);
+        return [name, Number.isFinite(value) ? Math.min(max, Math.max(min, value)) : defaultValue];
+      })
+    )
+  );
+
+const load = () => {
+  try {
+    return sanitize(JSON.parse(window.localStorage.getItem(SETTINGS_STORAGE_KEY)));
+  } catch {
+    return DEFAULT_SETTINGS;
+  }
+};
+
+let settings = load();
+
+export const getSettings = () => settings;
+
+// Another tab (e.g. a presenter window) changed the settings
+const onStorage = (event) => {
+  if (event.key !== SETTINGS_STORAGE_KEY) return;
+  settings = load();
+  listeners.forEach((listener) => listener());
+};
+
+export const subscribe = (listener) => {
+  if (listeners.size === 0) window.addEventListener('storage', onStorage);
+  listeners.add(listener);
+  return () => {
+    listeners.delete(listener);
+    if (listeners.size === 0) window.removeEventListener('storage', onStorage);
+  };
+};
+
+const save = (next) => {
+  settings = next;
+  try {
+    window.localStorage.setItem(SETTINGS_STORAGE_KEY, JSON.stringify(next));
+  } catch {
+    // Private browsing or a full quota: the settings still apply to this tab
+  }
+  listeners.forEach((listener) => listener());
+};
+
+export const updateSettings = (changes) => save(sanitize({ ...settings, ...changes }));
+
+export const resetSettings = () => save(DEFAULT_SETTINGS);
@@ -0,0 +1,65 @@
+/**
+ * Pulls named top-level declarations (components, providers, contexts) out of
+ * a page's raw source, together with the comment block right above them.
+ *
+ * This leans on the pages' formatting rather than a parser: a declaration
+ * whose first line opens a block or call ends at the first line that starts
+ * with `}` or `)` in column 0, and any other multi-line declaration ends at
+ * the first line that ends in `;`.
+ */
+
+const MARKERS = [
+  { verdict: 'bad', pattern: /(\/\/|\/\*)\s*❌/ },
+  { verdict: 'good', pattern: /(\/\/|\/\*)\s*✅/ },
+];
+
+const isComment = (line) => /^\s*(\/\/|\/\*|\*)/.test(line);
+
+// 'bad' or 'good' for lines carrying a `❌ BAD` / `✅ GOOD` comment
+export const markerFor = (line) =>
+  MARKERS.find(({ pattern }) => pattern.test(line))?.verdict ?? null;
+
+// Returns `{ name, startLine, endLine, code }` with 1-based line numbers as in
+// the original file, or null if `name` isn't declared at the top level
+export const extractDeclaration = (source, name) => {
+  const lines = source.split('\n');
+  const declaration = new RegExp(`^(export\\s+)?(const|let|function|class)\\s+${name}\\b`);
+  const index = lines.findIndex((line) => declaration.test(line));
+  if (index === -1) return null;
+
+  const first = lines[index].trimEnd();
+  let end = index;
+  if (/[{([]$/.test(first)) {
+    end = lines.findIndex((line, i) => i > index && /^[})]/.test(line));
+  } else if (!first.endsWith(';')) {
+    end = lines.findIndex((line, i) => i > index && line.trimEnd().endsWith(';'));
+  }
+  if (end === -1) end = lines.length - 1;
+
+  let start = index;
+  while (start > 0 && isComment(lines[start - 1])) start -= 1;
+
+  return {
+    name,
+    startLine: start + 1,
+    endLine: end + 1,
+    code: lines.slice(start, end + 1).join('\n'),
+  };
+};
+
+export const extractDeclarations = (source, names) =>
+  names.map((name) => extractDeclaration(source, name)).filter(Boolean);
+
+// A property of a lesson's `defineLesson` call in the registry's source, from
+// its key down to the `    ),` that closes it at the same indentation,
+// dedented to the lesson object's level
+export const extractLessonProperty = (registrySource, lessonId, name) => {
+  const lines = registrySource.split('\n');
+  const lessonLine = lines.findIndex((line) => line.includes(`id: '${lessonId}',`));
+  const start = lines.findIndex((line, i) => i > lessonLine && line.startsWith(`    ${name}: (`));
+  const end = lines.findIndex((line, i) => i > start && line === '    ),');
+  if (lessonLine === -1 || start === -1 || end === -1) {
+    throw new Error(`Cannot find the ${name} of lesson "${lessonId}"`);
+  }
+  return lines.slice(start, end + 1).map((line) => line.slice(2)).join('\n');
+};
@@ -0,0 +1,25 @@
+/**
+ * Summary statistics for benchmark samples
+ */
+
+// Nearest-rank percentile of an ascending list
+const percentile = (sorted, p) =>
+  sorted[Math.min(sorted.length - 1, Math.max(0, Math.ceil((p / 100) * sorted.length) - 1))];
+
+export const summarize = (samples) => {
+  if (samples.length === 0) {
+    return { count: 0, min: 0, median: 0, p95: 0, max: 0, mean: 0 };
+  }
+
+  const sorted = [...samples].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+
+  return {
+    count: sorted.length,
+    min: sorted[0],
+    median: sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2,
+    p95: percentile(sorted, 95),
+    max: sorted[sorted.length - 1],
+    mean: sorted.reduce((sum, value) => sum + value, 0) / sorted.length,
+  };
+};
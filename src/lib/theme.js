@@ -0,0 +1,101 @@
+/**
+ * Theme
+ *
+ * Light, dark or high contrast, or whatever the system asks for. The chosen
+ * theme is set as `data-theme` on <html>, where index.css resolves the
+ * semantic colour scales (`neutral`, `bad`, `good`, `warning`, `accent`) for
+ * it. The preference is persisted in localStorage; "system" follows
+ * `prefers-contrast` and `prefers-color-scheme`, live.
+ */
+
+export const THEME_STORAGE_KEY = 'react-misconceptions:theme';
+
+export const THEMES = [
+  { id: 'system', icon: '💻' },
+  { id: 'light', icon: '☀️' },
+  { id: 'dark', icon: '🌙' },
+  { id: 'contrast', icon: '◐' },
+];
+
+const DEFAULT_PREFERENCE = 'system';
+
+const QUERIES = { dark: '(prefers-color-scheme: dark)', contrast: '(prefers-contrast: more)' };
+
+const matches = (query) => window.matchMedia?.(query).matches ?? false;
+
+// The theme to show for a preference; only "system" depends on the media queries
+export const resolveTheme = (preference, prefers = matches) => {
+  if (preference !== 'system') return preference;
+  if (prefers(QUERIES.contrast)) return 'contrast';
+  return prefers(QUERIES.dark) ? 'dark' : 'light';
+};
+
+const listeners = new Set();
+
+const sanitize = (preference) => (THEMES.some(({ id }) => id === preference) ? preference : DEFAULT_PREFERENCE);
+
+const load = () => {
+  try {
+    return sanitize(window.localStorage.getItem(THEME_STORAGE_KEY));
+  } catch {
+    return DEFAULT_PREFERENCE;
+  }
+};
+
+const stateFor = (preference) => Object.freeze({ preference, theme: resolveTheme(preference) });
+
+let state = stateFor(load());
+
+// { preference, theme }: what was picked and what is on screen
+export const getTheme = () => state;
+
+const apply = (next) => {
+  state = next;
+  document.documentElement.dataset.theme = state.theme;
+  listeners.forEach((listener) => listener());
+};
+
+// Another tab picked a theme
+const onStorage = (event) => {
+  if (event.key === THEME_STORAGE_KEY) apply(stateFor(load()));
+};
+
+// The system theme changed under a "system" preference
+const onMediaChange = () => {
+  if (state.preference === 'system') apply(stateFor('system'));
+};
+
+export const subscribe = (listener) => {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+};
+
+export const setThemePreference = (preference) => {
+  const next = stateFor(sanitize(preference));
+  try {
+    window.localStorage.setItem(THEME_STORAGE_KEY, next.preference);
+  } catch {
+    // Private browsing or a full quota: the theme still applies to this tab
+  }
+  apply(next);
+};
+
+export const resetTheme = () => setThemePreference(DEFAULT_PREFERENCE);
+
+/**
+ * Puts the theme on <html> and keeps it up to date with other tabs and the
+ * system settings. Called once, before the app renders, so the first paint
+ * is already themed. Returns a function that stops listening.
+ */
+export const initTheme = () => {
+  apply(stateFor(load()));
+
+  const mediaLists = Object.values(QUERIES).map((query) => window.matchMedia?.(query)).filter(Boolean);
+  mediaLists.forEach((list) => list.addEventListener('change', onMediaChange));
+  window.addEventListener('storage', onStorage);
+
+  return () => {
+    mediaLists.forEach((list) => list.removeEventListener('change', onMediaChange));
+    window.removeEventListener('storage', onStorage);
+  };
+};
@@ -0,0 +1,54 @@
+/**
+ * Lesson variants
+ *
+ * A lesson shows its misconception as an ordered list of variants, from the
+ * anti-pattern to the fix. Most lessons are a plain Bad/Good pair, but some
+ * misconceptions are a spectrum: Index as Key goes from index keys through
+ * `Math.random()` and content-derived keys to stable ids. A lesson lists them
+ * in the registry as { id, verdict }; the label and explanation of each are
+ * messages under `<lessonId>.variants.<variantId>` (see lib/messages.js).
+ *
+ * The first variant is always `bad` and the last `good`. The playground, the
+ * guided steps, progress and the slides only know about those two, while the
+ * demo, its comparison strip, replays and benchmarks cover every variant.
+ */
+
+// How each verdict looks wherever variants are listed. The classes are
+// spelled out so Tailwind finds them.
+export const VERDICTS = {
+  bad: { icon: '❌', text: 'text-bad-700', value: 'text-bad-800', selected: 'bg-bad-600 text-neutral-0 shadow-sm' },
+  acceptable: {
+    icon: '⚠️',
+    text: 'text-warning-700',
+    value: 'text-warning-800',
+    selected: 'bg-warning-600 text-neutral-0 shadow-sm',
+  },
+  best: { icon: '✅', text: 'text-good-700', value: 'text-good-800', selected: 'bg-good-600 text-neutral-0 shadow-sm' },
+};
+
+// Lessons that don't list their variants; their labels are the generic ones
+export const DEFAULT_VARIANTS = Object.freeze([
+  { id: 'bad', verdict: 'bad', label: 'common.implementations.bad', short: 'comparison.bad' },
+  { id: 'good', verdict: 'best', label: 'common.implementations.good', short: 'comparison.good' },
+]);
+
+// Views every lesson has on top of its variants
+export const LESSON_VIEWS = ['compare', 'playground'];
+
+/**
+ * The variants of `lesson` in order, as { id, verdict, label, short,
+ * explanation } where the last three are message ids: `short` labels table
+ * columns and tabs, and lessons on the default Bad/Good pair have no
+ * explanation.
+ */
+export const lessonVariants = (lesson) =>
+  lesson?.variants?.map((variant) => ({
+    ...variant,
+    label: `${lesson.id}.variants.${variant.id}.label`,
+    short: `${lesson.id}.variants.${variant.id}.label`,
+    explanation: `${lesson.id}.variants.${variant.id}.explanation`,
+  })) ?? DEFAULT_VARIANTS;
+
+// Whether `implementation` from a URL is something `lesson` can show
+export const isLessonView = (lesson, implementation) =>
+  LESSON_VIEWS.includes(implementation) || lessonVariants(lesson).some(({ id }) => id === implementation);
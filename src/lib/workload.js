@@ -0,0 +1,24 @@
+import { getSettings } from './settings';
+
+/**
+ * Artificial CPU work for the demos, scaled by the "slow device" setting.
+ */
+
+const spin = (ms) => {
+  const end = performance.now() + ms;
+  while (performance.now() < end) {
+    // Block the main thread, like a slow render would
+  }
+};
+
+// Blocks for `ms` on a normal device, longer on a simulated slow one
+export const busyWait = (ms) => spin(ms * getSettings().slowdown);
+
+// Runs `work` and then stretches the time it took by the slow-device
+// multiplier, so real calculations slow down along with the artificial ones
+export const simulateWork = (work) => {
+  const start = performance.now();
+  const result = work();
+  spin((performance.now() - start) * (getSettings().slowdown - 1));
+  return result;
+};
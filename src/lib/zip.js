@@ -0,0 +1,104 @@
+/**
+ * Zip archive writer
+ *
+ * Just enough of the zip format to hand someone a folder of text files:
+ * entries are stored uncompressed (method 0), names are UTF-8, and there is
+ * no zip64, encryption or streaming. Source files are small, so compression
+ * isn't worth a dependency.
+ */
+
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k += 1) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+  return c >>> 0;
+});
+
+export const crc32 = (bytes) => {
+  let crc = 0xffffffff;
+  for (const byte of bytes) crc = CRC_TABLE[(crc ^ byte) & 0xff] ^ (crc >>> 8);
+  return (crc ^ 0xffffffff) >>> 0;
+};
+
+// MS-DOS date and time, as zip headers store them (2-second precision)
+const dosDateTime = (date) => ({
+  time: (date.getHours() << 11) | (date.getMinutes() << 5) | (date.getSeconds() >> 1),
+  date: ((date.getFullYear() - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate(),
+});
+
+// General purpose flag: file names are UTF-8
+const UTF8_NAMES = 0x0800;
+const VERSION = 20;
+
+const header = (size, write) => {
+  const bytes = new Uint8Array(size);
+  write(new DataView(bytes.buffer));
+  return bytes;
+};
+
+/**
+ * Packs `files` ({ path, content }, content a string or Uint8Array) into a
+ * zip archive and returns its bytes.
+ */
+export const createZip = (files, modified = new Date()) => {
+  const encoder = new TextEncoder();
+  const { time, date } = dosDateTime(modified);
+  const chunks = [];
+  const centralDirectory = [];
+  let offset = 0;
+
+  for (const { path, content } of files) {
+    const name = encoder.encode(path);
+    const data = typeof content === 'string' ? encoder.encode(content) : content;
+    const crc = crc32(data);
+
+    // Fields shared by the local header and the central directory entry,
+    // starting at "version needed to extract"
+    const common = (view, at) => {
+      view.setUint16(at, VERSION, true);
+      view.setUint16(at + 2, UTF8_NAMES, true);
+      view.setUint16(at + 4, 0, true);
+      view.setUint16(at + 6, time, true);
+      view.setUint16(at + 8, date, true);
+      view.setUint32(at + 10, crc, true);
+      view.setUint32(at + 14, data.length, true);
+      view.setUint32(at + 18, data.length, true);
+      view.setUint16(at + 22, name.length, true);
+    };
+
+    const local = header(30, (view) => {
+      view.setUint32(0, 0x04034b50, true);
+      common(view, 4);
+    });
+
+    centralDirectory.push(
+      header(46, (view) => {
+        view.setUint32(0, 0x02014b50, true);
+        view.setUint16(4, VERSION, true);
+        common(view, 6);
+        view.setUint32(42, offset, true);
+      }),
+      name
+    );
+
+    chunks.push(local, name, data);
+    offset += local.length + name.length + data.length;
+  }
+
+  const directorySize = centralDirectory.reduce((total, chunk) => total + chunk.length, 0);
+  const end = header(22, (view) => {
+    view.setUint32(0, 0x06054b50, true);
+    view.setUint16(8, files.length, true);
+    view.setUint16(10, files.length, true);
+    view.setUint32(12, directorySize, true);
+    view.setUint32(16, offset, true);
+  });
+
+  const parts = [...chunks, ...centralDirectory, end];
+  const archive = new Uint8Array(offset + directorySize + end.length);
+  let position = 0;
+  for (const part of parts) {
+    archive.set(part, position);
+    position += part.length;
+  }
+  return archive;
+};
@@ -0,0 +1,1112 @@
+/**
+ * German messages, translated from en.js. Unlike English, the lesson titles
+ * are here too, as `<lesson id>.title`.
+ */
+export default {
+  common: {
+    callout: {
+      problem: '⚠️ Das Problem:',
+      solution: '✅ Die Lösung:',
+      caveat: '⚠️ Der Haken:',
+    },
+    implementations: {
+      label: 'Umsetzung',
+      bad: 'Schlechte Umsetzung',
+      good: 'Gute Umsetzung',
+      compare: 'Nebeneinander',
+      playground: 'Spielwiese',
+    },
+    verdicts: {
+      bad: 'Schlecht',
+      acceptable: 'Akzeptabel',
+      best: 'Am besten',
+    },
+  },
+
+  sidebar: {
+    title: 'React-Irrtümer',
+    tagline: 'Aus typischen Fehlern lernen',
+    navigation: 'Navigation',
+    openNavigation: 'Navigation öffnen',
+    closeNavigation: 'Navigation schließen',
+    commands: 'Befehle',
+    shortcuts: 'Tastenkürzel',
+    language: 'Sprache',
+    lessons: 'Lektionen',
+    tools: 'Werkzeuge',
+    guide: {
+      title: 'Lernhilfe',
+      text: 'Jede Seite zeigt einen verbreiteten Irrtum mit einer <bad>schlechten Umsetzung</bad> und einer <good>guten Umsetzung</good>. Wechsle zwischen beiden, um den Unterschied zu verstehen.',
+    },
+  },
+
+  theme: {
+    label: 'Farbschema',
+    system: 'System',
+    light: 'Hell',
+    dark: 'Dunkel',
+    contrast: 'Hoher Kontrast',
+    following: {
+      light: 'Folgt dem System: hell',
+      dark: 'Folgt dem System: dunkel',
+      contrast: 'Folgt dem System: hoher Kontrast',
+    },
+  },
+
+  search: {
+    label: 'Lektionen durchsuchen',
+    placeholder: 'Lektionen durchsuchen...',
+    results: 'Suchergebnisse',
+    noResults: 'Keine Treffer für „{query}“.',
+    sections: {
+      title: 'Lektion',
+      description: 'Beschreibung',
+      problem: '⚠️ Das Problem',
+      solution: '✅ Die Lösung',
+      takeaway: '📚 Das Wichtigste',
+    },
+  },
+
+  lesson: {
+    title: 'Irrtum Nr. {number}: {title}',
+    loading: 'Lektion wird geladen...',
+    present: 'Präsentieren',
+  },
+
+  export: {
+    button: '⬇️ Projekt exportieren',
+    packaging: '⏳ Wird gepackt...',
+    failed: 'Export fehlgeschlagen: {message}',
+    hint: 'Diese Lektion als Vite-Projekt herunterladen: npm install && npm run dev',
+  },
+
+  sharedControls: {
+    title: 'Gemeinsame Steuerung - bedient beide Umsetzungen',
+  },
+
+  comparison: {
+    metric: 'Messwert',
+    bad: 'Schlecht',
+    good: 'Gut',
+    commits: 'Commits (ganze Demo)',
+    lastCommit: 'Dauer des letzten Commits',
+    totalRenderTime: 'Gesamte Renderzeit',
+    announceOne: '{label}: {value}.',
+    announceMany: '{label}: {values}.',
+    announceValue: '{value} bei {variant}',
+  },
+
+  takeaway: {
+    title: 'Das Wichtigste',
+  },
+
+  quiz: {
+    title: 'Teste dein Verständnis',
+    start: 'Quiz starten ({count} Fragen)',
+    score: 'Punkte: <strong>{correct}</strong> / {total}',
+    attempt: '(Versuch {attempt})',
+    question: 'Frage {number}',
+    loadingCode: 'Code wird geladen...',
+    correct: '✅ Richtig!',
+    incorrect: '❌ Nicht ganz.',
+    demo: {
+      bad: 'In der schlechten Umsetzung ansehen',
+      good: 'In der guten Umsetzung ansehen',
+      compare: 'Beide nebeneinander vergleichen',
+    },
+    allCorrect: '🎉 Alle {total} richtig!',
+    someCorrect: 'Du hast {correct} von {total} richtig. Schau dir die verlinkten Demos noch einmal an und versuch es erneut.',
+    retry: '↺ Quiz wiederholen',
+  },
+
+  guide: {
+    title: '🧭 Probier das',
+    done: '(erledigt)',
+  },
+
+  autoplay: {
+    title: '🎬 Automatisch abspielen',
+    play: '▶ Abspielen',
+    resume: '▶ Fortsetzen',
+    pause: '⏸ Pause',
+    step: '⏭ Schritt',
+    stop: '⏹ Stopp',
+    idle: '{count} Abschnitte, spielt sich in menschlichem Tempo selbst ab',
+    beat: 'Abschnitt {number} von {count}',
+    finished: 'fertig',
+    missed: '{count} Schritt(e) fanden nichts zum Bedienen',
+  },
+
+  source: {
+    title: 'Quellcode',
+    loading: 'Quellcode wird geladen...',
+    declarations: 'Deklarationen',
+    lines: '{name}, Zeilen {from}–{to}',
+    diff: '± Vergleich',
+  },
+
+  diff: {
+    pairs: 'Verglichene Deklarationen',
+    ignoreStyling: 'Benennung & Farben ignorieren',
+    layouts: {
+      unified: 'Zusammen',
+      split: 'Geteilt',
+    },
+    changes: '<removed>−{removed}</removed> <added>+{added}</added> Zeilen',
+    changesIgnoringStyling:
+      '<removed>−{removed}</removed> <added>+{added}</added> Zeilen, ohne Zeilen, die sich nur in der Bad/Good-Benennung oder der Rot/Grün-Gestaltung unterscheiden',
+  },
+
+  playground: {
+    unavailable: 'Diese Lektion hat noch keine Spielwiese.',
+    loading: 'Spielwiese wird geladen...',
+    goal: '<strong>🎯 Ziel:</strong> {goal}',
+    scope:
+      'Die Vorschau rendert <code>{entry}</code>; lass die Render-Tracker drin, die Prüfung zählt die Renders mit ihnen. Ohne Import verfügbar: <names>{names}</names>',
+    editor: 'Code der Spielwiese',
+    keys: 'Tab rückt ein, Esc und dann Tab verlässt den Editor, Strg/⌘+Enter führt aus.',
+    run: '▶ Ausführen',
+    check: '✅ Meine Lösung prüfen',
+    checking: '⏳ Wird geprüft...',
+    reset: '↺ Auf die schlechte Umsetzung zurücksetzen',
+    preview: 'Vorschau der Spielwiese',
+    compileError: 'Dein Code lässt sich nicht kompilieren',
+    renderError: 'Deine Komponente hat beim Rendern einen Fehler geworfen',
+    missed:
+      'Die Prüfung hat die Bedienelemente nicht gefunden, die sie braucht. Lass ihre Beschriftungen und Platzhalter, wie sie waren.',
+  },
+
+  recorder: {
+    record: '⏺ Interaktionen aufzeichnen',
+    stop: '⏹ Aufzeichnung beenden',
+    replayBoth: '▶ Bei beiden abspielen',
+    replayAll: '▶ Bei allen abspielen',
+    replaying: '⏳ Wird abgespielt...',
+    recordedOne: '{count} Schritt aufgezeichnet',
+    recordedMany: '{count} Schritte aufgezeichnet',
+    stopped: 'Die Wiedergabe wurde abgebrochen:',
+    result: '🔁 Ergebnis der Wiedergabe',
+    commits: 'Commits',
+    renderTime: 'Renderzeit',
+    elapsed: 'Verstrichene Zeit',
+    missed: 'Schritte ohne Ziel',
+  },
+
+  latency: {
+    title: '⌨️ Eingabelatenz',
+    values: 'Zuletzt: {last} · Am schlechtesten (INP): {inp}',
+    eventTiming: 'gemessen mit Event Timing',
+    animationFrame: 'gemessen mit requestAnimationFrame',
+    idle: 'tippe, um zu messen',
+  },
+
+  settings: {
+    title: '⚙️ Simulation',
+    fields: {
+      renderDelay: 'Verzögerung der langsamen Komponente',
+      datasetSize: 'Datenmenge',
+      tickRate: 'Takt der Uhr',
+      slowdown: 'Langsames Gerät',
+    },
+    units: {
+      ms: '{value} ms',
+      items: '{value} Einträge',
+      times: '{value}×',
+    },
+    slowdownHint: 'Langsames Gerät vervielfacht die CPU-Arbeit in jeder Demo, wie auf einem günstigen Handy.',
+    reset: 'Auf Standardwerte zurücksetzen',
+  },
+
+  progress: {
+    label: 'Dein Fortschritt',
+    milestonesDone: '{done} von {total} Meilensteinen',
+    completed: 'abgeschlossen',
+    milestones: {
+      visited: 'Lektion geöffnet',
+      viewed: 'Beide Umsetzungen angesehen',
+      steps: 'Demo ausprobiert',
+      quiz: 'Quiz bestanden',
+    },
+    title: '📊 Fortschritt',
+    intro:
+      'Eine Lektion ist abgeschlossen, sobald du beide Umsetzungen gesehen, die Demo ausprobiert und ihr Quiz bestanden hast. Der Fortschritt bleibt in diesem Browser; exportiere ihn, um ihn mitzunehmen.',
+    export: 'Exportieren',
+    import: 'Importieren',
+    reset: 'Zurücksetzen',
+    file: 'Fortschrittsdatei',
+    confirmReset: 'Deinen Fortschritt in allen Lektionen zurücksetzen?',
+    wasReset: 'Fortschritt zurückgesetzt.',
+    imported: '{file} importiert.',
+    notJson: '{file} ist kein gültiges JSON.',
+    notAnExport: '{file} ist kein Fortschrittsexport.',
+  },
+
+  commands: {
+    palette: 'Befehlspalette',
+    search: 'Lektionen, Abschnitte und Aktionen durchsuchen',
+    placeholder: 'Lektionen, Abschnitte und Aktionen durchsuchen...',
+    groups: {
+      lesson: 'Diese Lektion',
+      sections: 'Abschnitte',
+      lessons: 'Lektionen',
+      tools: 'Werkzeuge',
+      theme: 'Farbschema',
+      help: 'Hilfe',
+    },
+    next: '→ Nächste Lektion: {title}',
+    previous: '← Vorherige Lektion: {title}',
+    implementations: {
+      bad: '❌ Schlechte Umsetzung zeigen',
+      good: '✅ Gute Umsetzung zeigen',
+      compare: '⚖️ Beide nebeneinander zeigen',
+      playground: '🧪 Spielwiese öffnen',
+    },
+    variant: 'Variante „{label}“ zeigen',
+    theme: 'Farbschema: {theme}',
+    shortcuts: '⌨️ Tastenkürzel',
+    reset: '↺ Demo zurücksetzen',
+    present: '🎤 Diese Lektion präsentieren',
+    sections: {
+      demo: 'Zur Demo springen',
+      playground: 'Zur Spielwiese springen',
+      source: 'Zum Quellcode springen',
+      takeaway: 'Zum Wichtigsten springen',
+      quiz: 'Zum Quiz springen',
+    },
+    help: {
+      open: 'Befehlspalette öffnen',
+      close: 'Diesen Dialog schließen',
+      closeButton: 'Schließen',
+      typing: 'Einzeltasten-Kürzel werden ignoriert, während du in ein Textfeld tippst.',
+    },
+  },
+
+  presentation: {
+    slides: {
+      problem: 'Das Problem',
+      bad: '❌ Schlechte Umsetzung',
+      good: '✅ Gute Umsetzung',
+      takeaway: '📚 Das Wichtigste',
+    },
+    misconception: 'Irrtum Nr. {number}',
+    takeaway: '📚 Das Wichtigste: {title}',
+    previous: '← Zurück',
+    next: 'Weiter →',
+    presenterView: '🗒️ Referentenansicht',
+    fullscreen: '⛶ Vollbild',
+    exit: '✕ Beenden',
+    slideOf: 'Folie {number} von {count}',
+    elapsed: 'Verstrichene Zeit',
+    resetTimer: 'Timer zurücksetzen',
+    notes: 'Sprechernotizen',
+    noNotes: 'Keine Notizen für diese Folie.',
+    upNext: 'Als Nächstes: {title} · {slide}',
+    lastSlide: 'Letzte Folie',
+    notFound: {
+      title: 'Diese Folie gibt es nicht',
+      text: '<code>{slide}</code> gehört nicht zum Foliensatz.',
+      first: 'Mit der ersten Folie beginnen',
+    },
+  },
+
+  benchmark: {
+    title: 'Benchmark',
+    intro:
+      'Spiel das Szenario einer Lektion viele Male gegen jede ihrer Varianten ab und vergleiche die Verteilung statt eines einzelnen, verrauschten Messwerts.',
+    lesson: 'Lektion',
+    iterations: 'Durchläufe pro Umsetzung',
+    run: '▶ Benchmark starten',
+    scenario: '<strong>Szenario:</strong> {scenario}',
+    stopped: 'Der Benchmark wurde abgebrochen:',
+    exportJson: '⬇ Als JSON exportieren',
+    exportCsv: '⬇ Als CSV exportieren',
+    metric: 'Messwert',
+    variant: 'Variante',
+    metrics: {
+      renderDuration: 'Renderdauer',
+      commits: 'Commits',
+      elapsed: 'Verstrichene Zeit',
+    },
+  },
+
+  challenge: {
+    title: 'Finde das Anti-Pattern',
+    intro:
+      'Klick jede Zeile an, die du im Code-Review anmerken würdest, und prüf dann deine Antwort. Jedes Snippet versteckt einen der fünf Irrtümer, manchmal mehr als einmal.',
+    misconception: 'Irrtum',
+    all: 'Alle Irrtümer',
+    tally: '<strong>{solved}</strong> von {attempted} gelöst',
+    toFindOne: '1 Problem zu finden',
+    toFindMany: '{count} Probleme zu finden',
+    lines: 'Zeilen des Snippets',
+    check: 'Antwort prüfen',
+    next: 'Nächstes Snippet →',
+    spotOn: '🎉 Volltreffer!',
+    found: '{found} von {total} gefunden',
+    foundWithFalsePositives: '{found} von {total} gefunden, {count} einwandfreie Zeile(n) markiert',
+    missed: '⚠️ Übersehen:',
+    line: 'Zeile {line}',
+    range: 'Zeilen {from}–{to}',
+    review: 'Lektion wiederholen: {title} →',
+    snippets: {
+      'todo-index-key': {
+        title: 'Bearbeitbare Todo-Liste',
+        answers: [
+          'Die Zeilen enthalten unkontrollierte Eingabefelder, sind aber nach Position geschlüsselt. Entfernst du das erste Todo, erbt das zweite seine Checkbox und seinen Text. Nimm <code>todo.id</code> als Key.',
+        ],
+      },
+      'leaderboard-index-key': {
+        title: 'Sortierbare Bestenliste',
+        answers: [
+          'Eine andere Sortierung verschiebt die Spieler, aber der aufgeklappte Zustand bleibt beim Index und springt zu dem, der jetzt in dieser Zeile steht. Nimm <code>player.id</code> als Key.',
+        ],
+      },
+      'cart-effect-total': {
+        title: 'Warenkorb-Übersicht',
+        answers: [
+          '<code>total</code> und <code>count</code> werden aus <code>items</code> abgeleitet und müssen gar kein State sein.',
+          'Der Effect kopiert nach jeder Änderung Props in den State: Jedes Update rendert einmal mit veralteten Zahlen und dann noch einmal. Berechne beides während des Renderns.',
+        ],
+      },
+      'search-effect-filter': {
+        title: 'Suchergebnisse',
+        answers: [
+          '<code>visible</code> ergibt sich aus <code>results</code> und <code>query</code>; eine Kopie im State kann aus dem Tritt geraten.',
+          'Jeder Tastendruck rendert mit der alten Liste, dann setzt der Effect die neue und es wird erneut gerendert. <code>const visible = results.filter(...)</code> erledigt das in einem Render.',
+        ],
+      },
+      'app-context-cursor': {
+        title: 'App-weiter Provider',
+        answers: [
+          'Die Mausposition ändert sich dutzende Male pro Sekunde und teilt sich einen Wert mit Benutzer und Theme, also rendert jeder Consumer des App-Contexts bei jeder Mausbewegung neu. Gib dem Cursor einen eigenen Context.',
+        ],
+      },
+      'store-context-polling': {
+        title: 'Store mit abgefragten Benachrichtigungen',
+        answers: [
+          'Warenkorb und abgefragte Benachrichtigungen stecken in einem neuen Objekt, also rendert <code>CartButton</code> alle fünf Sekunden neu, obwohl er nur den Warenkorb liest. Teile die Contexts nach Änderungshäufigkeit auf.',
+        ],
+      },
+      'product-table-filter': {
+        title: 'Produkttabelle (50.000 Produkte)',
+        answers: [
+          'Eine Zeile auszuwählen rendert die Tabelle neu, das ist in Ordnung, aber dabei werden auch alle 50.000 Produkte erneut gefiltert und sortiert. Pack die Berechnung in <code>useMemo</code> mit <code>[products, query]</code>.',
+        ],
+      },
+      'dashboard-stats': {
+        title: 'Dashboard-Tabs',
+        answers: [
+          'Ein Tab-Wechsel ändert nur <code>tab</code>, trotzdem bezahlt jeder Wechsel erneut für <code>computeStats</code>. <code>useMemo(() => computeStats(orders), [orders])</code> hält das Neu-Rendern günstig.',
+        ],
+      },
+      'report-inline-style': {
+        title: 'Bericht mit Notizen',
+        answers: [
+          'Der Notiz-State liegt in <code>Report</code>, also rendert jeder Tastendruck den ganzen Bericht neu. Verschiebe die Textarea und ihren State in einen eigenen <code>NoteEditor</code>.',
+          '<code>style={{ height: 400 }}</code> ist bei jedem Render ein neues Objekt, also überspringt <code>memo</code> das Diagramm nie.',
+        ],
+      },
+      'inbox-inline-handler': {
+        title: 'Posteingang mit Entwurf',
+        answers: [
+          'Einen Entwurf zu tippen rendert <code>Inbox</code> und alles darunter neu. Lagerst du den Entwurf in eine eigene Komponente aus, bleibt die Liste außen vor.',
+          'Die Inline-Arrow-Function ist bei jedem Render eine neue Funktion, was <code>memo</code> bei <code>MessageList</code> aushebelt.',
+        ],
+      },
+    },
+  },
+
+  notFound: {
+    title: 'Seite nicht gefunden',
+    text: 'Unter <code>{path}</code> gibt es keine Lektion.',
+    back: '← Zurück zur ersten Lektion',
+  },
+
+  memoization: {
+    title: 'Memoisierung vs. Colocation',
+    description:
+      'Greif nicht zuerst zu <code>React.memo</code>. Überlege stattdessen, deine Komponenten umzubauen.',
+    takeaway:
+      '<p>Bevor du <code>React.memo</code> einsetzt, frag dich: „Kann ich diesen State näher an die Stelle verschieben, an der er tatsächlich gebraucht wird?“ State-Colocation ist oft die bessere Lösung als Memoisierung. Sie macht deinen Code einfacher und verständlicher und verhindert unnötige Re-Renders ganz von selbst.</p>',
+    rendering: '⏳ Rendert...',
+    renderCount: 'Render-Anzahl:',
+    placeholder: 'Fang an zu tippen...',
+    value: 'Wert: {value}',
+    empty: '(leer)',
+    bad: {
+      title: 'Schlechte Umsetzung: memo als Pflaster',
+      flash: '🔄 Elternkomponente rendert neu',
+      parentRenders: 'Renders der Elternkomponente',
+      charactersTyped: 'Getippte Zeichen',
+      inputLabel: 'Hier tippen (achte auf die Verzögerung):',
+      slowTitle: '💤 Langsame Komponente (in memo verpackt)',
+      slowLag: 'Diese Komponente hat eine künstliche Verzögerung (~{delay}ms)',
+    },
+    problem: {
+      lead: 'Der Eingabe-State liegt in der Elternkomponente. Jeder Tastendruck lässt die Elternkomponente neu rendern. Obwohl wir die teure Komponente in <code>React.memo</code> verpackt haben, rendert die Elternkomponente trotzdem neu, und das Tippen hakt spürbar.',
+      why: '<strong>Warum memo nicht reicht:</strong> memo verhindert, dass das <em>Kind</em> neu rendert, aber die Elternkomponente (in der die Eingabe liegt) rendert bei jedem Tastendruck trotzdem neu. Das ist die Verzögerung, die du spürst.',
+    },
+    good: {
+      title: 'Gute Umsetzung: State-Colocation',
+      inputLabel: 'Hier tippen (flüssig & schnell):',
+      slowTitle: '💤 Langsame Komponente (KEIN memo nötig!)',
+      slowLag: 'Diese Komponente hat dieselbe Verzögerung, rendert aber nicht unnötig neu',
+    },
+    solution: {
+      lead: 'Wir haben den Eingabe-State in eine eigene Komponente verschoben (<code>InputComponent</code>). Wenn du jetzt tippst, rendert nur diese kleine Komponente neu. Die Elternkomponente und die langsame Komponente bleiben völlig stabil.',
+      principle:
+        '<strong>Grundprinzip:</strong> „State-Colocation“ - halte State so nah wie möglich an der Stelle, an der er gebraucht wird. Das verhindert unnötige Re-Renders in unbeteiligten Teilen deines Komponentenbaums. Kein memo nötig!',
+      whenMemo:
+        '<strong>Wann memo sinnvoll ist:</strong> Wenn eine Komponente dieselben Props bekommt, aber wegen State-Änderungen ihrer Elternkomponente neu rendert. Versuch aber zuerst, den State nach unten zu verschieben.',
+    },
+    shared: {
+      text: 'Hier tippen (bedient beide):',
+    },
+    comparisons: {
+      parent: 'Renders der Elternkomponente',
+      slow: 'Renders der langsamen Komponente',
+    },
+    benchmark: '„hello“ in das Eingabefeld tippen',
+    playground: {
+      goal: 'Wenn du „hello“ in das Eingabefeld tippst, soll BadImplementation überhaupt nicht neu rendern.',
+      success: 'Die Elternkomponente bleibt beim Tippen ruhig, also rendert die langsame Komponente nie neu.',
+      hint:
+        'BadImplementation rendert immer noch bei jedem Tastendruck neu. Welche Komponente braucht den Eingabe-State wirklich?',
+    },
+    guide: {
+      steps: {
+        type: 'Tippe ein Zeichen in das Eingabefeld',
+        'keep-typing':
+          'Tippe weiter, bis fünf Zeichen im Eingabefeld stehen, und beobachte die Render-Anzahl der langsamen Komponente',
+      },
+      bad: {
+        title: '🐞 Die langsame Komponente hat bei jedem Tastendruck neu gerendert',
+        explanation:
+          'Der Eingabe-State liegt in <code>BadImplementation</code>, also rendert sie bei jedem Tastendruck neu. Sie übergibt jedes Mal ein neues <code>options</code>-Objekt, deshalb sieht <code>memo</code> an <code>ExpensiveComponent</code> nie gleiche Props, und das langsame Rendern läuft trotzdem. Probier dasselbe mit der guten Umsetzung.',
+      },
+      good: {
+        title: '✅ Die langsame Komponente hat nie neu gerendert',
+        explanation:
+          'Der Eingabe-State liegt direkt in <code>InputComponent</code>, also rendert ein Tastendruck nur diese kleine Komponente neu. Die langsame bekommt davon nichts mit und braucht nicht einmal <code>memo</code>.',
+      },
+    },
+    autoplay: [
+      {
+        bad:
+          'Achte auf die Render-Anzahlen: Bei jedem Tastendruck rendert die ganze Demo neu, auch die langsame Komponente.',
+        good: 'Achte auf die Render-Anzahlen: Beim Tippen rendert nur die kleine Eingabekomponente neu.',
+      },
+      {
+        bad:
+          '<code>memo</code> am langsamen Kind sollte das eigentlich verhindern. Den State nach unten zu verschieben würde es tun.',
+        good:
+          'Der State liegt neben dem Eingabefeld, das ihn nutzt, also bekommt die langsame Komponente nichts davon mit.',
+      },
+    ],
+    quiz: {
+      'bad-keystroke': {
+        prompt: 'Was rendert in der schlechten Umsetzung neu, wenn du ein Zeichen tippst?',
+        options: [
+          'Nur das Eingabefeld',
+          '<code>BadImplementation</code>, aber <code>memo</code> überspringt <code>ExpensiveComponent</code>',
+          'Sowohl <code>BadImplementation</code> als auch <code>ExpensiveComponent</code>',
+          'Nichts, weil <code>ExpensiveComponent</code> memoisiert ist',
+        ],
+        explanation:
+          'Der Eingabe-State liegt in <code>BadImplementation</code>, also rendert sie bei jedem Tastendruck neu. Sie übergibt außerdem <code>options={{ delay }}</code>, jedes Mal ein neues Objekt, deshalb schlägt der flache Vergleich von memo fehl, und die langsame Komponente rendert mit.',
+      },
+      'good-input': {
+        prompt: 'Welche Komponenten rendern in der guten Umsetzung neu, wenn du in dieses Eingabefeld tippst?',
+        options: [
+          'Nur <code>InputComponent</code>',
+          '<code>InputComponent</code> und <code>GoodImplementation</code>',
+          '<code>InputComponent</code> und <code>SlowComponentWithoutMemo</code>',
+          'Alle drei',
+        ],
+        explanation:
+          'Der State liegt direkt in <code>InputComponent</code>, also aktualisiert ein Tastendruck nur diesen Teilbaum. Die Elternkomponente und die langsame Komponente bekommen nichts davon mit - kein memo nötig.',
+      },
+      'first-step': {
+        prompt:
+          'Ein langsames Geschwister rendert bei jedem Tastendruck neu. Was solltest du vor <code>React.memo</code> versuchen?',
+        options: [
+          'Mehr Komponenten in <code>memo</code> verpacken',
+          'Den State nach unten in die Komponente verschieben, die ihn nutzt',
+          'Jeden Handler in <code>useCallback</code> verpacken',
+          'Den State in einen Context verschieben',
+        ],
+        explanation:
+          'Rückt der State näher an die Stelle, an der er gebraucht wird, liegt die langsame Komponente nicht mehr unter der Komponente, die sich aktualisiert, und es gibt nichts mehr zu memoisieren.',
+      },
+    },
+    notes: {
+      problem:
+        'Frag, wer schon einmal eine Komponente in <code>memo</code> verpackt hat, um ein langsames Eingabefeld zu reparieren. Der Reflex ist, zu memoisieren; die bessere Frage ist, warum der langsame Teil überhaupt neu rendert.',
+      bad:
+        'Tippe in das Eingabefeld. Der Text-State gehört der Elternkomponente, also rendert jeder Tastendruck den ganzen Baum neu. <code>memo</code> rettet das langsame Kind nur, solange seine Props gleich bleiben: Zeig auf die Render-Zähler und die Latenz-Kurve.',
+      good:
+        'Dieselbe Oberfläche, aber das Eingabefeld und sein State leben in einer eigenen kleinen Komponente. Tippe noch einmal: Die langsame Komponente rendert nie neu, ganz ohne <code>memo</code>.',
+      takeaway:
+        'Verschieb State nach unten zu der Stelle, an der er gebraucht wird, bevor du zu <code>memo</code> greifst. Memoisierung ist ein Werkzeug für das, was dann noch übrig bleibt, nicht die erste Lösung.',
+    },
+  },
+
+  'fearing-rerenders': {
+    title: 'Angst vor Re-Renders',
+    description: 'Re-Renders sind nicht der Feind. Teure Berechnungen bei jedem Render sind es.',
+    takeaway:
+      '<p>Reacts Abgleich (virtuelles DOM vergleichen und echtes DOM aktualisieren) ist hochgradig optimiert. Eine Komponente kann problemlos hunderte Male pro Sekunde neu rendern. Der eigentliche Engpass sind meist teure Berechnungen, API-Aufrufe oder DOM-Manipulationen. Nutze <code>useMemo</code>, um teure Berechnungen zwischenzuspeichern, nicht um Re-Renders zu verhindern.</p>',
+    filterByName: 'Nach Name filtern:',
+    filterPlaceholder: 'Zum Filtern tippen...',
+    filterByCategory: 'Nach Kategorie filtern:',
+    allCategories: 'Alle Kategorien',
+    category: 'Kategorie {name}',
+    unrelatedCounter: 'Unabhängiger Zähler:',
+    clickMe: 'Klick mich: {count}',
+    totalRenders: 'Renders insgesamt',
+    filteredItems: 'Gefilterte Einträge',
+    ofTotal: 'von insgesamt {total}',
+    table: {
+      name: 'Name',
+      category: 'Kategorie',
+      value: 'Wert',
+    },
+    showing: 'Die ersten 50 von {count} Einträgen',
+    bad: {
+      title: 'Schlechte Umsetzung: Angst vor Re-Renders',
+      flash: '🔄 Berechnet...',
+      equalsCalculations: '= Berechnungen 😱',
+      lastCalculation: 'Letzte Berechnung',
+      everyTime: 'Jedes Mal!',
+    },
+    problem: {
+      lead: 'Das Filtern und Sortieren läuft bei <strong>JEDEM</strong> Render, selbst wenn du auf den unabhängigen Zähler klickst. Klick mal auf den Zähler - merkst du die Verzögerung? Wir filtern und sortieren dabei {count} Einträge ganz unnötig neu.',
+      misconception:
+        '<strong>Der Irrtum:</strong> „Re-Renders sind langsam, ich muss sie verhindern!“ Tatsächlich ist das Re-Rendern selbst schnell. Langsam ist, diese gefilterte und sortierte Liste jedes Mal neu zu berechnen.',
+    },
+    good: {
+      title: 'Gute Umsetzung: useMemo für teure Berechnungen',
+      flash: '🔄 Berechnet (memoisiert)...',
+      noProblem: 'Kein Problem! ✅',
+      calculations: 'Berechnungen',
+      onlyWhenNeeded: 'Nur wenn nötig!',
+      lastCalcTime: 'Letzte Rechenzeit',
+      cached: 'Zwischengespeichert',
+    },
+    solution: {
+      lead: 'Wir haben die teure Berechnung in <code>useMemo</code> verpackt. Jetzt wird sie nur neu berechnet, wenn sich <code>filter</code> oder <code>category</code> ändert.',
+      notice:
+        '<strong>Achte darauf:</strong> Klick auf den Zähler - es geht sofort! Die Komponente rendert neu (die Render-Anzahl steigt), aber die teure Berechnung läuft nicht (die Anzahl der Berechnungen bleibt gleich). Reacts Rendern ist schnell, teure Logik nicht.',
+      insight:
+        '<strong>Die Erkenntnis:</strong> Fürchte nicht die Re-Renders, sondern teure Berechnungen, die unnötig laufen. Nutze <code>useMemo</code>, um die Ergebnisse teurer Operationen zwischenzuspeichern.',
+    },
+    shared: {
+      clickBoth: 'Beide klicken',
+    },
+    comparisons: {
+      renders: 'Renders',
+      calculations: 'Berechnungen',
+      lastCalculation: 'Letzte Berechnung',
+    },
+    benchmark: 'Kategorie B wählen, dreimal auf den unabhängigen Zähler klicken, dann nach „Item 1“ filtern',
+    playground: {
+      goal: 'Ein Klick auf den unabhängigen Zähler darf weiterhin neu rendern, aber den Filter nicht erneut ausführen.',
+      success: 'Der Zähler rendert nach Belieben neu, und der teure Filter läuft nur, wenn sich seine Eingaben ändern.',
+      hint:
+        'Der Filter läuft immer noch bei jedem Klick. Speichere die Berechnung zwischen, statt das Rendern zu vermeiden.',
+    },
+    guide: {
+      steps: {
+        category: 'Wähle Kategorie B',
+        unrelated: 'Klick dreimal auf „Klick mich“ und beobachte die Anzahl der Berechnungen',
+      },
+      bad: {
+        title: '🐞 Jeder Klick hat die Liste neu gefiltert und sortiert',
+        explanation:
+          'Der Zähler hat nichts mit der Liste zu tun, aber Filtern und Sortieren stehen im Render-Körper, also laufen sie bei jedem Re-Render erneut. Die Renders selbst waren billig; die Berechnung hat wehgetan. Probier dieselben Klicks mit der guten Umsetzung.',
+      },
+      good: {
+        title: '✅ Die Klicks haben neu gerendert, aber die Liste wurde nicht neu berechnet',
+        explanation:
+          '<code>useMemo</code> behält die gefilterte Liste, bis sich <code>filter</code> oder <code>category</code> ändert. Neu rendern ist in Ordnung; entscheidend ist, den teuren Teil zu überspringen.',
+      },
+    },
+    autoplay: [
+      'Wechsle zwischen den Kategorien: Die Liste muss neu gefiltert und sortiert werden, das ist zu erwarten.',
+      {
+        bad: 'Jetzt ein Klick auf den unabhängigen Zähler: Die teure Berechnung läuft bei jedem Klick erneut.',
+        good:
+          'Jetzt ein Klick auf den unabhängigen Zähler: Er rendert neu, aber die Anzahl der Berechnungen bleibt stehen.',
+      },
+      {
+        bad: 'Neu rendern ist billig; neu berechnen tut weh. Nutze <code>useMemo</code> nur für den teuren Teil.',
+        good:
+          'Re-Renders sind in Ordnung. <code>useMemo</code> überspringt die Berechnung, bis sich ihre Eingaben ändern.',
+      },
+    ],
+    quiz: {
+      'unrelated-click': {
+        prompt: 'Was passiert, wenn du in der schlechten Umsetzung auf „Klick mich“ klickst?',
+        options: [
+          'Nichts rendert neu, der Zähler hat damit nichts zu tun',
+          'Sie rendert neu und filtert und sortiert alle Einträge erneut',
+          'Sie rendert neu, aber React überspringt den Filter',
+          'Nur der Button rendert neu',
+        ],
+        explanation:
+          'Jede State-Änderung rendert die Komponente neu, und Filtern und Sortieren stehen im Render-Körper, also laufen sie erneut, obwohl sich <code>filter</code> und <code>category</code> nicht geändert haben.',
+      },
+      'get-items': {
+        prompt:
+          'Beide Umsetzungen rufen bei jedem Render <code>getItems(datasetSize)</code> auf. Warum ist das nicht der teure Teil?',
+        options: [
+          'Sie gibt die zwischengespeicherte Liste zurück, solange sich die Datenmenge nicht geändert hat',
+          'React memoisiert Funktionsaufrufe während des Renderns',
+          'Sie läuft in einem Web Worker',
+          'Sie läuft nur beim Einhängen',
+        ],
+        explanation:
+          'Die Liste wird einmal pro Datenmenge erzeugt und auf Modulebene aufbewahrt. Teuer ist das Filtern und Sortieren darüber, und genau das speichert <code>useMemo</code> in der guten Umsetzung zwischen.',
+      },
+      'memo-deps': {
+        prompt: 'Welche Abhängigkeiten sollte das <code>useMemo</code> um die gefilterte Liste haben?',
+        options: [
+          '<code>[]</code>',
+          '<code>[unrelatedState]</code>',
+          '<code>[items, filter, category]</code>',
+          'Kein Abhängigkeits-Array',
+        ],
+        explanation:
+          'Das Ergebnis hängt von den Einträgen und beiden Filtern ab, und von nichts sonst. Mit diesen Abhängigkeiten rendert der Klickzähler nach Belieben neu, ohne neu zu berechnen.',
+      },
+    },
+    notes: {
+      problem:
+        'Re-Renders haben einen schlechten Ruf. Die meisten sind billig; weh tut teure Arbeit, die bei jedem Render läuft.',
+      bad:
+        'Wechsle die Kategorie, dann klick auf den unabhängigen Zähler. Das Filtern läuft bei jedem Klick erneut: Achte darauf, wie „Letzte Berechnung“ und die Render-Anzahl gemeinsam steigen.',
+      good:
+        'Jetzt rendert der Zähler die Komponente zwar immer noch neu, aber „Berechnungen“ bleibt stehen, bis sich Filter oder Kategorie ändern. Re-Renders sind in Ordnung; die Arbeit war das Problem.',
+      takeaway:
+        'Bekämpfe Re-Renders nicht, miss sie. Nutze <code>useMemo</code> für die teure Berechnung, nicht standardmäßig für alles.',
+    },
+  },
+
+  'context-misuse': {
+    title: 'Missbrauch von Context',
+    description:
+      'Pack nicht deinen ganzen globalen State in einen Context. Teile Contexts nach Fachbereich und Änderungshäufigkeit auf.',
+    takeaway:
+      '<p>Context ist keine State-Verwaltung, sondern ein Mechanismus für Dependency Injection. Wenn sich der Wert eines Contexts ändert, rendern ALLE seine Nutzer neu. Teile deine Contexts sinnvoll auf: Trenne statische von dynamischen Daten und fasse zusammengehörige Daten zusammen. Für komplexen globalen State lohnen sich spezialisierte Bibliotheken (Zustand, Jotai, Redux).</p>',
+    everySecond: 'jede Sekunde',
+    everyMs: 'alle {ms}ms',
+    userProfile: '👤 Benutzerprofil-Komponente',
+    clock: '🕐 Uhr-Komponente',
+    name: 'Name:',
+    email: 'E-Mail:',
+    renderCount: 'Render-Anzahl:',
+    bad: {
+      title: 'Schlechte Umsetzung: Gott-Context',
+      profileRenderCount: '⚠️ Render-Anzahl:',
+      profileNote:
+        'Diese Komponente braucht nur die Benutzerdaten (die sich nie ändern), rendert aber {tick} neu, weil currentTime im selben Context liegt!',
+      wasted: 'Verschwendete Renders:',
+      clockNote: 'Diese Komponente SOLL {tick} neu rendern (erwartetes Verhalten)',
+    },
+    problem: {
+      lead: 'Sowohl <code>user</code> (statisch) als auch <code>currentTime</code> (ändert sich {tick}) liegen im selben Context. Obwohl die Benutzerprofil-Komponente nur <code>user</code> verwendet, rendert sie {tick} neu, weil sich der Wert des Contexts ändert.',
+      why: '<strong>Warum das passiert:</strong> Wenn sich IRGENDEIN Wert in einem Context ändert, betrachtet React den gesamten Context-Wert als geändert, und ALLE Nutzer rendern neu.',
+    },
+    good: {
+      title: 'Gute Umsetzung: Aufgeteilte Contexts',
+      stable: '🛡️ Stabil',
+      profileRenderCount: '✅ Render-Anzahl:',
+      profileNote:
+        'Diese Komponente hängt nur an UserContext und rendert deshalb nur einmal! Die Zeit-Updates betreffen sie überhaupt nicht.',
+      optimal: '✅ Optimal',
+      clockNote: 'Diese Komponente hängt an TimeContext und rendert {tick} neu (wie erwartet)',
+    },
+    solution: {
+      lead: 'Wir haben den Context in <code>UserContext</code> und <code>TimeContext</code> aufgeteilt. Jetzt hängen Komponenten nur an den Daten, die sie wirklich brauchen.',
+      result:
+        '<strong>Ergebnis:</strong> Die Benutzerprofil-Komponente rendert einmal und bleibt stabil, während die Uhr-Komponente sich {tick} aktualisiert. Jede Komponente ist von Änderungen abgeschirmt, die sie nicht betreffen.',
+      bestPractice:
+        '<strong>Bewährtes Vorgehen:</strong> Teile Contexts nach Fachbereich (Benutzer, Anmeldung, Farbschema) und nach Änderungshäufigkeit (statische vs. dynamische Daten) auf. Das verhindert unnötige Re-Renders und macht deine App schneller.',
+    },
+    comparisons: {
+      profile: 'Renders des Benutzerprofils',
+      clock: 'Renders der Uhr',
+    },
+    benchmark: 'Die Uhr 2 Sekunden lang ticken lassen',
+    playground: {
+      goal: 'Während die Uhr 2 Sekunden lang tickt, soll BadUserProfile nicht neu rendern.',
+      success: 'Bei einem Tick rendert nur die Uhr neu; das Profil zahlt nicht mehr für Daten, die es nie liest.',
+      hint:
+        'BadUserProfile rendert bei jedem Tick neu (oder die Uhr ist stehen geblieben). Gehört der Benutzer wirklich in denselben Context wie die Zeit?',
+    },
+    guide: {
+      steps: {
+        watch:
+          'Hier gibt es nichts zu klicken: Beobachte die Render-Anzahl des Benutzerprofils, während die Uhr dreimal tickt',
+      },
+      bad: {
+        title: '🐞 Das Benutzerprofil hat bei jedem Tick neu gerendert',
+        explanation:
+          'Benutzer und Zeit teilen sich einen Context, und jeder Nutzer eines Contexts rendert neu, wenn sich dessen Wert ändert. Das Profil liest nur den Benutzer, zahlt aber für jeden Tick. Probier die gute Umsetzung.',
+      },
+      good: {
+        title: '✅ Nur die Uhr hat neu gerendert',
+        explanation:
+          'Die Zeit hat ihren eigenen Context, also rendert ein Tick nur die Komponenten neu, die sie lesen. Das Benutzerprofil hat einmal gerendert und ist dabei geblieben.',
+      },
+    },
+    autoplay: [
+      {
+        bad:
+          'Hier gibt es nichts zu klicken: Achte auf das Benutzerprofil. Es rendert bei jedem Tick der Uhr neu, obwohl sich seine Daten nie ändern.',
+        good: 'Hier gibt es nichts zu klicken: Achte auf das Benutzerprofil. Nur die Uhr rendert neu, wenn sie tickt.',
+      },
+      {
+        bad:
+          'Jeder Nutzer eines Contexts rendert neu, wenn sich dessen Wert ändert. Ein Context für alles heißt: Alle zahlen.',
+        good: 'Die Zeit hat ihren eigenen Context, also rendern nur die Komponenten neu, die sie lesen.',
+      },
+    ],
+    quiz: {
+      'god-context': {
+        prompt: 'Warum rendert <code>BadUserProfile</code> bei jedem Tick der Uhr neu?',
+        options: [
+          'Es liest <code>currentTime</code>',
+          'Sein Context-Wert ist bei jedem Tick ein neues <code>{ user, currentTime }</code>-Objekt',
+          'Seine Elternkomponente verwendet <code>setInterval</code>',
+          'Das Benutzerobjekt wird bei jedem Tick neu erzeugt',
+        ],
+        explanation:
+          'Jeder Nutzer eines Contexts rendert neu, wenn sich dessen Wert ändert. Der Provider baut bei jedem Tick ein neues Objekt, also rendern sogar Komponenten neu, die nur <code>user</code> herausholen.',
+      },
+      'split-provider': {
+        prompt:
+          'Rendert eine Komponente, die <code>UserContext</code> liest, in der guten Umsetzung neu, wenn die Uhr tickt?',
+        options: [
+          'Ja, bei einem Tick rendert jeder Provider neu',
+          'Nein, ihr Wert ist dasselbe <code>user</code>-State-Objekt, also werden ihre Nutzer übersprungen',
+          'Nur wenn sie in <code>memo</code> verpackt ist',
+          'Ja, weil <code>GoodTimeProvider</code> in ihr verschachtelt ist',
+        ],
+        explanation:
+          '<code>UserContext</code> bekommt den <code>user</code>-State selbst, und der ändert sich nie. Nur Nutzer von <code>TimeContext</code> sehen bei einem Tick einen neuen Wert.',
+      },
+      'what-context-is': {
+        prompt: 'Welche Beschreibung von React-Context passt am besten zu dieser Lektion?',
+        options: [
+          'Eine State-Verwaltung, die nur bei den gelesenen Feldern neu rendert',
+          'Dependency Injection: Jeder Nutzer rendert neu, wenn sich der Wert ändert',
+          'Ein Cache, der Renders automatisch überspringt',
+          'Ein Ersatz für Props in jedem Fall',
+        ],
+        explanation:
+          'Context hat keine Selektoren. Teile Contexts nach Fachbereich und Änderungshäufigkeit auf, oder nutze eine State-Bibliothek, wenn du feingranulare Abonnements brauchst.',
+      },
+    },
+    notes: {
+      problem:
+        'Context ist Dependency Injection, kein Store. Ein großer Context heißt, dass jeder Nutzer neu rendert, sobald sich irgendetwas darin ändert.',
+      bad:
+        'Nichts anfassen, nur zuschauen. Die Uhr tickt jede Sekunde, und das Benutzerprofil, das sich nie ändert, rendert mit. Zeig auf den Balken der verschwendeten Renders.',
+      good:
+        'Die Zeit hat jetzt ihren eigenen Context. Nur die Uhr rendert neu; die Anzahl beim Profil bleibt bei eins.',
+      takeaway:
+        'Teile Contexts nach Fachbereich und danach auf, wie oft sie sich ändern, und greif zu einer State-Bibliothek, wenn du Selektoren brauchst.',
+    },
+  },
+
+  'index-as-key': {
+    title: 'Index als Key',
+    description:
+      'Wer den Array-Index als <code>key</code> verwendet, lässt React die Identität der Komponenten verlieren, sobald sich die Liste ändert.',
+    takeaway:
+      '<p>Die <code>key</code>-Prop hilft React zu erkennen, welche Einträge sich geändert haben, hinzugekommen oder entfernt worden sind. Mit dem Index als Key kann React nicht zwischen „dem Eintrag an Position 0“ und „dem Eintrag mit id=1“ unterscheiden.</p>' +
+      '<p><strong>Wann der Index in Ordnung ist:</strong> Verwende den Index nur als Key, wenn: 1) die Liste statisch ist (sich nie ändert), 2) die Einträge nie umsortiert werden und 3) die Einträge keinen eigenen State und keine kontrollierten Eingaben haben.</p>' +
+      '<p><strong>Bewährtes Vorgehen:</strong> Verwende immer eine eindeutige, stabile Kennung (etwa eine Datenbank-ID oder UUID) als Key. Wenn deine Daten keine IDs haben, erzeuge sie beim Laden oder Anlegen der Daten.</p>',
+    variants: {
+      bad: {
+        label: 'Index als Key',
+        explanation: 'Der Key folgt der Position, nicht dem Element, also hängt der State an der falschen Zeile, sobald sich die Liste ändert.',
+      },
+      random: {
+        label: 'Math.random() als Key',
+        explanation: 'Ein Key, der sich bei jedem Rendern ändert: React hängt jedes Mal alle Zeilen neu ein, mitsamt Fokus und State darin.',
+      },
+      content: {
+        label: 'Inhalt als Key',
+        explanation: 'In Ordnung, solange der Inhalt eindeutig ist und nie bearbeitet wird; Duplikate kollidieren, und Änderungen hängen die Zeile neu ein.',
+      },
+      good: {
+        label: 'Stabile ID',
+        explanation: 'Eine ID, die dem Element sein ganzes Leben lang gehört: React ordnet jede Zeile immer ihrem Element zu.',
+      },
+    },
+    addItem: '➕ Eintrag hinzufügen',
+    placeholder: 'Hier etwas eintippen...',
+    delete: '🗑️ Löschen',
+    doneLabel: '{task} als erledigt markieren',
+    noteLabel: 'Notiz zu {task}',
+    empty: 'Keine Einträge. Klick auf „Eintrag hinzufügen“, um einen anzulegen.',
+    bad: {
+      title: 'Schlechte Umsetzung: Index als Key',
+      keyInfo: 'Key: <code>index={index}</code> | ID: <code>{id}</code>',
+    },
+    problem: {
+      lead: 'Jeder Eintrag verwendet seinen Array-Index als Key. Wenn du einen Eintrag löschst, kommt React durcheinander, welche Komponente welche ist.',
+      whatHappens:
+        '<strong>Was passiert:</strong> Wenn du Task 1 löschst, rückt Task 2 auf Index 0. React sieht „key=0 gibt es noch“ und verwendet diese Komponenteninstanz weiter, samt dem alten State (Checkbox und Eingabe) von Task 1!',
+    },
+    random: {
+      title: 'Schlechte Umsetzung: Math.random() als Key',
+      keyInfo: 'Key: <code>Math.random()</code> | ID: <code>{id}</code>',
+      lead: 'Jedes Element bekommt bei jedem Rendern einen neuen zufälligen Key, also findet React die Zeilen vom letzten Rendern nie wieder.',
+      whatHappens:
+        '<strong>Was passiert:</strong> Jedes Rendern wirft alle Zeilen weg und hängt neue ein. Der State liegt hier im Elternteil, also wird nichts vertauscht, aber tippe eine Notiz: Jeder Tastendruck rendert die Liste neu und hängt das Eingabefeld, in das du tippst, neu ein, sodass es nach jedem Buchstaben den Fokus verliert.',
+    },
+    content: {
+      title: 'Akzeptabel: Inhalt als Key',
+      keyInfo: 'Key: <code>text="{text}"</code> | ID: <code>{id}</code>',
+      lead: 'Jedes Element nutzt seinen Text als Key. Hier funktioniert das genau wie eine ID, weil jeder Aufgabentext eindeutig ist und sich nie ändert.',
+      whatHappens:
+        '<strong>Der Haken:</strong> Der Key ist nur so stabil wie der Inhalt. Zwei Aufgaben mit demselben Text hätten denselben Key (React warnt, und ihre Zeilen können den State tauschen), und eine umbenannte Aufgabe würde ihre Zeile neu einhängen und das Eingetippte verlieren.',
+    },
+    good: {
+      title: 'Gute Umsetzung: Eindeutige ID als Key',
+      keyInfo: 'Key: <code>id={id}</code>',
+    },
+    solution: {
+      lead: 'Jeder Eintrag verwendet seine eindeutige <code>id</code> als Key. Jetzt kann React jede Komponente richtig zuordnen.',
+      whatHappens:
+        '<strong>Was passiert:</strong> Wenn du Task 1 löschst, sieht React, dass <code>key="1"</code> weg ist und <code>key="2"</code> und <code>key="3"</code> noch da sind. Es behält die Komponenteninstanzen und ihren State korrekt bei.',
+    },
+    benchmark: 'Task 1 abhaken, in die ersten beiden Zeilen tippen, dann Task 1 löschen',
+    playground: {
+      goal:
+        'Tippe in die ersten beiden Zeilen und lösche die erste: Die verbleibende Zeile muss ihren eigenen Text behalten.',
+      success:
+        'Jede Zeile behält nach dem Löschen ihre eigene Eingabe, weil React die Einträge auseinanderhalten kann.',
+      hint:
+        'Die erste Zeile zeigt jetzt den Text der gelöschten Zeile. Woran erkennt React, zu welchem Eintrag eine Zeile gehört?',
+    },
+    guide: {
+      steps: {
+        check: 'Hake die Checkbox bei Task 1 an',
+        'type-first': 'Tippe etwas in das Eingabefeld von Task 1',
+        'type-second': 'Tippe etwas anderes in das Eingabefeld von Task 2',
+        delete: 'Lösche Task 1',
+      },
+      bad: {
+        title: '🐞 Task 2 zeigt jetzt den Text, den du in Task 1 getippt hast',
+        explanation:
+          'Die Checkbox ist mit Task 1 verschwunden, weil <code>completed</code> am Eintrag gespeichert ist. Der Text ist nach Index gespeichert, und jede Zeile hat <code>index</code> als Key: Task 2 ist auf Index 0 gerückt, also hat React die Zeile von Task 1 weiterverwendet, und sie hat den Text von Index 0 behalten. Probier dieselben Schritte mit der guten Umsetzung.',
+      },
+      good: {
+        title: '✅ Task 2 hat seinen eigenen Text behalten',
+        explanation:
+          'Die Zeilen haben <code>item.id</code> als Key, und der Text ist nach ID gespeichert, also entfernt React beim Löschen von Task 1 genau dessen Zeile. Die Zeile von Task 2 rückt samt allem, was du hineingetippt hast, einfach nach oben.',
+      },
+    },
+    autoplay: [
+      'Hake Task 1 ab und tippe in jede der ersten beiden Zeilen eine andere Notiz.',
+      {
+        bad: 'Jetzt lösche Task 1 und achte darauf, was die erste Zeile zeigt.',
+        good: 'Jetzt lösche Task 1 und achte auf die Notizen.',
+      },
+      {
+        bad:
+          'Task 2 ist nach oben gerückt, zeigt aber die Notiz aus Task 1: Die Zeilen haben den Index als Key, und die Notizen sind nach Index gespeichert.',
+        good:
+          'Task 2 hat seine eigene Notiz behalten: Die Zeilen haben <code>item.id</code> als Key, also hat React genau die Zeile von Task 1 entfernt.',
+      },
+    ],
+    quiz: {
+      'delete-first': {
+        prompt:
+          'Du tippst in die ersten beiden Zeilen der schlechten Liste und löschst dann Task 1. Was zeigt die erste Zeile?',
+        options: [
+          'Task 2 mit dem Text, der in Task 2 getippt wurde',
+          'Task 2 mit dem Text, der in Task 1 getippt wurde',
+          'Eine leere Zeile',
+          'Task 1, weil das Löschen fehlgeschlagen ist',
+        ],
+        explanation:
+          'Die Eingaben sind nach Index gespeichert, und die Zeilen haben den Index als Key. Nach dem Löschen steht Task 2 auf Index 0, und Index 0 enthält noch, was du in Task 1 getippt hast.',
+      },
+      'generate-id': {
+        prompt: 'Warum gibt die Liste neuen Einträgen eine ID aus diesem Zähler, statt ihre Position zu verwenden?',
+        options: [
+          'Die ID muss eindeutig und stabil bleiben, während Einträge hinzukommen und wegfallen',
+          'React akzeptiert nur Zahlen als Keys',
+          'Keys müssen fortlaufend sein',
+          'Es macht das Rendern schneller',
+        ],
+        explanation:
+          'Ein Key sagt React, zu welchem Eintrag eine Zeile gehört. Ein Zähler vergibt nie zweimal dieselbe ID, während sich eine Position jedes Mal ändert, wenn ein Eintrag davor entfernt wird.',
+      },
+      'index-ok': {
+        prompt: 'Wann ist der Index als <code>key</code> in Ordnung?',
+        options: [
+          'Immer wenn die Einträge keine IDs haben',
+          'Wenn die Liste statisch ist, nie umsortiert wird und ihre Einträge keinen State haben',
+          'Wenn die Liste weniger als 100 Einträge hat',
+          'Nie',
+        ],
+        explanation:
+          'Wenn sich Einträge nie bewegen und keinen eigenen State und keine kontrollierten Eingaben haben, sind Position und Identität dasselbe.',
+      },
+    },
+    notes: {
+      problem:
+        'Frag in die Runde, wann der Index als <code>key</code> ein Problem ist. Meist hat niemand es kaputtgehen sehen, weil es erst kaputtgeht, wenn Einträge State haben und sich die Liste ändert.',
+      bad:
+        'Hake Task 1 ab, tippe in die ersten beiden Zeilen unterschiedliche Notizen und lösche dann Task 1. Task 2 rückt nach oben und zeigt die Notiz von Task 1: React hat die Zeilen nach Position zugeordnet.',
+      good: 'Dieselben Schritte. Jede Notiz bleibt bei ihrer Aufgabe, weil die Zeilen eine stabile ID als Key haben.',
+      takeaway:
+        'Keys sind Identität. Index-Keys sind nur für statische Listen sicher, deren Einträge keinen State haben.',
+    },
+  },
+
+  'useeffect-redundancy': {
+    title: 'Überflüssiges useEffect',
+    description:
+      'Verwende kein <code>useEffect</code>, um Werte zu berechnen, die sich während des Renderns ableiten lassen.',
+    takeaway:
+      '<p><code>useEffect</code> dient der <strong>Synchronisation mit externen Systemen</strong> (APIs, DOM, Abonnements), nicht dem Ableiten von Werten aus Props oder State.</p>' +
+      '<p><strong>Wann useEffect passt:</strong> Daten laden, Abonnements einrichten, das DOM von Hand verändern, Analytics protokollieren.</p>' +
+      '<p><strong>Wann useEffect NICHT passt:</strong> Abgeleiteten State berechnen, Daten umwandeln, Werte formatieren. Erledige das direkt beim Rendern, für bessere Performance und einfacheren Code.</p>',
+    firstName: 'Vorname:',
+    lastName: 'Nachname:',
+    fullName: 'Voller Name:',
+    email: 'E-Mail:',
+    renderCount: 'Render-Anzahl',
+    bad: {
+      title: 'Schlechte Umsetzung: useEffect für abgeleiteten State',
+      cardTitle: '👤 Benutzerkarte (schlechte Version)',
+      waiting: '(leer - wartet auf den Effect...)',
+      syncing: '⚡ Synchronisiert...',
+      extraRenders: '😱 Zusätzliche Renders!',
+      effectRuns: 'Effect-Läufe',
+      eachTriggers: 'Jeder löst einen Render aus',
+      flashNote:
+        '<strong>⚠️ Problem:</strong> Fällt dir auf, dass die Render-Anzahl höher ist als die Zahl der Effect-Läufe? Das ist das „Aufblitzen“ - die Komponente rendert zuerst mit veraltetem fullName, dann läuft der Effect und löst einen weiteren Render mit dem richtigen Wert aus.',
+      tryTyping: '💡 Tipp schnell, um die Verzögerung und das Aufblitzen zu sehen!',
+    },
+    problem: {
+      lead: 'Wir verwenden <code>useEffect</code>, um <code>fullName</code> aus <code>firstName</code> und <code>lastName</code> zu berechnen.',
+      whatHappens: 'Was passiert:',
+      steps:
+        '<li>Props ändern sich (firstName oder lastName wird aktualisiert)</li>' +
+        '<li>Die Komponente rendert mit dem ALTEN fullName-Wert</li>' +
+        '<li>Der Effect läuft und ruft setFullName() auf</li>' +
+        '<li>Die Komponente rendert ERNEUT mit dem neuen fullName-Wert</li>',
+      consequence:
+        'Das führt zu unnötigen doppelten Renders und kann die Oberfläche „aufblitzen“ lassen, wenn kurz der falsche Wert erscheint.',
+    },
+    good: {
+      title: 'Gute Umsetzung: Abgeleiteter State beim Rendern',
+      cardTitle: '👤 Benutzerkarte (gute Version)',
+      instant: '✅ Sofort!',
+      oneRender: '✅ Ein Render pro Änderung!',
+      perfect:
+        '<strong>✅ Perfekt:</strong> Die Komponente rendert nur einmal pro Prop-Änderung. Keine zusätzlichen Renders, kein useEffect-Aufwand, und der Wert stimmt immer sofort.',
+      tryTyping: '🚀 Tipp schnell - merkst du, wie flüssig es läuft?',
+    },
+    solution: {
+      lead: 'Berechne <code>fullName</code> direkt im Render-Körper mit einer einfachen Variable. Kein useState oder useEffect nötig!',
+      benefits: 'Vorteile:',
+      benefitList:
+        '<li>Nur ein Render pro Änderung (kein doppelter Render)</li>' +
+        '<li>Der Wert ist immer synchron - kein veralteter State möglich</li>' +
+        '<li>Einfacherer Code - weniger zu warten und zu debuggen</li>' +
+        '<li>Bessere Performance - weniger Renders und State-Updates</li>',
+      rule: '<strong>Faustregel:</strong> Wenn du einen Wert aus Props oder anderem State berechnen kannst, tu es beim Rendern. Verwende kein useEffect, um abgeleiteten State zu synchronisieren.',
+    },
+    comparisons: {
+      card: 'Renders der Benutzerkarte',
+    },
+    benchmark: '„Jane“ als Vornamen und „Smith“ als Nachnamen tippen',
+    playground: {
+      goal: 'Wenn du „Jane“ als Vornamen tippst, soll BadUserCard einmal pro Tastendruck rendern, nicht zweimal.',
+      success: 'Der volle Name wird beim Rendern abgeleitet, also kostet jeder Tastendruck genau einen Render.',
+      hint: 'BadUserCard rendert immer noch zweimal pro Tastendruck. Muss fullName überhaupt State sein?',
+    },
+    guide: {
+      steps: {
+        'first-name': 'Ändere den Vornamen und beobachte die Render-Anzahl der Benutzerkarte',
+        'last-name': 'Ändere auch den Nachnamen',
+      },
+      bad: {
+        title: '🐞 Die Benutzerkarte hat bei jedem Tastendruck zweimal gerendert',
+        explanation:
+          'Der erste Render zeigt noch den alten <code>fullName</code>. Dann kopiert der Effect den neuen Namen in den State, und die Karte rendert ein zweites Mal. Probier dasselbe mit der guten Umsetzung.',
+      },
+      good: {
+        title: '✅ Ein Render pro Tastendruck',
+        explanation:
+          '<code>fullName</code> wird beim Rendern aus Vor- und Nachname berechnet. Kein Effect, kein zweiter Render und nie ein veralteter Name dazwischen.',
+      },
+    },
+    autoplay: [
+      {
+        bad:
+          'Tippe einen neuen Vornamen und achte auf die Benutzerkarte: zwei Renders pro Tastendruck und ein kurzes Aufblitzen des veralteten vollen Namens.',
+        good: 'Tippe einen neuen Vornamen und achte auf die Benutzerkarte: ein Render pro Tastendruck.',
+      },
+      'Dasselbe mit dem Nachnamen.',
+      {
+        bad: 'Der Effect kopiert Props nach dem Rendern in den State, also rendert jede Änderung zweimal.',
+        good: 'Der volle Name wird beim Rendern berechnet. Kein Effect, kein zweiter Render, nie aus dem Takt.',
+      },
+    ],
+    quiz: {
+      'bad-user-card-renders': {
+        prompt: 'Wie oft rendert <code>BadUserCard</code>, wenn sich <code>firstName</code> einmal ändert?',
+        options: [
+          'Einmal',
+          'Zweimal: einmal mit dem veralteten <code>fullName</code>, dann noch einmal, nachdem der Effect ihn gesetzt hat',
+          'Dreimal',
+          'Gar nicht, der Effect aktualisiert das DOM',
+        ],
+        explanation:
+          'Die neuen Props rendern zuerst mit dem alten <code>fullName</code>, dann ruft der Effect <code>setFullName</code> auf, was einen zweiten Render einplant. Dieser Render dazwischen ist das Aufblitzen, das du siehst.',
+      },
+      derive: {
+        prompt: 'Wie berechnest du <code>fullName</code> am einfachsten und richtig?',
+        options: [
+          'Den Effect behalten und mehr Abhängigkeiten hinzufügen',
+          "Beim Rendern berechnen: <code>const fullName = firstName + ' ' + lastName</code>",
+          'In einer Ref speichern',
+          'In der Elternkomponente berechnen und im State halten',
+        ],
+        explanation:
+          'Ein Wert, der sich aus Props oder State ableiten lässt, sollte beim Rendern berechnet werden. Er ist immer aktuell und kostet keinen zusätzlichen Render.',
+      },
+      'effect-for': {
+        prompt: 'Welche davon ist ein guter Einsatz von <code>useEffect</code>?',
+        options: [
+          'Einen Preis aus Props formatieren',
+          'Eine Liste aus dem State filtern',
+          'Einen WebSocket abonnieren',
+          'Zwei Props zu einem String zusammensetzen',
+        ],
+        explanation:
+          'Effects synchronisieren mit Systemen außerhalb von React. Formatieren, Filtern und Zusammensetzen von Werten sind Berechnungen, die ins Rendern gehören.',
+      },
+    },
+    notes: {
+      problem:
+        'Effects sind zum Synchronisieren mit Dingen außerhalb von React da. Einen zu nutzen, um Props in den State zu kopieren, ist der häufigste Missbrauch.',
+      bad:
+        'Tippe einen Vornamen. Jeder Tastendruck rendert die Karte zweimal, und für einen Moment ist der volle Name veraltet. Zeig auf die Render-Anzahl im Vergleich zu den Effect-Durchläufen.',
+      good:
+        'Der volle Name wird beim Rendern berechnet. Ein Render pro Tastendruck, und er kann nie aus dem Takt geraten.',
+      takeaway:
+        'Wenn du es aus Props oder State berechnen kannst, berechne es beim Rendern. Vielleicht brauchst du gar keinen Effect.',
+    },
+  },
+};
@@ -0,0 +1,1086 @@
+/**
+ * English messages: the source every other catalog translates (see
+ * lib/messages.js for the format). Lesson titles live in the registry.
+ */
+export default {
+  common: {
+    callout: {
+      problem: '⚠️ The Problem:',
+      solution: '✅ The Solution:',
+      caveat: '⚠️ The Catch:',
+    },
+    implementations: {
+      label: 'Implementation',
+      bad: 'Bad Implementation',
+      good: 'Good Implementation',
+      compare: 'Side by Side',
+      playground: 'Playground',
+    },
+    verdicts: {
+      bad: 'Bad',
+      acceptable: 'Acceptable',
+      best: 'Best',
+    },
+  },
+
+  sidebar: {
+    title: 'React Misconceptions',
+    tagline: 'Learn from common mistakes',
+    navigation: 'Navigation',
+    openNavigation: 'Open navigation',
+    closeNavigation: 'Close navigation',
+    commands: 'Commands',
+    shortcuts: 'Keyboard shortcuts',
+    language: 'Language',
+    lessons: 'Lessons',
+    tools: 'Tools',
+    guide: {
+      title: 'Learning Guide',
+      text: 'Each page demonstrates a common misconception with a <bad>Bad Implementation</bad> and a <good>Good Implementation</good>. Toggle between them to understand the difference.',
+    },
+  },
+
+  theme: {
+    label: 'Theme',
+    system: 'System',
+    light: 'Light',
+    dark: 'Dark',
+    contrast: 'High contrast',
+    following: {
+      light: 'Following the system: light',
+      dark: 'Following the system: dark',
+      contrast: 'Following the system: high contrast',
+    },
+  },
+
+  search: {
+    label: 'Search lessons',
+    placeholder: 'Search lessons...',
+    results: 'Search results',
+    noResults: 'Nothing matches "{query}".',
+    sections: {
+      title: 'Lesson',
+      description: 'Description',
+      problem: '⚠️ The Problem',
+      solution: '✅ The Solution',
+      takeaway: '📚 Key Takeaway',
+    },
+  },
+
+  lesson: {
+    title: 'Misconception #{number}: {title}',
+    loading: 'Loading lesson...',
+    present: 'Present',
+  },
+
+  export: {
+    button: '⬇️ Export project',
+    packaging: '⏳ Packaging...',
+    failed: 'Export failed: {message}',
+    hint: 'Download this lesson as a Vite project: npm install && npm run dev',
+  },
+
+  sharedControls: {
+    title: 'Shared Controls - drive both implementations',
+  },
+
+  comparison: {
+    metric: 'Metric',
+    bad: 'Bad',
+    good: 'Good',
+    commits: 'Commits (whole demo)',
+    lastCommit: 'Last commit duration',
+    totalRenderTime: 'Total render time',
+    announceOne: '{label}: {value}.',
+    announceMany: '{label}: {values}.',
+    announceValue: '{value} for {variant}',
+  },
+
+  takeaway: {
+    title: 'Key Takeaway',
+  },
+
+  quiz: {
+    title: 'Check Your Understanding',
+    start: 'Start the quiz ({count} questions)',
+    score: 'Score: <strong>{correct}</strong> / {total}',
+    attempt: '(attempt {attempt})',
+    question: 'Question {number}',
+    loadingCode: 'Loading code...',
+    correct: '✅ Correct!',
+    incorrect: '❌ Not quite.',
+    demo: {
+      bad: 'See it in the Bad implementation',
+      good: 'See it in the Good implementation',
+      compare: 'Compare both side by side',
+    },
+    allCorrect: '🎉 All {total} correct!',
+    someCorrect: 'You got {correct} of {total}. Revisit the demos linked above and try again.',
+    retry: '↺ Retry quiz',
+  },
+
+  guide: {
+    title: '🧭 Try this',
+    done: '(done)',
+  },
+
+  autoplay: {
+    title: '🎬 Autoplay',
+    play: '▶ Play',
+    resume: '▶ Resume',
+    pause: '⏸ Pause',
+    step: '⏭ Step',
+    stop: '⏹ Stop',
+    idle: '{count} beats, plays itself at a human pace',
+    beat: 'Beat {number} of {count}',
+    finished: 'finished',
+    missed: '{count} step(s) found nothing to act on',
+  },
+
+  source: {
+    title: 'Source Code',
+    loading: 'Loading source...',
+    declarations: 'Declarations',
+    lines: '{name}, lines {from}–{to}',
+    diff: '± Diff',
+  },
+
+  diff: {
+    pairs: 'Compared declarations',
+    ignoreStyling: 'Ignore naming & colours',
+    layouts: {
+      unified: 'Unified',
+      split: 'Split',
+    },
+    changes: '<removed>−{removed}</removed> <added>+{added}</added> lines',
+    changesIgnoringStyling:
+      '<removed>−{removed}</removed> <added>+{added}</added> lines, not counting lines that only differ in Bad/Good naming or red/green styling',
+  },
+
+  playground: {
+    unavailable: "This lesson doesn't have a playground yet.",
+    loading: 'Loading the playground...',
+    goal: '<strong>🎯 Goal:</strong> {goal}',
+    scope:
+      'The preview renders <code>{entry}</code>; keep the render trackers, the check counts renders with them. Already in scope, no imports needed: <names>{names}</names>',
+    editor: 'Playground code',
+    keys: 'Tab indents, Esc then Tab leaves the editor, Ctrl/⌘+Enter runs.',
+    run: '▶ Run',
+    check: '✅ Check my fix',
+    checking: '⏳ Checking...',
+    reset: '↺ Reset to Bad implementation',
+    preview: 'Playground preview',
+    compileError: "Your code doesn't compile",
+    renderError: 'Your component threw while rendering',
+    missed: "The check couldn't find the controls it uses. Keep their labels and placeholders as they were.",
+  },
+
+  recorder: {
+    record: '⏺ Record Interactions',
+    stop: '⏹ Stop Recording',
+    replayBoth: '▶ Replay on Both',
+    replayAll: '▶ Replay on All',
+    replaying: '⏳ Replaying...',
+    recordedOne: '{count} step recorded',
+    recordedMany: '{count} steps recorded',
+    stopped: 'The replay stopped:',
+    result: '🔁 Replay Result',
+    commits: 'Commits',
+    renderTime: 'Render time',
+    elapsed: 'Elapsed time',
+    missed: 'Steps that found no target',
+  },
+
+  latency: {
+    title: '⌨️ Input latency',
+    values: 'Last: {last} · Worst (INP): {inp}',
+    eventTiming: 'measured with Event Timing',
+    animationFrame: 'measured with requestAnimationFrame',
+    idle: 'type to measure',
+  },
+
+  settings: {
+    title: '⚙️ Simulation Settings',
+    fields: {
+      renderDelay: 'Slow component delay',
+      datasetSize: 'Dataset size',
+      tickRate: 'Clock tick rate',
+      slowdown: 'Slow device',
+    },
+    units: {
+      ms: '{value} ms',
+      items: '{value} items',
+      times: '{value}×',
+    },
+    slowdownHint: 'Slow device multiplies the CPU work in every demo, like running on a low-end phone.',
+    reset: 'Reset to defaults',
+  },
+
+  progress: {
+    label: 'Your progress',
+    milestonesDone: '{done} of {total} milestones',
+    completed: 'completed',
+    milestones: {
+      visited: 'Opened the lesson',
+      viewed: 'Saw both implementations',
+      steps: 'Tried the demo',
+      quiz: 'Passed the quiz',
+    },
+    title: '📊 Progress',
+    intro:
+      "A lesson is complete once you've seen both implementations, tried the demo and passed its quiz. Progress stays in this browser; export it to move it elsewhere.",
+    export: 'Export',
+    import: 'Import',
+    reset: 'Reset',
+    file: 'Progress file',
+    confirmReset: 'Reset your progress in every lesson?',
+    wasReset: 'Progress reset.',
+    imported: 'Imported {file}.',
+    notJson: '{file} is not valid JSON.',
+    notAnExport: '{file} is not a progress export.',
+  },
+
+  commands: {
+    palette: 'Command palette',
+    search: 'Search lessons, sections and actions',
+    placeholder: 'Search lessons, sections and actions...',
+    groups: {
+      lesson: 'This lesson',
+      sections: 'Sections',
+      lessons: 'Lessons',
+      tools: 'Tools',
+      theme: 'Theme',
+      help: 'Help',
+    },
+    next: '→ Next lesson: {title}',
+    previous: '← Previous lesson: {title}',
+    implementations: {
+      bad: '❌ Show the Bad implementation',
+      good: '✅ Show the Good implementation',
+      compare: '⚖️ Show both side by side',
+      playground: '🧪 Open the playground',
+    },
+    variant: 'Show the "{label}" variant',
+    theme: '{theme} theme',
+    shortcuts: '⌨️ Keyboard shortcuts',
+    reset: '↺ Reset the demo',
+    present: '🎤 Present this lesson',
+    sections: {
+      demo: 'Jump to the demo',
+      playground: 'Jump to the playground',
+      source: 'Jump to the source code',
+      takeaway: 'Jump to the key takeaway',
+      quiz: 'Jump to the quiz',
+    },
+    help: {
+      open: 'Open the command palette',
+      close: 'Close this dialog',
+      closeButton: 'Close',
+      typing: 'Single-key shortcuts are ignored while you type in a text field.',
+    },
+  },
+
+  presentation: {
+    slides: {
+      problem: 'The problem',
+      bad: '❌ Bad implementation',
+      good: '✅ Good implementation',
+      takeaway: '📚 Key takeaway',
+    },
+    misconception: 'Misconception #{number}',
+    takeaway: '📚 Key Takeaway: {title}',
+    previous: '← Previous',
+    next: 'Next →',
+    presenterView: '🗒️ Presenter view',
+    fullscreen: '⛶ Fullscreen',
+    exit: '✕ Exit',
+    slideOf: 'Slide {number} of {count}',
+    elapsed: 'Elapsed time',
+    resetTimer: 'Reset timer',
+    notes: 'Speaker notes',
+    noNotes: 'No notes for this slide.',
+    upNext: 'Next: {title} · {slide}',
+    lastSlide: 'Last slide',
+    notFound: {
+      title: 'No such slide',
+      text: "<code>{slide}</code> isn't part of the deck.",
+      first: 'Start from the first slide',
+    },
+  },
+
+  benchmark: {
+    title: 'Benchmark Runner',
+    intro:
+      "Replay a lesson's scenario against each of its variants many times and compare the distribution, not a single noisy reading.",
+    lesson: 'Lesson',
+    iterations: 'Iterations per implementation',
+    run: '▶ Run Benchmark',
+    scenario: '<strong>Scenario:</strong> {scenario}',
+    stopped: 'The benchmark stopped:',
+    exportJson: '⬇ Export JSON',
+    exportCsv: '⬇ Export CSV',
+    metric: 'Metric',
+    variant: 'Variant',
+    metrics: {
+      renderDuration: 'Render duration',
+      commits: 'Commits',
+      elapsed: 'Elapsed time',
+    },
+  },
+
+  challenge: {
+    title: 'Spot the Anti-Pattern',
+    intro:
+      'Click every line you would flag in code review, then check your answer. Each snippet hides one of the five misconceptions, sometimes more than once.',
+    misconception: 'Misconception',
+    all: 'All misconceptions',
+    tally: 'Solved <strong>{solved}</strong> of {attempted}',
+    toFindOne: '1 problem to find',
+    toFindMany: '{count} problems to find',
+    lines: 'Snippet lines',
+    check: 'Check my answer',
+    next: 'Next snippet →',
+    spotOn: '🎉 Spot on!',
+    found: 'Found {found} of {total}',
+    foundWithFalsePositives: 'Found {found} of {total}, flagged {count} line(s) that are fine',
+    missed: '⚠️ Missed:',
+    line: 'Line {line}',
+    range: 'Lines {from}–{to}',
+    review: 'Review the lesson: {title} →',
+    snippets: {
+      'todo-index-key': {
+        title: 'Editable todo list',
+        answers: [
+          'The rows hold uncontrolled inputs but are keyed by position. Remove the first todo and the second one inherits its checkbox and text. Use <code>todo.id</code> as the key.',
+        ],
+      },
+      'leaderboard-index-key': {
+        title: 'Sortable leaderboard',
+        answers: [
+          'Changing the sort moves players between positions, but the expanded state stays with the index, so it jumps to whoever is now in that row. Key by <code>player.id</code>.',
+        ],
+      },
+      'cart-effect-total': {
+        title: 'Cart summary',
+        answers: [
+          "<code>total</code> and <code>count</code> are derived from <code>items</code>, so they don't need to be state at all.",
+          'The effect copies props into state after every change: each update renders once with stale numbers, then again. Compute both during render.',
+        ],
+      },
+      'search-effect-filter': {
+        title: 'Search results',
+        answers: [
+          '<code>visible</code> is a function of <code>results</code> and <code>query</code>; keeping a copy in state lets it fall out of sync.',
+          'Every keystroke renders with the old list, then the effect sets the new one and renders again. <code>const visible = results.filter(...)</code> does it in one render.',
+        ],
+      },
+      'app-context-cursor': {
+        title: 'App-wide provider',
+        answers: [
+          'The mouse position changes dozens of times a second and shares one value with the user and theme, so every consumer of the app context re-renders on every mouse move. Give the cursor its own context.',
+        ],
+      },
+      'store-context-polling': {
+        title: 'Store with polled notifications',
+        answers: [
+          'The cart and the polled notifications travel in one new object, so <code>CartButton</code> re-renders every five seconds although it only reads the cart. Split the contexts by update frequency.',
+        ],
+      },
+      'product-table-filter': {
+        title: 'Product table (50,000 products)',
+        answers: [
+          'Selecting a row re-renders the table, which is fine, but it also filters and sorts all 50,000 products again. Wrap the calculation in <code>useMemo</code> with <code>[products, query]</code>.',
+        ],
+      },
+      'dashboard-stats': {
+        title: 'Dashboard tabs',
+        answers: [
+          'Switching tabs only changes <code>tab</code>, yet every switch pays for <code>computeStats</code> again. <code>useMemo(() => computeStats(orders), [orders])</code> keeps the re-render cheap.',
+        ],
+      },
+      'report-inline-style': {
+        title: 'Report with notes',
+        answers: [
+          'The note state lives in <code>Report</code>, so every keystroke re-renders the whole report. Move the textarea and its state into a <code>NoteEditor</code> of its own.',
+          '<code>style={{ height: 400 }}</code> is a new object on every render, so <code>memo</code> never skips the chart.',
+        ],
+      },
+      'inbox-inline-handler': {
+        title: 'Inbox with a draft',
+        answers: [
+          'Typing a draft re-renders <code>Inbox</code> and everything below it. Colocating the draft in its own component keeps the list out of it.',
+          'The inline arrow is a new function on every render, which defeats <code>memo</code> on <code>MessageList</code>.',
+        ],
+      },
+    },
+  },
+
+  notFound: {
+    title: 'Page Not Found',
+    text: 'There is no lesson at <code>{path}</code>.',
+    back: '← Back to the first lesson',
+  },
+
+  memoization: {
+    description: "Don't reach for <code>React.memo</code> first. Consider restructuring your components instead.",
+    takeaway:
+      '<p>Before adding <code>React.memo</code>, ask yourself: "Can I move this state closer to where it\'s actually used?" State colocation is often a better solution than memoization. It makes your code simpler, easier to understand, and naturally prevents unnecessary re-renders.</p>',
+    rendering: '⏳ Rendering...',
+    renderCount: 'Render count:',
+    placeholder: 'Start typing...',
+    value: 'Value: {value}',
+    empty: '(empty)',
+    bad: {
+      title: 'Bad Implementation: memo as a Band-Aid',
+      flash: '🔄 Parent Re-rendering',
+      parentRenders: 'Parent Renders',
+      charactersTyped: 'Characters Typed',
+      inputLabel: 'Type here (notice the lag):',
+      slowTitle: '💤 Slow Component (wrapped in memo)',
+      slowLag: 'This component has artificial lag (~{delay}ms)',
+    },
+    problem: {
+      lead: 'The input state lives in the parent component. Every keystroke causes the parent to re-render. Even though we wrapped the expensive component in <code>React.memo</code>, the parent still re-renders, causing noticeable lag when typing.',
+      why: "<strong>Why memo isn't enough:</strong> memo prevents the <em>child</em> from re-rendering, but the parent (where the input lives) still re-renders on every keystroke, creating the lag you feel.",
+    },
+    good: {
+      title: 'Good Implementation: State Colocation',
+      inputLabel: 'Type here (smooth & fast):',
+      slowTitle: '💤 Slow Component (NO memo needed!)',
+      slowLag: "This component has the same lag, but doesn't re-render unnecessarily",
+    },
+    solution: {
+      lead: 'We moved the input state into its own component (<code>InputComponent</code>). Now when you type, only that small component re-renders. The parent and slow component stay completely stable.',
+      principle:
+        '<strong>Key Principle:</strong> "State Colocation" - Keep state as close as possible to where it\'s used. This prevents unnecessary re-renders in unrelated parts of your component tree. No memo needed!',
+      whenMemo:
+        "<strong>When to use memo:</strong> Use it when a component receives the same props but re-renders due to its parent's state changes. But first, try moving state down.",
+    },
+    shared: {
+      text: 'Type here (drives both):',
+    },
+    comparisons: {
+      parent: 'Parent renders',
+      slow: 'Slow component renders',
+    },
+    benchmark: 'Type "hello" into the input',
+    playground: {
+      goal: 'Typing "hello" into the input should not re-render BadImplementation at all.',
+      success: 'The parent stays still while you type, so the slow component never re-renders.',
+      hint: 'BadImplementation still re-renders on every keystroke. Which component actually needs the input state?',
+    },
+    guide: {
+      steps: {
+        type: 'Type a character into the input',
+        'keep-typing': "Keep typing until the input holds five characters, and watch the slow component's render count",
+      },
+      bad: {
+        title: '🐞 The slow component re-rendered on every keystroke',
+        explanation:
+          'The input state lives in <code>BadImplementation</code>, so each keystroke re-renders it. It passes a new <code>options</code> object every time, so <code>memo</code> on <code>ExpensiveComponent</code> never sees equal props and the slow render runs anyway. Try the same on the Good implementation.',
+      },
+      good: {
+        title: '✅ The slow component never re-rendered',
+        explanation:
+          "The input state is colocated in <code>InputComponent</code>, so a keystroke only re-renders that small component. The slow one never hears about it, and it doesn't even need <code>memo</code>.",
+      },
+    },
+    autoplay: [
+      {
+        bad: 'Watch the render counts: the whole demo re-renders, including the slow component, for every keystroke.',
+        good: 'Watch the render counts: only the small input component re-renders as we type.',
+      },
+      {
+        bad: '<code>memo</code> on the slow child was supposed to stop this. Moving the state down would.',
+        good: 'The state lives next to the input that uses it, so the slow component never hears about it.',
+      },
+    ],
+    quiz: {
+      'bad-keystroke': {
+        prompt: 'In the Bad implementation, what re-renders when you type one character?',
+        options: [
+          'Only the input',
+          '<code>BadImplementation</code>, but <code>memo</code> skips <code>ExpensiveComponent</code>',
+          'Both <code>BadImplementation</code> and <code>ExpensiveComponent</code>',
+          'Nothing, because <code>ExpensiveComponent</code> is memoized',
+        ],
+        explanation:
+          "The input state lives in <code>BadImplementation</code>, so every keystroke re-renders it. It also passes <code>options={{ delay }}</code>, a new object each time, so memo's shallow compare fails and the slow component renders too.",
+      },
+      'good-input': {
+        prompt: 'In the Good implementation, which components re-render when you type into this input?',
+        options: [
+          '<code>InputComponent</code> only',
+          '<code>InputComponent</code> and <code>GoodImplementation</code>',
+          '<code>InputComponent</code> and <code>SlowComponentWithoutMemo</code>',
+          'All three',
+        ],
+        explanation:
+          'The state is colocated in <code>InputComponent</code>, so a keystroke only updates that subtree. The parent and the slow component never hear about it - no memo needed.',
+      },
+      'first-step': {
+        prompt: 'A slow sibling re-renders whenever you type. What should you try before <code>React.memo</code>?',
+        options: [
+          'Wrap more components in <code>memo</code>',
+          'Move the state down into the component that uses it',
+          'Wrap every handler in <code>useCallback</code>',
+          'Move the state into a context',
+        ],
+        explanation:
+          'If the state moves closer to where it is used, the slow component is no longer below the component that updates, so there is nothing to memoize.',
+      },
+    },
+    notes: {
+      problem:
+        'Ask who has wrapped a component in <code>memo</code> to fix a slow input. The reflex is to memoize; the better question is why the slow part re-renders at all.',
+      bad:
+        'Type into the input. The parent owns the text state, so every keystroke re-renders the whole tree. <code>memo</code> saves the slow child only while its props stay equal: point at the render counters and the latency sparkline.',
+      good:
+        'Same UI, but the input and its state live in their own small component. Type again: the slow component never re-renders, with no <code>memo</code> at all.',
+      takeaway:
+        'Move state down to where it is used before reaching for <code>memo</code>. Memoization is a tool for what is left over, not the first fix.',
+    },
+  },
+
+  'fearing-rerenders': {
+    description: "Re-renders aren't the enemy. Expensive calculations running on every render are.",
+    takeaway:
+      "<p>React's reconciliation (diffing virtual DOM and updating real DOM) is highly optimized. A component can re-render hundreds of times per second without issues. The real performance bottleneck is usually expensive calculations, API calls, or DOM manipulations. Use <code>useMemo</code> to cache expensive calculations, not to prevent re-renders.</p>",
+    filterByName: 'Filter by name:',
+    filterPlaceholder: 'Type to filter...',
+    filterByCategory: 'Filter by category:',
+    allCategories: 'All Categories',
+    category: 'Category {name}',
+    unrelatedCounter: 'Unrelated counter:',
+    clickMe: 'Click Me: {count}',
+    totalRenders: 'Total Renders',
+    filteredItems: 'Filtered Items',
+    ofTotal: 'of {total} total',
+    table: {
+      name: 'Name',
+      category: 'Category',
+      value: 'Value',
+    },
+    showing: 'Showing first 50 of {count} items',
+    bad: {
+      title: 'Bad Implementation: Fearing Re-renders',
+      flash: '🔄 Calculating...',
+      equalsCalculations: '= Calculations 😱',
+      lastCalculation: 'Last Calculation',
+      everyTime: 'Every Time!',
+    },
+    problem: {
+      lead: "The filtering/sorting calculation runs on <strong>EVERY</strong> render, even when you click the unrelated counter button. Try clicking the counter - notice the lag? That's because we're re-filtering and re-sorting {count} items unnecessarily.",
+      misconception:
+        '<strong>The Misconception:</strong> "Re-renders are slow, I need to prevent them!" Actually, the re-render itself is fast. The slow part is recalculating this filtered/sorted array every time.',
+    },
+    good: {
+      title: 'Good Implementation: useMemo for Expensive Calculations',
+      flash: '🔄 Calculating (memoized)...',
+      noProblem: 'No problem! ✅',
+      calculations: 'Calculations',
+      onlyWhenNeeded: 'Only when needed!',
+      lastCalcTime: 'Last Calc Time',
+      cached: 'Cached result',
+    },
+    solution: {
+      lead: 'We wrapped the expensive calculation in <code>useMemo</code>. Now it only recalculates when <code>filter</code> or <code>category</code> changes.',
+      notice:
+        "<strong>Notice:</strong> Click the counter button - it's instant! The component re-renders (Render count increases), but the expensive calculation doesn't run (Calculations count stays the same). React's render is fast; expensive logic is not.",
+      insight:
+        "<strong>Key Insight:</strong> Don't fear re-renders. Fear expensive calculations running unnecessarily. Use <code>useMemo</code> to cache results of expensive operations.",
+    },
+    shared: {
+      clickBoth: 'Click Both',
+    },
+    comparisons: {
+      renders: 'Renders',
+      calculations: 'Calculations',
+      lastCalculation: 'Last calculation',
+    },
+    benchmark: 'Pick category B, click the unrelated counter 3 times, then filter by "Item 1"',
+    playground: {
+      goal: 'Clicking the unrelated counter should still re-render, but must not re-run the filter.',
+      success: 'The counter re-renders freely and the expensive filter only runs when its inputs change.',
+      hint: 'The filter still runs on every click. Cache the calculation instead of avoiding the render.',
+    },
+    guide: {
+      steps: {
+        category: 'Pick category B',
+        unrelated: 'Click "Click Me" three times, and watch the calculation count',
+      },
+      bad: {
+        title: '🐞 Every click filtered and sorted the list again',
+        explanation:
+          'The counter has nothing to do with the list, but the filter and sort sit in the render body, so every re-render runs them again. The renders themselves were cheap; the calculation is what hurt. Try the same clicks on the Good implementation.',
+      },
+      good: {
+        title: "✅ The clicks re-rendered, but the list wasn't recalculated",
+        explanation:
+          '<code>useMemo</code> keeps the filtered list until <code>filter</code> or <code>category</code> change. Re-rendering is fine; skipping the expensive part is what counts.',
+      },
+    },
+    autoplay: [
+      'Flip between categories: the list has to be filtered and sorted again, which is expected.',
+      {
+        bad: 'Now click the unrelated counter: the expensive calculation runs again on every click.',
+        good: 'Now click the unrelated counter: it re-renders, but the calculation count stays put.',
+      },
+      {
+        bad: 'Re-rendering is cheap; recalculating is what hurts. <code>useMemo</code> only the expensive part.',
+        good: 'Re-renders are fine. <code>useMemo</code> skips the calculation until its inputs change.',
+      },
+    ],
+    quiz: {
+      'unrelated-click': {
+        prompt: 'What happens when you click "Click Me" in the Bad implementation?',
+        options: [
+          'Nothing re-renders, the counter is unrelated',
+          'It re-renders and filters and sorts every item again',
+          'It re-renders but React skips the filter',
+          'Only the button re-renders',
+        ],
+        explanation:
+          "Any state change re-renders the component, and the filter and sort sit in the render body, so they run again even though <code>filter</code> and <code>category</code> didn't change.",
+      },
+      'get-items': {
+        prompt:
+          "Both implementations call <code>getItems(datasetSize)</code> on every render. Why isn't that the expensive part?",
+        options: [
+          'It returns the cached list unless the dataset size changed',
+          'React memoizes function calls during render',
+          'It runs in a web worker',
+          'It only runs on mount',
+        ],
+        explanation:
+          'The list is generated once per dataset size and kept at module level. The cost is the filter and sort over it, which is what <code>useMemo</code> caches in the Good implementation.',
+      },
+      'memo-deps': {
+        prompt: 'Which dependencies should the <code>useMemo</code> around the filtered list have?',
+        options: [
+          '<code>[]</code>',
+          '<code>[unrelatedState]</code>',
+          '<code>[items, filter, category]</code>',
+          'No dependency array',
+        ],
+        explanation:
+          'The result depends on the items and both filters, and nothing else. With those dependencies the click counter re-renders freely without recalculating.',
+      },
+    },
+    notes: {
+      problem:
+        'Re-renders get a bad reputation. Most are cheap; what hurts is expensive work that runs on every render.',
+      bad:
+        'Change the category, then click the unrelated counter. The filtering runs again on every click: watch Last Calculation and the render count go up together.',
+      good:
+        'Now the counter still re-renders the component, but Calculations stays put until the filter or category changes. Re-renders are fine; the work was the problem.',
+      takeaway:
+        "Don't fight re-renders, measure them. <code>useMemo</code> the expensive calculation, not everything by default.",
+    },
+  },
+
+  'context-misuse': {
+    description: "Don't put all your global state in one context. Split contexts by domain and update frequency.",
+    takeaway:
+      "<p>Context is not a state management solution - it's a dependency injection mechanism. When a context value changes, ALL consumers re-render. Split your contexts logically: separate static data from dynamic data, and group related data together. Consider using specialized state management libraries (Zustand, Jotai, Redux) for complex global state.</p>",
+    everySecond: 'every second',
+    everyMs: 'every {ms}ms',
+    userProfile: '👤 User Profile Component',
+    clock: '🕐 Clock Component',
+    name: 'Name:',
+    email: 'Email:',
+    renderCount: 'Render Count:',
+    bad: {
+      title: 'Bad Implementation: God Context',
+      profileRenderCount: '⚠️ Render Count:',
+      profileNote:
+        'This component only needs user data (which never changes), but it re-renders {tick} because currentTime is in the same context!',
+      wasted: 'Wasted renders:',
+      clockNote: 'This component SHOULD re-render {tick} (expected behavior)',
+    },
+    problem: {
+      lead: 'Both <code>user</code> (static) and <code>currentTime</code> (updates {tick}) are in the same context. Even though the User Profile component only uses <code>user</code>, it re-renders {tick} because the context value changes.',
+      why: '<strong>Why it happens:</strong> When ANY value in a context changes, React considers the entire context value as changed, causing ALL consumers to re-render.',
+    },
+    good: {
+      title: 'Good Implementation: Split Contexts',
+      stable: '🛡️ Stable',
+      profileRenderCount: '✅ Render Count:',
+      profileNote:
+        "This component only subscribes to UserContext, so it only renders once! The time updates don't affect it at all.",
+      optimal: '✅ Optimal',
+      clockNote: 'This component subscribes to TimeContext and re-renders {tick} (as expected)',
+    },
+    solution: {
+      lead: 'We split the context into <code>UserContext</code> and <code>TimeContext</code>. Now components only subscribe to the data they actually need.',
+      result:
+        "<strong>Result:</strong> The User Profile component renders once and stays stable, while the Clock component updates {tick}. Each component is isolated from changes it doesn't care about.",
+      bestPractice:
+        '<strong>Best Practice:</strong> Split contexts by domain (user, auth, theme) and by update frequency (static vs. dynamic data). This prevents unnecessary re-renders and makes your app more performant.',
+    },
+    comparisons: {
+      profile: 'User profile renders',
+      clock: 'Clock renders',
+    },
+    benchmark: 'Let the clock tick for 2 seconds',
+    playground: {
+      goal: 'While the clock ticks for 2 seconds, BadUserProfile should not re-render.',
+      success: 'Only the clock re-renders on a tick; the profile no longer pays for data it never reads.',
+      hint:
+        'BadUserProfile re-renders on every tick (or the clock stopped). Does the user really belong in the same context as the time?',
+    },
+    guide: {
+      steps: {
+        watch: "Nothing to click: watch the user profile's render count while the clock ticks three times",
+      },
+      bad: {
+        title: '🐞 The user profile re-rendered on every tick',
+        explanation:
+          'The user and the time share one context, and every consumer of a context re-renders when its value changes. The profile only reads the user, but it pays for every tick. Try the Good implementation.',
+      },
+      good: {
+        title: '✅ Only the clock re-rendered',
+        explanation:
+          'The time has its own context, so a tick only re-renders the components that read it. The user profile rendered once and stayed put.',
+      },
+    },
+    autoplay: [
+      {
+        bad:
+          'Nothing to click: watch the user profile. It re-renders on every clock tick, although its data never changes.',
+        good: 'Nothing to click: watch the user profile. Only the clock re-renders when it ticks.',
+      },
+      {
+        bad:
+          'Every consumer of a context re-renders when its value changes. One context for everything means everyone pays.',
+        good: 'The time has its own context, so only the components that read it re-render.',
+      },
+    ],
+    quiz: {
+      'god-context': {
+        prompt: 'Why does <code>BadUserProfile</code> re-render on every clock tick?',
+        options: [
+          'It reads <code>currentTime</code>',
+          'Its context value is a new <code>{ user, currentTime }</code> object on every tick',
+          'Its parent uses <code>setInterval</code>',
+          'The user object is recreated on every tick',
+        ],
+        explanation:
+          'Every consumer of a context re-renders when its value changes. The provider builds a new object on each tick, so even components that only destructure <code>user</code> re-render.',
+      },
+      'split-provider': {
+        prompt:
+          'When the clock ticks in the Good implementation, does a component that reads <code>UserContext</code> re-render?',
+        options: [
+          'Yes, every provider re-renders on a tick',
+          'No, its value is the same <code>user</code> state object, so its consumers are skipped',
+          'Only if it is wrapped in <code>memo</code>',
+          'Yes, because <code>GoodTimeProvider</code> is nested inside it',
+        ],
+        explanation:
+          '<code>UserContext</code> gets the <code>user</code> state itself, which never changes. Only <code>TimeContext</code> consumers see a new value on a tick.',
+      },
+      'what-context-is': {
+        prompt: 'Which description of React context fits this lesson best?',
+        options: [
+          'A state manager that only re-renders the fields you read',
+          'Dependency injection: every consumer re-renders when the value changes',
+          'A cache that skips renders automatically',
+          'A replacement for props in every case',
+        ],
+        explanation:
+          'Context has no selectors. Split contexts by domain and update frequency, or use a state library when you need fine-grained subscriptions.',
+      },
+    },
+    notes: {
+      problem:
+        'Context is dependency injection, not a store. One big context means every consumer re-renders whenever anything in it changes.',
+      bad:
+        "Don't touch anything; just watch. The clock ticks every second and the user profile, which never changes, re-renders with it. Point at the wasted renders bar.",
+      good: 'The time now has its own context. Only the clock re-renders; the profile count stays at one.',
+      takeaway:
+        'Split contexts by domain and by how often they change, and reach for a state library when you need selectors.',
+    },
+  },
+
+  'index-as-key': {
+    description:
+      'Using array index as <code>key</code> causes React to lose track of component identity when the list changes.',
+    takeaway:
+      '<p>The <code>key</code> prop helps React identify which items have changed, been added, or been removed. When you use index as key, React can\'t distinguish between "item at position 0" vs "the item with id=1".</p>' +
+      "<p><strong>When index is OK:</strong> Only use index as key if: 1) The list is static (never changes), 2) Items are never reordered, and 3) Items don't have their own state or controlled inputs.</p>" +
+      "<p><strong>Best practice:</strong> Always use a unique, stable identifier (like a database ID or UUID) as the key. If your data doesn't have IDs, generate them when fetching/creating data.</p>",
+    variants: {
+      bad: {
+        label: 'Index as key',
+        explanation: 'The key follows the position, not the item, so state sticks to the wrong row once the list changes.',
+      },
+      random: {
+        label: 'Math.random() key',
+        explanation: 'A key that changes on every render: React remounts every row each time, losing focus and any state inside them.',
+      },
+      content: {
+        label: 'Content as key',
+        explanation: 'Fine while the content is unique and never edited; duplicates clash and edits remount the row.',
+      },
+      good: {
+        label: 'Stable id',
+        explanation: 'An id that belongs to the item for its whole life: React always matches each row to its item.',
+      },
+    },
+    addItem: '➕ Add Item',
+    placeholder: 'Type something here...',
+    delete: '🗑️ Delete',
+    doneLabel: 'Mark {task} as done',
+    noteLabel: 'Note for {task}',
+    empty: 'No items. Click "Add Item" to create one.',
+    bad: {
+      title: 'Bad Implementation: Index as Key',
+      keyInfo: 'Key: <code>index={index}</code> | ID: <code>{id}</code>',
+    },
+    problem: {
+      lead: 'Each item uses its array index as the key. When you delete an item, React gets confused about which component is which.',
+      whatHappens:
+        '<strong>What happens:</strong> When you delete Task 1, Task 2 moves to index 0. React sees "key=0 still exists" and reuses that component instance, preserving the old state (checkbox and input) from Task 1!',
+    },
+    random: {
+      title: 'Bad Implementation: Math.random() as Key',
+      keyInfo: 'Key: <code>Math.random()</code> | ID: <code>{id}</code>',
+      lead: 'Each item gets a new random key on every render, so React never finds last render\'s rows again.',
+      whatHappens:
+        '<strong>What happens:</strong> Every render throws all the rows away and mounts new ones. The state here lives in the parent, so nothing gets mixed up, but try typing a note: each keystroke re-renders the list and remounts the input you are typing in, so it loses focus after every letter.',
+    },
+    content: {
+      title: 'Acceptable: Content as Key',
+      keyInfo: 'Key: <code>text="{text}"</code> | ID: <code>{id}</code>',
+      lead: 'Each item uses its text as the key. Here that works just like an id, because every task\'s text is unique and never changes.',
+      whatHappens:
+        '<strong>The catch:</strong> The key is only as stable as the content. Two tasks with the same text would share a key (React warns, and their rows can swap state), and renaming a task would remount its row and reset what was typed into it.',
+    },
+    good: {
+      title: 'Good Implementation: Unique ID as Key',
+      keyInfo: 'Key: <code>id={id}</code>',
+    },
+    solution: {
+      lead: 'Each item uses its unique <code>id</code> as the key. React can now correctly identify which component is which.',
+      whatHappens:
+        '<strong>What happens:</strong> When you delete Task 1, React sees that <code>key="1"</code> is gone and <code>key="2"</code> and <code>key="3"</code> are still present. It correctly maintains the component instances and their state.',
+    },
+    benchmark: 'Check Task 1, type into the first two rows, then delete Task 1',
+    playground: {
+      goal: 'Type into the first two rows and delete the first: the remaining row must keep its own text.',
+      success: 'Each row keeps its own input after the delete, because React can tell the items apart.',
+      hint: "The first row now shows the deleted row's text. What tells React which item a row belongs to?",
+    },
+    guide: {
+      steps: {
+        check: 'Check the checkbox on Task 1',
+        'type-first': "Type something into Task 1's input",
+        'type-second': "Type something different into Task 2's input",
+        delete: 'Delete Task 1',
+      },
+      bad: {
+        title: '🐞 Task 2 now shows the text you typed into Task 1',
+        explanation:
+          "The checkbox left with Task 1, because <code>completed</code> is stored on the item. The text is stored by index, and every row is keyed by <code>index</code>: Task 2 moved to index 0, so React reused the row that was Task 1's and it kept index 0's text. Try the same steps on the Good implementation.",
+      },
+      good: {
+        title: '✅ Task 2 kept its own text',
+        explanation:
+          "Rows are keyed by <code>item.id</code> and the text is stored by id, so when Task 1 goes React removes exactly its row. Task 2's row, and everything typed into it, just moves up.",
+      },
+    },
+    autoplay: [
+      'Check Task 1 and type a different note into each of the first two rows.',
+      {
+        bad: 'Now delete Task 1, and watch what the first row shows.',
+        good: 'Now delete Task 1, and watch the notes.',
+      },
+      {
+        bad:
+          'Task 2 moved up but shows the note typed into Task 1: the rows are keyed, and the notes stored, by index.',
+        good:
+          "Task 2 kept its own note: the rows are keyed by <code>item.id</code>, so React removed exactly Task 1's row.",
+      },
+    ],
+    quiz: {
+      'delete-first': {
+        prompt: 'You type into the first two rows of the Bad list, then delete Task 1. What does the first row show?',
+        options: [
+          'Task 2 with the text typed into Task 2',
+          'Task 2 with the text typed into Task 1',
+          'An empty row',
+          'Task 1, because the delete failed',
+        ],
+        explanation:
+          'The input values are stored by index and the rows are keyed by index. After the delete, Task 2 sits at index 0, and index 0 still holds what you typed into Task 1.',
+      },
+      'generate-id': {
+        prompt: 'Why does the list give new items an id from this counter instead of using their position?',
+        options: [
+          'The id must stay unique and stable as items are added and removed',
+          'React only accepts numbers as keys',
+          'Keys have to be sequential',
+          'It makes rendering faster',
+        ],
+        explanation:
+          'A key tells React which item a row belongs to. A counter never hands out the same id twice, while a position changes every time an item before it is removed.',
+      },
+      'index-ok': {
+        prompt: 'When is using the index as <code>key</code> fine?',
+        options: [
+          'Whenever the items have no ids',
+          'When the list is static, never reordered and its items hold no state',
+          'When the list has fewer than 100 items',
+          'Never',
+        ],
+        explanation:
+          'If items never move and have no state or controlled inputs of their own, position and identity are the same thing.',
+      },
+    },
+    notes: {
+      problem:
+        'Ask the room when using the index as <code>key</code> is a problem. Usually nobody has seen it break, because it only breaks once items have state and the list changes.',
+      bad:
+        "Check Task 1, type a different note into the first two rows, then delete Task 1. Task 2 moves up and shows Task 1's note: React matched the rows by position.",
+      good: 'Same steps. Each note stays with its task, because the rows are keyed by a stable id.',
+      takeaway: 'Keys are identity. Index keys are only safe for static lists whose items hold no state.',
+    },
+  },
+
+  'useeffect-redundancy': {
+    description: "Don't use <code>useEffect</code> to calculate values that can be derived during render.",
+    takeaway:
+      '<p><code>useEffect</code> is for <strong>synchronizing with external systems</strong> (APIs, DOM, subscriptions), not for deriving values from props or state.</p>' +
+      '<p><strong>When to use useEffect:</strong> Fetching data, setting up subscriptions, manually manipulating the DOM, logging analytics.</p>' +
+      '<p><strong>When NOT to use useEffect:</strong> Calculating derived state, transforming data, formatting values. Do these directly during render for better performance and simpler code.</p>',
+    firstName: 'First Name:',
+    lastName: 'Last Name:',
+    fullName: 'Full Name:',
+    email: 'Email:',
+    renderCount: 'Render Count',
+    bad: {
+      title: 'Bad Implementation: useEffect for Derived State',
+      cardTitle: '👤 User Card (Bad Version)',
+      waiting: '(empty - waiting for effect...)',
+      syncing: '⚡ Syncing...',
+      extraRenders: '😱 Extra renders!',
+      effectRuns: 'Effect Runs',
+      eachTriggers: 'Each triggers render',
+      flashNote:
+        '<strong>⚠️ Problem:</strong> Notice render count is higher than effect count? That\'s the "flash" - component renders with stale fullName first, then effect runs and triggers another render with correct value.',
+      tryTyping: '💡 Try typing quickly to see the lag and flash effect!',
+    },
+    problem: {
+      lead: 'We use <code>useEffect</code> to calculate <code>fullName</code> from <code>firstName</code> and <code>lastName</code>.',
+      whatHappens: 'What happens:',
+      steps:
+        '<li>Props change (firstName or lastName updates)</li>' +
+        '<li>Component renders with OLD fullName value</li>' +
+        '<li>Effect runs and calls setFullName()</li>' +
+        '<li>Component renders AGAIN with new fullName value</li>',
+      consequence:
+        'This causes unnecessary double renders and can lead to UI "flashes" where the wrong value appears briefly.',
+    },
+    good: {
+      title: 'Good Implementation: Derived State During Render',
+      cardTitle: '👤 User Card (Good Version)',
+      instant: '✅ Instant!',
+      oneRender: '✅ One render per change!',
+      perfect:
+        '<strong>✅ Perfect:</strong> The component only renders once per prop change. No extra renders, no useEffect complexity, and the value is always correct immediately.',
+      tryTyping: '🚀 Type quickly - notice how smooth it is!',
+    },
+    solution: {
+      lead: 'Calculate <code>fullName</code> directly in the render body with a simple variable. No useState or useEffect needed!',
+      benefits: 'Benefits:',
+      benefitList:
+        '<li>Only one render per change (no double render)</li>' +
+        '<li>Value is always in sync - no possibility of stale state</li>' +
+        '<li>Simpler code - less to maintain and debug</li>' +
+        '<li>Better performance - fewer renders and state updates</li>',
+      rule: "<strong>Rule of thumb:</strong> If you can calculate a value from props or other state, do it during render. Don't use useEffect to sync derived state.",
+    },
+    comparisons: {
+      card: 'User card renders',
+    },
+    benchmark: 'Type "Jane" as the first name and "Smith" as the last name',
+    playground: {
+      goal: 'Typing "Jane" as the first name should render BadUserCard once per keystroke, not twice.',
+      success: 'The full name is derived during render, so every keystroke costs exactly one render.',
+      hint: 'BadUserCard still renders twice per keystroke. Does fullName need to be state at all?',
+    },
+    guide: {
+      steps: {
+        'first-name': "Change the first name, and watch the user card's render count",
+        'last-name': 'Change the last name too',
+      },
+      bad: {
+        title: '🐞 The user card rendered twice for every keystroke',
+        explanation:
+          'The first render still shows the old <code>fullName</code>. Then the effect copies the new name into state, which renders the card a second time. Try the same on the Good implementation.',
+      },
+      good: {
+        title: '✅ One render per keystroke',
+        explanation:
+          '<code>fullName</code> is computed during render from the first and last name. No effect, no second render, and never a stale name in between.',
+      },
+    },
+    autoplay: [
+      {
+        bad:
+          'Type a new first name and watch the user card: two renders per keystroke, and a flash of the stale full name.',
+        good: 'Type a new first name and watch the user card: one render per keystroke.',
+      },
+      'Same for the last name.',
+      {
+        bad: 'The effect copies props into state after the render, so every change renders twice.',
+        good: 'The full name is computed during render. No effect, no second render, never out of sync.',
+      },
+    ],
+    quiz: {
+      'bad-user-card-renders': {
+        prompt: 'How many times does <code>BadUserCard</code> render when <code>firstName</code> changes once?',
+        options: [
+          'Once',
+          'Twice: once with the stale <code>fullName</code>, then again after the effect sets it',
+          'Three times',
+          "It doesn't render, the effect updates the DOM",
+        ],
+        explanation:
+          'The new props render first with the old <code>fullName</code>, then the effect calls <code>setFullName</code>, which schedules a second render. That in-between render is the flash you see.',
+      },
+      derive: {
+        prompt: 'What is the simplest correct way to compute <code>fullName</code>?',
+        options: [
+          'Keep the effect and add more dependencies',
+          "Compute it during render: <code>const fullName = firstName + ' ' + lastName</code>",
+          'Store it in a ref',
+          'Compute it in the parent and keep it in state',
+        ],
+        explanation:
+          'A value that can be derived from props or state should be computed during render. It is always in sync and costs no extra render.',
+      },
+      'effect-for': {
+        prompt: 'Which of these is a good use of <code>useEffect</code>?',
+        options: [
+          'Formatting a price from props',
+          'Filtering a list from state',
+          'Subscribing to a WebSocket',
+          'Combining two props into one string',
+        ],
+        explanation:
+          'Effects synchronize with systems outside React. Formatting, filtering and combining values are all calculations that belong in render.',
+      },
+    },
+    notes: {
+      problem:
+        'Effects are for synchronizing with things outside React. Using one to copy props into state is the most common way to misuse them.',
+      bad:
+        'Type a first name. Each keystroke renders the card twice, and for a moment the full name is stale. Point at the render count against the effect runs.',
+      good: 'The full name is computed during render. One render per keystroke, and it can never be out of sync.',
+      takeaway:
+        'If you can calculate it from props or state, calculate it while rendering. You might not need an effect.',
+    },
+  },
+};
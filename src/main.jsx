@@ -2,6 +2,11 @@ import { StrictMode } from 'react'
 import { createRoot } from 'react-dom/client'
 import './index.css'
 import App from './App.jsx'
+import { initTheme } from './lib/theme'
+import { initLocale } from './lib/i18n'
+
+initTheme()
+initLocale()
 
 createRoot(document.getElementById('root')).render(
   <StrictMode>
@@ -0,0 +1,266 @@
+import React, { Suspense, useRef, useState } from 'react';
+import { lessons } from '../lessons/registry';
+import { measureReplay, waitForElement } from '../lib/interactions';
+import { useLocale, useTranslation } from '../hooks/useLocale';
+import { VariantsContext } from '../hooks/useVariants';
+import Message from '../components/Message';
+import { lessonTitle } from '../lib/i18n';
+import { profilerId } from '../lib/renderMetrics';
+import { getSettings } from '../lib/settings';
+import { summarize } from '../lib/stats';
+import { downloadFile, toCsv } from '../lib/download';
+import { VERDICTS, lessonVariants } from '../lib/variants';
+
+/**
+ * Benchmark Runner
+ *
+ * Replays a lesson's benchmark scenario against a fresh mount of each of its
+ * variants, many times over, and summarizes the samples. Single
+ * readings like `calculationTime` are too noisy to quote in a proposal.
+ */
+
+const METRICS = [
+  { field: 'renderDuration', label: 'benchmark.metrics.renderDuration', format: (value) => `${value.toFixed(2)}ms` },
+  { field: 'commits', label: 'benchmark.metrics.commits', format: (value) => String(Math.round(value * 10) / 10) },
+  { field: 'elapsed', label: 'benchmark.metrics.elapsed', format: (value) => `${value.toFixed(2)}ms` },
+];
+
+const STATS = ['min', 'median', 'p95', 'max'];
+
+const benchmarkable = lessons.filter((lesson) => lesson.benchmark);
+
+const summarizeRun = (samples) =>
+  Object.fromEntries(
+    METRICS.map(({ field }) => [field, summarize(samples.map((sample) => sample[field]))])
+  );
+
+const ResultsTable = ({ results }) => {
+  const t = useTranslation();
+  const variants = lessonVariants(benchmarkable.find((lesson) => lesson.id === results.lesson));
+
+  return (
+    <div className="bg-neutral-0 border border-neutral-200 rounded-xl overflow-hidden">
+      <table className="w-full text-sm">
+        <thead className="bg-neutral-100 text-neutral-700">
+          <tr>
+            <th className="px-4 py-2 text-left font-semibold">{t('benchmark.metric')}</th>
+            <th className="px-4 py-2 text-left font-semibold">{t('benchmark.variant')}</th>
+            {STATS.map((stat) => (
+              <th key={stat} className="px-4 py-2 text-right font-semibold">
+                {stat}
+              </th>
+            ))}
+          </tr>
+        </thead>
+        <tbody>
+          {METRICS.map(({ field, label, format }) =>
+            variants.map(({ id, verdict, short }, i) => (
+              <tr key={`${field}-${id}`} className="border-t border-neutral-200">
+                <td className="px-4 py-2 text-neutral-700">{i === 0 ? t(label) : ''}</td>
+                <td className={`px-4 py-2 font-semibold ${VERDICTS[verdict].text}`}>
+                  {VERDICTS[verdict].icon} {t(short)}
+                </td>
+                {STATS.map((stat) => (
+                  <td key={stat} className="px-4 py-2 text-right font-mono">
+                    {format(results.summary[id][field][stat])}
+                  </td>
+                ))}
+              </tr>
+            ))
+          )}
+        </tbody>
+      </table>
+    </div>
+  );
+};
+
+const BenchmarkRunner = () => {
+  const [lessonId, setLessonId] = useState(benchmarkable[0].id);
+  const [iterations, setIterations] = useState(10);
+  const [target, setTarget] = useState(null);
+  const [results, setResults] = useState(null);
+  const [error, setError] = useState(null);
+  const stageRef = useRef(null);
+  const runIdRef = useRef(0);
+
+  const lesson = benchmarkable.find((candidate) => candidate.id === lessonId);
+  const variants = lessonVariants(lesson);
+  const isRunning = target !== null;
+  const locale = useLocale();
+  const t = useTranslation();
+  const scenario = `${lesson.id}.benchmark`;
+
+  // A run stops at the first failure, e.g. a step that throws or a demo that
+  // never mounts, and always frees the stage for the next one
+  const run = async () => {
+    setResults(null);
+    setError(null);
+    const samples = Object.fromEntries(variants.map((variant) => [variant.id, []]));
+
+    try {
+      for (const variant of variants) {
+        const id = profilerId(variant.id);
+
+        for (let iteration = 1; iteration <= iterations; iteration += 1) {
+          runIdRef.current += 1;
+          const runId = runIdRef.current;
+          setTarget({ variant, iteration, runId });
+
+          const root = await waitForElement(() =>
+            stageRef.current?.querySelector(`[data-run="${runId}"] [data-implementation]`)
+          );
+          const { elapsed, missed, metrics } = await measureReplay(root, lesson.benchmark.steps, null, [id]);
+          samples[variant.id].push({
+            iteration,
+            renderDuration: metrics[id].totalActualDuration,
+            commits: metrics[id].commits,
+            elapsed,
+            missed,
+          });
+        }
+      }
+
+      setResults({
+        lesson: lesson.id,
+        scenario: t(scenario),
+        iterations,
+        runAt: new Date().toISOString(),
+        // Numbers are only comparable between runs with the same workload
+        settings: getSettings(),
+        summary: Object.fromEntries(variants.map(({ id }) => [id, summarizeRun(samples[id])])),
+        samples,
+      });
+    } catch (runError) {
+      setError(runError.message);
+    } finally {
+      setTarget(null);
+    }
+  };
+
+  const exportJson = () => {
+    downloadFile(
+      `benchmark-${results.lesson}.json`,
+      JSON.stringify(results, null, 2),
+      'application/json'
+    );
+  };
+
+  const exportCsv = () => {
+    const rows = Object.entries(results.samples).flatMap(([implementation, samples]) =>
+      samples.map((sample) => ({
+        lesson: results.lesson,
+        implementation,
+        iteration: sample.iteration,
+        renderDurationMs: sample.renderDuration.toFixed(3),
+        commits: sample.commits,
+        elapsedMs: sample.elapsed.toFixed(3),
+        missedSteps: sample.missed,
+      }))
+    );
+    downloadFile(`benchmark-${results.lesson}.csv`, toCsv(rows), 'text/csv');
+  };
+
+  return (
+    <div>
+      <div className="mb-10">
+        <h1 className="text-4xl font-bold text-neutral-900 mb-3 tracking-tight">{t('benchmark.title')}</h1>
+        <p className="text-lg text-neutral-600 leading-relaxed">{t('benchmark.intro')}</p>
+      </div>
+
+      <div className="bg-neutral-50 rounded-2xl border border-neutral-200 p-4 sm:p-8 space-y-6">
+        <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+          <div>
+            <label htmlFor="benchmark-lesson" className="block text-sm font-medium text-neutral-700 mb-2">
+              {t('benchmark.lesson')}
+            </label>
+            <select
+              id="benchmark-lesson"
+              value={lessonId}
+              onChange={(e) => setLessonId(e.target.value)}
+              disabled={isRunning}
+              className="w-full px-4 py-2.5 border border-neutral-300 rounded-lg bg-neutral-0"
+            >
+              {benchmarkable.map((candidate) => (
+                <option key={candidate.id} value={candidate.id}>
+                  {candidate.number}. {lessonTitle(locale, candidate)}
+                </option>
+              ))}
+            </select>
+          </div>
+          <div>
+            <label htmlFor="benchmark-iterations" className="block text-sm font-medium text-neutral-700 mb-2">
+              {t('benchmark.iterations')}
+            </label>
+            <input
+              id="benchmark-iterations"
+              type="number"
+              min="1"
+              max="100"
+              value={iterations}
+              onChange={(e) => setIterations(Math.min(100, Math.max(1, Number(e.target.value) || 1)))}
+              disabled={isRunning}
+              className="w-full px-4 py-2.5 border border-neutral-300 rounded-lg bg-neutral-0"
+            />
+          </div>
+          <div className="flex items-end">
+            <button
+              onClick={run}
+              disabled={isRunning}
+              className="w-full px-5 py-2.5 rounded-lg font-medium text-sm bg-neutral-900 text-neutral-0 shadow-sm hover:bg-neutral-800 disabled:opacity-50 transition-all"
+            >
+              {isRunning ? `⏳ ${t(target.variant.short)} ${target.iteration}/${iterations}` : t('benchmark.run')}
+            </button>
+          </div>
+        </div>
+
+        <p className="text-sm text-neutral-600">
+          <Message
+            id="benchmark.scenario"
+            values={{ scenario: t(scenario) }}
+            components={{ strong: <strong className="font-semibold" /> }}
+          />
+        </p>
+
+        {error && (
+          <p role="alert" className="rounded-lg p-4 text-sm border bg-bad-50 border-bad-200 text-bad-900">
+            <strong className="font-semibold">{t('benchmark.stopped')}</strong> {error}
+          </p>
+        )}
+
+        {results && (
+          <div className="space-y-3">
+            <ResultsTable results={results} />
+            <div className="flex gap-2">
+              <button
+                onClick={exportJson}
+                className="px-4 py-2 rounded-lg font-medium text-sm bg-neutral-100 text-neutral-700 hover:bg-neutral-200 transition-all"
+              >
+                {t('benchmark.exportJson')}
+              </button>
+              <button
+                onClick={exportCsv}
+                className="px-4 py-2 rounded-lg font-medium text-sm bg-neutral-100 text-neutral-700 hover:bg-neutral-200 transition-all"
+              >
+                {t('benchmark.exportCsv')}
+              </button>
+            </div>
+          </div>
+        )}
+
+        <div ref={stageRef}>
+          {target && (
+            <div key={target.runId} data-run={target.runId} className="border border-neutral-200 rounded-xl">
+              <Suspense fallback={null}>
+                <VariantsContext.Provider value={variants}>
+                  <lesson.Component implementation={target.variant.id} />
+                </VariantsContext.Provider>
+              </Suspense>
+            </div>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default BenchmarkRunner;
@@ -1,4 +1,11 @@
 import React, { useState, createContext, useContext, useEffect } from 'react';
+import DemoStage from '../components/DemoStage';
+import RenderStat from '../components/RenderStat';
+import RenderFlash from '../components/RenderFlash';
+import Message from '../components/Message';
+import { useMetricsRef, useRenderTracker } from '../hooks/useRenderMetrics';
+import { useSettings } from '../hooks/useSettings';
+import { useTranslation } from '../hooks/useLocale';
 
 /**
  * MISCONCEPTION #3: Context Misuse
@@ -8,20 +15,25 @@ import React, { useState, createContext, useContext, useEffect } from 'react';
  * they only use a specific piece of that context.
  */
 
+// "every second" at the default tick rate, "every 250ms" when sped up
+const describeTick = (t, tickRate) =>
+  tickRate === 1000 ? t('context-misuse.everySecond') : t('context-misuse.everyMs', { ms: tickRate });
+
 // ❌ BAD: Single context with multiple values that change at different frequencies
 const BadGlobalContext = createContext();
 
 const BadGlobalProvider = ({ children }) => {
   const [user] = useState({ name: 'John Doe', email: 'john@example.com' });
   const [currentTime, setCurrentTime] = useState(new Date().toLocaleTimeString());
+  const { tickRate } = useSettings();
 
-  // Update time every second
+  // Update time on every tick (once a second by default)
   useEffect(() => {
     const interval = setInterval(() => {
       setCurrentTime(new Date().toLocaleTimeString());
-    }, 1000);
+    }, tickRate);
     return () => clearInterval(interval);
-  }, []);
+  }, [tickRate]);
 
   return (
     <BadGlobalContext.Provider value={{ user, currentTime }}>
@@ -30,51 +42,56 @@ const BadGlobalProvider = ({ children }) => {
   );
 };
 
+// Fills up as wasted renders accumulate, up to one minute's worth
+const WastedRendersBar = ({ id, max }) => {
+  const ref = useMetricsRef(id, (element, { renders }) => {
+    element.style.width = `${Math.min((renders / max) * 100, 100)}%`;
+  });
+
+  return (
+    <div className="mt-2 h-2 bg-bad-200 rounded-full overflow-hidden">
+      <div ref={ref} className="h-full bg-bad-500 transition-all duration-200 motion-reduce:transition-none" />
+    </div>
+  );
+};
+
 // Component that only needs user data
 const BadUserProfile = () => {
   const { user } = useContext(BadGlobalContext);
-  const [renderCount, setRenderCount] = useState(0);
-  const [lastRenderTime, setLastRenderTime] = useState(Date.now());
-
-  useEffect(() => {
-    setRenderCount(prev => prev + 1);
-    setLastRenderTime(Date.now());
-  });
-
-  const isRecentRender = Date.now() - lastRenderTime < 200;
+  const { tickRate } = useSettings();
+  const ticksPerMinute = Math.round(60000 / tickRate);
+  const t = useTranslation();
+  useRenderTracker('BadUserProfile');
 
   return (
-    <div className="bg-red-50 border-2 border-red-300 rounded-lg p-6 relative">
-      {isRecentRender && (
-        <div className="absolute inset-0 bg-red-200/30 rounded-lg animate-pulse pointer-events-none" />
-      )}
-      <h3 className="text-lg font-bold text-red-800 mb-3">
-        👤 User Profile Component
+    <div className="bg-bad-50 border-2 border-bad-300 rounded-lg p-4 sm:p-6 relative">
+      <RenderFlash
+        id="BadUserProfile"
+        duration={400}
+        className="absolute inset-0 bg-bad-200/30 rounded-lg pointer-events-none"
+      />
+      <h3 className="text-lg font-bold text-bad-800 mb-3">
+        {t('context-misuse.userProfile')}
       </h3>
       <div className="space-y-2">
         <p className="text-sm">
-          <strong>Name:</strong> {user.name}
+          <strong>{t('context-misuse.name')}</strong> {user.name}
         </p>
         <p className="text-sm">
-          <strong>Email:</strong> {user.email}
+          <strong>{t('context-misuse.email')}</strong> {user.email}
         </p>
-        <div className="mt-4 p-3 bg-red-100 rounded">
-          <p className="text-xs text-red-800">
-            <strong>⚠️ Render Count:</strong>{' '}
-            <span className="text-2xl font-bold">{renderCount}</span>
+        <div className="mt-4 p-3 bg-bad-100 rounded">
+          <p className="text-xs text-bad-800">
+            <strong>{t('context-misuse.bad.profileRenderCount')}</strong>{' '}
+            <RenderStat id="BadUserProfile" className="text-2xl font-bold" />
           </p>
-          <p className="text-xs text-red-700 mt-1">
-            This component only needs user data (which never changes),
-            but it re-renders every second because currentTime is in the same context!
+          <p className="text-xs text-bad-700 mt-1">
+            {t('context-misuse.bad.profileNote', { tick: describeTick(t, tickRate) })}
           </p>
-          <div className="mt-2 h-2 bg-red-200 rounded-full overflow-hidden">
-            <div 
-              className="h-full bg-red-500 transition-all duration-200"
-              style={{ width: `${Math.min((renderCount / 60) * 100, 100)}%` }}
-            />
-          </div>
-          <p className="text-xs text-red-600 mt-1 font-semibold">
-            Wasted renders: {renderCount - 1} / 60
+          <WastedRendersBar id="BadUserProfile" max={ticksPerMinute} />
+          <p className="text-xs text-bad-600 mt-1 font-semibold">
+            {t('context-misuse.bad.wasted')}{' '}
+            <RenderStat id="BadUserProfile" format={(renders) => Math.max(renders - 1, 0)} /> / {ticksPerMinute}
           </p>
         </div>
       </div>
@@ -85,33 +102,30 @@ const BadUserProfile = () => {
 // Component that needs the current time
 const BadClockDisplay = () => {
   const { currentTime } = useContext(BadGlobalContext);
-  const [renderCount, setRenderCount] = useState(0);
-  const [isUpdating, setIsUpdating] = useState(false);
-
-  useEffect(() => {
-    setRenderCount(prev => prev + 1);
-    setIsUpdating(true);
-    const timer = setTimeout(() => setIsUpdating(false), 200);
-    return () => clearTimeout(timer);
-  });
+  const { tickRate } = useSettings();
+  const t = useTranslation();
+  useRenderTracker('BadClockDisplay');
 
   return (
-    <div className="bg-yellow-50 border-2 border-yellow-300 rounded-lg p-6">
-      <h3 className="text-lg font-bold text-yellow-800 mb-3">
-        🕐 Clock Component
+    <div className="bg-warning-50 border-2 border-warning-300 rounded-lg p-4 sm:p-6 relative">
+      <RenderFlash
+        id="BadClockDisplay"
+        duration={200}
+        className="absolute inset-0 bg-warning-200/30 rounded-lg pointer-events-none"
+      />
+      <h3 className="text-lg font-bold text-warning-800 mb-3">
+        {t('context-misuse.clock')}
       </h3>
-      <div className={`text-3xl font-mono font-bold text-yellow-900 mb-4 transition-all ${
-        isUpdating ? 'scale-105 text-yellow-600' : ''
-      }`}>
+      <div className="text-3xl font-mono font-bold text-warning-900 mb-4">
         {currentTime}
       </div>
-      <div className="p-3 bg-yellow-100 rounded">
-        <p className="text-xs text-yellow-800">
-          <strong>Render Count:</strong>{' '}
-          <span className="text-xl font-bold">{renderCount}</span>
+      <div className="p-3 bg-warning-100 rounded">
+        <p className="text-xs text-warning-800">
+          <strong>{t('context-misuse.renderCount')}</strong>{' '}
+          <RenderStat id="BadClockDisplay" className="text-xl font-bold" />
         </p>
-        <p className="text-xs text-yellow-700 mt-1">
-          This component SHOULD re-render every second (expected behavior)
+        <p className="text-xs text-warning-700 mt-1">
+          {t('context-misuse.bad.clockNote', { tick: describeTick(t, tickRate) })}
         </p>
       </div>
     </div>
@@ -119,25 +133,28 @@ const BadClockDisplay = () => {
 };
 
 const BadImplementation = () => {
+  const { tickRate } = useSettings();
+  const t = useTranslation();
+
   return (
     <BadGlobalProvider>
       <div className="space-y-4">
-        <div className="bg-red-50 border-2 border-red-300 rounded-lg p-6">
-          <h3 className="text-xl font-bold text-red-800 mb-4">
-            ❌ Bad Implementation: God Context
-          </h3>
-
-          <div className="bg-red-100 p-4 rounded-lg mb-6">
-            <p className="text-sm text-red-800">
-              <strong>⚠️ The Problem:</strong> Both <code className="bg-red-200 px-1 rounded">user</code>
-              {' '}(static) and <code className="bg-red-200 px-1 rounded">currentTime</code> (updates every second)
-              are in the same context. Even though the User Profile component only uses{' '}
-              <code className="bg-red-200 px-1 rounded">user</code>, it re-renders every second
-              because the context value changes.
+        <div className="bg-bad-50 border-2 border-bad-300 rounded-lg p-4 sm:p-6">
+          <h2 className="text-xl font-bold text-bad-800 mb-4">
+            ❌ {t('context-misuse.bad.title')}
+          </h2>
+
+          <div data-callout="problem" className="bg-bad-100 p-4 rounded-lg mb-6">
+            <p className="text-sm text-bad-800">
+              <strong>{t('common.callout.problem')}</strong>{' '}
+              <Message
+                id="context-misuse.problem.lead"
+                values={{ tick: describeTick(t, tickRate) }}
+                components={{ code: <code className="bg-bad-200 px-1 rounded" /> }}
+              />
             </p>
-            <p className="text-sm text-red-800 mt-2">
-              <strong>Why it happens:</strong> When ANY value in a context changes, React considers
-              the entire context value as changed, causing ALL consumers to re-render.
+            <p className="text-sm text-bad-800 mt-2">
+              <Message id="context-misuse.problem.why" />
             </p>
           </div>
 
@@ -167,13 +184,14 @@ const GoodUserProvider = ({ children }) => {
 
 const GoodTimeProvider = ({ children }) => {
   const [currentTime, setCurrentTime] = useState(new Date().toLocaleTimeString());
+  const { tickRate } = useSettings();
 
   useEffect(() => {
     const interval = setInterval(() => {
       setCurrentTime(new Date().toLocaleTimeString());
-    }, 1000);
+    }, tickRate);
     return () => clearInterval(interval);
-  }, []);
+  }, [tickRate]);
 
   return (
     <TimeContext.Provider value={currentTime}>
@@ -185,45 +203,44 @@ const GoodTimeProvider = ({ children }) => {
 // Component that only needs user data - now stable!
 const GoodUserProfile = () => {
   const user = useContext(UserContext);
-  const [renderCount, setRenderCount] = useState(0);
+  const t = useTranslation();
+  useRenderTracker('GoodUserProfile');
 
-  useEffect(() => {
-    setRenderCount(prev => prev + 1);
+  const stableBadgeRef = useMetricsRef('GoodUserProfile', (element, { renders }) => {
+    element.hidden = renders > 1;
   });
 
-  const isStable = renderCount <= 1;
-
   return (
-    <div className="bg-green-50 border-2 border-green-300 rounded-lg p-6 relative">
-      {isStable && (
-        <div className="absolute top-2 right-2 px-2 py-1 bg-green-500 text-white text-xs font-bold rounded-full">
-          🛡️ Stable
-        </div>
-      )}
-      <h3 className="text-lg font-bold text-green-800 mb-3">
-        👤 User Profile Component
+    <div className="bg-good-50 border-2 border-good-300 rounded-lg p-4 sm:p-6 relative">
+      <div
+        ref={stableBadgeRef}
+        className="absolute top-2 right-2 px-2 py-1 bg-good-500 text-neutral-0 text-xs font-bold rounded-full"
+      >
+        {t('context-misuse.good.stable')}
+      </div>
+      <h3 className="text-lg font-bold text-good-800 mb-3">
+        {t('context-misuse.userProfile')}
       </h3>
       <div className="space-y-2">
         <p className="text-sm">
-          <strong>Name:</strong> {user.name}
+          <strong>{t('context-misuse.name')}</strong> {user.name}
         </p>
         <p className="text-sm">
-          <strong>Email:</strong> {user.email}
+          <strong>{t('context-misuse.email')}</strong> {user.email}
         </p>
-        <div className="mt-4 p-3 bg-green-100 rounded">
-          <p className="text-xs text-green-800">
-            <strong>✅ Render Count:</strong>{' '}
-            <span className="text-2xl font-bold">{renderCount}</span>
+        <div className="mt-4 p-3 bg-good-100 rounded">
+          <p className="text-xs text-good-800">
+            <strong>{t('context-misuse.good.profileRenderCount')}</strong>{' '}
+            <RenderStat id="GoodUserProfile" className="text-2xl font-bold" />
           </p>
-          <p className="text-xs text-green-700 mt-1">
-            This component only subscribes to UserContext, so it only renders once!
-            The time updates don't affect it at all.
+          <p className="text-xs text-good-700 mt-1">
+            {t('context-misuse.good.profileNote')}
           </p>
           <div className="mt-2 flex items-center gap-2">
-            <div className="h-2 bg-green-200 rounded-full flex-1">
-              <div className="h-full bg-green-500 rounded-full" style={{ width: '100%' }} />
+            <div className="h-2 bg-good-200 rounded-full flex-1">
+              <div className="h-full bg-good-500 rounded-full" style={{ width: '100%' }} />
             </div>
-            <span className="text-xs text-green-700 font-semibold">✅ Optimal</span>
+            <span className="text-xs text-good-700 font-semibold">{t('context-misuse.good.optimal')}</span>
           </div>
         </div>
       </div>
@@ -234,27 +251,25 @@ const GoodUserProfile = () => {
 // Component that needs the current time
 const GoodClockDisplay = () => {
   const currentTime = useContext(TimeContext);
-  const [renderCount, setRenderCount] = useState(0);
-
-  useEffect(() => {
-    setRenderCount(prev => prev + 1);
-  });
+  const { tickRate } = useSettings();
+  const t = useTranslation();
+  useRenderTracker('GoodClockDisplay');
 
   return (
-    <div className="bg-green-50 border-2 border-green-300 rounded-lg p-6">
-      <h3 className="text-lg font-bold text-green-800 mb-3">
-        🕐 Clock Component
+    <div className="bg-good-50 border-2 border-good-300 rounded-lg p-4 sm:p-6">
+      <h3 className="text-lg font-bold text-good-800 mb-3">
+        {t('context-misuse.clock')}
       </h3>
-      <div className="text-3xl font-mono font-bold text-green-900 mb-4">
+      <div className="text-3xl font-mono font-bold text-good-900 mb-4">
         {currentTime}
       </div>
-      <div className="p-3 bg-green-100 rounded">
-        <p className="text-xs text-green-800">
-          <strong>Render Count:</strong>{' '}
-          <span className="text-xl font-bold">{renderCount}</span>
+      <div className="p-3 bg-good-100 rounded">
+        <p className="text-xs text-good-800">
+          <strong>{t('context-misuse.renderCount')}</strong>{' '}
+          <RenderStat id="GoodClockDisplay" className="text-xl font-bold" />
         </p>
-        <p className="text-xs text-green-700 mt-1">
-          This component subscribes to TimeContext and re-renders every second (as expected)
+        <p className="text-xs text-good-700 mt-1">
+          {t('context-misuse.good.clockNote', { tick: describeTick(t, tickRate) })}
         </p>
       </div>
     </div>
@@ -262,31 +277,31 @@ const GoodClockDisplay = () => {
 };
 
 const GoodImplementation = () => {
+  const { tickRate } = useSettings();
+  const t = useTranslation();
+
   return (
     <GoodUserProvider>
       <GoodTimeProvider>
         <div className="space-y-4">
-          <div className="bg-green-50 border-2 border-green-300 rounded-lg p-6">
-            <h3 className="text-xl font-bold text-green-800 mb-4">
-              ✅ Good Implementation: Split Contexts
-            </h3>
-
-            <div className="bg-green-100 p-4 rounded-lg mb-6">
-              <p className="text-sm text-green-800">
-                <strong>✅ The Solution:</strong> We split the context into{' '}
-                <code className="bg-green-200 px-1 rounded">UserContext</code> and{' '}
-                <code className="bg-green-200 px-1 rounded">TimeContext</code>. Now components
-                only subscribe to the data they actually need.
+          <div className="bg-good-50 border-2 border-good-300 rounded-lg p-4 sm:p-6">
+            <h2 className="text-xl font-bold text-good-800 mb-4">
+              ✅ {t('context-misuse.good.title')}
+            </h2>
+
+            <div data-callout="solution" className="bg-good-100 p-4 rounded-lg mb-6">
+              <p className="text-sm text-good-800">
+                <strong>{t('common.callout.solution')}</strong>{' '}
+                <Message
+                  id="context-misuse.solution.lead"
+                  components={{ code: <code className="bg-good-200 px-1 rounded" /> }}
+                />
               </p>
-              <p className="text-sm text-green-800 mt-2">
-                <strong>Result:</strong> The User Profile component renders once and stays stable,
-                while the Clock component updates every second. Each component is isolated from
-                changes it doesn't care about.
+              <p className="text-sm text-good-800 mt-2">
+                <Message id="context-misuse.solution.result" values={{ tick: describeTick(t, tickRate) }} />
               </p>
-              <p className="text-sm text-green-800 mt-2">
-                <strong>Best Practice:</strong> Split contexts by domain (user, auth, theme) and
-                by update frequency (static vs. dynamic data). This prevents unnecessary re-renders
-                and makes your app more performant.
+              <p className="text-sm text-good-800 mt-2">
+                <Message id="context-misuse.solution.bestPractice" />
               </p>
             </div>
 
@@ -301,60 +316,23 @@ const GoodImplementation = () => {
   );
 };
 
+const comparisons = (t) => [
+  { label: t('context-misuse.comparisons.profile'), bad: 'BadUserProfile', good: 'GoodUserProfile' },
+  { label: t('context-misuse.comparisons.clock'), bad: 'BadClockDisplay', good: 'GoodClockDisplay' },
+];
+
 // Main page component
-const ContextMisuse = () => {
-  const [showGood, setShowGood] = useState(false);
+const ContextMisuse = ({ implementation }) => {
+  const t = useTranslation();
 
   return (
-    <div>
-      <div className="mb-8">
-        <h1 className="text-4xl font-bold text-gray-900 mb-3">
-          Misconception #3: Context Misuse
-        </h1>
-        <p className="text-lg text-gray-600 mb-6">
-          Don't put all your global state in one context. Split contexts by domain and update frequency.
-        </p>
-
-        <div className="flex gap-3">
-          <button
-            onClick={() => setShowGood(false)}
-            className={`px-6 py-3 rounded-lg font-semibold transition-all ${
-              !showGood
-                ? 'bg-red-600 text-white shadow-lg'
-                : 'bg-gray-200 text-gray-700 hover:bg-gray-300'
-            }`}
-          >
-            ❌ Bad Implementation
-          </button>
-          <button
-            onClick={() => setShowGood(true)}
-            className={`px-6 py-3 rounded-lg font-semibold transition-all ${
-              showGood
-                ? 'bg-green-600 text-white shadow-lg'
-                : 'bg-gray-200 text-gray-700 hover:bg-gray-300'
-            }`}
-          >
-            ✅ Good Implementation
-          </button>
-        </div>
-      </div>
-
-      <div className="bg-white rounded-xl shadow-lg p-8">
-        {!showGood ? <BadImplementation /> : <GoodImplementation />}
-      </div>
-
-      <div className="mt-8 bg-blue-50 border-l-4 border-blue-500 p-6 rounded">
-        <h3 className="text-lg font-semibold text-blue-900 mb-2">
-          📚 Key Takeaway
-        </h3>
-        <p className="text-blue-800">
-          Context is not a state management solution - it's a dependency injection mechanism.
-          When a context value changes, ALL consumers re-render. Split your contexts logically:
-          separate static data from dynamic data, and group related data together. Consider using
-          specialized state management libraries (Zustand, Jotai, Redux) for complex global state.
-        </p>
-      </div>
-    </div>
+    <DemoStage
+      implementation={implementation}
+      bad={<BadImplementation />}
+      good={<GoodImplementation />}
+      comparisons={comparisons(t)}
+      className="bg-neutral-0 rounded-xl shadow-lg p-4 sm:p-8"
+    />
   );
 };
 
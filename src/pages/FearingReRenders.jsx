@@ -1,4 +1,13 @@
-import React, { useState, useMemo } from 'react';
+import React, { useId, useState, useMemo } from 'react';
+import DemoStage from '../components/DemoStage';
+import RenderStat from '../components/RenderStat';
+import RenderFlash from '../components/RenderFlash';
+import Message from '../components/Message';
+import { useCalculationTracker, useRenderTracker } from '../hooks/useRenderMetrics';
+import { useSharedInput } from '../hooks/useSharedInput';
+import { useSettings } from '../hooks/useSettings';
+import { useLocale, useTranslation } from '../hooks/useLocale';
+import { simulateWork } from '../lib/workload';
 
 /**
  * MISCONCEPTION #2: Fearing Re-renders
@@ -18,140 +27,145 @@ const generateItems = (count = 5000) => {
   }));
 };
 
-const ITEMS = generateItems(5000);
+// Regenerated only when the dataset size setting changes
+let cachedItems = [];
+const getItems = (count) => {
+  if (cachedItems.length !== count) cachedItems = generateItems(count);
+  return cachedItems;
+};
 
 // ❌ BAD: Expensive calculation in render body without memoization
 const BadImplementation = () => {
   const [filter, setFilter] = useState('');
   const [category, setCategory] = useState('ALL');
-  const [renderCount, setRenderCount] = useState(0);
   const [unrelatedState, setUnrelatedState] = useState(0);
-  const [isCalculating, setIsCalculating] = useState(false);
-
-  React.useEffect(() => {
-    setRenderCount(prev => prev + 1);
-  });
+  const { datasetSize } = useSettings();
+  const items = getItems(datasetSize);
+  const t = useTranslation();
+  const locale = useLocale();
+  const filterId = useId();
+  const categoryId = useId();
+  useRenderTracker('BadImplementation');
+  useSharedInput('filter', setFilter);
+  useSharedInput('category', setCategory);
+  useSharedInput('unrelated', () => setUnrelatedState(prev => prev + 1));
 
   // ❌ BAD: This expensive calculation runs on EVERY render
   // Even when unrelatedState changes (which has nothing to do with the list)
-  React.useEffect(() => {
-    setIsCalculating(true);
-    const timer = setTimeout(() => setIsCalculating(false), 100);
-    return () => clearTimeout(timer);
-  }, [renderCount]);
-
   const startTime = performance.now();
   
-  const filteredItems = ITEMS.filter(item => {
+  const filteredItems = simulateWork(() => items.filter(item => {
     const matchesFilter = item.name.toLowerCase().includes(filter.toLowerCase());
     const matchesCategory = category === 'ALL' || item.category === category;
     return matchesFilter && matchesCategory;
-  }).sort((a, b) => b.value - a.value);
+  }).sort((a, b) => b.value - a.value));
   
-  const calculationTime = (performance.now() - startTime).toFixed(2);
+  const calculationTime = performance.now() - startTime;
+  useCalculationTracker('BadImplementation', filteredItems, calculationTime);
 
   return (
     <div className="space-y-4">
-      <div className="bg-red-50 border-2 border-red-300 rounded-lg p-6 relative">
-        {isCalculating && (
-          <div className="absolute top-2 right-2 px-3 py-1 bg-red-500 text-white text-xs font-bold rounded-full animate-pulse">
-            🔄 Calculating...
-          </div>
-        )}
-        <h3 className="text-xl font-bold text-red-800 mb-4">
-          ❌ Bad Implementation: Fearing Re-renders
-        </h3>
+      <div className="bg-bad-50 border-2 border-bad-300 rounded-lg p-4 sm:p-6 relative">
+        <RenderFlash
+          id="BadImplementation"
+          className="absolute top-2 right-2 px-3 py-1 bg-bad-500 text-neutral-0 text-xs font-bold rounded-full"
+        >
+          {t('fearing-rerenders.bad.flash')}
+        </RenderFlash>
+        <h2 className="text-xl font-bold text-bad-800 mb-4">
+          ❌ {t('fearing-rerenders.bad.title')}
+        </h2>
 
         <div className="grid grid-cols-1 md:grid-cols-3 gap-4 mb-4">
           <div>
-            <label className="block text-sm font-medium text-gray-700 mb-2">
-              Filter by name:
+            <label htmlFor={filterId} className="block text-sm font-medium text-neutral-700 mb-2">
+              {t('fearing-rerenders.filterByName')}
             </label>
             <input
+              id={filterId}
               type="text"
               value={filter}
               onChange={(e) => setFilter(e.target.value)}
-              placeholder="Type to filter..."
-              className="w-full px-4 py-2 border border-red-300 rounded-lg"
+              placeholder={t('fearing-rerenders.filterPlaceholder')}
+              className="w-full px-4 py-2 border border-bad-300 rounded-lg"
             />
           </div>
 
           <div>
-            <label className="block text-sm font-medium text-gray-700 mb-2">
-              Filter by category:
+            <label htmlFor={categoryId} className="block text-sm font-medium text-neutral-700 mb-2">
+              {t('fearing-rerenders.filterByCategory')}
             </label>
             <select
+              id={categoryId}
               value={category}
               onChange={(e) => setCategory(e.target.value)}
-              className="w-full px-4 py-2 border border-red-300 rounded-lg"
+              className="w-full px-4 py-2 border border-bad-300 rounded-lg"
             >
-              <option value="ALL">All Categories</option>
-              <option value="A">Category A</option>
-              <option value="B">Category B</option>
-              <option value="C">Category C</option>
-              <option value="D">Category D</option>
+              <option value="ALL">{t('fearing-rerenders.allCategories')}</option>
+              <option value="A">{t('fearing-rerenders.category', { name: 'A' })}</option>
+              <option value="B">{t('fearing-rerenders.category', { name: 'B' })}</option>
+              <option value="C">{t('fearing-rerenders.category', { name: 'C' })}</option>
+              <option value="D">{t('fearing-rerenders.category', { name: 'D' })}</option>
             </select>
           </div>
 
           <div>
-            <label className="block text-sm font-medium text-gray-700 mb-2">
-              Unrelated counter:
+            <label className="block text-sm font-medium text-neutral-700 mb-2">
+              {t('fearing-rerenders.unrelatedCounter')}
             </label>
             <button
               onClick={() => setUnrelatedState(prev => prev + 1)}
-              className="w-full px-4 py-2 bg-red-600 text-white rounded-lg hover:bg-red-700 transition"
+              className="w-full px-4 py-2 bg-bad-600 text-neutral-0 rounded-lg hover:bg-bad-700 transition"
             >
-              Click Me: {unrelatedState}
+              {t('fearing-rerenders.clickMe', { count: unrelatedState })}
             </button>
           </div>
         </div>
 
-        <div className="bg-red-100 p-4 rounded-lg mb-4">
-          <div className="grid grid-cols-3 gap-4 text-center">
+        <div className="bg-bad-100 p-4 rounded-lg mb-4">
+          <div className="grid grid-cols-1 sm:grid-cols-3 gap-4 text-center">
             <div>
-              <div className="text-2xl font-bold text-red-800">{renderCount}</div>
-              <div className="text-xs text-red-700">Total Renders</div>
-              <div className="text-xs text-red-600 font-semibold mt-1">= Calculations 😱</div>
+              <RenderStat id="BadImplementation" className="block text-2xl font-bold text-bad-800" />
+              <div className="text-xs text-bad-700">{t('fearing-rerenders.totalRenders')}</div>
+              <div className="text-xs text-bad-600 font-semibold mt-1">{t('fearing-rerenders.bad.equalsCalculations')}</div>
             </div>
             <div>
-              <div className="text-2xl font-bold text-red-800">{calculationTime}ms</div>
-              <div className="text-xs text-red-700">Last Calculation</div>
-              <div className="text-xs text-red-600 font-semibold mt-1">Every Time!</div>
+              <div className="text-2xl font-bold text-bad-800">{calculationTime.toFixed(2)}ms</div>
+              <div className="text-xs text-bad-700">{t('fearing-rerenders.bad.lastCalculation')}</div>
+              <div className="text-xs text-bad-600 font-semibold mt-1">{t('fearing-rerenders.bad.everyTime')}</div>
             </div>
             <div>
-              <div className="text-2xl font-bold text-red-800">{filteredItems.length}</div>
-              <div className="text-xs text-red-700">Filtered Items</div>
-              <div className="text-xs text-red-600 font-semibold mt-1">of 5,000 total</div>
+              <div className="text-2xl font-bold text-bad-800">{filteredItems.length}</div>
+              <div className="text-xs text-bad-700">{t('fearing-rerenders.filteredItems')}</div>
+              <div className="text-xs text-bad-600 font-semibold mt-1">
+                {t('fearing-rerenders.ofTotal', { total: items.length.toLocaleString(locale) })}
+              </div>
             </div>
           </div>
         </div>
 
-        <div className="bg-red-100 p-4 rounded-lg mb-4">
-          <p className="text-sm text-red-800">
-            <strong>⚠️ The Problem:</strong> The filtering/sorting calculation runs on{' '}
-            <strong>EVERY</strong> render, even when you click the unrelated counter button.
-            Try clicking the counter - notice the lag? That's because we're re-filtering
-            and re-sorting 5,000 items unnecessarily.
+        <div data-callout="problem" className="bg-bad-100 p-4 rounded-lg mb-4">
+          <p className="text-sm text-bad-800">
+            <strong>{t('common.callout.problem')}</strong>{' '}
+            <Message id="fearing-rerenders.problem.lead" values={{ count: items.length.toLocaleString(locale) }} />
           </p>
-          <p className="text-sm text-red-800 mt-2">
-            <strong>The Misconception:</strong> "Re-renders are slow, I need to prevent them!"
-            Actually, the re-render itself is fast. The slow part is recalculating this
-            filtered/sorted array every time.
+          <p className="text-sm text-bad-800 mt-2">
+            <Message id="fearing-rerenders.problem.misconception" />
           </p>
         </div>
 
-        <div className="max-h-60 overflow-y-auto border border-red-300 rounded-lg">
+        <div className="max-h-60 overflow-y-auto border border-bad-300 rounded-lg">
           <table className="w-full text-sm">
-            <thead className="bg-red-200 sticky top-0">
+            <thead className="bg-bad-200 sticky top-0">
               <tr>
-                <th className="px-4 py-2 text-left">Name</th>
-                <th className="px-4 py-2 text-left">Category</th>
-                <th className="px-4 py-2 text-right">Value</th>
+                <th className="px-4 py-2 text-left">{t('fearing-rerenders.table.name')}</th>
+                <th className="px-4 py-2 text-left">{t('fearing-rerenders.table.category')}</th>
+                <th className="px-4 py-2 text-right">{t('fearing-rerenders.table.value')}</th>
               </tr>
             </thead>
             <tbody>
               {filteredItems.slice(0, 50).map(item => (
-                <tr key={item.id} className="border-t border-red-200">
+                <tr key={item.id} className="border-t border-bad-200">
                   <td className="px-4 py-2">{item.name}</td>
                   <td className="px-4 py-2">{item.category}</td>
                   <td className="px-4 py-2 text-right">{item.value.toFixed(2)}</td>
@@ -160,8 +174,8 @@ const BadImplementation = () => {
             </tbody>
           </table>
         </div>
-        <p className="text-xs text-red-600 mt-2">
-          Showing first 50 of {filteredItems.length} items
+        <p className="text-xs text-bad-600 mt-2">
+          {t('fearing-rerenders.showing', { count: filteredItems.length })}
         </p>
       </div>
     </div>
@@ -172,148 +186,161 @@ const BadImplementation = () => {
 const GoodImplementation = () => {
   const [filter, setFilter] = useState('');
   const [category, setCategory] = useState('ALL');
-  const [renderCount, setRenderCount] = useState(0);
   const [unrelatedState, setUnrelatedState] = useState(0);
-  const [calculationCount, setCalculationCount] = useState(0);
-  const [lastCalculationTime, setLastCalculationTime] = useState(0);
-  const [isCalculating, setIsCalculating] = useState(false);
-
-  React.useEffect(() => {
-    setRenderCount(prev => prev + 1);
-  });
+  const { datasetSize } = useSettings();
+  const items = getItems(datasetSize);
+  const t = useTranslation();
+  const locale = useLocale();
+  const filterId = useId();
+  const categoryId = useId();
+  useRenderTracker('GoodImplementation');
+  useSharedInput('filter', setFilter);
+  useSharedInput('category', setCategory);
+  useSharedInput('unrelated', () => setUnrelatedState(prev => prev + 1));
 
   // ✅ GOOD: Memoize the expensive calculation
   // This only recalculates when filter or category changes
-  const filteredItems = useMemo(() => {
-    setIsCalculating(true);
+  const { filteredItems, calculationTime } = useMemo(() => {
     const startTime = performance.now();
-    setCalculationCount(prev => prev + 1);
     
-    const result = ITEMS.filter(item => {
+    const result = simulateWork(() => items.filter(item => {
       const matchesFilter = item.name.toLowerCase().includes(filter.toLowerCase());
       const matchesCategory = category === 'ALL' || item.category === category;
       return matchesFilter && matchesCategory;
-    }).sort((a, b) => b.value - a.value);
-    
-    const calculationTime = performance.now() - startTime;
-    setLastCalculationTime(calculationTime.toFixed(2));
-    setTimeout(() => setIsCalculating(false), 100);
+    }).sort((a, b) => b.value - a.value));
     
-    return result;
-  }, [filter, category]); // Only recalculate when these dependencies change
+    return { filteredItems: result, calculationTime: performance.now() - startTime };
+  }, [items, filter, category]); // Only recalculate when these dependencies change
+
+  useCalculationTracker('GoodImplementation', filteredItems, calculationTime);
 
   return (
     <div className="space-y-4">
-      <div className="bg-green-50 border-2 border-green-300 rounded-lg p-6 relative">
-        {isCalculating && (
-          <div className="absolute top-2 right-2 px-3 py-1 bg-green-500 text-white text-xs font-bold rounded-full animate-pulse">
-            🔄 Calculating (memoized)...
-          </div>
-        )}
-        <h3 className="text-xl font-bold text-green-800 mb-4">
-          ✅ Good Implementation: useMemo for Expensive Calculations
-        </h3>
+      <div className="bg-good-50 border-2 border-good-300 rounded-lg p-4 sm:p-6 relative">
+        <RenderFlash
+          id="GoodImplementation"
+          field="calculations"
+          className="absolute top-2 right-2 px-3 py-1 bg-good-500 text-neutral-0 text-xs font-bold rounded-full"
+        >
+          {t('fearing-rerenders.good.flash')}
+        </RenderFlash>
+        <h2 className="text-xl font-bold text-good-800 mb-4">
+          ✅ {t('fearing-rerenders.good.title')}
+        </h2>
 
         <div className="grid grid-cols-1 md:grid-cols-3 gap-4 mb-4">
           <div>
-            <label className="block text-sm font-medium text-gray-700 mb-2">
-              Filter by name:
+            <label htmlFor={filterId} className="block text-sm font-medium text-neutral-700 mb-2">
+              {t('fearing-rerenders.filterByName')}
             </label>
             <input
+              id={filterId}
               type="text"
               value={filter}
               onChange={(e) => setFilter(e.target.value)}
-              placeholder="Type to filter..."
-              className="w-full px-4 py-2 border border-green-300 rounded-lg"
+              placeholder={t('fearing-rerenders.filterPlaceholder')}
+              className="w-full px-4 py-2 border border-good-300 rounded-lg"
             />
           </div>
 
           <div>
-            <label className="block text-sm font-medium text-gray-700 mb-2">
-              Filter by category:
+            <label htmlFor={categoryId} className="block text-sm font-medium text-neutral-700 mb-2">
+              {t('fearing-rerenders.filterByCategory')}
             </label>
             <select
+              id={categoryId}
               value={category}
               onChange={(e) => setCategory(e.target.value)}
-              className="w-full px-4 py-2 border border-green-300 rounded-lg"
+              className="w-full px-4 py-2 border border-good-300 rounded-lg"
             >
-              <option value="ALL">All Categories</option>
-              <option value="A">Category A</option>
-              <option value="B">Category B</option>
-              <option value="C">Category C</option>
-              <option value="D">Category D</option>
+              <option value="ALL">{t('fearing-rerenders.allCategories')}</option>
+              <option value="A">{t('fearing-rerenders.category', { name: 'A' })}</option>
+              <option value="B">{t('fearing-rerenders.category', { name: 'B' })}</option>
+              <option value="C">{t('fearing-rerenders.category', { name: 'C' })}</option>
+              <option value="D">{t('fearing-rerenders.category', { name: 'D' })}</option>
             </select>
           </div>
 
           <div>
-            <label className="block text-sm font-medium text-gray-700 mb-2">
-              Unrelated counter:
+            <label className="block text-sm font-medium text-neutral-700 mb-2">
+              {t('fearing-rerenders.unrelatedCounter')}
             </label>
             <button
               onClick={() => setUnrelatedState(prev => prev + 1)}
-              className="w-full px-4 py-2 bg-green-600 text-white rounded-lg hover:bg-green-700 transition"
+              className="w-full px-4 py-2 bg-good-600 text-neutral-0 rounded-lg hover:bg-good-700 transition"
             >
-              Click Me: {unrelatedState}
+              {t('fearing-rerenders.clickMe', { count: unrelatedState })}
             </button>
           </div>
         </div>
 
-        <div className="bg-green-100 p-4 rounded-lg mb-4">
-          <div className="grid grid-cols-4 gap-4 text-center">
+        <div className="bg-good-100 p-4 rounded-lg mb-4">
+          <div className="grid grid-cols-2 sm:grid-cols-4 gap-4 text-center">
             <div>
-              <div className="text-2xl font-bold text-green-800">{renderCount}</div>
-              <div className="text-xs text-green-700">Total Renders</div>
-              <div className="text-xs text-green-600 font-semibold mt-1">No problem! ✅</div>
+              <RenderStat id="GoodImplementation" className="block text-2xl font-bold text-good-800" />
+              <div className="text-xs text-good-700">{t('fearing-rerenders.totalRenders')}</div>
+              <div className="text-xs text-good-600 font-semibold mt-1">{t('fearing-rerenders.good.noProblem')}</div>
             </div>
             <div>
-              <div className="text-2xl font-bold text-green-800">{calculationCount}</div>
-              <div className="text-xs text-green-700">Calculations</div>
-              <div className="text-xs text-green-600 font-semibold mt-1">Only when needed!</div>
+              <RenderStat
+                id="GoodImplementation"
+                field="calculations"
+                className="block text-2xl font-bold text-good-800"
+              />
+              <div className="text-xs text-good-700">{t('fearing-rerenders.good.calculations')}</div>
+              <div className="text-xs text-good-600 font-semibold mt-1">{t('fearing-rerenders.good.onlyWhenNeeded')}</div>
             </div>
             <div>
-              <div className="text-2xl font-bold text-green-800">{lastCalculationTime}ms</div>
-              <div className="text-xs text-green-700">Last Calc Time</div>
-              <div className="text-xs text-green-600 font-semibold mt-1">Cached result</div>
+              <RenderStat
+                id="GoodImplementation"
+                field="calculationTime"
+                format={(time) => `${time.toFixed(2)}ms`}
+                className="block text-2xl font-bold text-good-800"
+              />
+              <div className="text-xs text-good-700">{t('fearing-rerenders.good.lastCalcTime')}</div>
+              <div className="text-xs text-good-600 font-semibold mt-1">{t('fearing-rerenders.good.cached')}</div>
             </div>
             <div>
-              <div className="text-2xl font-bold text-green-800">{filteredItems.length}</div>
-              <div className="text-xs text-green-700">Filtered Items</div>
-              <div className="text-xs text-green-600 font-semibold mt-1">of 5,000 total</div>
+              <div className="text-2xl font-bold text-good-800">{filteredItems.length}</div>
+              <div className="text-xs text-good-700">{t('fearing-rerenders.filteredItems')}</div>
+              <div className="text-xs text-good-600 font-semibold mt-1">
+                {t('fearing-rerenders.ofTotal', { total: items.length.toLocaleString(locale) })}
+              </div>
             </div>
           </div>
         </div>
 
-        <div className="bg-green-100 p-4 rounded-lg mb-4">
-          <p className="text-sm text-green-800">
-            <strong>✅ The Solution:</strong> We wrapped the expensive calculation in{' '}
-            <code className="bg-green-200 px-1 rounded">useMemo</code>. Now it only recalculates
-            when <code className="bg-green-200 px-1 rounded">filter</code> or{' '}
-            <code className="bg-green-200 px-1 rounded">category</code> changes.
+        <div data-callout="solution" className="bg-good-100 p-4 rounded-lg mb-4">
+          <p className="text-sm text-good-800">
+            <strong>{t('common.callout.solution')}</strong>{' '}
+            <Message
+              id="fearing-rerenders.solution.lead"
+              components={{ code: <code className="bg-good-200 px-1 rounded" /> }}
+            />
           </p>
-          <p className="text-sm text-green-800 mt-2">
-            <strong>Notice:</strong> Click the counter button - it's instant! The component
-            re-renders (Render count increases), but the expensive calculation doesn't run
-            (Calculations count stays the same). React's render is fast; expensive logic is not.
+          <p className="text-sm text-good-800 mt-2">
+            <Message id="fearing-rerenders.solution.notice" />
           </p>
-          <p className="text-sm text-green-800 mt-2">
-            <strong>Key Insight:</strong> Don't fear re-renders. Fear expensive calculations
-            running unnecessarily. Use <code className="bg-green-200 px-1 rounded">useMemo</code>
-            to cache results of expensive operations.
+          <p className="text-sm text-good-800 mt-2">
+            <Message
+              id="fearing-rerenders.solution.insight"
+              components={{ code: <code className="bg-good-200 px-1 rounded" /> }}
+            />
           </p>
         </div>
 
-        <div className="max-h-60 overflow-y-auto border border-green-300 rounded-lg">
+        <div className="max-h-60 overflow-y-auto border border-good-300 rounded-lg">
           <table className="w-full text-sm">
-            <thead className="bg-green-200 sticky top-0">
+            <thead className="bg-good-200 sticky top-0">
               <tr>
-                <th className="px-4 py-2 text-left">Name</th>
-                <th className="px-4 py-2 text-left">Category</th>
-                <th className="px-4 py-2 text-right">Value</th>
+                <th className="px-4 py-2 text-left">{t('fearing-rerenders.table.name')}</th>
+                <th className="px-4 py-2 text-left">{t('fearing-rerenders.table.category')}</th>
+                <th className="px-4 py-2 text-right">{t('fearing-rerenders.table.value')}</th>
               </tr>
             </thead>
             <tbody>
               {filteredItems.slice(0, 50).map(item => (
-                <tr key={item.id} className="border-t border-green-200">
+                <tr key={item.id} className="border-t border-good-200">
                   <td className="px-4 py-2">{item.name}</td>
                   <td className="px-4 py-2">{item.category}</td>
                   <td className="px-4 py-2 text-right">{item.value.toFixed(2)}</td>
@@ -322,69 +349,65 @@ const GoodImplementation = () => {
             </tbody>
           </table>
         </div>
-        <p className="text-xs text-green-600 mt-2">
-          Showing first 50 of {filteredItems.length} items
+        <p className="text-xs text-good-600 mt-2">
+          {t('fearing-rerenders.showing', { count: filteredItems.length })}
         </p>
       </div>
     </div>
   );
 };
 
-// Main page component
-const FearingReRenders = () => {
-  const [showGood, setShowGood] = useState(false);
-
-  return (
-    <div>
-      <div className="mb-8">
-        <h1 className="text-4xl font-bold text-gray-900 mb-3">
-          Misconception #2: Fearing Re-renders
-        </h1>
-        <p className="text-lg text-gray-600 mb-6">
-          Re-renders aren't the enemy. Expensive calculations running on every render are.
-        </p>
+// Side-by-side mode: the same filters and clicks drive both implementations
+const sharedInputs = (t) => [
+  { name: 'filter', label: t('fearing-rerenders.filterByName'), placeholder: t('fearing-rerenders.filterPlaceholder') },
+  {
+    name: 'category',
+    label: t('fearing-rerenders.filterByCategory'),
+    type: 'select',
+    initialValue: 'ALL',
+    options: [
+      { value: 'ALL', label: t('fearing-rerenders.allCategories') },
+      ...['A', 'B', 'C', 'D'].map((name) => ({ value: name, label: t('fearing-rerenders.category', { name }) })),
+    ],
+  },
+  {
+    name: 'unrelated',
+    label: t('fearing-rerenders.unrelatedCounter'),
+    type: 'button',
+    buttonLabel: t('fearing-rerenders.shared.clickBoth'),
+  },
+];
 
-        <div className="flex gap-3">
-          <button
-            onClick={() => setShowGood(false)}
-            className={`px-6 py-3 rounded-lg font-semibold transition-all ${
-              !showGood
-                ? 'bg-red-600 text-white shadow-lg'
-                : 'bg-gray-200 text-gray-700 hover:bg-gray-300'
-            }`}
-          >
-            ❌ Bad Implementation
-          </button>
-          <button
-            onClick={() => setShowGood(true)}
-            className={`px-6 py-3 rounded-lg font-semibold transition-all ${
-              showGood
-                ? 'bg-green-600 text-white shadow-lg'
-                : 'bg-gray-200 text-gray-700 hover:bg-gray-300'
-            }`}
-          >
-            ✅ Good Implementation
-          </button>
-        </div>
-      </div>
+const comparisons = (t) => [
+  { label: t('fearing-rerenders.comparisons.renders'), bad: 'BadImplementation', good: 'GoodImplementation' },
+  {
+    label: t('fearing-rerenders.comparisons.calculations'),
+    bad: 'BadImplementation',
+    good: 'GoodImplementation',
+    field: 'calculations',
+  },
+  {
+    label: t('fearing-rerenders.comparisons.lastCalculation'),
+    bad: 'BadImplementation',
+    good: 'GoodImplementation',
+    field: 'calculationTime',
+    format: (time) => `${time.toFixed(2)}ms`,
+  },
+];
 
-      <div className="bg-white rounded-xl shadow-lg p-8">
-        {!showGood ? <BadImplementation /> : <GoodImplementation />}
-      </div>
+// Main page component
+const FearingReRenders = ({ implementation }) => {
+  const t = useTranslation();
 
-      <div className="mt-8 bg-blue-50 border-l-4 border-blue-500 p-6 rounded">
-        <h3 className="text-lg font-semibold text-blue-900 mb-2">
-          📚 Key Takeaway
-        </h3>
-        <p className="text-blue-800">
-          React's reconciliation (diffing virtual DOM and updating real DOM) is highly optimized.
-          A component can re-render hundreds of times per second without issues. The real
-          performance bottleneck is usually expensive calculations, API calls, or DOM
-          manipulations. Use <code className="bg-blue-100 px-1 rounded">useMemo</code> to cache
-          expensive calculations, not to prevent re-renders.
-        </p>
-      </div>
-    </div>
+  return (
+    <DemoStage
+      implementation={implementation}
+      bad={<BadImplementation />}
+      good={<GoodImplementation />}
+      sharedInputs={sharedInputs(t)}
+      comparisons={comparisons(t)}
+      className="bg-neutral-0 rounded-xl shadow-lg p-4 sm:p-8"
+    />
   );
 };
 
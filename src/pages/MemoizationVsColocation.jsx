@@ -1,6 +1,15 @@
-import React, { useState, memo } from 'react';
-import PageHeader from '../components/PageHeader';
-import KeyTakeaway from '../components/KeyTakeaway';
+import React, { useId, useState, memo } from 'react';
+import DemoStage from '../components/DemoStage';
+import RenderStat from '../components/RenderStat';
+import RenderFlash from '../components/RenderFlash';
+import LatencySparkline from '../components/LatencySparkline';
+import Message from '../components/Message';
+import { useRenderTracker } from '../hooks/useRenderMetrics';
+import { useInputLatency } from '../hooks/useInputLatency';
+import { useSharedInput } from '../hooks/useSharedInput';
+import { useSettings } from '../hooks/useSettings';
+import { useTranslation } from '../hooks/useLocale';
+import { busyWait } from '../lib/workload';
 
 /**
  * MISCONCEPTION #1: Memoization vs. Colocation
@@ -10,36 +19,29 @@ import KeyTakeaway from '../components/KeyTakeaway';
  */
 
 // Simulate an expensive component that takes time to render
-const ExpensiveComponent = memo(({ renderCount }) => {
-  const [isRendering, setIsRendering] = useState(false);
-  
-  // Simulate expensive computation (BAD: this shouldn't be necessary!)
-  React.useEffect(() => {
-    setIsRendering(true);
-    const timer = setTimeout(() => setIsRendering(false), 150);
-    return () => clearTimeout(timer);
-  }, [renderCount]);
+const ExpensiveComponent = memo(({ options }) => {
+  const t = useTranslation();
+  useRenderTracker('ExpensiveComponent');
 
-  let startTime = performance.now();
-  while (performance.now() - startTime < 100) {
-    // Artificial delay - simulates slow component
-  }
+  // Artificial delay - simulates slow component
+  busyWait(options.delay);
 
   return (
-    <div className="p-6 bg-amber-50 border border-amber-200 rounded-xl relative overflow-hidden">
-      {isRendering && (
-        <div className="absolute inset-0 bg-amber-200/50 animate-pulse flex items-center justify-center">
-          <span className="text-amber-900 font-bold">⏳ Rendering...</span>
-        </div>
-      )}
-      <h3 className="text-lg font-semibold text-amber-900 mb-2">
-        💤 Slow Component (wrapped in memo)
+    <div className="p-4 sm:p-6 bg-warning-50 border border-warning-200 rounded-xl relative overflow-hidden">
+      <RenderFlash
+        id="ExpensiveComponent"
+        className="absolute inset-0 bg-warning-200/50 flex items-center justify-center pointer-events-none"
+      >
+        <span className="text-warning-900 font-bold">{t('memoization.rendering')}</span>
+      </RenderFlash>
+      <h3 className="text-lg font-semibold text-warning-900 mb-2">
+        {t('memoization.bad.slowTitle')}
       </h3>
-      <p className="text-amber-800 text-sm">
-        Render count: <span className="font-bold">{renderCount}</span>
+      <p className="text-warning-800 text-sm">
+        {t('memoization.renderCount')} <RenderStat id="ExpensiveComponent" className="font-bold" />
       </p>
-      <p className="text-xs text-amber-700 mt-2">
-        This component has artificial lag (~100ms)
+      <p className="text-xs text-warning-700 mt-2">
+        {t('memoization.bad.slowLag', { delay: options.delay })}
       </p>
     </div>
   );
@@ -50,73 +52,72 @@ ExpensiveComponent.displayName = 'ExpensiveComponent';
 // ❌ BAD: Input state causes entire parent to re-render
 const BadImplementation = () => {
   const [inputValue, setInputValue] = useState('');
-  const [renderCount, setRenderCount] = useState(0);
-  const [lastRenderTime, setLastRenderTime] = useState(0);
-
-  // This runs on every render, including when typing
-  React.useEffect(() => {
-    const now = Date.now();
-    if (renderCount > 0) {
-      setLastRenderTime(now);
-    }
-    setRenderCount(prev => prev + 1);
-  });
+  const { renderDelay } = useSettings();
+  const t = useTranslation();
+  useRenderTracker('BadImplementation');
+  useSharedInput('text', setInputValue);
+  const inputRef = useInputLatency('BadInput');
+  const inputId = useId();
 
   return (
     <div className="space-y-4">
-      <div className="bg-white border border-rose-200 rounded-xl p-6 relative">
-        {lastRenderTime > 0 && Date.now() - lastRenderTime < 200 && (
-          <div className="absolute top-2 right-2 px-3 py-1 bg-rose-500 text-white text-xs font-bold rounded-full animate-pulse">
-            🔄 Parent Re-rendering
-          </div>
-        )}
-        <h3 className="text-xl font-bold text-rose-900 mb-4 flex items-center gap-2">
-          <span>❌</span> Bad Implementation: memo as a Band-Aid
-        </h3>
+      <div className="bg-neutral-0 border border-bad-200 rounded-xl p-4 sm:p-6 relative">
+        <RenderFlash
+          id="BadImplementation"
+          className="absolute top-2 right-2 px-3 py-1 bg-bad-500 text-neutral-0 text-xs font-bold rounded-full"
+        >
+          {t('memoization.bad.flash')}
+        </RenderFlash>
+        <h2 className="text-xl font-bold text-bad-900 mb-4 flex items-center gap-2">
+          <span>❌</span> {t('memoization.bad.title')}
+        </h2>
         
-        <div className="bg-rose-100 border border-rose-200 p-4 rounded-lg mb-4">
+        <div className="bg-bad-100 border border-bad-200 p-4 rounded-lg mb-4">
           <div className="grid grid-cols-2 gap-4 text-center">
             <div>
-              <div className="text-3xl font-bold text-rose-800">{renderCount}</div>
-              <div className="text-xs text-rose-700">Parent Renders</div>
+              <RenderStat id="BadImplementation" className="block text-3xl font-bold text-bad-800" />
+              <div className="text-xs text-bad-700">{t('memoization.bad.parentRenders')}</div>
             </div>
             <div>
-              <div className="text-3xl font-bold text-rose-800">{inputValue.length}</div>
-              <div className="text-xs text-rose-700">Characters Typed</div>
+              <div className="text-3xl font-bold text-bad-800">{inputValue.length}</div>
+              <div className="text-xs text-bad-700">{t('memoization.bad.charactersTyped')}</div>
             </div>
           </div>
         </div>
 
         <div className="space-y-4">
           <div>
-            <label className="block text-sm font-medium text-slate-700 mb-2">
-              Type here (notice the lag):
+            <label htmlFor={inputId} className="block text-sm font-medium text-neutral-700 mb-2">
+              {t('memoization.bad.inputLabel')}
             </label>
             <input
+              id={inputId}
+              ref={inputRef}
               type="text"
               value={inputValue}
               onChange={(e) => setInputValue(e.target.value)}
-              placeholder="Start typing..."
-              className="w-full px-4 py-2.5 border border-slate-300 rounded-lg focus:ring-2 focus:ring-rose-500 focus:border-transparent transition"
+              placeholder={t('memoization.placeholder')}
+              className="w-full px-4 py-2.5 border border-neutral-300 rounded-lg focus:ring-2 focus:ring-bad-500 focus:border-transparent transition"
             />
-            <p className="text-xs text-slate-500 mt-1.5">
-              Value: {inputValue || '(empty)'}
+            <p className="text-xs text-neutral-500 mt-1.5">
+              {t('memoization.value', { value: inputValue || t('memoization.empty') })}
             </p>
+            <LatencySparkline id="BadInput" className="mt-3" />
           </div>
 
-          <ExpensiveComponent renderCount={renderCount} />
+          {/* ❌ A new options object on every render, so memo's shallow compare always fails */}
+          <ExpensiveComponent options={{ delay: renderDelay }} />
 
-          <div className="bg-rose-50 border border-rose-200 p-5 rounded-xl">
-            <p className="text-sm text-rose-900 mb-2">
-              <strong className="font-semibold">⚠️ The Problem:</strong> The input state lives in the parent component.
-              Every keystroke causes the parent to re-render. Even though we wrapped the
-              expensive component in <code className="bg-rose-100 text-rose-900 px-1.5 py-0.5 rounded font-mono text-xs">React.memo</code>,
-              the parent still re-renders, causing noticeable lag when typing.
+          <div data-callout="problem" className="bg-bad-50 border border-bad-200 p-5 rounded-xl">
+            <p className="text-sm text-bad-900 mb-2">
+              <strong className="font-semibold">{t('common.callout.problem')}</strong>{' '}
+              <Message
+                id="memoization.problem.lead"
+                components={{ code: <code className="bg-bad-100 text-bad-900 px-1.5 py-0.5 rounded font-mono text-xs" /> }}
+              />
             </p>
-            <p className="text-sm text-rose-900">
-              <strong className="font-semibold">Why memo isn't enough:</strong> memo prevents the <em>child</em> from
-              re-rendering, but the parent (where the input lives) still re-renders on every
-              keystroke, creating the lag you feel.
+            <p className="text-sm text-bad-900">
+              <Message id="memoization.problem.why" components={{ strong: <strong className="font-semibold" /> }} />
             </p>
           </div>
         </div>
@@ -129,97 +130,93 @@ const BadImplementation = () => {
 const InputComponent = () => {
   // State is now isolated in this component
   const [inputValue, setInputValue] = useState('');
+  const t = useTranslation();
+  useSharedInput('text', setInputValue);
+  const inputRef = useInputLatency('GoodInput');
+  const inputId = useId();
 
   return (
-    <div className="bg-white border border-emerald-200 rounded-xl p-4">
-      <label className="block text-sm font-medium text-slate-700 mb-2">
-        Type here (smooth & fast):
+    <div className="bg-neutral-0 border border-good-200 rounded-xl p-4">
+      <label htmlFor={inputId} className="block text-sm font-medium text-neutral-700 mb-2">
+        {t('memoization.good.inputLabel')}
       </label>
       <input
+        id={inputId}
+        ref={inputRef}
         type="text"
         value={inputValue}
         onChange={(e) => setInputValue(e.target.value)}
-        placeholder="Start typing..."
-        className="w-full px-4 py-2.5 border border-slate-300 rounded-lg focus:ring-2 focus:ring-emerald-500 focus:border-transparent transition"
+        placeholder={t('memoization.placeholder')}
+        className="w-full px-4 py-2.5 border border-neutral-300 rounded-lg focus:ring-2 focus:ring-good-500 focus:border-transparent transition"
       />
-      <p className="text-xs text-slate-500 mt-1.5">
-        Value: {inputValue || '(empty)'}
+      <p className="text-xs text-neutral-500 mt-1.5">
+        {t('memoization.value', { value: inputValue || t('memoization.empty') })}
       </p>
+      <LatencySparkline id="GoodInput" className="mt-3" />
     </div>
   );
 };
 
-const SlowComponentWithoutMemo = ({ renderCount }) => {
-  const [isRendering, setIsRendering] = useState(false);
-  
-  React.useEffect(() => {
-    setIsRendering(true);
-    const timer = setTimeout(() => setIsRendering(false), 150);
-    return () => clearTimeout(timer);
-  }, [renderCount]);
+const SlowComponentWithoutMemo = ({ options }) => {
+  const t = useTranslation();
+  useRenderTracker('SlowComponentWithoutMemo');
 
   // Same expensive computation, but no memo needed!
-  let startTime = performance.now();
-  while (performance.now() - startTime < 100) {
-    // Artificial delay
-  }
+  busyWait(options.delay);
 
   return (
-    <div className="p-6 bg-emerald-50 border border-emerald-200 rounded-xl relative overflow-hidden">
-      {isRendering && (
-        <div className="absolute inset-0 bg-emerald-200/50 animate-pulse flex items-center justify-center">
-          <span className="text-emerald-900 font-bold">⏳ Rendering...</span>
-        </div>
-      )}
-      <h3 className="text-lg font-semibold text-emerald-900 mb-2">
-        💤 Slow Component (NO memo needed!)
+    <div className="p-4 sm:p-6 bg-good-50 border border-good-200 rounded-xl relative overflow-hidden">
+      <RenderFlash
+        id="SlowComponentWithoutMemo"
+        className="absolute inset-0 bg-good-200/50 flex items-center justify-center pointer-events-none"
+      >
+        <span className="text-good-900 font-bold">{t('memoization.rendering')}</span>
+      </RenderFlash>
+      <h3 className="text-lg font-semibold text-good-900 mb-2">
+        {t('memoization.good.slowTitle')}
       </h3>
-      <p className="text-emerald-800 text-sm">
-        Render count: <span className="font-bold">{renderCount}</span>
+      <p className="text-good-800 text-sm">
+        {t('memoization.renderCount')} <RenderStat id="SlowComponentWithoutMemo" className="font-bold" />
       </p>
-      <p className="text-xs text-emerald-700 mt-2">
-        This component has the same lag, but doesn't re-render unnecessarily
+      <p className="text-xs text-good-700 mt-2">
+        {t('memoization.good.slowLag')}
       </p>
     </div>
   );
 };
 
 const GoodImplementation = () => {
-  const [renderCount, setRenderCount] = useState(0);
-
-  React.useEffect(() => {
-    setRenderCount(prev => prev + 1);
-  });
+  const { renderDelay } = useSettings();
+  const t = useTranslation();
+  useRenderTracker('GoodImplementation');
 
   return (
     <div className="space-y-4">
-      <div className="bg-white border border-emerald-200 rounded-xl p-6">
-        <h3 className="text-xl font-bold text-emerald-900 mb-4 flex items-center gap-2">
-          <span>✅</span> Good Implementation: State Colocation
-        </h3>
+      <div className="bg-neutral-0 border border-good-200 rounded-xl p-4 sm:p-6">
+        <h2 className="text-xl font-bold text-good-900 mb-4 flex items-center gap-2">
+          <span>✅</span> {t('memoization.good.title')}
+        </h2>
         
         <div className="space-y-4">
           {/* Input is now in its own component */}
           <InputComponent />
 
           {/* Slow component doesn't need memo because parent rarely re-renders */}
-          <SlowComponentWithoutMemo renderCount={renderCount} />
-
-          <div className="bg-emerald-50 border border-emerald-200 p-5 rounded-xl">
-            <p className="text-sm text-emerald-900 mb-2">
-              <strong className="font-semibold">✅ The Solution:</strong> We moved the input state into its own component
-              (<code className="bg-emerald-100 text-emerald-900 px-1.5 py-0.5 rounded font-mono text-xs">InputComponent</code>). Now when you
-              type, only that small component re-renders. The parent and slow component stay
-              completely stable.
+          <SlowComponentWithoutMemo options={{ delay: renderDelay }} />
+
+          <div data-callout="solution" className="bg-good-50 border border-good-200 p-5 rounded-xl">
+            <p className="text-sm text-good-900 mb-2">
+              <strong className="font-semibold">{t('common.callout.solution')}</strong>{' '}
+              <Message
+                id="memoization.solution.lead"
+                components={{ code: <code className="bg-good-100 text-good-900 px-1.5 py-0.5 rounded font-mono text-xs" /> }}
+              />
             </p>
-            <p className="text-sm text-emerald-900 mb-2">
-              <strong className="font-semibold">Key Principle:</strong> "State Colocation" - Keep state as close as possible
-              to where it's used. This prevents unnecessary re-renders in unrelated parts of your
-              component tree. No memo needed!
+            <p className="text-sm text-good-900 mb-2">
+              <Message id="memoization.solution.principle" components={{ strong: <strong className="font-semibold" /> }} />
             </p>
-            <p className="text-sm text-emerald-900">
-              <strong className="font-semibold">When to use memo:</strong> Use it when a component receives the same props
-              but re-renders due to its parent's state changes. But first, try moving state down.
+            <p className="text-sm text-good-900">
+              <Message id="memoization.solution.whenMemo" components={{ strong: <strong className="font-semibold" /> }} />
             </p>
           </div>
         </div>
@@ -228,37 +225,29 @@ const GoodImplementation = () => {
   );
 };
 
-// Main page component with toggle
-const MemoizationVsColocation = () => {
-  const [showGood, setShowGood] = useState(false);
+// Side-by-side mode: one text field types into both implementations
+const sharedInputs = (t) => [
+  { name: 'text', label: t('memoization.shared.text'), placeholder: t('memoization.placeholder') },
+];
 
-  return (
-    <div>
-      <PageHeader
-        title="Misconception #1: Memoization vs. Colocation"
-        description={
-          <>
-            Don't reach for <code className="bg-slate-100 text-slate-900 px-2 py-1 rounded font-mono text-sm">React.memo</code> first.
-            Consider restructuring your components instead.
-          </>
-        }
-        showGood={showGood}
-        onToggle={setShowGood}
-      />
+const comparisons = (t) => [
+  { label: t('memoization.comparisons.parent'), bad: 'BadImplementation', good: 'GoodImplementation' },
+  { label: t('memoization.comparisons.slow'), bad: 'ExpensiveComponent', good: 'SlowComponentWithoutMemo' },
+];
 
-      <div className="bg-slate-50 rounded-2xl border border-slate-200 p-8">
-        {!showGood ? <BadImplementation /> : <GoodImplementation />}
-      </div>
+// Main page component
+const MemoizationVsColocation = ({ implementation }) => {
+  const t = useTranslation();
 
-      <KeyTakeaway>
-        <p>
-          Before adding <code className="bg-slate-800 text-slate-100 px-2 py-0.5 rounded font-mono text-sm">React.memo</code>, ask yourself:
-          "Can I move this state closer to where it's actually used?" State colocation is often
-          a better solution than memoization. It makes your code simpler, easier to understand,
-          and naturally prevents unnecessary re-renders.
-        </p>
-      </KeyTakeaway>
-    </div>
+  return (
+    <DemoStage
+      implementation={implementation}
+      bad={<BadImplementation />}
+      good={<GoodImplementation />}
+      sharedInputs={sharedInputs(t)}
+      comparisons={comparisons(t)}
+      className="bg-neutral-50 rounded-2xl border border-neutral-200 p-4 sm:p-8"
+    />
   );
 };
 
@@ -0,0 +1,33 @@
+import React from 'react';
+import Message from '../components/Message';
+import { useTranslation } from '../hooks/useLocale';
+import { buildPath } from '../lib/router';
+import { lessons } from '../lessons/registry';
+
+// Shown for any URL that doesn't match a lesson, instead of silently
+// falling back to the first page
+const NotFound = ({ path }) => {
+  const t = useTranslation();
+
+  return (
+    <div className="py-16 text-center">
+      <div className="text-6xl mb-6">🧭</div>
+      <h1 className="text-4xl font-bold text-neutral-900 mb-3 tracking-tight">{t('notFound.title')}</h1>
+      <p className="text-lg text-neutral-600 mb-8 leading-relaxed">
+        <Message
+          id="notFound.text"
+          values={{ path }}
+          components={{ code: <code className="bg-neutral-100 text-neutral-900 px-2 py-1 rounded font-mono text-sm" /> }}
+        />
+      </p>
+      <a
+        href={buildPath(lessons[0].id)}
+        className="inline-block px-5 py-2.5 rounded-lg font-medium text-sm bg-neutral-900 text-neutral-0 shadow-sm hover:bg-neutral-800 transition-all"
+      >
+        {t('notFound.back')}
+      </a>
+    </div>
+  );
+};
+
+export default NotFound;
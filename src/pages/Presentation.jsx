@@ -0,0 +1,309 @@
+import React, { Suspense, useEffect, useRef, useState } from 'react';
+import CodeMessage from '../components/CodeMessage';
+import { LessonFallback } from '../components/LessonPage';
+import Message from '../components/Message';
+import { useLocale, useTranslation } from '../hooks/useLocale';
+import { getLesson, lessons } from '../lessons/registry';
+import { isEditing } from '../lib/focus';
+import { isMessage, lessonTitle } from '../lib/i18n';
+import { buildPath, navigate } from '../lib/router';
+import {
+  VIEWS,
+  buildDeck,
+  buildPresentationPath,
+  createPresentationSync,
+  slideIndex,
+  slideLabel,
+} from '../lib/presentation';
+
+const deck = buildDeck(lessons);
+
+const positionKey = ({ lessonId, slide }) => `${lessonId}/${slide}`;
+
+const toggleFullscreen = () => {
+  if (document.fullscreenElement) document.exitFullscreen?.();
+  else document.documentElement.requestFullscreen?.();
+};
+
+const openPresenterView = (position) => {
+  window.open(buildPresentationPath(VIEWS.presenter, position), 'react-misconceptions-presenter', 'popup');
+};
+
+const formatElapsed = (seconds) =>
+  `${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, '0')}`;
+
+// Follows the other presentation windows and tells them when this one moves.
+// A position received from another window isn't announced back, or two
+// windows would bounce each other between slides.
+const usePresentationSync = (view, position) => {
+  const syncRef = useRef(null);
+  const receivedRef = useRef(null);
+
+  useEffect(() => {
+    const sync = createPresentationSync((next) => {
+      receivedRef.current = positionKey(next);
+      navigate(buildPresentationPath(view, next));
+    });
+    syncRef.current = sync;
+    return () => sync.close();
+  }, [view]);
+
+  const { lessonId, slide } = position;
+  useEffect(() => {
+    if (slideIndex(deck, { lessonId, slide }) === -1) return;
+    if (receivedRef.current === positionKey({ lessonId, slide })) {
+      receivedRef.current = null;
+      return;
+    }
+    syncRef.current.announce({ lessonId, slide });
+  }, [lessonId, slide]);
+};
+
+const useSlideKeys = (handlers) => {
+  const handlersRef = useRef(handlers);
+  useEffect(() => {
+    handlersRef.current = handlers;
+  });
+
+  useEffect(() => {
+    const onKeyDown = (event) => {
+      if (event.altKey || event.ctrlKey || event.metaKey || isEditing(event.target)) return;
+      const handler = handlersRef.current[event.key];
+      if (!handler) return;
+      event.preventDefault();
+      handler();
+    };
+    window.addEventListener('keydown', onKeyDown);
+    return () => window.removeEventListener('keydown', onKeyDown);
+  }, []);
+};
+
+const ProblemSlide = ({ lesson }) => {
+  const locale = useLocale();
+  const t = useTranslation();
+
+  return (
+    <div className="min-h-full flex flex-col justify-center max-w-4xl">
+      <p className="text-7xl mb-6">{lesson.icon}</p>
+      <p className="text-xl font-semibold text-neutral-500 uppercase tracking-wider mb-3">
+        {t('presentation.misconception', { number: lesson.number })}
+      </p>
+      <h1 className="text-6xl font-bold text-neutral-900 tracking-tight mb-8">{lessonTitle(locale, lesson)}</h1>
+      <p className="text-3xl text-neutral-600 leading-relaxed">{lesson.description}</p>
+    </div>
+  );
+};
+
+const DemoSlide = ({ lesson, implementation }) => {
+  const { Component } = lesson;
+  const locale = useLocale();
+  const t = useTranslation();
+
+  return (
+    <div>
+      <h2 className="text-2xl font-bold text-neutral-900 mb-6">
+        {lesson.icon} {lessonTitle(locale, lesson)} <span className="text-neutral-400">·</span>{' '}
+        {t(slideLabel(implementation))}
+      </h2>
+      <Suspense fallback={<LessonFallback />}>
+        <Component key={implementation} implementation={implementation} />
+      </Suspense>
+    </div>
+  );
+};
+
+const TakeawaySlide = ({ lesson }) => {
+  const locale = useLocale();
+  const t = useTranslation();
+
+  return (
+    <div className="min-h-full flex flex-col justify-center max-w-4xl">
+      <h2 className="text-4xl font-bold text-neutral-900 mb-8">
+        {t('presentation.takeaway', { title: lessonTitle(locale, lesson) })}
+      </h2>
+      <div className="text-2xl text-neutral-700 leading-relaxed space-y-6">{lesson.takeaway}</div>
+    </div>
+  );
+};
+
+const Slide = ({ lesson, slide }) => {
+  if (slide === 'problem') return <ProblemSlide lesson={lesson} />;
+  if (slide === 'takeaway') return <TakeawaySlide lesson={lesson} />;
+  return <DemoSlide lesson={lesson} implementation={slide} />;
+};
+
+const navButtonClass =
+  'px-4 py-2 rounded-lg text-sm font-medium bg-neutral-100 text-neutral-700 hover:bg-neutral-200 disabled:opacity-40 transition-all';
+
+const SlidesView = ({ lesson, position, index, goto, exit }) => {
+  const locale = useLocale();
+  const t = useTranslation();
+
+  return (
+    <div className="h-screen flex flex-col bg-neutral-0">
+      <main className="flex-1 overflow-auto px-16 py-12">
+        <Slide lesson={lesson} slide={position.slide} />
+      </main>
+
+      <footer className="flex items-center gap-2 px-6 py-3 border-t border-neutral-200 bg-neutral-50">
+        <button onClick={() => goto(index - 1)} disabled={index === 0} className={navButtonClass}>
+          {t('presentation.previous')}
+        </button>
+        <button onClick={() => goto(index + 1)} disabled={index === deck.length - 1} className={navButtonClass}>
+          {t('presentation.next')}
+        </button>
+        <span className="px-3 text-sm text-neutral-500">
+          {index + 1} / {deck.length} · {lessonTitle(locale, lesson)} · {t(slideLabel(position.slide))}
+        </span>
+        <span className="ml-auto" />
+        <button onClick={() => openPresenterView(position)} className={navButtonClass}>
+          {t('presentation.presenterView')}
+        </button>
+        <button onClick={toggleFullscreen} className={navButtonClass}>
+          {t('presentation.fullscreen')}
+        </button>
+        <button onClick={exit} className={navButtonClass}>
+          {t('presentation.exit')}
+        </button>
+      </footer>
+    </div>
+  );
+};
+
+const PresenterView = ({ lesson, position, index, goto }) => {
+  const [elapsed, setElapsed] = useState(0);
+  const next = deck[index + 1];
+  const notes = `${lesson.id}.notes.${position.slide}`;
+  const locale = useLocale();
+  const t = useTranslation();
+
+  useEffect(() => {
+    const timer = setInterval(() => setElapsed((seconds) => seconds + 1), 1000);
+    return () => clearInterval(timer);
+  }, []);
+
+  return (
+    <div data-theme="dark" className="min-h-screen bg-neutral-100 text-neutral-950 p-10 flex flex-col gap-8">
+      <header className="flex items-center gap-4">
+        <p className="text-sm text-neutral-600">{t('presentation.slideOf', { number: index + 1, count: deck.length })}</p>
+        <p className="ml-auto font-mono text-3xl" aria-label={t('presentation.elapsed')}>
+          {formatElapsed(elapsed)}
+        </p>
+        <button
+          onClick={() => setElapsed(0)}
+          className="px-3 py-1.5 rounded-lg text-xs font-medium bg-neutral-200 hover:bg-neutral-300"
+        >
+          {t('presentation.resetTimer')}
+        </button>
+      </header>
+
+      <section>
+        <p className="text-sm font-semibold text-neutral-600 uppercase tracking-wider mb-1">
+          {lesson.icon} {lessonTitle(locale, lesson)}
+        </p>
+        <h1 className="text-3xl font-bold">{t(slideLabel(position.slide))}</h1>
+      </section>
+
+      <section aria-labelledby="speaker-notes" className="flex-1">
+        <h2 id="speaker-notes" className="sr-only">
+          {t('presentation.notes')}
+        </h2>
+        <p className="text-2xl leading-relaxed text-neutral-900">
+          <CodeMessage id={isMessage(notes) ? notes : 'presentation.noNotes'} />
+        </p>
+      </section>
+
+      <footer className="flex items-center gap-3">
+        <button
+          onClick={() => goto(index - 1)}
+          disabled={index === 0}
+          className="px-5 py-3 rounded-lg font-medium bg-neutral-200 hover:bg-neutral-300 disabled:opacity-40"
+        >
+          {t('presentation.previous')}
+        </button>
+        <button
+          onClick={() => goto(index + 1)}
+          disabled={!next}
+          className="px-5 py-3 rounded-lg font-medium bg-neutral-950 text-neutral-100 hover:bg-neutral-900 disabled:opacity-40"
+        >
+          {t('presentation.next')}
+        </button>
+        <p className="ml-auto text-neutral-600">
+          {next
+            ? t('presentation.upNext', {
+                title: lessonTitle(locale, getLesson(next.lessonId)),
+                slide: t(slideLabel(next.slide)),
+              })
+            : t('presentation.lastSlide')}
+        </p>
+      </footer>
+    </div>
+  );
+};
+
+/**
+ * Fullscreen slides for workshops (see lib/presentation.js), or the presenter
+ * view with the speaker notes. Arrow keys and Page Up/Down move through the
+ * deck, Home/End jump to either end, F toggles fullscreen, P opens the
+ * presenter view and Escape goes back to the lesson. The demos on the slides
+ * are the real, interactive pages.
+ */
+const Presentation = ({ view, lessonId, slide }) => {
+  const position = { lessonId, slide };
+  const index = slideIndex(deck, position);
+  const lesson = getLesson(lessonId);
+  const t = useTranslation();
+
+  usePresentationSync(view, position);
+
+  const goto = (target) => {
+    if (deck[target]) navigate(buildPresentationPath(view, deck[target]));
+  };
+  const exit = () => navigate(buildPath(lessonId, slide === 'good' ? 'good' : 'bad'));
+
+  useSlideKeys({
+    ArrowRight: () => goto(index + 1),
+    ArrowDown: () => goto(index + 1),
+    PageDown: () => goto(index + 1),
+    ArrowLeft: () => goto(index - 1),
+    ArrowUp: () => goto(index - 1),
+    PageUp: () => goto(index - 1),
+    Home: () => goto(0),
+    End: () => goto(deck.length - 1),
+    ...(view === VIEWS.slides && {
+      f: toggleFullscreen,
+      p: () => openPresenterView(position),
+      Escape: () => {
+        if (!document.fullscreenElement) exit();
+      },
+    }),
+  });
+
+  if (index === -1) {
+    return (
+      <div className="min-h-screen flex items-center justify-center p-12 text-center">
+        <div>
+          <h1 className="text-3xl font-bold text-neutral-900 mb-3">{t('presentation.notFound.title')}</h1>
+          <p className="text-neutral-600 mb-6">
+            <Message
+              id="presentation.notFound.text"
+              values={{ slide: `${lessonId}/${slide}` }}
+              components={{ code: <code className="bg-neutral-100 px-2 py-1 rounded" /> }}
+            />
+          </p>
+          <a href={buildPresentationPath(view, deck[0])} className="font-medium text-neutral-900 underline">
+            {t('presentation.notFound.first')}
+          </a>
+        </div>
+      </div>
+    );
+  }
+
+  return view === VIEWS.presenter ? (
+    <PresenterView lesson={lesson} position={position} index={index} goto={goto} />
+  ) : (
+    <SlidesView lesson={lesson} position={position} index={index} goto={goto} exit={exit} />
+  );
+};
+
+export default Presentation;
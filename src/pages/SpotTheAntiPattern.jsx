@@ -0,0 +1,197 @@
+import React, { useState } from 'react';
+import { CodeLine } from '../components/CodeBlock';
+import CodeMessage from '../components/CodeMessage';
+import Message from '../components/Message';
+import { useLocale, useTranslation } from '../hooks/useLocale';
+import { snippets } from '../challenges/snippets';
+import { getLesson, lessons } from '../lessons/registry';
+import { lessonTitle } from '../lib/i18n';
+import { buildPath } from '../lib/router';
+import { gradeSelection, pickSnippet, snippetLines } from '../lib/challenge';
+
+const LINE_CLASSES = {
+  idle: 'hover:bg-neutral-200',
+  selected: 'bg-accent-500/20 border-l-4 border-accent-600',
+  hit: 'bg-good-500/20 border-l-4 border-good-600',
+  'false-positive': 'bg-bad-500/20 border-l-4 border-bad-600',
+  missed: 'bg-warning-500/20 border-l-4 border-warning-600',
+};
+
+const lineStatus = (line, isSelected, grade) => {
+  if (!grade) return isSelected ? 'selected' : 'idle';
+  const answer = grade.answers.find(({ lines: [from, to] }) => line >= from && line <= to);
+  if (isSelected) return answer ? 'hit' : 'false-positive';
+  return answer && !answer.found ? 'missed' : 'idle';
+};
+
+const poolFor = (lessonId) =>
+  lessonId === 'all' ? snippets : snippets.filter((snippet) => snippet.lesson === lessonId);
+
+// Interview-style exercise: find the lines a reviewer should flag in a short
+// snippet, then compare them with the annotated answer.
+const SpotTheAntiPattern = () => {
+  const locale = useLocale();
+  const t = useTranslation();
+  const [lessonId, setLessonId] = useState('all');
+  const [snippet, setSnippet] = useState(() => pickSnippet(snippets));
+  const [selected, setSelected] = useState([]);
+  const [grade, setGrade] = useState(null);
+  const [tally, setTally] = useState({ attempted: 0, solved: 0 });
+
+  const lines = snippetLines(snippet);
+  const lesson = getLesson(snippet.lesson);
+  const text = `challenge.snippets.${snippet.id}`;
+  const found = grade?.answers.filter((answer) => answer.found).length;
+
+  const show = (next) => {
+    setSnippet(next);
+    setSelected([]);
+    setGrade(null);
+  };
+
+  const changeLesson = (next) => {
+    setLessonId(next);
+    show(pickSnippet(poolFor(next)));
+  };
+
+  const toggleLine = (line) => {
+    setSelected((previous) =>
+      previous.includes(line) ? previous.filter((candidate) => candidate !== line) : [...previous, line]
+    );
+  };
+
+  const check = () => {
+    const result = gradeSelection(snippet, selected);
+    setGrade(result);
+    setTally((previous) => ({
+      attempted: previous.attempted + 1,
+      solved: previous.solved + (result.solved ? 1 : 0),
+    }));
+  };
+
+  return (
+    <div>
+      <div className="mb-10">
+        <h1 className="text-4xl font-bold text-neutral-900 mb-3 tracking-tight">{t('challenge.title')}</h1>
+        <p className="text-lg text-neutral-600 leading-relaxed">{t('challenge.intro')}</p>
+      </div>
+
+      <div className="bg-neutral-50 rounded-2xl border border-neutral-200 p-4 sm:p-8 space-y-6">
+        <div className="flex flex-wrap items-end justify-between gap-4">
+          <div>
+            <label htmlFor="challenge-lesson" className="block text-sm font-medium text-neutral-700 mb-2">
+              {t('challenge.misconception')}
+            </label>
+            <select
+              id="challenge-lesson"
+              value={lessonId}
+              onChange={(e) => changeLesson(e.target.value)}
+              className="px-4 py-2.5 border border-neutral-300 rounded-lg bg-neutral-0"
+            >
+              <option value="all">{t('challenge.all')}</option>
+              {lessons.map((candidate) => (
+                <option key={candidate.id} value={candidate.id}>
+                  {candidate.number}. {lessonTitle(locale, candidate)}
+                </option>
+              ))}
+            </select>
+          </div>
+          <p className="text-sm text-neutral-600" role="status">
+            <Message id="challenge.tally" values={tally} />
+          </p>
+        </div>
+
+        <div data-theme="dark" className="rounded-xl overflow-hidden border border-neutral-200 bg-neutral-100">
+          <div className="flex items-center justify-between gap-4 px-4 py-3 border-b border-neutral-200">
+            <h2 className="text-base font-semibold text-neutral-950">{t(`${text}.title`)}</h2>
+            <span className="text-xs text-neutral-600">
+              {t(snippet.answers.length === 1 ? 'challenge.toFindOne' : 'challenge.toFindMany', {
+                count: snippet.answers.length,
+              })}
+            </span>
+          </div>
+          <ol className="py-3 font-mono text-xs leading-relaxed text-neutral-900 overflow-x-auto" aria-label={t('challenge.lines')}>
+            {lines.map((text, index) => {
+              const line = index + 1;
+              const isSelected = selected.includes(line);
+              const status = lineStatus(line, isSelected, grade);
+
+              return (
+                <li key={line}>
+                  <button
+                    type="button"
+                    onClick={() => toggleLine(line)}
+                    disabled={grade !== null}
+                    aria-pressed={isSelected}
+                    data-line={line}
+                    data-status={status}
+                    className={`w-full flex text-left px-4 border-l-4 border-transparent ${LINE_CLASSES[status]}`}
+                  >
+                    <span className="w-8 shrink-0 pr-4 text-right text-neutral-500 select-none">{line}</span>
+                    <CodeLine text={text} />
+                  </button>
+                </li>
+              );
+            })}
+          </ol>
+        </div>
+
+        <div className="flex flex-wrap gap-2">
+          <button
+            onClick={check}
+            disabled={grade !== null || selected.length === 0}
+            className="px-5 py-2.5 rounded-lg font-medium text-sm bg-neutral-900 text-neutral-0 shadow-sm hover:bg-neutral-800 disabled:opacity-50 transition-all"
+          >
+            {t('challenge.check')}
+          </button>
+          <button
+            onClick={() => show(pickSnippet(poolFor(lessonId), snippet.id))}
+            className="px-5 py-2.5 rounded-lg font-medium text-sm bg-neutral-100 text-neutral-700 hover:bg-neutral-200 transition-all"
+          >
+            {t('challenge.next')}
+          </button>
+        </div>
+
+        {grade && (
+          <div className="space-y-3">
+            <p className={`text-sm font-semibold ${grade.solved ? 'text-good-800' : 'text-bad-800'}`}>
+              {grade.solved
+                ? t('challenge.spotOn')
+                : t(grade.falsePositives.length > 0 ? 'challenge.foundWithFalsePositives' : 'challenge.found', {
+                    found,
+                    total: grade.answers.length,
+                    count: grade.falsePositives.length,
+                  })}
+            </p>
+            {grade.answers.map((answer, index) => (
+              <div
+                key={answer.lines.join('-')}
+                className={`p-4 rounded-lg text-sm border ${
+                  answer.found ? 'bg-good-50 border-good-200 text-good-900' : 'bg-warning-50 border-warning-200 text-warning-900'
+                }`}
+              >
+                <p className="font-semibold mb-1">
+                  {answer.found ? '✅' : t('challenge.missed')}{' '}
+                  {answer.lines[0] === answer.lines[1]
+                    ? t('challenge.line', { line: answer.lines[0] })
+                    : t('challenge.range', { from: answer.lines[0], to: answer.lines[1] })}
+                </p>
+                <p>
+                  <CodeMessage id={`${text}.answers.${index}`} />
+                </p>
+              </div>
+            ))}
+            <a
+              href={buildPath(lesson.id)}
+              className="inline-block text-sm font-medium text-neutral-700 underline underline-offset-2"
+            >
+              {lesson.icon} {t('challenge.review', { title: lessonTitle(locale, lesson) })}
+            </a>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default SpotTheAntiPattern;
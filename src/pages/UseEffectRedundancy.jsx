@@ -1,4 +1,13 @@
-import React, { useState, useEffect } from 'react';
+import React, { useId, useState, useEffect } from 'react';
+import DemoStage from '../components/DemoStage';
+import RenderStat from '../components/RenderStat';
+import RenderFlash from '../components/RenderFlash';
+import LatencySparkline from '../components/LatencySparkline';
+import Message from '../components/Message';
+import { useRenderTracker } from '../hooks/useRenderMetrics';
+import { useInputLatency } from '../hooks/useInputLatency';
+import { useSharedInput } from '../hooks/useSharedInput';
+import { useTranslation } from '../hooks/useLocale';
 
 /**
  * MISCONCEPTION #5: useEffect Redundancy
@@ -11,77 +20,69 @@ import React, { useState, useEffect } from 'react';
 // ❌ BAD: Using useEffect to sync derived state
 const BadUserCard = ({ firstName, lastName, email }) => {
   const [fullName, setFullName] = useState('');
-  const [renderCount, setRenderCount] = useState(0);
   const [effectRunCount, setEffectRunCount] = useState(0);
-  const [isFlashing, setIsFlashing] = useState(false);
-
-  // Track renders
-  useEffect(() => {
-    setRenderCount(prev => prev + 1);
-  });
+  const t = useTranslation();
+  useRenderTracker('BadUserCard');
 
   // ❌ BAD: Using useEffect to calculate a derived value
   // This causes TWO renders every time firstName or lastName changes:
   // 1. Initial render with old fullName (FLASH!)
   // 2. Effect runs and updates fullName, triggering another render
   useEffect(() => {
-    setIsFlashing(true);
     setFullName(`${firstName} ${lastName}`);
     setEffectRunCount(prev => prev + 1);
-    const timer = setTimeout(() => setIsFlashing(false), 300);
-    return () => clearTimeout(timer);
   }, [firstName, lastName]);
 
   return (
-    <div className="bg-red-50 border-2 border-red-300 rounded-lg p-6 relative">
-      {isFlashing && (
-        <div className="absolute inset-0 bg-yellow-300/50 rounded-lg animate-pulse pointer-events-none" />
-      )}
-      <h3 className="text-xl font-bold text-red-800 mb-4">
-        👤 User Card (Bad Version)
-      </h3>
+    <div className="bg-bad-50 border-2 border-bad-300 rounded-lg p-4 sm:p-6 relative">
+      <RenderFlash
+        id="BadUserCard"
+        duration={300}
+        className="absolute inset-0 bg-warning-300/50 rounded-lg pointer-events-none"
+      />
+      <h2 className="text-xl font-bold text-bad-800 mb-4">
+        {t('useeffect-redundancy.bad.cardTitle')}
+      </h2>
 
       <div className="space-y-3 mb-4">
         <div className="flex items-center gap-3">
-          <span className="text-sm font-semibold text-gray-700 w-24">Full Name:</span>
-          <span className={`text-lg font-bold text-gray-900 transition-all ${
-            isFlashing ? 'text-red-600' : ''
-          }`}>
-            {fullName || '(empty - waiting for effect...)'}
+          <span className="text-sm font-semibold text-neutral-700 w-24">{t('useeffect-redundancy.fullName')}</span>
+          <span className="text-lg font-bold text-neutral-900">
+            {fullName || t('useeffect-redundancy.bad.waiting')}
           </span>
-          {isFlashing && (
-            <span className="text-xs bg-yellow-400 text-yellow-900 px-2 py-1 rounded-full font-bold animate-pulse">
-              ⚡ Syncing...
-            </span>
-          )}
+          <RenderFlash
+            id="BadUserCard"
+            duration={300}
+            className="text-xs bg-warning-400 text-warning-900 px-2 py-1 rounded-full font-bold"
+          >
+            {t('useeffect-redundancy.bad.syncing')}
+          </RenderFlash>
         </div>
         <div className="flex items-center gap-3">
-          <span className="text-sm font-semibold text-gray-700 w-24">Email:</span>
-          <span className="text-gray-900">{email}</span>
+          <span className="text-sm font-semibold text-neutral-700 w-24">{t('useeffect-redundancy.email')}</span>
+          <span className="text-neutral-900">{email}</span>
         </div>
       </div>
 
-      <div className="bg-red-100 p-4 rounded-lg">
+      <div className="bg-bad-100 p-4 rounded-lg">
         <div className="grid grid-cols-2 gap-4 text-center mb-3">
           <div>
-            <div className="text-2xl font-bold text-red-800">{renderCount}</div>
-            <div className="text-xs text-red-700">Render Count</div>
-            <div className="text-xs text-red-600 font-semibold mt-1">😱 Extra renders!</div>
+            <RenderStat id="BadUserCard" className="block text-2xl font-bold text-bad-800" />
+            <div className="text-xs text-bad-700">{t('useeffect-redundancy.renderCount')}</div>
+            <div className="text-xs text-bad-600 font-semibold mt-1">{t('useeffect-redundancy.bad.extraRenders')}</div>
           </div>
           <div>
-            <div className="text-2xl font-bold text-red-800">{effectRunCount}</div>
-            <div className="text-xs text-red-700">Effect Runs</div>
-            <div className="text-xs text-red-600 font-semibold mt-1">Each triggers render</div>
+            <div className="text-2xl font-bold text-bad-800">{effectRunCount}</div>
+            <div className="text-xs text-bad-700">{t('useeffect-redundancy.bad.effectRuns')}</div>
+            <div className="text-xs text-bad-600 font-semibold mt-1">{t('useeffect-redundancy.bad.eachTriggers')}</div>
           </div>
         </div>
-        <p className="text-xs text-red-800 mb-2">
-          <strong>⚠️ Problem:</strong> Notice render count is higher than effect count?
-          That's the "flash" - component renders with stale fullName first,
-          then effect runs and triggers another render with correct value.
+        <p className="text-xs text-bad-800 mb-2">
+          <Message id="useeffect-redundancy.bad.flashNote" />
         </p>
-        <div className="bg-red-200 px-3 py-2 rounded mt-2">
-          <p className="text-xs text-red-900 font-semibold">
-            💡 Try typing quickly to see the lag and flash effect!
+        <div className="bg-bad-200 px-3 py-2 rounded mt-2">
+          <p className="text-xs text-bad-900 font-semibold">
+            {t('useeffect-redundancy.bad.tryTyping')}
           </p>
         </div>
       </div>
@@ -93,63 +94,72 @@ const BadImplementation = () => {
   const [firstName, setFirstName] = useState('John');
   const [lastName, setLastName] = useState('Doe');
   const [email] = useState('john.doe@example.com');
+  useSharedInput('firstName', setFirstName);
+  useSharedInput('lastName', setLastName);
+  const firstNameRef = useInputLatency('BadNameInputs');
+  const lastNameRef = useInputLatency('BadNameInputs');
+  const t = useTranslation();
+  const firstNameId = useId();
+  const lastNameId = useId();
 
   return (
     <div className="space-y-4">
-      <div className="bg-red-50 border-2 border-red-300 rounded-lg p-6">
-        <h3 className="text-xl font-bold text-red-800 mb-4">
-          ❌ Bad Implementation: useEffect for Derived State
-        </h3>
-
-        <div className="bg-red-100 p-4 rounded-lg mb-6">
-          <p className="text-sm text-red-800 mb-2">
-            <strong>⚠️ The Problem:</strong> We use{' '}
-            <code className="bg-red-200 px-1 rounded">useEffect</code> to calculate{' '}
-            <code className="bg-red-200 px-1 rounded">fullName</code> from{' '}
-            <code className="bg-red-200 px-1 rounded">firstName</code> and{' '}
-            <code className="bg-red-200 px-1 rounded">lastName</code>.
+      <div className="bg-bad-50 border-2 border-bad-300 rounded-lg p-4 sm:p-6">
+        <h2 className="text-xl font-bold text-bad-800 mb-4">
+          ❌ {t('useeffect-redundancy.bad.title')}
+        </h2>
+
+        <div data-callout="problem" className="bg-bad-100 p-4 rounded-lg mb-6">
+          <p className="text-sm text-bad-800 mb-2">
+            <strong>{t('common.callout.problem')}</strong>{' '}
+            <Message
+              id="useeffect-redundancy.problem.lead"
+              components={{ code: <code className="bg-bad-200 px-1 rounded" /> }}
+            />
           </p>
-          <p className="text-sm text-red-800 mb-2">
-            <strong>What happens:</strong>
+          <p className="text-sm text-bad-800 mb-2">
+            <strong>{t('useeffect-redundancy.problem.whatHappens')}</strong>
           </p>
-          <ol className="text-sm text-red-800 list-decimal list-inside space-y-1 mb-2">
-            <li>Props change (firstName or lastName updates)</li>
-            <li>Component renders with OLD fullName value</li>
-            <li>Effect runs and calls setFullName()</li>
-            <li>Component renders AGAIN with new fullName value</li>
+          <ol className="text-sm text-bad-800 list-decimal list-inside space-y-1 mb-2">
+            <Message id="useeffect-redundancy.problem.steps" />
           </ol>
-          <p className="text-sm text-red-800">
-            This causes unnecessary double renders and can lead to UI "flashes" where the
-            wrong value appears briefly.
+          <p className="text-sm text-bad-800">
+            {t('useeffect-redundancy.problem.consequence')}
           </p>
         </div>
 
         <div className="grid grid-cols-1 md:grid-cols-2 gap-4 mb-6">
           <div>
-            <label className="block text-sm font-medium text-gray-700 mb-2">
-              First Name:
+            <label htmlFor={firstNameId} className="block text-sm font-medium text-neutral-700 mb-2">
+              {t('useeffect-redundancy.firstName')}
             </label>
             <input
+              id={firstNameId}
+              ref={firstNameRef}
               type="text"
               value={firstName}
               onChange={(e) => setFirstName(e.target.value)}
-              className="w-full px-4 py-2 border border-red-300 rounded-lg"
+              className="w-full px-4 py-2 border border-bad-300 rounded-lg"
             />
           </div>
 
           <div>
-            <label className="block text-sm font-medium text-gray-700 mb-2">
-              Last Name:
+            <label htmlFor={lastNameId} className="block text-sm font-medium text-neutral-700 mb-2">
+              {t('useeffect-redundancy.lastName')}
             </label>
             <input
+              id={lastNameId}
+              ref={lastNameRef}
               type="text"
               value={lastName}
               onChange={(e) => setLastName(e.target.value)}
-              className="w-full px-4 py-2 border border-red-300 rounded-lg"
+              className="w-full px-4 py-2 border border-bad-300 rounded-lg"
             />
           </div>
         </div>
 
+        <LatencySparkline id="BadNameInputs" className="mb-6" />
+
         <BadUserCard firstName={firstName} lastName={lastName} email={email} />
       </div>
     </div>
@@ -158,57 +168,49 @@ const BadImplementation = () => {
 
 // ✅ GOOD: Calculate derived value directly during render
 const GoodUserCard = ({ firstName, lastName, email }) => {
-  const [renderCount, setRenderCount] = useState(0);
-  const [lastRenderTime, setLastRenderTime] = useState(Date.now());
-
-  // Track renders
-  useEffect(() => {
-    setRenderCount(prev => prev + 1);
-    setLastRenderTime(Date.now());
-  });
+  const t = useTranslation();
+  useRenderTracker('GoodUserCard');
 
   // ✅ GOOD: Calculate derived value directly
   // No useState, no useEffect needed!
   const fullName = `${firstName} ${lastName}`;
 
-  const isRecentRender = Date.now() - lastRenderTime < 200;
-
   return (
-    <div className="bg-green-50 border-2 border-green-300 rounded-lg p-6 relative">
-      {isRecentRender && (
-        <div className="absolute top-2 right-2 px-2 py-1 bg-green-500 text-white text-xs font-bold rounded-full">
-          ✅ Instant!
-        </div>
-      )}
-      <h3 className="text-xl font-bold text-green-800 mb-4">
-        👤 User Card (Good Version)
-      </h3>
+    <div className="bg-good-50 border-2 border-good-300 rounded-lg p-4 sm:p-6 relative">
+      <RenderFlash
+        id="GoodUserCard"
+        duration={400}
+        className="absolute top-2 right-2 px-2 py-1 bg-good-500 text-neutral-0 text-xs font-bold rounded-full"
+      >
+        {t('useeffect-redundancy.good.instant')}
+      </RenderFlash>
+      <h2 className="text-xl font-bold text-good-800 mb-4">
+        {t('useeffect-redundancy.good.cardTitle')}
+      </h2>
 
       <div className="space-y-3 mb-4">
         <div className="flex items-center gap-3">
-          <span className="text-sm font-semibold text-gray-700 w-24">Full Name:</span>
-          <span className="text-lg font-bold text-gray-900">{fullName}</span>
+          <span className="text-sm font-semibold text-neutral-700 w-24">{t('useeffect-redundancy.fullName')}</span>
+          <span className="text-lg font-bold text-neutral-900">{fullName}</span>
         </div>
         <div className="flex items-center gap-3">
-          <span className="text-sm font-semibold text-gray-700 w-24">Email:</span>
-          <span className="text-gray-900">{email}</span>
+          <span className="text-sm font-semibold text-neutral-700 w-24">{t('useeffect-redundancy.email')}</span>
+          <span className="text-neutral-900">{email}</span>
         </div>
       </div>
 
-      <div className="bg-green-100 p-4 rounded-lg">
+      <div className="bg-good-100 p-4 rounded-lg">
         <div className="text-center mb-3">
-          <div className="text-2xl font-bold text-green-800">{renderCount}</div>
-          <div className="text-xs text-green-700">Render Count</div>
-          <div className="text-xs text-green-600 font-semibold mt-1">✅ One render per change!</div>
+          <RenderStat id="GoodUserCard" className="block text-2xl font-bold text-good-800" />
+          <div className="text-xs text-good-700">{t('useeffect-redundancy.renderCount')}</div>
+          <div className="text-xs text-good-600 font-semibold mt-1">{t('useeffect-redundancy.good.oneRender')}</div>
         </div>
-        <p className="text-xs text-green-800 mb-2">
-          <strong>✅ Perfect:</strong> The component only renders once per prop change.
-          No extra renders, no useEffect complexity, and the value is always correct
-          immediately.
+        <p className="text-xs text-good-800 mb-2">
+          <Message id="useeffect-redundancy.good.perfect" />
         </p>
-        <div className="bg-green-200 px-3 py-2 rounded mt-2">
-          <p className="text-xs text-green-900 font-semibold">
-            🚀 Type quickly - notice how smooth it is!
+        <div className="bg-good-200 px-3 py-2 rounded mt-2">
+          <p className="text-xs text-good-900 font-semibold">
+            {t('useeffect-redundancy.good.tryTyping')}
           </p>
         </div>
       </div>
@@ -220,129 +222,101 @@ const GoodImplementation = () => {
   const [firstName, setFirstName] = useState('John');
   const [lastName, setLastName] = useState('Doe');
   const [email] = useState('john.doe@example.com');
+  useSharedInput('firstName', setFirstName);
+  useSharedInput('lastName', setLastName);
+  const firstNameRef = useInputLatency('GoodNameInputs');
+  const lastNameRef = useInputLatency('GoodNameInputs');
+  const t = useTranslation();
+  const firstNameId = useId();
+  const lastNameId = useId();
 
   return (
     <div className="space-y-4">
-      <div className="bg-green-50 border-2 border-green-300 rounded-lg p-6">
-        <h3 className="text-xl font-bold text-green-800 mb-4">
-          ✅ Good Implementation: Derived State During Render
-        </h3>
-
-        <div className="bg-green-100 p-4 rounded-lg mb-6">
-          <p className="text-sm text-green-800 mb-2">
-            <strong>✅ The Solution:</strong> Calculate{' '}
-            <code className="bg-green-200 px-1 rounded">fullName</code> directly in the
-            render body with a simple variable. No useState or useEffect needed!
+      <div className="bg-good-50 border-2 border-good-300 rounded-lg p-4 sm:p-6">
+        <h2 className="text-xl font-bold text-good-800 mb-4">
+          ✅ {t('useeffect-redundancy.good.title')}
+        </h2>
+
+        <div data-callout="solution" className="bg-good-100 p-4 rounded-lg mb-6">
+          <p className="text-sm text-good-800 mb-2">
+            <strong>{t('common.callout.solution')}</strong>{' '}
+            <Message
+              id="useeffect-redundancy.solution.lead"
+              components={{ code: <code className="bg-good-200 px-1 rounded" /> }}
+            />
           </p>
-          <p className="text-sm text-green-800 mb-2">
-            <strong>Benefits:</strong>
+          <p className="text-sm text-good-800 mb-2">
+            <strong>{t('useeffect-redundancy.solution.benefits')}</strong>
           </p>
-          <ul className="text-sm text-green-800 list-disc list-inside space-y-1 mb-2">
-            <li>Only one render per change (no double render)</li>
-            <li>Value is always in sync - no possibility of stale state</li>
-            <li>Simpler code - less to maintain and debug</li>
-            <li>Better performance - fewer renders and state updates</li>
+          <ul className="text-sm text-good-800 list-disc list-inside space-y-1 mb-2">
+            <Message id="useeffect-redundancy.solution.benefitList" />
           </ul>
-          <p className="text-sm text-green-800">
-            <strong>Rule of thumb:</strong> If you can calculate a value from props or other
-            state, do it during render. Don't use useEffect to sync derived state.
+          <p className="text-sm text-good-800">
+            <Message id="useeffect-redundancy.solution.rule" />
           </p>
         </div>
 
         <div className="grid grid-cols-1 md:grid-cols-2 gap-4 mb-6">
           <div>
-            <label className="block text-sm font-medium text-gray-700 mb-2">
-              First Name:
+            <label htmlFor={firstNameId} className="block text-sm font-medium text-neutral-700 mb-2">
+              {t('useeffect-redundancy.firstName')}
             </label>
             <input
+              id={firstNameId}
+              ref={firstNameRef}
               type="text"
               value={firstName}
               onChange={(e) => setFirstName(e.target.value)}
-              className="w-full px-4 py-2 border border-green-300 rounded-lg"
+              className="w-full px-4 py-2 border border-good-300 rounded-lg"
             />
           </div>
 
           <div>
-            <label className="block text-sm font-medium text-gray-700 mb-2">
-              Last Name:
+            <label htmlFor={lastNameId} className="block text-sm font-medium text-neutral-700 mb-2">
+              {t('useeffect-redundancy.lastName')}
             </label>
             <input
+              id={lastNameId}
+              ref={lastNameRef}
               type="text"
               value={lastName}
               onChange={(e) => setLastName(e.target.value)}
-              className="w-full px-4 py-2 border border-green-300 rounded-lg"
+              className="w-full px-4 py-2 border border-good-300 rounded-lg"
             />
           </div>
         </div>
 
+        <LatencySparkline id="GoodNameInputs" className="mb-6" />
+
         <GoodUserCard firstName={firstName} lastName={lastName} email={email} />
       </div>
     </div>
   );
 };
 
-// Main page component
-const UseEffectRedundancy = () => {
-  const [showGood, setShowGood] = useState(false);
+// Side-by-side mode: the same name fields drive both implementations
+const sharedInputs = (t) => [
+  { name: 'firstName', label: t('useeffect-redundancy.firstName'), initialValue: 'John' },
+  { name: 'lastName', label: t('useeffect-redundancy.lastName'), initialValue: 'Doe' },
+];
 
-  return (
-    <div>
-      <div className="mb-8">
-        <h1 className="text-4xl font-bold text-gray-900 mb-3">
-          Misconception #5: useEffect Redundancy
-        </h1>
-        <p className="text-lg text-gray-600 mb-6">
-          Don't use <code className="bg-gray-200 px-2 py-1 rounded text-sm">useEffect</code> to
-          calculate values that can be derived during render.
-        </p>
+const comparisons = (t) => [
+  { label: t('useeffect-redundancy.comparisons.card'), bad: 'BadUserCard', good: 'GoodUserCard' },
+];
 
-        <div className="flex gap-3">
-          <button
-            onClick={() => setShowGood(false)}
-            className={`px-6 py-3 rounded-lg font-semibold transition-all ${
-              !showGood
-                ? 'bg-red-600 text-white shadow-lg'
-                : 'bg-gray-200 text-gray-700 hover:bg-gray-300'
-            }`}
-          >
-            ❌ Bad Implementation
-          </button>
-          <button
-            onClick={() => setShowGood(true)}
-            className={`px-6 py-3 rounded-lg font-semibold transition-all ${
-              showGood
-                ? 'bg-green-600 text-white shadow-lg'
-                : 'bg-gray-200 text-gray-700 hover:bg-gray-300'
-            }`}
-          >
-            ✅ Good Implementation
-          </button>
-        </div>
-      </div>
-
-      <div className="bg-white rounded-xl shadow-lg p-8">
-        {!showGood ? <BadImplementation /> : <GoodImplementation />}
-      </div>
+// Main page component
+const UseEffectRedundancy = ({ implementation }) => {
+  const t = useTranslation();
 
-      <div className="mt-8 bg-blue-50 border-l-4 border-blue-500 p-6 rounded">
-        <h3 className="text-lg font-semibold text-blue-900 mb-2">
-          📚 Key Takeaway
-        </h3>
-        <p className="text-blue-800 mb-2">
-          <code className="bg-blue-100 px-1 rounded">useEffect</code> is for{' '}
-          <strong>synchronizing with external systems</strong> (APIs, DOM, subscriptions),
-          not for deriving values from props or state.
-        </p>
-        <p className="text-blue-800 mb-2">
-          <strong>When to use useEffect:</strong> Fetching data, setting up subscriptions,
-          manually manipulating the DOM, logging analytics.
-        </p>
-        <p className="text-blue-800">
-          <strong>When NOT to use useEffect:</strong> Calculating derived state, transforming data,
-          formatting values. Do these directly during render for better performance and simpler code.
-        </p>
-      </div>
-    </div>
+  return (
+    <DemoStage
+      implementation={implementation}
+      bad={<BadImplementation />}
+      good={<GoodImplementation />}
+      sharedInputs={sharedInputs(t)}
+      comparisons={comparisons(t)}
+      className="bg-neutral-0 rounded-xl shadow-lg p-4 sm:p-8"
+    />
   );
 };
 
@@ -0,0 +1,28 @@
+import { lazy } from 'react';
+
+/**
+ * Tool registry
+ *
+ * Pages that aren't lessons. Each one lives at its own path, gets a link in
+ * the sidebar's Tools section and is code-split like the lessons. `title` is
+ * a message id.
+ */
+
+export const tools = [
+  {
+    id: 'benchmark',
+    path: '/benchmark',
+    title: 'benchmark.title',
+    icon: '📈',
+    Component: lazy(() => import('../pages/BenchmarkRunner')),
+  },
+  {
+    id: 'challenge',
+    path: '/challenge',
+    title: 'challenge.title',
+    icon: '🕵️',
+    Component: lazy(() => import('../pages/SpotTheAntiPattern')),
+  },
+];
+
+export const getToolByPath = (path) => tools.find((tool) => tool.path === path);
@@ -1,8 +1,9 @@
 import { defineConfig } from 'vitest/config';
 import react from '@vitejs/plugin-react';
+import { searchIndex } from './plugins/searchIndex.js';
 
 export default defineConfig({
-  plugins: [react()],
+  plugins: [react(), searchIndex()],
   test: {
     environment: 'jsdom',
     globals: true,